@@ -5,6 +5,7 @@ module.exports = {
       displayName: 'backend',
       testEnvironment: 'node',
       testMatch: ['<rootDir>/test/backend/**/*.test.js'],
+      setupFilesAfterEnv: ['<rootDir>/test/backend/setup.js'],
       collectCoverageFrom: [
         'src/**/*.js',
         '!src/server.js', // Exclude main entry point from coverage (tested via integration)
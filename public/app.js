@@ -12,14 +12,74 @@ const feedStatsEl = document.getElementById('feedStats');
 const feedItemsEl = document.getElementById('feedItems');
 const savedFeedsSection = document.getElementById('savedFeedsSection');
 const savedFeedsList = document.getElementById('savedFeedsList');
+const discoveryEl = document.getElementById('discovery');
+const importOpmlBtn = document.getElementById('importOpmlBtn');
+const opmlFileInput = document.getElementById('opmlFile');
+const opmlReportEl = document.getElementById('opmlReport');
+const searchForm = document.getElementById('searchForm');
+const searchQueryInput = document.getElementById('searchQuery');
+const rulesList = document.getElementById('rulesList');
+const ruleForm = document.getElementById('ruleForm');
+const readerEl = document.getElementById('reader');
 const SAVED_FEEDS_KEY = 'savedRssFeeds';
 const DARK_MODE_KEY = 'darkMode';
 
+// Saved feeds as returned by /api/subscriptions, oldest first
+let subscriptions = [];
+// URL of the feed currently on screen
+let loadedFeedUrl = null;
+// Item counts of stored feeds by feed URL, as returned by /api/items/counts
+let itemCounts = {};
+// Live updates of the feed on screen, from /api/stream
+let itemStream = null;
+// Where the next page of the river on screen starts, from /api/river
+let riverCursor = null;
+// Filtering rules as returned by /api/rules, in the order they apply
+let rules = [];
+// Whether items hidden by rules are shown anyway, to audit the rules
+let showHiddenItems = false;
+// URL of the article the reader view is showing or loading
+let readerUrl = null;
+
 // Event Listeners
 fetchBtn.addEventListener('click', fetchRssFeed);
 saveBtn.addEventListener('click', saveCurrentFeed);
 clearBtn.addEventListener('click', clearResults);
 darkModeToggle.addEventListener('click', toggleDarkMode);
+importOpmlBtn.addEventListener('click', () => opmlFileInput.click());
+opmlFileInput.addEventListener('change', () => {
+    const [file] = opmlFileInput.files;
+    if (file) {
+        importOpml(file);
+    }
+    // Choosing the same file again should import it again
+    opmlFileInput.value = '';
+});
+searchForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    searchItems();
+});
+ruleForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    createRule();
+});
+ruleForm.elements.action.addEventListener('change', () => {
+    ruleForm.elements.tag.classList.toggle('hidden', ruleForm.elements.action.value !== 'tag');
+});
+
+// Items open in the reader view; modified clicks still open the original page
+feedItemsEl.addEventListener('click', (e) => {
+    const link = e.target.closest('.feed-item h3 a');
+    if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+        return;
+    }
+    const url = link.getAttribute('href');
+    if (!isValidFeedUrl(url)) {
+        return;
+    }
+    e.preventDefault();
+    openReader(url, link.closest('.feed-item'));
+});
 
 rssUrlInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
@@ -28,7 +88,8 @@ rssUrlInput.addEventListener('keypress', (e) => {
 });
 
 initDarkMode();
-renderSavedFeeds();
+loadSubscriptions();
+loadRules();
 
 // Main Functions
 async function fetchRssFeed() {
@@ -40,8 +101,11 @@ async function fetchRssFeed() {
     }
 
     // Reset UI
+    closeItemStream();
     hideError();
     hideResults();
+    hideReader();
+    hideDiscovery();
     showLoading();
 
     try {
@@ -52,7 +116,24 @@ async function fetchRssFeed() {
             throw new Error(errorData.message || `HTTP ${response.status}`);
         }
 
-        const xmlText = await response.text();
+        const feedText = await response.text();
+        const contentType = response.headers?.get('content-type') || '';
+
+        if (isJsonFeedResponse(feedText, contentType)) {
+            displayJsonFeed(parseJsonFeed(feedText));
+            loadedFeedUrl = url;
+            await loadItemStates(url);
+            watchFeed(url);
+            return;
+        }
+
+        // A web page rather than a feed: offer the feeds it links to
+        if (isHtmlResponse(feedText)) {
+            await discoverFeeds(url);
+            return;
+        }
+
+        const xmlText = feedText;
         const parser = new DOMParser();
         const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
 
@@ -63,6 +144,9 @@ async function fetchRssFeed() {
         }
 
         displayFeed(xmlDoc);
+        loadedFeedUrl = url;
+        await loadItemStates(url);
+        watchFeed(url);
     } catch (error) {
         showError(`Error: ${error.message}`);
     } finally {
@@ -80,7 +164,7 @@ function displayFeed(xmlDoc) {
     } else if (feedEl) {
         displayAtom(feedEl);
     } else {
-        showError('Unrecognized feed format. Please ensure the URL is a valid RSS or Atom feed.');
+        showError('Unrecognized feed format. Please ensure the URL is a valid RSS, Atom or JSON Feed.');
     }
 }
 
@@ -108,9 +192,10 @@ function displayRss(channel) {
         const itemLink = item.querySelector('link')?.textContent || '#';
         const itemDescription = item.querySelector('description')?.textContent || '';
         const pubDate = item.querySelector('pubDate')?.textContent;
+        const key = itemKey(item.querySelector('guid')?.textContent, item.querySelector('link')?.textContent);
 
         return `
-            <div class="feed-item">
+            <div class="feed-item"${key ? ` data-key="${escapeHtml(key)}"` : ''}>
                 <h3><a href="${escapeHtml(itemLink)}" target="_blank" rel="noopener">${escapeHtml(itemTitle)}</a></h3>
                 <div class="meta">
                     ${pubDate ? `<span>📅 ${formatDate(pubDate)}</span>` : ''}
@@ -147,9 +232,10 @@ function displayAtom(feed) {
         const summary = entry.querySelector('summary')?.textContent || 
                        entry.querySelector('content')?.textContent || '';
         const updated = entry.querySelector('updated')?.textContent;
+        const key = itemKey(entry.querySelector('id')?.textContent, entry.querySelector('link')?.getAttribute('href'));
 
         return `
-            <div class="feed-item">
+            <div class="feed-item"${key ? ` data-key="${escapeHtml(key)}"` : ''}>
                 <h3><a href="${escapeHtml(entryLink)}" target="_blank" rel="noopener">${escapeHtml(entryTitle)}</a></h3>
                 <div class="meta">
                     ${updated ? `<span>📅 ${formatDate(updated)}</span>` : ''}
@@ -162,7 +248,787 @@ function displayAtom(feed) {
     showResults();
 }
 
+function displayJsonFeed(feed) {
+    const title = feed.title || 'JSON Feed';
+    const items = Array.isArray(feed.items) ? feed.items : [];
+
+    feedTitleEl.textContent = title;
+
+    // Display stats
+    const description = feed.description;
+
+    feedStatsEl.innerHTML = `
+        <div>
+            <strong>${items.length}</strong>
+            <span>Items</span>
+        </div>
+        ${description ? `<div style="flex: 1"><span>${escapeHtml(description)}</span></div>` : ''}
+    `;
+
+    // Display items
+    feedItemsEl.innerHTML = items.map(item => {
+        const itemTitle = item.title || 'Untitled';
+        const itemLink = item.url || item.external_url || '#';
+        const itemDescription = item.summary || item.content_html || item.content_text || '';
+        const published = item.date_published || item.date_modified;
+        const authors = getJsonFeedAuthors(item) || getJsonFeedAuthors(feed);
+        const key = itemKey(item.id === undefined || item.id === null ? '' : String(item.id), item.url);
+
+        return `
+            <div class="feed-item"${key ? ` data-key="${escapeHtml(key)}"` : ''}>
+                <h3><a href="${escapeHtml(itemLink)}" target="_blank" rel="noopener">${escapeHtml(itemTitle)}</a></h3>
+                <div class="meta">
+                    ${published ? `<span>📅 ${formatDate(published)}</span>` : ''}
+                    ${authors ? `<span>✍️ ${escapeHtml(authors)}</span>` : ''}
+                </div>
+                ${itemDescription ? `<div class="description">${stripHtml(itemDescription, 300)}</div>` : ''}
+                ${renderAttachments(item.attachments)}
+            </div>
+        `;
+    }).join('');
+
+    showResults();
+}
+
+// The key the server stores an item under: its guid or id, else its link.
+// Items with neither are stored under a content hash and get no state.
+function itemKey(id, link) {
+    return (id || '').trim() || (link || '').trim();
+}
+
+// Fetches the stored state of the items on screen and adds their toggles
+async function loadItemStates(feedUrl) {
+    try {
+        const response = await fetch(`/api/items?url=${encodeURIComponent(feedUrl)}&limit=200`);
+        if (!response.ok) {
+            return;
+        }
+        const data = await response.json();
+        applyItemStates(Array.isArray(data.items) ? data.items : []);
+    } catch {
+        // Items are still readable without their state
+    }
+}
+
+function applyItemStates(items) {
+    const byKey = new Map(items.map((item) => [item.key, item]));
+
+    feedItemsEl.querySelectorAll('.feed-item[data-key]').forEach((itemEl) => {
+        const item = byKey.get(itemEl.dataset.key);
+        if (item) {
+            attachItemState(itemEl, item);
+        }
+    });
+
+    renderUnreadStats();
+    renderHiddenStats();
+}
+
+// Adds the state toggles of a stored item to its card
+function attachItemState(itemEl, item) {
+    itemEl.dataset.id = item.id;
+    itemEl.insertAdjacentHTML('beforeend', '<div class="item-actions"></div>');
+    renderItemState(itemEl, item);
+    renderItemRules(itemEl, item.rules);
+
+    itemEl.querySelector('h3 a')?.addEventListener('click', () => {
+        if (!itemEl.classList.contains('read')) {
+            setItemState(itemEl, { read: true });
+        }
+    });
+}
+
+function renderItemState(itemEl, item) {
+    itemEl.classList.toggle('read', item.read);
+    itemEl.classList.toggle('starred', item.starred);
+    itemEl.classList.toggle('archived', item.archived);
+
+    const actions = itemEl.querySelector('.item-actions');
+    actions.innerHTML = `
+        <button type="button" class="item-toggle-read" aria-pressed="${item.read}">${item.read ? 'Mark unread' : 'Mark read'}</button>
+        <button type="button" class="item-toggle-star" aria-pressed="${item.starred}">${item.starred ? '★ Starred' : '☆ Star'}</button>
+        <button type="button" class="item-toggle-archive" aria-pressed="${item.archived}">${item.archived ? 'Unarchive' : 'Archive'}</button>
+    `;
+
+    // The classes stay current when "Mark all read" changes items without re-rendering them
+    actions.querySelector('.item-toggle-read').addEventListener('click', () => {
+        setItemState(itemEl, { read: !itemEl.classList.contains('read') });
+    });
+    actions.querySelector('.item-toggle-star').addEventListener('click', () => {
+        setItemState(itemEl, { starred: !itemEl.classList.contains('starred') });
+    });
+    actions.querySelector('.item-toggle-archive').addEventListener('click', () => {
+        setItemState(itemEl, { archived: !itemEl.classList.contains('archived') });
+    });
+}
+
+// What the filtering rules do to an item: hide it, highlight it, or tag it
+function renderItemRules(itemEl, outcome) {
+    if (!outcome) {
+        return;
+    }
+
+    itemEl.classList.toggle('rule-hidden', outcome.hidden);
+    itemEl.classList.toggle('highlighted', outcome.highlighted);
+    itemEl.querySelector('.item-tags')?.remove();
+    if (outcome.tags.length) {
+        itemEl.querySelector('.meta').insertAdjacentHTML('afterend', `
+            <div class="item-tags">${outcome.tags.map((tag) => `<span class="item-tag">${escapeHtml(tag)}</span>`).join('')}</div>
+        `);
+    }
+}
+
+// Count of the items on screen that rules hide, with the toggle that shows them
+function renderHiddenStats() {
+    const hidden = feedItemsEl.querySelectorAll('.feed-item.rule-hidden').length;
+    feedStatsEl.querySelector('.feed-hidden')?.remove();
+    feedItemsEl.classList.toggle('show-hidden', showHiddenItems);
+    if (!hidden) {
+        return;
+    }
+
+    feedStatsEl.insertAdjacentHTML('beforeend', `
+        <div class="feed-hidden">
+            <strong>${hidden}</strong>
+            <span>Hidden</span>
+            <button type="button" class="toggle-hidden" aria-pressed="${showHiddenItems}">${showHiddenItems ? 'Hide again' : 'Show hidden'}</button>
+        </div>
+    `);
+    feedStatsEl.querySelector('.toggle-hidden').addEventListener('click', () => {
+        showHiddenItems = !showHiddenItems;
+        renderHiddenStats();
+    });
+}
+
+async function setItemState(itemEl, changes) {
+    try {
+        const response = await fetch(`/api/items/${encodeURIComponent(itemEl.dataset.id)}`, jsonRequest('PATCH', changes));
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        renderItemState(itemEl, data);
+        renderUnreadStats();
+        await loadItemCounts();
+    } catch (error) {
+        showError(`Unable to update item: ${error.message}`);
+    }
+}
+
+async function markAllRead() {
+    if (!loadedFeedUrl) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/items/mark', jsonRequest('POST', { url: loadedFeedUrl, read: true }));
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        feedItemsEl.querySelectorAll('.feed-item[data-id]').forEach((itemEl) => {
+            itemEl.classList.add('read');
+            const toggle = itemEl.querySelector('.item-toggle-read');
+            toggle.textContent = 'Mark unread';
+            toggle.setAttribute('aria-pressed', 'true');
+        });
+        renderUnreadStats();
+        await loadItemCounts();
+    } catch (error) {
+        showError(`Unable to mark items as read: ${error.message}`);
+    }
+}
+
+// Unread count of the feed on screen, next to its item count
+function renderUnreadStats() {
+    const tracked = feedItemsEl.querySelectorAll('.feed-item[data-id]');
+    feedStatsEl.querySelector('.feed-unread')?.remove();
+    // Search results span many feeds
+    if (!tracked.length || !loadedFeedUrl) {
+        return;
+    }
+
+    const unread = [...tracked].filter((itemEl) => !itemEl.classList.contains('read') && !itemEl.classList.contains('archived')).length;
+    feedStatsEl.insertAdjacentHTML('afterbegin', `
+        <div class="feed-unread">
+            <strong>${unread}</strong>
+            <span>Unread</span>
+            <button type="button" class="mark-all-read"${unread ? '' : ' disabled'}>Mark all read</button>
+        </div>
+    `);
+    feedStatsEl.querySelector('.mark-all-read').addEventListener('click', markAllRead);
+}
+
+// Adds the items the server sees in the feed on screen as they arrive
+function watchFeed(feedUrl) {
+    closeItemStream();
+    if (typeof EventSource === 'undefined') {
+        return;
+    }
+
+    // EventSource reconnects by itself, resuming after the last item it got
+    itemStream = new EventSource(`/api/stream?feeds=${encodeURIComponent(feedUrl)}`);
+    itemStream.addEventListener('new-item', (event) => {
+        try {
+            prependItem(JSON.parse(event.data));
+        } catch {
+            // A malformed event is not worth interrupting the stream for
+        }
+    });
+}
+
+function closeItemStream() {
+    if (itemStream) {
+        itemStream.close();
+        itemStream = null;
+    }
+}
+
+function prependItem(item) {
+    const shown = [...feedItemsEl.querySelectorAll('.feed-item')]
+        .some((itemEl) => itemEl.dataset.id === item.id || (item.key && itemEl.dataset.key === item.key));
+    if (shown) {
+        return;
+    }
+
+    feedItemsEl.insertAdjacentHTML('afterbegin', renderStoredItem(item, 'new-item'));
+    const itemEl = feedItemsEl.firstElementChild;
+    attachItemState(itemEl, item);
+    renderUnreadStats();
+    loadItemRules(itemEl);
+}
+
+// Pushed items come without what the rules do to them
+async function loadItemRules(itemEl) {
+    try {
+        const response = await fetch(`/api/items/${encodeURIComponent(itemEl.dataset.id)}`);
+        if (!response.ok) {
+            return;
+        }
+        renderItemRules(itemEl, (await response.json()).rules);
+        renderHiddenStats();
+    } catch {
+        // The item stays shown as it came
+    }
+}
+
+// Card of an item from the item store, tagged with its feed when it has `feedTitle`
+function renderStoredItem(item, className = '') {
+    const published = item.published || item.updated;
+    const summary = item.summary || item.content;
+
+    return `
+        <div class="feed-item${className ? ` ${className}` : ''}"${item.key ? ` data-key="${escapeHtml(item.key)}"` : ''}>
+            <h3><a href="${escapeHtml(item.link || '#')}" target="_blank" rel="noopener">${escapeHtml(item.title || 'Untitled')}</a></h3>
+            <div class="meta">
+                ${published ? `<span>📅 ${formatDate(published)}</span>` : ''}
+                ${item.author ? `<span>✍️ ${escapeHtml(item.author)}</span>` : ''}
+                ${item.feedTitle ? `<span>📰 ${escapeHtml(item.feedTitle)}</span>` : ''}
+            </div>
+            ${summary ? `<div class="description">${stripHtml(summary, 300)}</div>` : ''}
+        </div>
+    `;
+}
+
+async function searchItems() {
+    const query = searchQueryInput.value.trim();
+
+    if (!query) {
+        showError('Please enter something to search for');
+        return;
+    }
+
+    closeItemStream();
+    hideError();
+    hideResults();
+    hideReader();
+    hideDiscovery();
+    showLoading();
+
+    try {
+        const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        loadedFeedUrl = null;
+        displaySearchResults(query, data);
+    } catch (error) {
+        showError(`Search failed: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+function displaySearchResults(query, data) {
+    const results = Array.isArray(data.results) ? data.results : [];
+
+    feedTitleEl.textContent = `Search: ${query}`;
+    feedStatsEl.innerHTML = `
+        <div>
+            <strong>${data.total || 0}</strong>
+            <span>Results</span>
+        </div>
+        ${data.total > results.length ? `<div style="flex: 1"><span>Showing the best ${results.length}</span></div>` : ''}
+    `;
+
+    if (!results.length) {
+        feedItemsEl.innerHTML = '<p class="search-empty">No stored items match this search.</p>';
+        showResults();
+        return;
+    }
+
+    // Highlights come from the server as escaped HTML with <mark> around the matches
+    feedItemsEl.innerHTML = results.map(result => {
+        const subscription = subscriptions.find((candidate) => candidate.url === result.feedUrl);
+        const feedLabel = subscription ? subscription.name || subscription.title || subscription.url : result.feedUrl;
+        const published = result.published || result.updated;
+
+        return `
+            <div class="feed-item search-result">
+                <h3><a href="${escapeHtml(result.link || '#')}" target="_blank" rel="noopener">${result.highlights?.title || escapeHtml(result.title || 'Untitled')}</a></h3>
+                <div class="meta">
+                    ${published ? `<span>📅 ${formatDate(published)}</span>` : ''}
+                    ${result.author ? `<span>✍️ ${escapeHtml(result.author)}</span>` : ''}
+                    <span>📰 ${escapeHtml(feedLabel)}</span>
+                </div>
+                ${result.highlights?.snippet ? `<div class="description">${result.highlights.snippet}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    feedItemsEl.querySelectorAll('.feed-item').forEach((itemEl, index) => attachItemState(itemEl, results[index]));
+    showResults();
+}
+
+// Shows the items of every saved feed in one timeline, newest first
+async function showRiver() {
+    closeItemStream();
+    hideError();
+    hideResults();
+    hideReader();
+    hideDiscovery();
+    showLoading();
+
+    try {
+        const data = await fetchRiverPage();
+        rssUrlInput.value = '';
+        loadedFeedUrl = null;
+        displayRiver(data);
+    } catch (error) {
+        showError(`Unable to load all feeds: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+async function loadMoreRiver() {
+    const moreBtn = feedItemsEl.querySelector('.river-more');
+    moreBtn.disabled = true;
+
+    try {
+        appendRiverItems(await fetchRiverPage(riverCursor));
+    } catch (error) {
+        moreBtn.disabled = false;
+        showError(`Unable to load more items: ${error.message}`);
+    }
+}
+
+async function fetchRiverPage(cursor) {
+    const response = await fetch(`/api/river?limit=50${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+    }
+    return data;
+}
+
+function displayRiver(data) {
+    const failed = (data.feeds || []).filter((feed) => feed.error);
+
+    feedTitleEl.textContent = 'All feeds';
+    feedStatsEl.innerHTML = `
+        <div>
+            <strong>${data.total || 0}</strong>
+            <span>Items</span>
+        </div>
+        <div>
+            <strong>${(data.feeds || []).length}</strong>
+            <span>Feeds</span>
+        </div>
+        ${failed.length ? `<div style="flex: 1"><span title="${escapeHtml(failed.map((feed) => `${feed.title || feed.url}: ${feed.error.message}`).join('\n'))}">${failed.length} could not be refreshed</span></div>` : ''}
+    `;
+
+    feedItemsEl.innerHTML = '';
+    appendRiverItems(data);
+    if (!feedItemsEl.querySelector('.feed-item')) {
+        feedItemsEl.innerHTML = '<p class="search-empty">No stored items yet.</p>';
+    }
+    showResults();
+}
+
+// Adds a page of the river below the items already shown
+function appendRiverItems(data) {
+    const items = Array.isArray(data.items) ? data.items : [];
+    const shown = feedItemsEl.querySelectorAll('.feed-item').length;
+
+    feedItemsEl.querySelector('.river-more')?.remove();
+    feedItemsEl.insertAdjacentHTML('beforeend', items.map((item) => renderStoredItem(item)).join(''));
+    [...feedItemsEl.querySelectorAll('.feed-item')].slice(shown).forEach((itemEl, index) => attachItemState(itemEl, items[index]));
+
+    riverCursor = data.nextCursor || null;
+    if (riverCursor) {
+        feedItemsEl.insertAdjacentHTML('beforeend', '<button type="button" class="btn-secondary river-more">Load more</button>');
+        feedItemsEl.querySelector('.river-more').addEventListener('click', loadMoreRiver);
+    }
+    renderHiddenStats();
+}
+
+async function loadRules() {
+    try {
+        const response = await fetch('/api/rules');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        rules = Array.isArray(data.rules) ? data.rules : [];
+    } catch (error) {
+        showError(`Unable to load rules: ${error.message}`);
+    }
+
+    renderRules();
+}
+
+async function createRule() {
+    const { action, tag, field, match, pattern, feedUrl } = ruleForm.elements;
+
+    try {
+        const response = await fetch('/api/rules', jsonRequest('POST', {
+            action: action.value,
+            field: field.value,
+            match: match.value,
+            pattern: pattern.value,
+            feedUrl: feedUrl.value || null,
+            ...(action.value === 'tag' && { tag: tag.value })
+        }));
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        rules = [...rules, data];
+        pattern.value = '';
+        tag.value = '';
+        renderRules();
+        await refreshItemRules();
+    } catch (error) {
+        showError(`Unable to add rule: ${error.message}`);
+    }
+}
+
+async function updateRule(id, changes) {
+    try {
+        const response = await fetch(`/api/rules/${encodeURIComponent(id)}`, jsonRequest('PATCH', changes));
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        rules = rules.map((rule) => (rule.id === id ? data : rule));
+        renderRules();
+        await refreshItemRules();
+    } catch (error) {
+        showError(`Unable to update rule: ${error.message}`);
+    }
+}
+
+async function removeRule(id) {
+    try {
+        const response = await fetch(`/api/rules/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            const data = await response.json();
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        rules = rules.filter((rule) => rule.id !== id);
+        renderRules();
+        await refreshItemRules();
+    } catch (error) {
+        showError(`Unable to remove rule: ${error.message}`);
+    }
+}
+
+// Applies changed rules to the feed on screen
+async function refreshItemRules() {
+    if (!loadedFeedUrl) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/items?url=${encodeURIComponent(loadedFeedUrl)}&limit=200`);
+        if (!response.ok) {
+            return;
+        }
+        const data = await response.json();
+        const byId = new Map((Array.isArray(data.items) ? data.items : []).map((item) => [item.id, item]));
+
+        feedItemsEl.querySelectorAll('.feed-item[data-id]').forEach((itemEl) => {
+            const item = byId.get(itemEl.dataset.id);
+            if (item) {
+                renderItemRules(itemEl, item.rules);
+            }
+        });
+        renderHiddenStats();
+    } catch {
+        // The feed on screen catches up when it is next loaded
+    }
+}
+
+function renderRules() {
+    if (!rulesList) {
+        return;
+    }
+
+    renderRuleFeedOptions();
+    if (!rules.length) {
+        rulesList.innerHTML = '<p class="rules-empty">No rules yet. Hide, highlight, star or tag items by keyword or pattern.</p>';
+        return;
+    }
+
+    rulesList.innerHTML = rules.map((rule) => `
+        <div class="rule${rule.enabled ? '' : ' rule-disabled'}">
+            <span class="rule-description">${escapeHtml(describeRule(rule))}</span>
+            <button type="button" class="rule-toggle" data-id="${escapeHtml(rule.id)}" aria-pressed="${rule.enabled}">${rule.enabled ? 'Disable' : 'Enable'}</button>
+            <button type="button" class="rule-remove" data-id="${escapeHtml(rule.id)}">Remove</button>
+        </div>
+    `).join('');
+
+    rulesList.querySelectorAll('.rule-toggle').forEach((button) => {
+        button.addEventListener('click', () => updateRule(button.dataset.id, { enabled: button.getAttribute('aria-pressed') !== 'true' }));
+    });
+    rulesList.querySelectorAll('.rule-remove').forEach((button) => {
+        button.addEventListener('click', () => removeRule(button.dataset.id));
+    });
+}
+
+// E.g. 'Hide items whose title mentions "sponsored", in all feeds'
+function describeRule(rule) {
+    const actions = { hide: 'Hide', highlight: 'Highlight', star: 'Star', tag: 'Tag' };
+    const [subject, verb] = rule.field === 'any' ? ['that', ''] : [`whose ${rule.field}`, 's'];
+    const test = rule.match === 'regex' ? `match${verb} /${rule.pattern}/` : `mention${verb} "${rule.pattern}"`;
+    const subscription = subscriptions.find((candidate) => candidate.url === rule.feedUrl);
+    const feed = rule.feedUrl ? (subscription && (subscription.name || subscription.title)) || rule.feedUrl : 'all feeds';
+
+    return `${actions[rule.action]} items ${subject} ${test}${rule.action === 'tag' ? ` as "${rule.tag}"` : ''}, in ${feed}`;
+}
+
+// Rules apply to every feed or to one saved feed
+function renderRuleFeedOptions() {
+    const select = ruleForm.elements.feedUrl;
+    const selected = select.value;
+
+    select.innerHTML = `<option value="">All feeds</option>${subscriptions.map((subscription) => `
+        <option value="${escapeHtml(subscription.url)}">${escapeHtml(subscription.name || subscription.title || subscription.url)}</option>
+    `).join('')}`;
+    select.value = subscriptions.some((subscription) => subscription.url === selected) ? selected : '';
+}
+
+function isJsonFeedResponse(text, contentType = '') {
+    if (/application\/feed\+json/i.test(contentType)) {
+        return true;
+    }
+
+    // Fall back to the body shape when the server sends a generic content type
+    return /^\s*\{/.test(text) && /"version"\s*:\s*"https?:\/\/jsonfeed\.org\/version\//.test(text);
+}
+
+function parseJsonFeed(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new Error('Failed to parse JSON Feed. Invalid JSON format.');
+    }
+}
+
+function getJsonFeedAuthors(node) {
+    // JSON Feed 1.1 uses an `authors` array; 1.0 used a single `author` object
+    const authors = Array.isArray(node.authors) ? node.authors : [node.author];
+    return authors
+        .map((author) => author?.name)
+        .filter(Boolean)
+        .join(', ');
+}
+
+function renderAttachments(attachments) {
+    if (!Array.isArray(attachments) || !attachments.length) {
+        return '';
+    }
+
+    const links = attachments.filter((attachment) => attachment?.url).map((attachment) => {
+        const label = attachment.title || attachment.url.split('/').pop() || attachment.url;
+        const details = [attachment.mime_type, formatBytes(attachment.size_in_bytes)].filter(Boolean).join(', ');
+
+        return `
+            <li>
+                <a href="${escapeHtml(attachment.url)}" target="_blank" rel="noopener">📎 ${escapeHtml(label)}</a>
+                ${details ? `<span>${escapeHtml(details)}</span>` : ''}
+            </li>
+        `;
+    }).join('');
+
+    return links ? `<ul class="attachments">${links}</ul>` : '';
+}
+
+// Shows an item's article in the reader view, in place of the list it came from
+async function openReader(url, itemEl) {
+    readerUrl = url;
+    hideError();
+    hideResults();
+    readerEl.innerHTML = '';
+    readerEl.classList.remove('hidden');
+    showLoading();
+
+    try {
+        const response = await fetch(`/api/article?url=${encodeURIComponent(url)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        // Something else was opened while the article loaded
+        if (readerUrl === url) {
+            renderReader(url, data, itemEl);
+        }
+    } catch (error) {
+        if (readerUrl === url) {
+            renderReaderError(url, error.message, itemEl);
+        }
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderReader(url, article, itemEl) {
+    const content = article.html || '';
+    const details = [article.byline, article.siteName].filter(Boolean);
+    const leadImage = article.leadImage && !content.includes(escapeHtml(article.leadImage)) ? article.leadImage : null;
+
+    // The article HTML comes from the server already sanitized
+    readerEl.innerHTML = `
+        ${renderReaderToolbar(url)}
+        <article class="reader-article">
+            <h2 class="reader-title">${escapeHtml(article.title || 'Untitled')}</h2>
+            ${details.length ? `<p class="reader-byline">${details.map(escapeHtml).join(' · ')}</p>` : ''}
+            ${leadImage ? `<img class="reader-lead-image" src="${escapeHtml(leadImage)}" alt="">` : ''}
+            <div class="reader-content">${content}</div>
+        </article>
+    `;
+    readerEl.querySelectorAll('.reader-content a').forEach((link) => {
+        link.target = '_blank';
+        link.rel = 'noopener';
+    });
+    attachReaderToolbar(itemEl);
+}
+
+function renderReaderError(url, message, itemEl) {
+    readerEl.innerHTML = `
+        ${renderReaderToolbar(url)}
+        <p class="reader-error">This page could not be opened in the reader: ${escapeHtml(message)}</p>
+    `;
+    attachReaderToolbar(itemEl);
+}
+
+function renderReaderToolbar(url) {
+    return `
+        <div class="reader-toolbar">
+            <button type="button" class="btn-secondary reader-back">← Back</button>
+            <a class="reader-original" href="${escapeHtml(url)}" target="_blank" rel="noopener">Open original ↗</a>
+        </div>
+    `;
+}
+
+// Back returns to the list, at the item that was opened
+function attachReaderToolbar(itemEl) {
+    readerEl.querySelector('.reader-back').addEventListener('click', () => {
+        hideReader();
+        showResults();
+        itemEl?.scrollIntoView?.({ block: 'center' });
+    });
+}
+
+function hideReader() {
+    readerUrl = null;
+    readerEl.classList.add('hidden');
+    readerEl.innerHTML = '';
+}
+
 // Utility Functions
+// Looks for the feeds behind an HTML page and lets the user pick one
+async function discoverFeeds(pageUrl) {
+    const response = await fetch(`/api/discover?url=${encodeURIComponent(pageUrl)}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+    }
+
+    const candidates = Array.isArray(data.candidates) ? data.candidates : [];
+    if (!candidates.length) {
+        throw new Error('This page is not a feed and no feeds could be found on it.');
+    }
+
+    renderFeedCandidates(candidates);
+}
+
+function renderFeedCandidates(candidates) {
+    if (!discoveryEl) {
+        return;
+    }
+
+    discoveryEl.innerHTML = `
+        <p class="discovery-message">This page is not a feed. Choose one of the feeds it offers:</p>
+        <ul class="feed-candidates">
+            ${candidates.map((candidate) => `
+                <li class="feed-candidate">
+                    <button type="button" class="feed-candidate-link" data-url="${encodeURIComponent(candidate.url)}">
+                        ${escapeHtml(candidate.title || candidate.url)}
+                    </button>
+                    ${candidate.type ? `<span class="feed-candidate-type">${escapeHtml(candidate.type.toUpperCase())}</span>` : ''}
+                    <span class="feed-candidate-url">${escapeHtml(candidate.url)}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    discoveryEl.classList.remove('hidden');
+
+    discoveryEl.querySelectorAll('.feed-candidate-link').forEach((button) => {
+        button.addEventListener('click', () => {
+            const url = decodeURIComponent(button.dataset.url || '');
+            if (!url) {
+                return;
+            }
+            rssUrlInput.value = url;
+            fetchRssFeed();
+        });
+    });
+}
+
+function hideDiscovery() {
+    if (!discoveryEl) {
+        return;
+    }
+    discoveryEl.classList.add('hidden');
+    discoveryEl.innerHTML = '';
+}
+
+function isHtmlResponse(text) {
+    return /^\s*(<!--[\s\S]*?-->\s*)*<(!doctype\s+html|html)\b/i.test(text);
+}
+
 function showLoading() {
     loadingEl.classList.remove('hidden');
 }
@@ -189,12 +1055,16 @@ function hideResults() {
 }
 
 function clearResults() {
+    closeItemStream();
     rssUrlInput.value = '';
+    loadedFeedUrl = null;
     hideResults();
+    hideReader();
+    hideDiscovery();
     hideError();
 }
 
-function saveCurrentFeed() {
+async function saveCurrentFeed() {
     const url = rssUrlInput.value.trim();
 
     if (!url || !isValidFeedUrl(url)) {
@@ -202,21 +1072,118 @@ function saveCurrentFeed() {
         return;
     }
 
-    const savedFeeds = readSavedFeeds();
-    if (savedFeeds.includes(url)) {
-        showError('This feed is already saved.');
-        return;
+    // Keep the feed's title when the feed on screen is the one being saved
+    const title = url === loadedFeedUrl ? feedTitleEl.textContent.trim() : '';
+
+    try {
+        const response = await fetch('/api/subscriptions', jsonRequest('POST', { url, title }));
+        const data = await response.json();
+
+        if (response.status === 409) {
+            showError('This feed is already saved.');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        subscriptions.push(data);
+        hideError();
+        renderSavedFeeds();
+    } catch (error) {
+        showError(`Unable to save feed: ${error.message}`);
     }
+}
 
-    writeSavedFeeds([url, ...savedFeeds]);
-    hideError();
-    renderSavedFeeds();
+async function removeSavedFeed(id) {
+    try {
+        const response = await fetch(`/api/subscriptions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            const data = await response.json();
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        subscriptions = subscriptions.filter((subscription) => subscription.id !== id);
+        renderSavedFeeds();
+    } catch (error) {
+        showError(`Unable to remove feed: ${error.message}`);
+    }
 }
 
-function removeSavedFeed(urlToRemove) {
-    const updatedFeeds = readSavedFeeds().filter((url) => url !== urlToRemove);
-    writeSavedFeeds(updatedFeeds);
+async function updateSavedFeed(id, changes) {
+    try {
+        const response = await fetch(`/api/subscriptions/${encodeURIComponent(id)}`, jsonRequest('PATCH', changes));
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        subscriptions = subscriptions.map((subscription) => (subscription.id === id ? data : subscription));
+        hideError();
+        renderSavedFeeds();
+    } catch (error) {
+        showError(`Unable to update feed: ${error.message}`);
+    }
+}
+
+// Loads the saved feeds from the server, first moving over any that an
+// older version of the app kept in localStorage
+async function loadSubscriptions() {
+    try {
+        if (readSavedFeeds().length) {
+            await importLocalSavedFeeds();
+        }
+
+        const response = await fetch('/api/subscriptions');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        subscriptions = Array.isArray(data.subscriptions) ? data.subscriptions : [];
+    } catch (error) {
+        showError(`Unable to load saved feeds: ${error.message}`);
+    }
+
     renderSavedFeeds();
+    if (subscriptions.length) {
+        await loadItemCounts();
+    }
+}
+
+// Refreshes the unread counts shown next to the saved feeds
+async function loadItemCounts() {
+    try {
+        const response = await fetch('/api/items/counts');
+        if (!response.ok) {
+            return;
+        }
+        const data = await response.json();
+        itemCounts = data.feeds || {};
+        renderSavedFeeds();
+    } catch {
+        // The saved feeds are still usable without counts
+    }
+}
+
+async function importLocalSavedFeeds() {
+    const localFeeds = readSavedFeeds();
+
+    // localStorage kept the newest feed first; import oldest first so the order survives
+    const remaining = [];
+    for (const url of [...localFeeds].reverse()) {
+        try {
+            const response = await fetch('/api/subscriptions', jsonRequest('POST', { url }));
+            // Already saved or unusable entries are done with; server failures are retried next time
+            if (response.status >= 500) {
+                remaining.unshift(url);
+            }
+        } catch {
+            remaining.unshift(url);
+        }
+    }
+
+    writeSavedFeeds(remaining);
 }
 
 function renderSavedFeeds() {
@@ -224,25 +1191,46 @@ function renderSavedFeeds() {
         return;
     }
 
-    const savedFeeds = readSavedFeeds();
-
-    if (!savedFeeds.length) {
-        savedFeedsSection.classList.add('hidden');
-        savedFeedsList.innerHTML = '';
+    // The section stays visible when empty so an OPML file can be imported
+    savedFeedsSection.classList.remove('hidden');
+    // Rules name the saved feeds they apply to
+    renderRules();
+    if (!subscriptions.length) {
+        savedFeedsList.innerHTML = '<p class="saved-feeds-empty">No saved feeds yet. Save a feed above or import an OPML file.</p>';
         return;
     }
 
-    savedFeedsSection.classList.remove('hidden');
-    savedFeedsList.innerHTML = savedFeeds.map((url) => {
-        const encodedUrl = encodeURIComponent(url);
+    // Newest first, with feeds outside any folder ahead of the folders
+    const folders = new Map([['', []]]);
+    [...subscriptions].reverse().forEach((subscription) => {
+        const folder = subscription.folder || '';
+        if (!folders.has(folder)) {
+            folders.set(folder, []);
+        }
+        folders.get(folder).push(subscription);
+    });
+    const folderNames = [...folders.keys()].filter(Boolean).sort((a, b) => a.localeCompare(b));
+
+    const allFeeds = `
+        <div class="saved-feed saved-feeds-all">
+            <button type="button" class="saved-feeds-all-link">All feeds</button>
+        </div>
+    `;
+    savedFeedsList.innerHTML = allFeeds + ['', ...folderNames].map((folder) => {
+        const feeds = folders.get(folder).map(renderSavedFeed).join('');
+        if (!folder) {
+            return feeds;
+        }
         return `
-            <div class="saved-feed">
-                <button type="button" class="saved-feed-link" data-url="${encodedUrl}">${escapeHtml(url)}</button>
-                <button type="button" class="saved-feed-remove" data-url="${encodedUrl}">Remove</button>
+            <div class="saved-feed-folder">
+                <h4 class="saved-feed-folder-name">${escapeHtml(folder)}</h4>
+                ${feeds}
             </div>
         `;
     }).join('');
 
+    savedFeedsList.querySelector('.saved-feeds-all-link').addEventListener('click', showRiver);
+
     savedFeedsList.querySelectorAll('.saved-feed-link').forEach((button) => {
         button.addEventListener('click', () => {
             const url = decodeURIComponent(button.dataset.url || '');
@@ -255,16 +1243,98 @@ function renderSavedFeeds() {
     });
 
     savedFeedsList.querySelectorAll('.saved-feed-remove').forEach((button) => {
+        button.addEventListener('click', () => removeSavedFeed(button.dataset.id));
+    });
+
+    savedFeedsList.querySelectorAll('.saved-feed-edit').forEach((button) => {
         button.addEventListener('click', () => {
-            const url = decodeURIComponent(button.dataset.url || '');
-            if (!url) {
-                return;
-            }
-            removeSavedFeed(url);
+            button.closest('.saved-feed').querySelector('.saved-feed-form').classList.toggle('hidden');
+        });
+    });
+
+    savedFeedsList.querySelectorAll('.saved-feed-form').forEach((form) => {
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            updateSavedFeed(form.dataset.id, {
+                name: form.elements.name.value,
+                folder: form.elements.folder.value
+            });
         });
     });
 }
 
+async function importOpml(file) {
+    hideError();
+
+    try {
+        const response = await fetch('/api/opml', {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/x-opml' },
+            body: await file.text()
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        subscriptions = [...subscriptions, ...data.imported];
+        renderSavedFeeds();
+        renderOpmlReport(data);
+        if (data.imported.length) {
+            await loadItemCounts();
+        }
+    } catch (error) {
+        showError(`Unable to import OPML: ${error.message}`);
+    }
+}
+
+// Summary of an import, listing the entries that were skipped and why
+function renderOpmlReport({ imported, duplicates, invalid }) {
+    const count = (number, one, many) => `${number} ${number === 1 ? one : many}`;
+    const skipped = [...duplicates, ...invalid];
+
+    opmlReportEl.innerHTML = `
+        <p>Imported ${count(imported.length, 'feed', 'feeds')}. Skipped ${count(duplicates.length, 'duplicate', 'duplicates')} and ${count(invalid.length, 'invalid entry', 'invalid entries')}.</p>
+        ${skipped.length ? `<ul>${skipped.map((entry) => `
+            <li>${escapeHtml(entry.title || entry.url || 'Untitled outline')}${entry.url && entry.title ? ` <span>(${escapeHtml(entry.url)})</span>` : ''}: ${escapeHtml(entry.reason)}</li>
+        `).join('')}</ul>` : ''}
+        <button type="button" class="opml-report-close">Dismiss</button>
+    `;
+    opmlReportEl.classList.remove('hidden');
+    opmlReportEl.querySelector('.opml-report-close').addEventListener('click', () => {
+        opmlReportEl.classList.add('hidden');
+        opmlReportEl.innerHTML = '';
+    });
+}
+
+function renderSavedFeed(subscription) {
+    const id = escapeHtml(subscription.id);
+    const label = subscription.name || subscription.title || subscription.url;
+    const unread = itemCounts[subscription.url]?.unread || 0;
+
+    return `
+        <div class="saved-feed">
+            <button type="button" class="saved-feed-link" data-url="${encodeURIComponent(subscription.url)}" title="${escapeHtml(subscription.url)}">${escapeHtml(label)}</button>
+            ${unread ? `<span class="saved-feed-unread" title="Unread items">${unread}</span>` : ''}
+            <button type="button" class="saved-feed-edit" data-id="${id}">Edit</button>
+            <button type="button" class="saved-feed-remove" data-id="${id}">Remove</button>
+            <form class="saved-feed-form hidden" data-id="${id}">
+                <input type="text" name="name" placeholder="${escapeHtml(subscription.title || 'Name')}" value="${escapeHtml(subscription.name || '')}" />
+                <input type="text" name="folder" placeholder="Folder" value="${escapeHtml(subscription.folder || '')}" />
+                <button type="submit">Save</button>
+            </form>
+        </div>
+    `;
+}
+
+function jsonRequest(method, body) {
+    return {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
 function readSavedFeeds() {
     try {
         const raw = localStorage.getItem(SAVED_FEEDS_KEY);
@@ -285,6 +1355,10 @@ function readSavedFeeds() {
 
 function writeSavedFeeds(feeds) {
     try {
+        if (!feeds.length) {
+            localStorage.removeItem(SAVED_FEEDS_KEY);
+            return;
+        }
         localStorage.setItem(SAVED_FEEDS_KEY, JSON.stringify(feeds));
     } catch {
         // Ignore storage failures so the rest of the UI still works.
@@ -318,6 +1392,19 @@ function stripHtml(html, maxLength = 300) {
     return escapeHtml(text);
 }
 
+function formatBytes(bytes) {
+    const size = Number(bytes);
+    if (!Number.isFinite(size) || size <= 0) {
+        return '';
+    }
+
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(size) / Math.log(1024)), units.length - 1);
+    const value = size / Math.pow(1024, exponent);
+
+    return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
+
 function formatDate(dateString) {
     try {
         const date = new Date(dateString);
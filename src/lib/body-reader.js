@@ -0,0 +1,160 @@
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_MAX_BODY_BYTES = 2 * 1024 * 1024;
+const DEFAULT_MAX_DECOMPRESSED_BYTES = 5 * 1024 * 1024;
+
+const DECOMPRESSORS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress()
+};
+
+/**
+ * Raised when an upstream body is larger than the configured limits.
+ */
+class ResponseTooLargeError extends Error {
+  constructor(message, limit) {
+    super(message);
+    this.name = 'ResponseTooLargeError';
+    this.limit = limit;
+  }
+}
+
+/**
+ * Raised when an upstream body cannot be decoded (unknown or corrupt content encoding).
+ */
+class ResponseEncodingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResponseEncodingError';
+  }
+}
+
+/**
+ * Body size limits from the environment
+ * @returns {{ maxBytes: number, maxDecompressedBytes: number }}
+ */
+function bodyLimits() {
+  return {
+    maxBytes: Number(process.env.FEED_MAX_BODY_BYTES) || DEFAULT_MAX_BODY_BYTES,
+    maxDecompressedBytes: Number(process.env.FEED_MAX_DECOMPRESSED_BYTES) || DEFAULT_MAX_DECOMPRESSED_BYTES
+  };
+}
+
+/**
+ * Reads an upstream response body as it streams in, decompressing it and
+ * aborting the download as soon as either size limit is crossed, so at most
+ * `maxDecompressedBytes` are ever held in memory.
+ * @param {import('stream').Readable|Buffer|string} data - Body of an axios response requested
+ *   with `responseType: 'stream'` and `decompress: false`
+ * @param {object} headers - Response headers (lower-case names)
+ * @param {{ maxBytes: number, maxDecompressedBytes: number }} [limits]
+ * @returns {Promise<Buffer>} The decompressed body
+ * @throws {ResponseTooLargeError|ResponseEncodingError}
+ */
+async function readBody(data, headers = {}, { maxBytes, maxDecompressedBytes } = bodyLimits()) {
+  const declaredLength = Number(headers['content-length']);
+  if (declaredLength > maxBytes) {
+    discardBody(data);
+    throw tooLarge(maxBytes);
+  }
+
+  // Adapters and test doubles may hand over an already buffered body
+  if (!data || typeof data.pipe !== 'function') {
+    const buffer = toBuffer(data);
+    if (buffer.length > maxDecompressedBytes) {
+      throw tooLarge(maxDecompressedBytes);
+    }
+    return buffer;
+  }
+
+  const encoding = String(headers['content-encoding'] || 'identity').trim().toLowerCase();
+  if (encoding !== 'identity' && !DECOMPRESSORS[encoding]) {
+    discardBody(data);
+    throw new ResponseEncodingError(`Unsupported content encoding: ${encoding}`);
+  }
+
+  const chunks = [];
+  const stages = [
+    data,
+    byteLimit(maxBytes, () => tooLarge(maxBytes)),
+    ...(DECOMPRESSORS[encoding] ? [DECOMPRESSORS[encoding]()] : []),
+    byteLimit(maxDecompressedBytes, () => tooLarge(maxDecompressedBytes, true)),
+    new Transform({
+      transform(chunk, _encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    })
+  ];
+
+  try {
+    await pipeline(stages);
+  } catch (error) {
+    data.destroy();
+    if (error instanceof ResponseTooLargeError) {
+      throw error;
+    }
+    if (typeof error.code === 'string' && error.code.startsWith('Z_')) {
+      throw new ResponseEncodingError(`Upstream sent a corrupt ${encoding} body`);
+    }
+    // Connection failures mid-body are reported like any other network error
+    error.request = error.request || {};
+    throw error;
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Releases the connection behind a streamed body without reading it
+ * @param {*} data - Body of an axios response
+ */
+function discardBody(data) {
+  if (data && typeof data.destroy === 'function') {
+    data.destroy();
+  }
+}
+
+function byteLimit(limit, createError) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      total += chunk.length;
+      if (total > limit) {
+        return callback(createError());
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+function tooLarge(limit, decompressed = false) {
+  return new ResponseTooLargeError(
+    decompressed
+      ? `Feed exceeds the maximum decompressed size of ${limit} bytes`
+      : `Feed exceeds the maximum size of ${limit} bytes`,
+    limit
+  );
+}
+
+function toBuffer(data) {
+  if (data === undefined || data === null) {
+    return Buffer.alloc(0);
+  }
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  return Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+module.exports = {
+  ResponseTooLargeError,
+  ResponseEncodingError,
+  bodyLimits,
+  readBody,
+  discardBody
+};
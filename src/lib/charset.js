@@ -0,0 +1,135 @@
+const iconv = require('iconv-lite');
+
+const DEFAULT_CHARSET = 'utf-8';
+
+// How many leading bytes are searched for an XML declaration
+const DECLARATION_SNIFF_BYTES = 1024;
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+  { bytes: [0xff, 0xfe], charset: 'utf-16le' },
+  { bytes: [0xfe, 0xff], charset: 'utf-16be' }
+];
+
+// `<?` as it appears in UTF-16 documents that have no byte order mark
+const UTF16_DECLARATIONS = [
+  { bytes: [0x3c, 0x00, 0x3f, 0x00], charset: 'utf-16le' },
+  { bytes: [0x00, 0x3c, 0x00, 0x3f], charset: 'utf-16be' }
+];
+
+/**
+ * Works out the character encoding of a feed body, in the order XML media
+ * types define (RFC 7303): byte order mark, then the charset parameter of the
+ * Content-Type header, then the XML declaration. HTML pages (fetched for
+ * feed discovery) fall back to their `<meta charset>`. Labels are resolved
+ * with the WHATWG Encoding Standard, so aliases such as `latin1` or `gb2312`
+ * map to the encoding browsers actually use.
+ * @param {Buffer} buffer - Raw response body
+ * @param {string} [contentType] - Value of the upstream Content-Type header
+ * @returns {{ charset: string, source: 'bom'|'header'|'declaration'|'meta'|'default' }}
+ */
+function detectCharset(buffer, contentType) {
+  const bom = BOMS.find(({ bytes }) => startsWith(buffer, bytes));
+  if (bom) {
+    return { charset: bom.charset, source: 'bom' };
+  }
+
+  const headerCharset = resolveCharset(charsetParameter(contentType));
+  if (headerCharset) {
+    return { charset: headerCharset, source: 'header' };
+  }
+
+  const utf16 = UTF16_DECLARATIONS.find(({ bytes }) => startsWith(buffer, bytes));
+  if (utf16) {
+    return { charset: utf16.charset, source: 'declaration' };
+  }
+
+  const declared = resolveCharset(declaredEncoding(buffer));
+  // A declaration read as ASCII cannot describe a 16-bit encoding
+  if (declared && !declared.startsWith('utf-16')) {
+    return { charset: declared, source: 'declaration' };
+  }
+
+  const meta = isHtml(buffer, contentType) ? resolveCharset(metaCharset(buffer)) : null;
+  if (meta && !meta.startsWith('utf-16')) {
+    return { charset: meta, source: 'meta' };
+  }
+
+  return { charset: DEFAULT_CHARSET, source: 'default' };
+}
+
+/**
+ * Decodes a feed body to a string using its detected encoding. The XML
+ * declaration is rewritten to say UTF-8, so the text stays self-consistent
+ * once it is sent on as UTF-8.
+ * @param {Buffer} buffer - Raw response body
+ * @param {string} [contentType] - Value of the upstream Content-Type header
+ * @returns {{ text: string, charset: string }} The decoded text and the charset it was decoded from
+ */
+function decodeBody(buffer, contentType) {
+  const { charset } = detectCharset(buffer, contentType);
+  // Strips the BOM and replaces invalid sequences with U+FFFD
+  const text = iconv.decode(buffer, charset);
+
+  return {
+    text: charset === DEFAULT_CHARSET ? text : rewriteDeclaration(text),
+    charset
+  };
+}
+
+/**
+ * Maps an encoding label to its canonical WHATWG name
+ * @param {string} label - Encoding label, e.g. `ISO-8859-1` or `Shift_JIS`
+ * @returns {string|null} Canonical lower-case name, or null for labels that
+ *   are unknown or cannot be decoded
+ */
+function resolveCharset(label) {
+  if (!label) {
+    return null;
+  }
+
+  let charset;
+  try {
+    // TextDecoder is only used for its label table: Node's own windows-1252
+    // decoder treats 0x80-0x9F as control characters
+    charset = new TextDecoder(label.trim()).encoding;
+  } catch (error) {
+    return null;
+  }
+  return iconv.encodingExists(charset) ? charset : null;
+}
+
+function charsetParameter(contentType) {
+  const match = String(contentType || '').match(/;\s*charset\s*=\s*("?)([^";,\s]+)\1/i);
+  return match ? match[2] : null;
+}
+
+function declaredEncoding(buffer) {
+  const head = buffer.subarray(0, DECLARATION_SNIFF_BYTES).toString('latin1');
+  const match = head.match(/^\s*<\?xml\s[^>]*?\bencoding\s*=\s*["']([A-Za-z0-9._:-]+)["']/);
+  return match ? match[1] : null;
+}
+
+function isHtml(buffer, contentType) {
+  return /^\s*text\/html\b/i.test(contentType || '') ||
+    /^\s*<(!doctype\s+html|html)\b/i.test(buffer.subarray(0, DECLARATION_SNIFF_BYTES).toString('latin1'));
+}
+
+function metaCharset(buffer) {
+  const head = buffer.subarray(0, DECLARATION_SNIFF_BYTES).toString('latin1');
+  const match = head.match(/<meta\s[^>]*?\bcharset\s*=\s*["']?\s*([A-Za-z0-9._:-]+)/i);
+  return match ? match[1] : null;
+}
+
+function rewriteDeclaration(text) {
+  return text.replace(
+    /^(\s*<\?xml\s[^>]*?\bencoding\s*=\s*)(["'])[^"']*\2/,
+    '$1$2UTF-8$2'
+  );
+}
+
+function startsWith(buffer, bytes) {
+  return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+}
+
+module.exports = { detectCharset, decodeBody, resolveCharset };
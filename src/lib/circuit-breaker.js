@@ -0,0 +1,105 @@
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Raised instead of making a request while a host's circuit is open.
+ */
+class CircuitOpenError extends Error {
+  constructor(host, circuit) {
+    super(`Upstream host ${host} is failing; requests are paused until ${circuit.retryAt}`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+    this.circuit = circuit;
+  }
+}
+
+/**
+ * Circuit breaker for one upstream host.
+ *
+ * closed: requests flow; consecutive failures are counted.
+ * open: after `failureThreshold` consecutive failures requests fail fast
+ *   for `cooldownMs`.
+ * half-open: once the cooldown is over a single trial request is let
+ *   through; its success closes the circuit, its failure opens it again.
+ */
+class CircuitBreaker {
+  constructor(host, { failureThreshold = DEFAULT_FAILURE_THRESHOLD, cooldownMs = DEFAULT_COOLDOWN_MS } = {}) {
+    this.host = host;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Claims permission to send a request
+   * @throws {CircuitOpenError} While the circuit is open, or half-open with a trial already running
+   */
+  beforeRequest() {
+    if (this.state === 'open' && Date.now() >= this.openedAt + this.cooldownMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    if (this.state !== 'closed') {
+      throw new CircuitOpenError(this.host, this.snapshot());
+    }
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Ends a trial request that neither proved nor disproved the host is up
+   * (e.g. it was refused by the URL guard before connecting)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * @returns {{ host: string, state: string, failures: number, retryAt: string|null }}
+   *   Breaker state for error responses; `retryAt` is when an open circuit lets a trial through
+   */
+  snapshot() {
+    return {
+      host: this.host,
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.openedAt === null ? null : new Date(this.openedAt + this.cooldownMs).toISOString()
+    };
+  }
+}
+
+/**
+ * Breaker settings from the environment
+ * @returns {{ failureThreshold: number, cooldownMs: number }}
+ */
+function breakerOptions() {
+  return {
+    failureThreshold: Number(process.env.FEED_BREAKER_THRESHOLD) || DEFAULT_FAILURE_THRESHOLD,
+    cooldownMs: Number(process.env.FEED_BREAKER_COOLDOWN_MS) || DEFAULT_COOLDOWN_MS
+  };
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError, breakerOptions };
@@ -0,0 +1,25 @@
+/**
+ * Runs an async function over every item with at most `limit` calls in
+ * flight, like `Promise.all(items.map(fn))` without the burst
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {(item: *, index: number) => Promise<*>} fn - Work for one item
+ * @returns {Promise<Array>} Results in the order of `items`; rejects with the first error
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,122 @@
+const { fetchFeed } = require('./feed-fetcher');
+const { parseFeed, FeedParseError } = require('./feed-parser');
+const { parseHtml, textContent, findAll } = require('./html-parser');
+const { resolveUrl } = require('./url-resolver');
+
+// Feed media types advertised by <link rel="alternate">
+const FEED_LINK_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'json'
+};
+
+// Conventional feed locations tried when a page advertises no feeds
+const COMMON_FEED_PATHS = [
+  '/feed',
+  '/rss',
+  '/feed.xml',
+  '/rss.xml',
+  '/atom.xml',
+  '/index.xml',
+  '/feed.json'
+];
+
+/**
+ * Finds the feeds behind a URL. A URL that already points at a feed is
+ * returned as-is; an HTML page is searched for `<link rel="alternate">`
+ * feed links, and when it has none the common feed paths of its site are
+ * probed.
+ * @param {string} url - Page or feed URL
+ * @returns {Promise<{ url: string, candidates: Array<{ url: string, title: string|null, type: string, source: string }> }>}
+ *   Candidate feeds, with `source` set to direct, link or probe
+ */
+async function discoverFeeds(url) {
+  // Usually a web page rather than a feed, so kept out of the feed cache and feed events
+  const page = await fetchFeed(url, { cache: false, announce: false });
+
+  const feed = tryParseFeed(page.data);
+  if (feed) {
+    return {
+      url,
+      candidates: [{ url, title: feed.title, type: feed.format, source: 'direct' }]
+    };
+  }
+
+  const document = typeof page.data === 'string' ? parseHtml(page.data) : null;
+  const links = document ? findFeedLinks(document, url) : [];
+  if (links.length) {
+    const pageTitle = extractTitle(document);
+    return {
+      url,
+      candidates: links.map((link) => ({ ...link, title: link.title || pageTitle, source: 'link' }))
+    };
+  }
+
+  return { url, candidates: await probeCommonPaths(url) };
+}
+
+/**
+ * Reads the feed links advertised in an HTML document
+ * @param {string} html - HTML document
+ * @param {string} pageUrl - URL the document was fetched from, for resolving relative links
+ * @returns {Array<{ url: string, title: string|null, type: string }>} Links in document order, without duplicates
+ */
+function extractFeedLinks(html, pageUrl) {
+  if (typeof html !== 'string') {
+    return [];
+  }
+  return findFeedLinks(parseHtml(html), pageUrl);
+}
+
+function findFeedLinks(document, pageUrl) {
+  const [baseTag] = findAll(document, (element) => element.tag === 'base' && element.attributes.href);
+  const baseUrl = resolveUrl(baseTag && baseTag.attributes.href, pageUrl) || pageUrl;
+  const seen = new Set();
+  const links = [];
+
+  for (const { attributes } of findAll(document, (element) => element.tag === 'link')) {
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    const type = FEED_LINK_TYPES[(attributes.type || '').toLowerCase().split(';')[0].trim()];
+    const url = resolveUrl(attributes.href, baseUrl);
+
+    if (!rel.includes('alternate') || !type || !url || seen.has(url)) {
+      continue;
+    }
+
+    seen.add(url);
+    links.push({ url, title: attributes.title ? attributes.title.trim() || null : null, type });
+  }
+
+  return links;
+}
+
+async function probeCommonPaths(pageUrl) {
+  const { origin } = new URL(pageUrl);
+  const results = await Promise.allSettled(COMMON_FEED_PATHS.map(async (path) => {
+    const url = `${origin}${path}`;
+    const feed = parseFeed((await fetchFeed(url)).data);
+    return { url, title: feed.title, type: feed.format, source: 'probe' };
+  }));
+
+  return results
+    .filter((result) => result.status === 'fulfilled')
+    .map((result) => result.value);
+}
+
+function tryParseFeed(body) {
+  try {
+    return parseFeed(body);
+  } catch (error) {
+    if (error instanceof FeedParseError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function extractTitle(document) {
+  const [title] = findAll(document, (element) => element.tag === 'title');
+  return title ? textContent(title).replace(/\s+/g, ' ').trim() || null : null;
+}
+
+module.exports = { discoverFeeds, extractFeedLinks, COMMON_FEED_PATHS };
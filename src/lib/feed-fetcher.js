@@ -0,0 +1,489 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const { FeedParseError } = require('./feed-parser');
+const { FetchCache, freshnessLifetime } = require('./fetch-cache');
+const { normalizeFeedUrl } = require('./item-store');
+const { decodeBody } = require('./charset');
+const { readBody, discardBody, ResponseTooLargeError, ResponseEncodingError } = require('./body-reader');
+const { assertUrlAllowed, assertRedirectAllowed, guardedLookup, findBlockedUrlError } = require('./url-guard');
+const { withRetry } = require('./retry');
+const { CircuitBreaker, CircuitOpenError, breakerOptions } = require('./circuit-breaker');
+const { HostLimiter, HostThrottledError, parseRetryAfter, hostConcurrency } = require('./host-limiter');
+
+const USER_AGENT = 'RSS-Fetch-API/1.0';
+
+// How long pushed content stays fresh when neither the feed nor its last response sets a lifetime
+const DEFAULT_PUSHED_LIFETIME_MS = 15 * 60 * 1000;
+
+const feedCache = new FetchCache({
+  maxEntries: Number(process.env.FEED_CACHE_MAX_ENTRIES) || undefined
+});
+
+// Circuit breakers by upstream host; healthy hosts are dropped from the map
+const circuitBreakers = new Map();
+
+// Shared by every route, so all outbound requests to a host are coordinated
+const hostLimiter = new HostLimiter({ maxConcurrent: hostConcurrency });
+
+/**
+ * Emits `fetched` with `(url, result)` whenever a feed was actually
+ * requested from upstream (MISS or REVALIDATED), for bookkeeping that should
+ * not hold up the response
+ */
+const feedEvents = new EventEmitter();
+
+/**
+ * Checks the `url` query parameter shared by the feed endpoints
+ * @param {string} url - Value of the `url` query parameter
+ * @returns {object|null} Error body to send with a 400, or null when the URL is usable
+ */
+function validateFeedUrl(url) {
+  if (!url) {
+    return {
+      error: 'Bad Request',
+      message: 'Missing required query parameter: url'
+    };
+  }
+
+  try {
+    new URL(url);
+  } catch (error) {
+    return {
+      error: 'Bad Request',
+      message: 'Invalid URL format'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Downloads a feed from the upstream server, serving it from the cache while
+ * fresh and revalidating with If-None-Match/If-Modified-Since once stale.
+ * The URL, every address it resolves to and every redirect hop are checked
+ * by the URL guard first. The body is streamed through the size limits of
+ * the body reader, so oversized feeds are aborted mid-download, then
+ * collected in full (up to FEED_MAX_DECOMPRESSED_BYTES) and transcoded to
+ * UTF-8 from whatever encoding it was sent in. Callers get the whole body,
+ * never a stream.
+ *
+ * Requests to one host are limited to FEED_HOST_CONCURRENCY at a time and
+ * queued beyond that. When a host answers 429 or 503 with Retry-After, it is
+ * left alone until then: the stale cached copy is served if there is one.
+ *
+ * Transient failures (connection resets, timeouts, 502/503/504) are retried
+ * with backoff, and a per-host circuit breaker fails fast while a host keeps
+ * failing. The failure that opens a circuit carries its state as
+ * `error.circuit`.
+ *
+ * Web pages that are not feeds (articles, pages searched for feed links)
+ * are fetched with `cache` and `announce` off, so they take no room in the
+ * feed cache and are not reported as feed fetches.
+ * @param {string} url - Feed URL
+ * @param {object} [options]
+ * @param {boolean} [options.cache=true] - Serve from and store in the fetch cache
+ * @param {boolean} [options.announce=true] - Emit `fetched` on feedEvents after an upstream request
+ * @returns {Promise<{ data: string, headers: object, status: number, charset: string, cacheStatus: string }>}
+ *   The response as UTF-8 text, with `charset` naming the upstream encoding
+ *   and `cacheStatus` set to HIT, MISS, REVALIDATED, STALE or PUSHED (content
+ *   delivered by a WebSub hub, see cachePushedFeed)
+ * @throws {BlockedUrlError} When the URL is not allowed to be fetched
+ * @throws {HostThrottledError} While the host has asked for a pause and nothing is cached
+ * @throws {CircuitOpenError} While the host's circuit is open
+ * @throws {ResponseTooLargeError} When the body exceeds the configured limits
+ */
+async function fetchFeed(url, { cache = true, announce = true } = {}) {
+  assertUrlAllowed(url);
+
+  // Cached under the URL items are stored under, as pushed content is, so
+  // every spelling of a URL shares one entry
+  const cacheKey = normalizeFeedUrl(url);
+  const cached = cache ? feedCache.get(cacheKey) : undefined;
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return toResult(cached, cached.pushed ? 'PUSHED' : 'HIT');
+  }
+
+  const headers = {
+    'User-Agent': USER_AGENT
+  };
+  if (cached && cached.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+  if (cached && cached.lastModified) {
+    headers['If-Modified-Since'] = cached.lastModified;
+  }
+
+  const { host } = new URL(url);
+  let response;
+  try {
+    assertNotThrottled(host);
+    response = await requestThroughBreaker(host, () => hostLimiter.run(host, () => politeRequest(host, url, headers)));
+  } catch (error) {
+    if (error instanceof HostThrottledError && cached) {
+      return toResult(cached, 'STALE');
+    }
+    throw error;
+  }
+
+  if (response.status === 304 && cached) {
+    const lifetime = freshnessLifetime(response.headers, cached.data);
+    const revalidated = {
+      ...cached,
+      etag: response.headers.etag || cached.etag,
+      lastModified: response.headers['last-modified'] || cached.lastModified,
+      pushed: false,
+      expiresAt: Date.now() + (lifetime || 0)
+    };
+    feedCache.set(cacheKey, revalidated);
+    return fetched(url, toResult(revalidated, 'REVALIDATED'), announce);
+  }
+
+  const entry = {
+    data: response.body,
+    headers: response.headers,
+    status: response.status || 200,
+    charset: response.charset,
+    etag: response.headers.etag,
+    lastModified: response.headers['last-modified']
+  };
+  const lifetime = freshnessLifetime(response.headers, response.body);
+
+  // Only keep responses that can be reused or revalidated later
+  if (cache) {
+    if (lifetime === null || (!lifetime && !entry.etag && !entry.lastModified)) {
+      feedCache.delete(cacheKey);
+    } else {
+      feedCache.set(cacheKey, { ...entry, expiresAt: Date.now() + lifetime });
+    }
+  }
+
+  return fetched(url, toResult(entry, 'MISS'), announce);
+}
+
+function fetched(url, result, announce) {
+  if (announce) {
+    feedEvents.emit('fetched', url, result);
+  }
+  return result;
+}
+
+/**
+ * Makes one upstream request and reads its body
+ * @returns {Promise<{ status: number, headers: object, body?: string, charset?: string }>}
+ */
+async function requestFeed(url, headers) {
+  const response = await axios.get(url, {
+    headers,
+    timeout: 10000, // 10 second timeout
+    maxRedirects: 5,
+    lookup: guardedLookup,
+    beforeRedirect: assertRedirectAllowed,
+    responseType: 'stream',
+    decompress: false,
+    validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+  });
+  const responseHeaders = normalizeHeaders(response.headers);
+
+  if (response.status === 304) {
+    discardBody(response.data);
+    return { status: 304, headers: responseHeaders };
+  }
+
+  const { text, charset } = decodeBody(
+    await readBody(response.data, responseHeaders),
+    responseHeaders['content-type']
+  );
+  // The body reader has already undone any Content-Encoding
+  delete responseHeaders['content-encoding'];
+  delete responseHeaders['content-length'];
+
+  return { status: response.status, headers: responseHeaders, body: text, charset };
+}
+
+/**
+ * One request made from a host slot: checks the host's hold again (it may
+ * have started while this request was queued) and starts a hold when the
+ * host answers 429/503 with Retry-After
+ */
+async function politeRequest(host, url, headers) {
+  assertNotThrottled(host);
+
+  try {
+    return await requestFeed(url, headers);
+  } catch (error) {
+    const status = error.response && error.response.status;
+    const until = (status === 429 || status === 503)
+      ? parseRetryAfter(normalizeHeaders(error.response.headers)['retry-after'])
+      : null;
+
+    if (until) {
+      hostLimiter.throttle(host, until);
+      throw new HostThrottledError(host, until);
+    }
+    throw error;
+  }
+}
+
+function assertNotThrottled(host) {
+  const until = hostLimiter.throttledUntil(host);
+  if (until) {
+    throw new HostThrottledError(host, until);
+  }
+}
+
+/**
+ * Runs an upstream request, with retries, through the host's circuit breaker
+ * @param {string} host - Upstream host (with port)
+ * @param {() => Promise<*>} request - One attempt at the request
+ */
+async function requestThroughBreaker(host, request) {
+  if (!circuitBreakers.has(host)) {
+    circuitBreakers.set(host, new CircuitBreaker(host, breakerOptions()));
+  }
+  const breaker = circuitBreakers.get(host);
+  breaker.beforeRequest();
+
+  let result;
+  try {
+    result = await withRetry(request);
+  } catch (error) {
+    if (findBlockedUrlError(error) || error instanceof HostThrottledError) {
+      breaker.releaseTrial();
+    } else if (isHostFailure(error)) {
+      breaker.recordFailure();
+      if (breaker.state === 'open') {
+        error.circuit = breaker.snapshot();
+      }
+    } else {
+      // The host answered, even if not with a usable feed
+      breaker.recordSuccess();
+    }
+    throw error;
+  }
+
+  breaker.recordSuccess();
+  if (!breaker.failures) {
+    circuitBreakers.delete(host);
+  }
+  return result;
+}
+
+/**
+ * Whether a failure says the host itself is unwell: no response at all, or a 5xx
+ */
+function isHostFailure(error) {
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+  return Boolean(error.request);
+}
+
+/**
+ * Caches content a WebSub hub pushed for a feed, so it is served as the
+ * feed's current response (`PUSHED`) without an upstream request. It stays
+ * fresh as long as a fetched copy would: the lifetime of the feed's last
+ * upstream response, else the pushed feed's own `<ttl>`, else 15 minutes,
+ * and never past `expiresAt`.
+ * @param {string} url - Feed URL
+ * @param {{ data: string, headers: object, charset: string }} response - The pushed body as UTF-8 text
+ * @param {number} expiresAt - When the hub subscription lapses, in ms since epoch
+ */
+function cachePushedFeed(url, { data, headers, charset }, expiresAt) {
+  const cacheKey = normalizeFeedUrl(url);
+  const previous = feedCache.get(cacheKey);
+  // Pushed entries carry the lifetime on, as their own headers are the hub's
+  const lifetime = (previous && (previous.pushed ? previous.lifetime : freshnessLifetime(previous.headers, previous.data)))
+    || freshnessLifetime(headers, data)
+    || DEFAULT_PUSHED_LIFETIME_MS;
+
+  feedCache.set(cacheKey, {
+    data,
+    headers,
+    status: 200,
+    charset,
+    pushed: true,
+    lifetime,
+    expiresAt: Math.min(expiresAt, Date.now() + lifetime)
+  });
+}
+
+/**
+ * Drops every cached upstream response
+ */
+function clearFeedCache() {
+  feedCache.clear();
+}
+
+/**
+ * Closes every host's circuit breaker
+ */
+function resetCircuitBreakers() {
+  circuitBreakers.clear();
+}
+
+/**
+ * Lifts every Retry-After hold on upstream hosts
+ */
+function clearHostThrottles() {
+  hostLimiter.clearThrottles();
+}
+
+function toResult(entry, cacheStatus) {
+  return {
+    data: entry.data,
+    headers: entry.headers,
+    status: entry.status,
+    charset: entry.charset,
+    cacheStatus
+  };
+}
+
+function normalizeHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+}
+
+/**
+ * Maps a fetch or parse failure to a status code, a `{ error, message }` body
+ * and any headers to send with it. Failures that opened, or were stopped
+ * by, an upstream host's circuit breaker report its state as `circuit`.
+ * @param {Error} error - Error raised while fetching or parsing a feed
+ * @returns {{ status: number, body: object, headers?: object }}
+ */
+function describeFeedError(error) {
+  if (error instanceof CircuitOpenError) {
+    const retryAfter = Math.max(0, Math.ceil((Date.parse(error.circuit.retryAt) - Date.now()) / 1000));
+    return {
+      status: 503,
+      body: {
+        error: 'Service Unavailable',
+        message: error.message,
+        circuit: error.circuit
+      },
+      headers: { 'Retry-After': String(retryAfter) }
+    };
+  }
+
+  if (error instanceof HostThrottledError) {
+    const retryAfter = Math.max(0, Math.ceil((Date.parse(error.throttledUntil) - Date.now()) / 1000));
+    return {
+      status: 503,
+      body: {
+        error: 'Service Unavailable',
+        message: error.message,
+        throttledUntil: error.throttledUntil
+      },
+      headers: { 'Retry-After': String(retryAfter) }
+    };
+  }
+
+  const description = describeError(error);
+  if (error.circuit) {
+    description.body.circuit = error.circuit;
+  }
+  return description;
+}
+
+function describeError(error) {
+  const blocked = findBlockedUrlError(error);
+  if (blocked) {
+    return {
+      status: 403,
+      body: {
+        error: 'Forbidden',
+        message: `Blocked request: ${blocked.message}`
+      }
+    };
+  }
+
+  if (error instanceof ResponseTooLargeError) {
+    return {
+      status: 413,
+      body: {
+        error: 'Payload Too Large',
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof ResponseEncodingError) {
+    return {
+      status: 502,
+      body: {
+        error: 'Bad Gateway',
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof FeedParseError) {
+    return {
+      status: 422,
+      body: {
+        error: 'Feed Parse Failed',
+        message: error.message
+      }
+    };
+  }
+
+  if (error.response) {
+    // The request was made and the server responded with a status code
+    // that falls out of the range of 2xx
+    return {
+      status: error.response.status,
+      body: {
+        error: 'Feed Fetch Failed',
+        message: `Unable to fetch RSS feed: ${error.response.statusText}`,
+        statusCode: error.response.status
+      }
+    };
+  }
+
+  if (error.request) {
+    // The request was made but no response was received
+    return {
+      status: 503,
+      body: {
+        error: 'Service Unavailable',
+        message: 'Unable to reach the RSS feed URL. Please check the URL and try again.'
+      }
+    };
+  }
+
+  // Something happened in setting up the request that triggered an Error
+  return {
+    status: 500,
+    body: {
+      error: 'Internal Server Error',
+      message: 'An error occurred while processing the request'
+    }
+  };
+}
+
+/**
+ * Sends the JSON error response for a failed feed fetch
+ * @param {import('express').Response} res - Express response
+ * @param {Error} error - Error raised while fetching or parsing a feed
+ */
+function sendFeedError(res, error) {
+  const { status, body, headers } = describeFeedError(error);
+  if (headers) {
+    res.set(headers);
+  }
+  return res.status(status).json(body);
+}
+
+module.exports = {
+  USER_AGENT,
+  feedEvents,
+  validateFeedUrl,
+  fetchFeed,
+  cachePushedFeed,
+  clearFeedCache,
+  resetCircuitBreakers,
+  clearHostThrottles,
+  describeFeedError,
+  sendFeedError
+};
@@ -0,0 +1,441 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+const ARRAY_TAGS = new Set([
+  'item',
+  'entry',
+  'category',
+  'link',
+  'atom:link',
+  'author',
+  'dc:subject',
+  'dc:creator',
+  'enclosure'
+]);
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const UPDATE_PERIODS = ['hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+
+const JSON_FEED_VERSION = /^https?:\/\/jsonfeed\.org\/version\/1(\.\d+)?\/?$/;
+
+// Atom text constructs may carry inline XHTML, so they are kept raw and decoded by atomText()
+const ATOM_TEXT_NODES = [
+  'feed.title',
+  'feed.subtitle',
+  'feed.entry.title',
+  'feed.entry.summary',
+  'feed.entry.content'
+];
+
+const XML_OPTIONS = {
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  htmlEntities: true
+};
+
+const parser = new XMLParser({
+  ...XML_OPTIONS,
+  isArray: (name) => ARRAY_TAGS.has(name),
+  stopNodes: ATOM_TEXT_NODES
+});
+
+const textParser = new XMLParser(XML_OPTIONS);
+
+/**
+ * Raised when a document cannot be read as a supported feed format.
+ */
+class FeedParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeedParseError';
+  }
+}
+
+/**
+ * Checks whether a response body is a JSON Feed, by content type or by its `version` field
+ * @param {string|object} body - Raw or already JSON-decoded response body
+ * @param {string} [contentType] - Content-Type header of the response
+ * @returns {boolean}
+ */
+function isJsonFeed(body, contentType = '') {
+  if (/application\/feed\+json/i.test(contentType)) {
+    return true;
+  }
+
+  const doc = typeof body === 'string' ? tryParseJson(body) : body;
+  return Boolean(doc && typeof doc === 'object' && JSON_FEED_VERSION.test(String(doc.version || '')));
+}
+
+/**
+ * Parses an RSS 2.0, Atom 1.0, RSS 1.0 (RDF) or JSON Feed document into one normalized shape
+ * @param {string|object} xml - Raw feed document, or an already decoded JSON Feed object
+ * @returns {object} Normalized feed with metadata and an `items` array
+ * @throws {FeedParseError} When the document is malformed or not a recognized feed
+ */
+function parseFeed(xml) {
+  if (xml && typeof xml === 'object') {
+    return parseJsonFeed(xml);
+  }
+
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw new FeedParseError('Feed document is empty');
+  }
+
+  if (xml.trim().startsWith('{')) {
+    const doc = tryParseJson(xml);
+    if (!doc) {
+      throw new FeedParseError('Invalid JSON Feed: document is not valid JSON');
+    }
+    return parseJsonFeed(doc);
+  }
+
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw new FeedParseError(`Invalid XML: ${validation.err.msg} (line ${validation.err.line})`);
+  }
+
+  const doc = parser.parse(xml);
+
+  if (doc.rss && typeof doc.rss === 'object' && doc.rss.channel) {
+    return parseRss(doc.rss.channel);
+  }
+  if (doc.feed && typeof doc.feed === 'object') {
+    return parseAtom(doc.feed);
+  }
+  if (doc['rdf:RDF'] && typeof doc['rdf:RDF'] === 'object') {
+    return parseRdf(doc['rdf:RDF']);
+  }
+
+  throw new FeedParseError('Unrecognized feed format. Expected RSS 2.0, Atom 1.0, RSS 1.0 (RDF) or JSON Feed.');
+}
+
+/**
+ * Reads the publisher's hints on how often a feed should be fetched: the
+ * RSS `<ttl>`, `<skipHours>` and `<skipDays>` elements and the RSS 1.0
+ * Syndication module's `sy:updatePeriod`/`sy:updateFrequency`
+ * @param {string|object} body - Feed document, as accepted by parseFeed
+ * @returns {{ ttlMinutes: number|null, skipHours: number[], skipDays: string[],
+ *   updatePeriod: string|null, updateFrequency: number|null }}
+ *   Hints found; JSON Feeds and documents that do not parse have none
+ */
+function readRefreshHints(body) {
+  const hints = { ttlMinutes: null, skipHours: [], skipDays: [], updatePeriod: null, updateFrequency: null };
+  if (typeof body !== 'string' || !body.trim().startsWith('<')) {
+    return hints;
+  }
+
+  let doc;
+  try {
+    doc = parser.parse(body);
+  } catch {
+    return hints;
+  }
+
+  const channel = (doc.rss && doc.rss.channel)
+    || (doc['rdf:RDF'] && toArray(doc['rdf:RDF'].channel)[0])
+    || doc.feed;
+  if (!channel || typeof channel !== 'object') {
+    return hints;
+  }
+
+  const ttl = Number(text(channel.ttl));
+  if (Number.isInteger(ttl) && ttl > 0) {
+    hints.ttlMinutes = ttl;
+  }
+
+  hints.skipHours = texts(toArray(channel.skipHours && channel.skipHours.hour))
+    .map(Number)
+    .filter((hour) => Number.isInteger(hour) && hour >= 0 && hour <= 23);
+
+  hints.skipDays = texts(toArray(channel.skipDays && channel.skipDays.day))
+    .map((day) => WEEKDAYS.find((name) => name.toLowerCase() === day.toLowerCase()))
+    .filter(Boolean);
+
+  const period = (text(channel['sy:updatePeriod']) || '').toLowerCase();
+  if (UPDATE_PERIODS.includes(period)) {
+    const frequency = Number(text(channel['sy:updateFrequency']) || 1);
+    hints.updatePeriod = period;
+    hints.updateFrequency = Number.isInteger(frequency) && frequency > 0 ? frequency : 1;
+  }
+
+  return hints;
+}
+
+/**
+ * Reads the WebSub links a feed advertises: `<link rel="hub">` and
+ * `<link rel="self">` in Atom feeds, the same as `atom:link` (or any other
+ * prefix bound to Atom) in RSS, and `hubs` and `feed_url` in JSON Feeds
+ * @param {string|object} body - Feed document, as accepted by parseFeed
+ * @returns {{ hubs: string[], self: string|null }} Link targets as written in
+ *   the feed, possibly relative; none for documents that do not parse
+ */
+function readFeedLinks(body) {
+  const links = { hubs: [], self: null };
+
+  const doc = typeof body === 'string' && body.trim().startsWith('{') ? tryParseJson(body) : body;
+  if (doc && typeof doc === 'object') {
+    links.hubs = toArray(doc.hubs)
+      .filter((hub) => hub && /^websub$/i.test(String(hub.type || '')) && typeof hub.url === 'string')
+      .map((hub) => hub.url.trim());
+    links.self = typeof doc.feed_url === 'string' ? doc.feed_url.trim() || null : null;
+    return links;
+  }
+
+  if (typeof body !== 'string' || !body.trim().startsWith('<')) {
+    return links;
+  }
+
+  let parsed;
+  try {
+    parsed = parser.parse(body);
+  } catch {
+    return links;
+  }
+
+  const channel = (parsed.rss && parsed.rss.channel)
+    || (parsed['rdf:RDF'] && toArray(parsed['rdf:RDF'].channel)[0])
+    || parsed.feed;
+  if (!channel || typeof channel !== 'object') {
+    return links;
+  }
+
+  const candidates = Object.keys(channel)
+    .filter((key) => key === 'link' || key.endsWith(':link'))
+    .flatMap((key) => toArray(channel[key]))
+    .filter((link) => attr(link, 'href'));
+  const withRel = (rel) => candidates.filter((link) => (attr(link, 'rel') || '').toLowerCase() === rel);
+
+  links.hubs = [...new Set(withRel('hub').map((link) => attr(link, 'href')))];
+  links.self = attr(withRel('self')[0], 'href');
+  return links;
+}
+
+function parseRss(channel) {
+  const items = toArray(channel.item);
+
+  return {
+    format: 'rss',
+    title: text(channel.title),
+    link: text(channel.link),
+    description: text(channel.description),
+    language: text(channel.language),
+    updated: toIsoDate(text(channel.lastBuildDate) || text(channel.pubDate) || text(channel['dc:date'])),
+    items: items.map((item) => {
+      const link = text(item.link);
+      return {
+        id: text(item.guid) || link,
+        title: text(item.title),
+        link,
+        author: text(item.author) || text(item['dc:creator']),
+        published: toIsoDate(text(item.pubDate) || text(item['dc:date'])),
+        updated: toIsoDate(text(item['atom:updated'])),
+        summary: text(item.description),
+        content: text(item['content:encoded']),
+        categories: texts([...toArray(item.category), ...toArray(item['dc:subject'])]),
+        attachments: toArray(item.enclosure)
+          .filter((enclosure) => attr(enclosure, 'url'))
+          .map((enclosure) => ({
+            url: attr(enclosure, 'url'),
+            mimeType: attr(enclosure, 'type'),
+            size: toSize(attr(enclosure, 'length')),
+            title: null
+          }))
+      };
+    })
+  };
+}
+
+function parseAtom(feed) {
+  const feedAuthor = atomAuthor(feed.author);
+
+  return {
+    format: 'atom',
+    title: atomText(feed.title),
+    link: atomLink(feed.link),
+    description: atomText(feed.subtitle),
+    language: attr(feed, 'xml:lang'),
+    updated: toIsoDate(text(feed.updated)),
+    items: toArray(feed.entry).map((entry) => {
+      const link = atomLink(entry.link);
+      return {
+        id: text(entry.id) || link,
+        title: atomText(entry.title),
+        link,
+        author: atomAuthor(entry.author) || feedAuthor,
+        published: toIsoDate(text(entry.published)),
+        updated: toIsoDate(text(entry.updated)),
+        summary: atomText(entry.summary),
+        content: atomText(entry.content),
+        categories: toArray(entry.category)
+          .map((category) => attr(category, 'term') || attr(category, 'label'))
+          .filter(Boolean),
+        attachments: toArray(entry.link)
+          .filter((link) => attr(link, 'rel') === 'enclosure' && attr(link, 'href'))
+          .map((link) => ({
+            url: attr(link, 'href'),
+            mimeType: attr(link, 'type'),
+            size: toSize(attr(link, 'length')),
+            title: attr(link, 'title')
+          }))
+      };
+    })
+  };
+}
+
+function parseRdf(rdf) {
+  const channel = toArray(rdf.channel)[0] || {};
+
+  return {
+    format: 'rdf',
+    title: text(channel.title),
+    link: text(channel.link),
+    description: text(channel.description),
+    language: text(channel['dc:language']),
+    updated: toIsoDate(text(channel['dc:date'])),
+    items: toArray(rdf.item).map((item) => {
+      const link = text(item.link);
+      return {
+        id: attr(item, 'rdf:about') || link,
+        title: text(item.title),
+        link,
+        author: text(item['dc:creator']),
+        published: toIsoDate(text(item['dc:date'])),
+        updated: null,
+        summary: text(item.description),
+        content: text(item['content:encoded']),
+        categories: texts(toArray(item['dc:subject'])),
+        attachments: []
+      };
+    })
+  };
+}
+
+function parseJsonFeed(doc) {
+  if (!JSON_FEED_VERSION.test(String(doc.version || '')) || !Array.isArray(doc.items)) {
+    throw new FeedParseError('Unrecognized feed format. JSON documents must be JSON Feed 1.0 or 1.1.');
+  }
+
+  const feedAuthor = jsonFeedAuthor(doc);
+
+  return {
+    format: 'json',
+    title: text(doc.title),
+    link: text(doc.home_page_url),
+    description: text(doc.description),
+    language: text(doc.language),
+    updated: null,
+    items: doc.items.filter((item) => item && typeof item === 'object').map((item) => ({
+      id: text(item.id) || text(item.url),
+      title: text(item.title),
+      link: text(item.url) || text(item.external_url),
+      author: jsonFeedAuthor(item) || feedAuthor,
+      published: toIsoDate(text(item.date_published)),
+      updated: toIsoDate(text(item.date_modified)),
+      summary: text(item.summary),
+      content: text(item.content_html) || text(item.content_text),
+      categories: Array.isArray(item.tags) ? texts(item.tags) : [],
+      attachments: (Array.isArray(item.attachments) ? item.attachments : [])
+        .filter((attachment) => attachment && text(attachment.url))
+        .map((attachment) => ({
+          url: text(attachment.url),
+          mimeType: text(attachment.mime_type),
+          size: toSize(attachment.size_in_bytes),
+          title: text(attachment.title)
+        }))
+    }))
+  };
+}
+
+function jsonFeedAuthor(node) {
+  // JSON Feed 1.1 uses an `authors` array; 1.0 used a single `author` object
+  const author = Array.isArray(node.authors) ? node.authors[0] : node.author;
+  return author && typeof author === 'object' ? text(author.name) : null;
+}
+
+function atomLink(links) {
+  const candidates = toArray(links).filter((link) => attr(link, 'href'));
+  const alternate = candidates.find((link) => !attr(link, 'rel') || attr(link, 'rel') === 'alternate');
+  return attr(alternate || candidates[0], 'href');
+}
+
+function atomAuthor(authors) {
+  const author = toArray(authors)[0];
+  if (!author) {
+    return null;
+  }
+  return typeof author === 'object' ? text(author.name) || text(author.email) : text(author);
+}
+
+function atomText(node) {
+  const raw = text(node);
+  if (!raw) {
+    return null;
+  }
+
+  if (attr(node, 'type') === 'xhtml') {
+    // Inline XHTML is wrapped in a single <div> that is not part of the content
+    const match = raw.match(/^<div\b[^>]*>([\s\S]*)<\/div>$/);
+    return (match ? match[1] : raw).trim() || null;
+  }
+
+  return text(textParser.parse(`<t>${raw}</t>`).t);
+}
+
+function text(node) {
+  if (Array.isArray(node)) {
+    return text(node[0]);
+  }
+  if (node === undefined || node === null) {
+    return null;
+  }
+  if (typeof node === 'object') {
+    return text(node['#text']);
+  }
+  const value = String(node).trim();
+  return value || null;
+}
+
+function texts(nodes) {
+  return nodes.map(text).filter(Boolean);
+}
+
+function attr(node, name) {
+  if (!node || typeof node !== 'object') {
+    return null;
+  }
+  const value = node[`@_${name}`];
+  return value === undefined ? null : String(value).trim() || null;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function toSize(value) {
+  const size = Number(value);
+  return Number.isFinite(size) && size > 0 ? size : null;
+}
+
+function tryParseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function toIsoDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = { parseFeed, isJsonFeed, readRefreshHints, readFeedLinks, FeedParseError, WEEKDAYS };
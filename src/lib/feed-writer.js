@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+
+const FORMAT_TYPES = {
+  rss: 'application/rss+xml',
+  atom: 'application/atom+xml',
+  json: 'application/feed+json'
+};
+
+/**
+ * Serializes a normalized feed (see parseFeed) as RSS 2.0
+ * @param {object} feed - Normalized feed
+ * @param {object} [options]
+ * @param {string} [options.selfUrl] - URL the document is served from, written as atom:link rel="self"
+ * @returns {string} RSS 2.0 XML
+ */
+function toRss(feed, { selfUrl } = {}) {
+  const items = feed.items.map((item) => {
+    const id = itemId(item);
+    return [
+      '    <item>',
+      element('title', item.title, 6),
+      element('link', item.link, 6),
+      `      <guid isPermaLink="${item.link === id}">${escapeXml(id)}</guid>`,
+      element('dc:creator', item.author, 6),
+      element('pubDate', toRfc822(item.published || item.updated), 6),
+      ...item.categories.map((category) => element('category', category, 6)),
+      element('description', item.summary || item.content, 6),
+      item.content ? element('content:encoded', item.content, 6) : null,
+      ...(item.attachments || []).map((attachment) =>
+        `      <enclosure url="${escapeXml(attachment.url)}" length="${attachment.size || 0}" type="${escapeXml(attachment.mimeType || 'application/octet-stream')}"/>`
+      ),
+      '    </item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    element('title', feed.title || 'Untitled Feed', 4),
+    element('link', feed.link || selfUrl, 4),
+    element('description', feed.description || feed.title || 'Untitled Feed', 4),
+    element('language', feed.language, 4),
+    element('lastBuildDate', toRfc822(lastUpdated(feed)), 4),
+    selfUrl ? `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="${FORMAT_TYPES.rss}"/>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter((line) => line !== null).join('\n');
+}
+
+/**
+ * Serializes a normalized feed (see parseFeed) as Atom 1.0
+ * @param {object} feed - Normalized feed
+ * @param {object} [options]
+ * @param {string} [options.selfUrl] - URL the document is served from, written as link rel="self"
+ * @returns {string} Atom 1.0 XML
+ */
+function toAtom(feed, { selfUrl } = {}) {
+  const updated = lastUpdated(feed);
+  // Atom requires an author on every entry, inherited from the feed when missing
+  const needsFeedAuthor = feed.items.some((item) => !item.author);
+
+  const entries = feed.items.map((item) => [
+    '  <entry>',
+    element('id', toIri(itemId(item)), 4),
+    element('title', item.title || 'Untitled', 4),
+    item.link ? `    <link rel="alternate" href="${escapeXml(item.link)}"/>` : null,
+    element('updated', item.updated || item.published || updated, 4),
+    element('published', item.published, 4),
+    item.author ? `    <author><name>${escapeXml(item.author)}</name></author>` : null,
+    ...item.categories.map((category) => `    <category term="${escapeXml(category)}"/>`),
+    item.summary ? `    <summary type="html">${escapeXml(item.summary)}</summary>` : null,
+    item.content ? `    <content type="html">${escapeXml(item.content)}</content>` : null,
+    ...(item.attachments || []).map((attachment) =>
+      `    <link rel="enclosure" href="${escapeXml(attachment.url)}"${attachment.mimeType ? ` type="${escapeXml(attachment.mimeType)}"` : ''}${attachment.size ? ` length="${attachment.size}"` : ''}/>`
+    ),
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${escapeXml(feed.language)}"` : ''}>`,
+    element('id', selfUrl || feed.link || `urn:sha1:${hash(feed.title || '')}`, 2),
+    element('title', feed.title || 'Untitled Feed', 2),
+    element('subtitle', feed.description, 2),
+    feed.link ? `  <link rel="alternate" href="${escapeXml(feed.link)}"/>` : null,
+    selfUrl ? `  <link rel="self" href="${escapeXml(selfUrl)}" type="${FORMAT_TYPES.atom}"/>` : null,
+    element('updated', updated, 2),
+    needsFeedAuthor ? `  <author><name>${escapeXml(feed.title || 'Unknown')}</name></author>` : null,
+    ...entries,
+    '</feed>',
+    ''
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Serializes a normalized feed (see parseFeed) as a JSON Feed 1.1 object
+ * @param {object} feed - Normalized feed
+ * @param {object} [options]
+ * @param {string} [options.selfUrl] - URL the document is served from, written as feed_url
+ * @returns {object} JSON Feed 1.1 document
+ */
+function toJsonFeed(feed, { selfUrl } = {}) {
+  return compact({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title || 'Untitled Feed',
+    home_page_url: feed.link,
+    feed_url: selfUrl,
+    description: feed.description,
+    language: feed.language,
+    items: feed.items.map((item) => compact({
+      id: itemId(item),
+      url: item.link,
+      title: item.title,
+      // JSON Feed items must carry content_html or content_text
+      content_html: item.content || item.summary || undefined,
+      content_text: item.content || item.summary ? undefined : '',
+      summary: item.summary,
+      date_published: item.published,
+      date_modified: item.updated,
+      authors: item.author ? [{ name: item.author }] : undefined,
+      tags: item.categories.length ? item.categories : undefined,
+      attachments: item.attachments && item.attachments.length
+        ? item.attachments.map((attachment) => compact({
+          url: attachment.url,
+          mime_type: attachment.mimeType || 'application/octet-stream',
+          title: attachment.title,
+          size_in_bytes: attachment.size
+        }))
+        : undefined
+    }))
+  });
+}
+
+/**
+ * Returns a stable identifier for an item: its id/guid, link, or a hash of its text
+ * @param {object} item - Normalized item
+ * @returns {string}
+ */
+function itemId(item) {
+  return item.id || item.link || `urn:sha1:${hash([item.title, item.summary, item.content].join('\n'))}`;
+}
+
+// Atom ids must be IRIs, so bare RSS guids such as "post-42" are hashed into a URN
+function toIri(id) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(id) ? id : `urn:sha1:${hash(id)}`;
+}
+
+function lastUpdated(feed) {
+  if (feed.updated) {
+    return feed.updated;
+  }
+
+  const latest = feed.items
+    .map((item) => item.updated || item.published)
+    .filter(Boolean)
+    .sort()
+    .pop();
+
+  return latest || new Date().toISOString();
+}
+
+function element(name, value, indent) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return `${' '.repeat(indent)}<${name}>${escapeXml(value)}</${name}>`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toRfc822(value) {
+  return value ? new Date(value).toUTCString() : null;
+}
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+}
+
+module.exports = { FORMAT_TYPES, toRss, toAtom, toJsonFeed, itemId };
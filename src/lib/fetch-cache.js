@@ -0,0 +1,105 @@
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * In-memory store of upstream feed responses keyed by URL, evicting the
+ * least recently used entry once `maxEntries` is reached.
+ */
+class FetchCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} url - Feed URL
+   * @returns {object|undefined} The cached entry, if any
+   */
+  get(url) {
+    const entry = this.entries.get(url);
+    if (entry) {
+      // Re-insert so the Map's insertion order tracks recency
+      this.entries.delete(url);
+      this.entries.set(url, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * @param {string} url - Feed URL
+   * @param {object} entry - Response data, headers, validators and expiry time
+   */
+  set(url, entry) {
+    this.entries.delete(url);
+    this.entries.set(url, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(url) {
+    this.entries.delete(url);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Works out how long a response may be served without revalidation, from
+ * Cache-Control max-age, Expires, or the RSS <ttl> element (in minutes)
+ * @param {object} headers - Upstream response headers (lower-case names)
+ * @param {string|object} body - Upstream response body
+ * @returns {number|null} Lifetime in milliseconds, or null when the response must not be stored
+ */
+function freshnessLifetime(headers = {}, body) {
+  const cacheControl = parseCacheControl(headers['cache-control']);
+
+  if ('no-store' in cacheControl) {
+    return null;
+  }
+  if ('no-cache' in cacheControl) {
+    return 0;
+  }
+
+  const age = Number(headers.age) || 0;
+
+  if (cacheControl['max-age'] !== undefined) {
+    const maxAge = Number(cacheControl['max-age']);
+    return Number.isFinite(maxAge) ? Math.max(0, maxAge - age) * 1000 : 0;
+  }
+
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = headers.date ? Date.parse(headers.date) : Date.now();
+    if (!Number.isNaN(expires) && !Number.isNaN(date)) {
+      return Math.max(0, expires - date - age * 1000);
+    }
+    return 0;
+  }
+
+  const ttl = typeof body === 'string' ? body.match(/<ttl>\s*(\d+)\s*<\/ttl>/i) : null;
+  if (ttl) {
+    return Number(ttl[1]) * 60 * 1000;
+  }
+
+  return 0;
+}
+
+function parseCacheControl(value) {
+  if (!value) {
+    return {};
+  }
+
+  return Object.fromEntries(String(value).split(',').map((directive) => {
+    const [name, ...rest] = directive.trim().split('=');
+    return [name.toLowerCase(), rest.join('=').replace(/^"|"$/g, '') || true];
+  }).filter(([name]) => name));
+}
+
+module.exports = { FetchCache, freshnessLifetime, parseCacheControl };
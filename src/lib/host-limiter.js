@@ -0,0 +1,153 @@
+const DEFAULT_MAX_CONCURRENT = 2;
+const DEFAULT_MAX_RETRY_AFTER_MS = 60 * 60 * 1000;
+
+/**
+ * Raised while an upstream host has asked us (429/503 with Retry-After) to
+ * stop sending requests.
+ */
+class HostThrottledError extends Error {
+  constructor(host, until) {
+    const throttledUntil = new Date(until).toISOString();
+    super(`Upstream host ${host} asked us to slow down; throttled until ${throttledUntil}`);
+    this.name = 'HostThrottledError';
+    this.host = host;
+    this.throttledUntil = throttledUntil;
+  }
+}
+
+/**
+ * Coordinates outbound requests per upstream host: at most `maxConcurrent`
+ * run at once for a host and the rest wait in FIFO order, and hosts can be
+ * put on hold until a given time.
+ */
+class HostLimiter {
+  /**
+   * @param {object} [options]
+   * @param {number|(() => number)} [options.maxConcurrent=2] - Requests in flight per host,
+   *   or a function returning it so the limit can follow configuration changes
+   */
+  constructor({ maxConcurrent = DEFAULT_MAX_CONCURRENT } = {}) {
+    this.maxConcurrent = typeof maxConcurrent === 'function' ? maxConcurrent : () => maxConcurrent;
+    this.hosts = new Map();
+    this.throttles = new Map();
+  }
+
+  /**
+   * Runs `fn` once the host has a free slot
+   * @param {string} host - Upstream host
+   * @param {() => Promise<*>} fn - The request
+   * @returns {Promise<*>} Whatever `fn` resolves to
+   */
+  async run(host, fn) {
+    await this.acquire(host);
+    try {
+      return await fn();
+    } finally {
+      this.release(host);
+    }
+  }
+
+  acquire(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, queue: [] });
+    }
+    const slots = this.hosts.get(host);
+
+    if (slots.active < Math.max(1, this.maxConcurrent())) {
+      slots.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => slots.queue.push(resolve));
+  }
+
+  release(host) {
+    const slots = this.hosts.get(host);
+    const next = slots.queue.shift();
+
+    if (next) {
+      // Hand the slot straight to the next waiting request
+      next();
+      return;
+    }
+
+    slots.active--;
+    if (!slots.active) {
+      this.hosts.delete(host);
+    }
+  }
+
+  /**
+   * @param {string} host
+   * @returns {{ active: number, queued: number }} Requests running and waiting for a host
+   */
+  stats(host) {
+    const slots = this.hosts.get(host);
+    return slots ? { active: slots.active, queued: slots.queue.length } : { active: 0, queued: 0 };
+  }
+
+  /**
+   * Holds requests to a host until the given time (never shortening an existing hold)
+   * @param {string} host
+   * @param {number} until - Time in ms since epoch
+   */
+  throttle(host, until) {
+    if (until > (this.throttles.get(host) || 0)) {
+      this.throttles.set(host, until);
+    }
+  }
+
+  /**
+   * @param {string} host
+   * @returns {number|null} End of the host's hold in ms since epoch, or null when it may be contacted
+   */
+  throttledUntil(host) {
+    const until = this.throttles.get(host);
+    if (!until) {
+      return null;
+    }
+    if (until <= Date.now()) {
+      this.throttles.delete(host);
+      return null;
+    }
+    return until;
+  }
+
+  clearThrottles() {
+    this.throttles.clear();
+  }
+}
+
+/**
+ * Reads a Retry-After header value, either delay seconds or an HTTP date
+ * @param {string} value - Header value
+ * @param {number} [maxWaitMs] - Longest hold honoured, so a bogus header cannot block a host for days
+ * @returns {number|null} Time to wait until, in ms since epoch, or null when unusable
+ */
+function parseRetryAfter(value, maxWaitMs = maxRetryAfterMs()) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const now = Date.now();
+  const text = String(value).trim();
+  const until = /^\d+$/.test(text) ? now + Number(text) * 1000 : Date.parse(text);
+
+  if (Number.isNaN(until) || until <= now) {
+    return null;
+  }
+  return Math.min(until, now + maxWaitMs);
+}
+
+/**
+ * Per-host concurrency from the environment
+ * @returns {number}
+ */
+function hostConcurrency() {
+  return Number(process.env.FEED_HOST_CONCURRENCY) || DEFAULT_MAX_CONCURRENT;
+}
+
+function maxRetryAfterMs() {
+  return Number(process.env.FEED_MAX_RETRY_AFTER_MS) || DEFAULT_MAX_RETRY_AFTER_MS;
+}
+
+module.exports = { HostLimiter, HostThrottledError, parseRetryAfter, hostConcurrency };
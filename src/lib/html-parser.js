@@ -0,0 +1,241 @@
+const { decodeEntities } = require('./html-text');
+
+// Elements that never have content or an end tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is text up to their end tag, with entities decoded or not
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'iframe', 'xmp']);
+const ESCAPABLE_RAW_TEXT_ELEMENTS = new Set(['title', 'textarea']);
+
+// Start tags that close an open paragraph
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'ul'
+]);
+
+// Elements whose end tag may be left out: the start tags that close them,
+// looking no further out than the elements that hold them
+const IMPLIED_END_TAGS = {
+  li: { closedBy: ['li'], within: ['ul', 'ol'] },
+  dt: { closedBy: ['dt', 'dd'], within: ['dl'] },
+  dd: { closedBy: ['dt', 'dd'], within: ['dl'] },
+  tr: { closedBy: ['tr'], within: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closedBy: ['td', 'th'], within: ['tr', 'table'] },
+  th: { closedBy: ['td', 'th'], within: ['tr', 'table'] },
+  option: { closedBy: ['option'], within: ['select', 'datalist'] }
+};
+const PARAGRAPH_SCOPE = new Set(['button', 'table', 'td', 'th', 'caption', 'html', 'template']);
+
+const START_TAG = /<([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+const END_TAG = /<\/([a-zA-Z][^\s/>]*)[^>]*>/y;
+const ATTRIBUTE = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Parses an HTML document leniently, the way browsers recover from
+ * sloppy markup as far as reading content goes: end tags that may be left
+ * out are implied, stray end tags are ignored and unclosed elements are
+ * closed at the end.
+ *
+ * The tree is made of `{ type: 'element', tag, attributes, children, parent }`
+ * and `{ type: 'text', text, parent }` nodes, with lowercase tag and
+ * attribute names, decoded text and a `#document` element at the root.
+ * @param {string} html
+ * @returns {object} The document node
+ */
+function parseHtml(html) {
+  const document = createElement('#document', {});
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+  const source = String(html || '');
+  let index = 0;
+
+  const closeThrough = (position) => {
+    stack.length = position;
+  };
+
+  while (index < source.length) {
+    const open = source.indexOf('<', index);
+    if (open === -1) {
+      appendText(current(), source.slice(index));
+      break;
+    }
+    if (open > index) {
+      appendText(current(), source.slice(index, open));
+    }
+
+    if (source.startsWith('<!--', open)) {
+      const end = source.indexOf('-->', open + 4);
+      index = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    if (source[open + 1] === '!' || source[open + 1] === '?') {
+      const end = source.indexOf('>', open);
+      index = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    END_TAG.lastIndex = open;
+    const endTag = END_TAG.exec(source);
+    if (endTag) {
+      const position = findOpen(stack, endTag[1].toLowerCase());
+      if (position > 0) {
+        closeThrough(position);
+      }
+      index = END_TAG.lastIndex;
+      continue;
+    }
+
+    START_TAG.lastIndex = open;
+    const startTag = START_TAG.exec(source);
+    if (!startTag) {
+      appendText(current(), '<');
+      index = open + 1;
+      continue;
+    }
+    index = START_TAG.lastIndex;
+
+    const tag = startTag[1].toLowerCase();
+    impliedEnds(stack, tag);
+    const element = createElement(tag, parseAttributes(startTag[2]));
+    appendChild(current(), element);
+
+    if (RAW_TEXT_ELEMENTS.has(tag) || ESCAPABLE_RAW_TEXT_ELEMENTS.has(tag)) {
+      const closing = new RegExp(`</${tag}\\s*>`, 'ig');
+      closing.lastIndex = index;
+      const match = closing.exec(source);
+      const text = source.slice(index, match ? match.index : source.length);
+      if (text) {
+        element.children.push({
+          type: 'text',
+          text: ESCAPABLE_RAW_TEXT_ELEMENTS.has(tag) ? decodeEntities(text) : text,
+          parent: element
+        });
+      }
+      index = match ? closing.lastIndex : source.length;
+    } else if (!VOID_ELEMENTS.has(tag) && !/\/\s*$/.test(startTag[2])) {
+      stack.push(element);
+    }
+  }
+
+  return document;
+}
+
+/**
+ * @param {object} node
+ * @returns {string} The text of a node and its descendants, as written
+ */
+function textContent(node) {
+  if (node.type === 'text') {
+    return node.text;
+  }
+  return node.children.map(textContent).join('');
+}
+
+/**
+ * @param {object} node
+ * @param {function(object): boolean} predicate
+ * @returns {object[]} The descendant elements the predicate accepts, in document order
+ */
+function findAll(node, predicate) {
+  const found = [];
+  const visit = (parent) => {
+    for (const child of parent.children) {
+      if (child.type !== 'element') {
+        continue;
+      }
+      if (predicate(child)) {
+        found.push(child);
+      }
+      visit(child);
+    }
+  };
+  visit(node);
+  return found;
+}
+
+/**
+ * Takes a node out of the tree
+ * @param {object} node
+ */
+function removeNode(node) {
+  if (node.parent) {
+    node.parent.children.splice(node.parent.children.indexOf(node), 1);
+    node.parent = null;
+  }
+}
+
+function createElement(tag, attributes) {
+  return { type: 'element', tag, attributes, children: [], parent: null };
+}
+
+function appendChild(parent, node) {
+  node.parent = parent;
+  parent.children.push(node);
+}
+
+function appendText(parent, raw) {
+  const text = decodeEntities(raw);
+  const last = parent.children[parent.children.length - 1];
+  if (last && last.type === 'text') {
+    last.text += text;
+  } else {
+    appendChild(parent, { type: 'text', text });
+  }
+}
+
+// Index of the innermost open element with a tag, or -1
+function findOpen(stack, tag) {
+  for (let position = stack.length - 1; position > 0; position--) {
+    if (stack[position].tag === tag) {
+      return position;
+    }
+  }
+  return -1;
+}
+
+// Closes the open elements that a start tag ends implicitly
+function impliedEnds(stack, tag) {
+  if (CLOSES_PARAGRAPH.has(tag)) {
+    for (let position = stack.length - 1; position > 0; position--) {
+      if (stack[position].tag === 'p') {
+        stack.length = position;
+        break;
+      }
+      if (PARAGRAPH_SCOPE.has(stack[position].tag)) {
+        break;
+      }
+    }
+  }
+
+  for (const rule of Object.values(IMPLIED_END_TAGS)) {
+    if (!rule.closedBy.includes(tag)) {
+      continue;
+    }
+    for (let position = stack.length - 1; position > 0; position--) {
+      const open = stack[position].tag;
+      if (IMPLIED_END_TAGS[open] && IMPLIED_END_TAGS[open].closedBy.includes(tag)) {
+        stack.length = position;
+        return;
+      }
+      if (rule.within.includes(open)) {
+        return;
+      }
+    }
+  }
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) {
+      attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+  }
+  return attributes;
+}
+
+module.exports = { parseHtml, textContent, findAll, removeNode };
@@ -0,0 +1,68 @@
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0',
+  // Typography that web pages write by name
+  ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', lsquo: '\u2018', rsquo: '\u2019',
+  ldquo: '\u201c', rdquo: '\u201d', laquo: '\u00ab', raquo: '\u00bb', bull: '\u2022',
+  middot: '\u00b7', copy: '\u00a9', reg: '\u00ae', trade: '\u2122', times: '\u00d7', shy: '\u00ad'
+};
+
+// Elements whose content is not text to read
+const HIDDEN_ELEMENTS = ['script', 'style', 'noscript', 'template'];
+
+// Elements that start a new line of text
+const BLOCK_TAGS = /<\/?(p|div|br|li|ul|ol|h[1-6]|blockquote|pre|tr|table|section|article|header|footer|figure|figcaption|hr)\b[^>]*>/gi;
+
+/**
+ * Decodes the named entities of XML, `&nbsp;` and common typographic entities,
+ * and numeric character references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * The readable text of an HTML fragment, with whitespace collapsed
+ * @param {string|null} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+
+  let text = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  for (const tag of HIDDEN_ELEMENTS) {
+    text = text.replace(new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}\\s*>`, 'gi'), ' ');
+  }
+  text = text
+    .replace(BLOCK_TAGS, '\n')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeEntities(text)
+    .replace(/[ \t\r\f\v\u00a0]+/g, ' ')
+    .replace(/ ?\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text with the characters that are special in HTML escaped
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { decodeEntities, htmlToText, escapeHtml };
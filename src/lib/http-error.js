@@ -0,0 +1,37 @@
+const http = require('http');
+
+/**
+ * Raised for requests that cannot be carried out; `status` is the HTTP
+ * status to answer with.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Sends the JSON error response for a failed request. HttpErrors keep their
+ * status and message; anything else is logged and reported as a 500.
+ * @param {import('express').Response} res - Express response
+ * @param {Error} error
+ * @param {string} failure - What went wrong, for the 500 message, e.g. "Unable to read the article"
+ */
+function sendError(res, error, failure) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      error: http.STATUS_CODES[error.status],
+      message: error.message
+    });
+  }
+
+  console.error(`${failure}:`, error.message);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: failure
+  });
+}
+
+module.exports = { HttpError, sendError };
@@ -0,0 +1,569 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const path = require('path');
+const { JsonStore, StoreError, dataDir } = require('./json-store');
+const { parseFeed, FeedParseError } = require('./feed-parser');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Item fields taken over from the parsed feed
+const CONTENT_FIELDS = ['title', 'link', 'author', 'published', 'updated', 'summary', 'content', 'categories', 'attachments'];
+
+// Reading state of an item, all false when it is first stored
+const STATE_FIELDS = ['read', 'starred', 'archived'];
+
+// Values of the `state` filter of list, each matching the items it names
+const STATE_FILTERS = {
+  unread: (item) => !item.read,
+  read: (item) => item.read,
+  starred: (item) => item.starred,
+  archived: (item) => item.archived
+};
+
+class ItemStoreError extends StoreError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'ItemStoreError';
+  }
+}
+
+/**
+ * Every item ever seen in the fetched feeds, persisted in `items.json` under
+ * DATA_DIR, so items that drop out of a publisher's window are kept.
+ *
+ * Items are identified within their feed by `key`: the RSS guid or Atom id,
+ * else the link, else a hash of the content (see itemKey). Storing a feed
+ * again updates the items it already had instead of duplicating them.
+ * Each stored item is the parsed item plus `{ id, key, feedUrl, read,
+ * starred, archived, firstSeenAt, updatedAt }`, where `id` is unique across
+ * feeds. The reading state is kept when an item's content changes. The
+ * title of each feed is kept alongside its items.
+ *
+ * Emits `stored` (items) with the items an upsert added or changed, so
+ * indexes over the items can follow along, and `added` (items, { backlog })
+ * with only the new ones. `backlog` is true when they are the first items
+ * stored for their feed: what it already had, rather than news.
+ */
+class ItemStore extends EventEmitter {
+  /**
+   * @param {JsonStore} [store] - Backing document, `{ feeds: { [feedUrl]: { items: [] } } }`
+   */
+  constructor(store = new JsonStore(path.join(dataDir(), 'items.json'), { feeds: {} })) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Adds a feed's new items and updates the ones whose content changed, and
+   * records the feed's title. Nothing is written when nothing changed.
+   * @param {string} url - Feed URL
+   * @param {object} feed - Parsed feed, as returned by parseFeed
+   * @returns {Promise<{ added: number, updated: number }>}
+   */
+  async upsert(url, feed) {
+    const feedUrl = normalizeFeedUrl(url);
+    const incoming = uniqueByKey(feed.items.map((item) => ({ key: itemKey(item), item })));
+    const { feeds } = await this.store.read();
+    const known = new Map(((feeds[feedUrl] && feeds[feedUrl].items) || []).map((item) => [item.key, item]));
+    const backlog = !known.size;
+
+    const changes = incoming.filter(({ key, item }) => !known.has(key) || contentChanged(known.get(key), item));
+    const retitled = Boolean(feed.title) && (!feeds[feedUrl] || feeds[feedUrl].title !== feed.title);
+    if (!changes.length && !retitled) {
+      return { added: 0, updated: 0 };
+    }
+
+    const stored = [];
+    const added = [];
+    const counts = await this.store.update((data) => {
+      if (!data.feeds[feedUrl]) {
+        data.feeds[feedUrl] = { items: [] };
+      }
+      if (feed.title) {
+        data.feeds[feedUrl].title = feed.title;
+      }
+      const items = data.feeds[feedUrl].items;
+      const byKey = new Map(items.map((item) => [item.key, item]));
+      const now = new Date().toISOString();
+      const counts = { added: 0, updated: 0 };
+
+      for (const { key, item } of changes) {
+        const existing = byKey.get(key);
+        if (!existing) {
+          const entry = {
+            id: itemId(feedUrl, key),
+            key,
+            feedUrl,
+            ...pickContent(item),
+            read: false,
+            starred: false,
+            archived: false,
+            firstSeenAt: now,
+            updatedAt: now
+          };
+          items.push(entry);
+          stored.push(entry);
+          added.push(entry);
+          counts.added++;
+        } else if (contentChanged(existing, item)) {
+          Object.assign(existing, pickContent(item), { updatedAt: now });
+          stored.push(existing);
+          counts.updated++;
+        }
+      }
+
+      items.sort(compareItems);
+      return counts;
+    });
+
+    if (stored.length) {
+      this.emit('stored', stored.map(copyItem));
+    }
+    if (added.length) {
+      this.emit('added', added.map(copyItem), { backlog });
+    }
+    return counts;
+  }
+
+  /**
+   * Pages through a feed's stored items, newest first
+   * @param {string} url - Feed URL
+   * @param {{ limit?: number, cursor?: string, state?: string }} [options] - Page
+   *   size, the `nextCursor` of the previous page and a state filter (unread,
+   *   read, starred or archived)
+   * @returns {Promise<{ items: object[], total: number, nextCursor: string|null }>}
+   *   `total` counts the items matching the filter
+   * @throws {ItemStoreError} 400 for an invalid cursor or state
+   */
+  async list(url, { limit = DEFAULT_PAGE_SIZE, cursor, state } = {}) {
+    const feedUrl = normalizeFeedUrl(url);
+    const matches = stateFilter(state);
+    const { feeds } = await this.store.read();
+    const items = ((feeds[feedUrl] && feeds[feedUrl].items) || []).filter((item) => matches(withState(item)));
+    return pageItems(items, { limit, cursor });
+  }
+
+  /**
+   * Pages through the stored items of several feeds merged into one
+   * timeline, newest first, each tagged with the title of its feed
+   * @param {string[]} urls - Feed URLs
+   * @param {{ limit?: number, cursor?: string, state?: string }} [options] - As for list
+   * @returns {Promise<{ items: object[], total: number, nextCursor: string|null }>}
+   *   Items carry `feedTitle`, the title the feed last had (null when it had none)
+   * @throws {ItemStoreError} 400 for an invalid cursor or state
+   */
+  async timeline(urls, { limit = DEFAULT_PAGE_SIZE, cursor, state } = {}) {
+    const matches = stateFilter(state);
+    const { feeds } = await this.store.read();
+    const items = [...new Set(urls.map((url) => normalizeFeedUrl(url)))]
+      .flatMap((feedUrl) => (feeds[feedUrl] ? feeds[feedUrl].items : []))
+      .filter((item) => matches(withState(item)))
+      .sort(compareItems);
+
+    const page = pageItems(items, { limit, cursor });
+    page.items.forEach((item) => {
+      item.feedTitle = feeds[item.feedUrl].title || null;
+    });
+    return page;
+  }
+
+  /**
+   * @returns {Promise<object[]>} Every stored item, feed by feed
+   */
+  async all() {
+    const { feeds } = await this.store.read();
+    return Object.values(feeds).flatMap(({ items }) => items.map(copyItem));
+  }
+
+  /**
+   * Items of some feeds first seen after a given one, for catching up on
+   * what was missed
+   * @param {string[]} urls - Feed URLs
+   * @param {{ after: { time: number, id: string }, limit: number }} options - Only items
+   *   first seen after `time` (ms since epoch), or at `time` with a greater
+   *   id; at most the latest `limit` of them
+   * @returns {Promise<object[]>} Oldest first
+   */
+  async seenSince(urls, { after, limit }) {
+    const { feeds } = await this.store.read();
+    const isLater = (item) => {
+      const time = Date.parse(item.firstSeenAt);
+      return time > after.time || (time === after.time && item.id > after.id);
+    };
+
+    return [...new Set(urls.map((url) => normalizeFeedUrl(url)))]
+      .flatMap((feedUrl) => ((feeds[feedUrl] && feeds[feedUrl].items) || []).filter(isLater))
+      .sort((a, b) => Date.parse(a.firstSeenAt) - Date.parse(b.firstSeenAt) || (a.id < b.id ? -1 : Number(a.id > b.id)))
+      .slice(-limit)
+      .map(copyItem);
+  }
+
+  /**
+   * @param {string[]} ids
+   * @returns {Promise<object[]>} The items with these ids, in the same order;
+   *   ids of no item are left out
+   */
+  async getMany(ids) {
+    const { feeds } = await this.store.read();
+    const byId = new Map();
+    for (const { items } of Object.values(feeds)) {
+      for (const item of items) {
+        byId.set(item.id, item);
+      }
+    }
+    return ids.filter((id) => byId.has(id)).map((id) => copyItem(byId.get(id)));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object>}
+   * @throws {ItemStoreError} 404 when no item has that id
+   */
+  async get(id) {
+    const { feeds } = await this.store.read();
+    return copyItem(findById(feeds, id));
+  }
+
+  /**
+   * Changes the reading state of one item
+   * @param {string} id
+   * @param {{ read?: boolean, starred?: boolean, archived?: boolean }} patch
+   * @returns {Promise<object>} The updated item
+   * @throws {ItemStoreError} 400 for an invalid patch, 404 when no item has that id
+   */
+  async setState(id, patch) {
+    const state = validateState(patch, STATE_FIELDS);
+    return this.store.update(({ feeds }) => {
+      const item = findById(feeds, id);
+      Object.assign(item, withState(item), state);
+      return copyItem(item);
+    });
+  }
+
+  /**
+   * Changes the reading state of many items at once, e.g. marks everything
+   * in some feeds older than a date as read
+   * @param {object} selection
+   * @param {string[]} [selection.feedUrls] - Only items of these feeds
+   * @param {string[]} [selection.ids] - Only these items
+   * @param {string} [selection.olderThan] - Only items dated before this
+   *   (publication date, else first sighting)
+   * @param {{ read?: boolean, starred?: boolean, archived?: boolean }} state
+   * @returns {Promise<number>} How many items changed
+   */
+  async markMany({ feedUrls, ids, olderThan }, state) {
+    const feedKeys = feedUrls && new Set(feedUrls.map((url) => normalizeFeedUrl(url)));
+    const idSet = ids && new Set(ids);
+    const before = olderThan && Date.parse(olderThan);
+    const fields = Object.keys(state);
+
+    const selected = (item) => (!idSet || idSet.has(item.id)) && (!before || itemTime(item) < before);
+    const changes = (item) => fields.some((field) => withState(item)[field] !== state[field]);
+
+    const { feeds } = await this.store.read();
+    const needsWrite = Object.entries(feeds).some(([feedUrl, { items }]) =>
+      (!feedKeys || feedKeys.has(feedUrl)) && items.some((item) => selected(item) && changes(item)));
+    if (!needsWrite) {
+      return 0;
+    }
+
+    return this.store.update((data) => {
+      let count = 0;
+      for (const [feedUrl, { items }] of Object.entries(data.feeds)) {
+        if (feedKeys && !feedKeys.has(feedUrl)) {
+          continue;
+        }
+        for (const item of items) {
+          if (selected(item) && changes(item)) {
+            Object.assign(item, withState(item), state);
+            count++;
+          }
+        }
+      }
+      return count;
+    });
+  }
+
+  /**
+   * @returns {Promise<Object<string, { total: number, unread: number, starred: number }>>}
+   *   Item counts by feed URL; archived items do not count as unread
+   */
+  async counts() {
+    const { feeds } = await this.store.read();
+    return Object.fromEntries(Object.entries(feeds).map(([feedUrl, { items }]) => {
+      const states = items.map(withState);
+      return [feedUrl, {
+        total: states.length,
+        unread: states.filter((item) => !item.read && !item.archived).length,
+        starred: states.filter((item) => item.starred).length
+      }];
+    }));
+  }
+}
+
+/**
+ * Identifies an item within its feed: the guid (RSS), id (Atom, JSON Feed)
+ * or rdf:about (RSS 1.0), else the link, else a hash of what it says
+ * @param {object} item - Parsed item
+ * @returns {string}
+ */
+function itemKey(item) {
+  if (item.id) {
+    return item.id;
+  }
+  if (item.link) {
+    return item.link;
+  }
+  const hash = crypto.createHash('sha256');
+  for (const field of ['title', 'summary', 'content', 'published']) {
+    hash.update(`${item[field] || ''}\u0000`);
+  }
+  return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * The URL a feed's items are stored under: the URL as the URL parser writes
+ * it, so that equivalent spellings share items
+ * @param {string} url - Feed URL
+ * @param {function(string): Error} [invalid] - Makes the error to throw for a URL that does not parse,
+ *   such as a 400 for a request parameter
+ * @returns {string}
+ * @throws {TypeError} Or the error made by `invalid`, when the URL does not parse
+ */
+function normalizeFeedUrl(url, invalid) {
+  try {
+    return new URL(url).href;
+  } catch (error) {
+    throw invalid ? invalid(url) : error;
+  }
+}
+
+function itemId(feedUrl, key) {
+  return crypto.createHash('sha256').update(`${feedUrl}\u0000${key}`).digest('hex').slice(0, 24);
+}
+
+function uniqueByKey(entries) {
+  const seen = new Set();
+  return entries.filter(({ key }) => !seen.has(key) && seen.add(key));
+}
+
+function pickContent(item) {
+  return Object.fromEntries(CONTENT_FIELDS.map((field) => [field, item[field] ?? null]));
+}
+
+function contentChanged(stored, item) {
+  return CONTENT_FIELDS.some((field) => JSON.stringify(stored[field] ?? null) !== JSON.stringify(item[field] ?? null));
+}
+
+function copyItem(item) {
+  return structuredClone(withState(item));
+}
+
+// Items stored before reading state was tracked count as unread
+function withState(item) {
+  return { ...item, read: Boolean(item.read), starred: Boolean(item.starred), archived: Boolean(item.archived) };
+}
+
+function findById(feeds, id) {
+  for (const { items } of Object.values(feeds)) {
+    const item = items.find((candidate) => candidate.id === id);
+    if (item) {
+      return item;
+    }
+  }
+  throw new ItemStoreError(404, 'Item not found');
+}
+
+function stateFilter(state) {
+  if (state === undefined) {
+    return () => true;
+  }
+  if (!Object.hasOwn(STATE_FILTERS, state)) {
+    throw new ItemStoreError(400, `Invalid state parameter. Expected one of: ${Object.keys(STATE_FILTERS).join(', ')}`);
+  }
+  return STATE_FILTERS[state];
+}
+
+/**
+ * Picks the state fields out of a request body
+ * @param {object} fields - Request body
+ * @param {string[]} allowed - Fields the body may have besides the state fields
+ * @returns {{ read?: boolean, starred?: boolean, archived?: boolean }}
+ * @throws {ItemStoreError} 400 for unknown fields, non-boolean values or no state at all
+ */
+function validateState(fields, allowed) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new ItemStoreError(400, 'Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(fields).find((key) => !allowed.includes(key));
+  if (unknown) {
+    throw new ItemStoreError(400, `Unknown field: ${unknown}`);
+  }
+
+  const state = {};
+  for (const field of STATE_FIELDS) {
+    if (fields[field] === undefined) {
+      continue;
+    }
+    if (typeof fields[field] !== 'boolean') {
+      throw new ItemStoreError(400, `Field ${field} must be a boolean`);
+    }
+    state[field] = fields[field];
+  }
+
+  if (!Object.keys(state).length) {
+    throw new ItemStoreError(400, `Expected at least one of: ${STATE_FIELDS.join(', ')}`);
+  }
+  return state;
+}
+
+/**
+ * Validates the body of a bulk state change: which items (`url`, `folder` or
+ * `ids`, at most one of them, and `olderThan`) and the state to give them
+ * @param {object} body - Request body
+ * @returns {{ url?: string, folder?: string, ids?: string[], olderThan?: string, state: object }}
+ * @throws {ItemStoreError} 400 for an invalid body
+ */
+function validateMarkRequest(body) {
+  const state = validateState(body, ['url', 'folder', 'ids', 'olderThan', ...STATE_FIELDS]);
+  const { url, folder, ids, olderThan } = body;
+
+  if ([url, folder, ids].filter((value) => value !== undefined).length > 1) {
+    throw new ItemStoreError(400, 'Use only one of url, folder and ids');
+  }
+  if (url !== undefined && !isHttpUrl(url)) {
+    throw new ItemStoreError(400, 'Field url must be an http or https URL');
+  }
+  if (folder !== undefined && (typeof folder !== 'string' || !folder.trim())) {
+    throw new ItemStoreError(400, 'Field folder must be a non-empty string');
+  }
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every((id) => typeof id === 'string'))) {
+    throw new ItemStoreError(400, 'Field ids must be an array of strings');
+  }
+  if (olderThan !== undefined && (typeof olderThan !== 'string' || Number.isNaN(Date.parse(olderThan)))) {
+    throw new ItemStoreError(400, 'Field olderThan must be a date');
+  }
+
+  return { url, folder: folder && folder.trim(), ids, olderThan, state };
+}
+
+function isHttpUrl(value) {
+  try {
+    return typeof value === 'string' && ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {object} item - Stored item
+ * @returns {number} When the item was published, else updated, else first seen, in ms since epoch
+ */
+function itemTime(item) {
+  return Date.parse(item.published || item.updated || item.firstSeenAt) || 0;
+}
+
+// One page of items sorted by compareItems, after the item a cursor points at
+function pageItems(items, { limit, cursor }) {
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    start = items.findIndex((item) => compareItems(item, after) > 0);
+    if (start === -1) {
+      start = items.length;
+    }
+  }
+
+  const page = items.slice(start, start + limit);
+  const last = page[page.length - 1];
+  return {
+    items: page.map(copyItem),
+    total: items.length,
+    nextCursor: last && start + limit < items.length ? encodeCursor(last) : null
+  };
+}
+
+// Newest first by publication date (or first sighting when undated), ties broken by id
+function compareItems(a, b) {
+  return itemTime(b) - itemTime(a) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+function encodeCursor(item) {
+  return Buffer.from(JSON.stringify([item.published || item.updated || item.firstSeenAt, item.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [date, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id === 'string') {
+      return { published: date, id };
+    }
+  } catch {
+    // Reported below
+  }
+  throw new ItemStoreError(400, 'Invalid cursor parameter');
+}
+
+/**
+ * Parses a fetched feed and stores its items. Bodies that are not feeds
+ * (e.g. HTML pages) are skipped.
+ * @param {string} feedUrl
+ * @param {{ data: string }} response - Result of fetchFeed
+ * @param {ItemStore} [store]
+ * @returns {Promise<{ added: number, updated: number }|null>} Null when the body is not a feed
+ */
+async function storeFeedItems(feedUrl, response, store = itemStore()) {
+  let feed;
+  try {
+    feed = parseFeed(response.data);
+  } catch (error) {
+    if (error instanceof FeedParseError) {
+      return null;
+    }
+    throw error;
+  }
+  return store.upsert(feedUrl, feed);
+}
+
+/**
+ * Page size from the `limit` query parameter
+ * @param {string} [value]
+ * @returns {number}
+ * @throws {ItemStoreError} 400 when it is not a whole number from 1 to 200
+ */
+function parsePageSize(value) {
+  if (value === undefined) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ItemStoreError(400, `Invalid limit parameter. Expected a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+let defaultStore = null;
+
+/**
+ * @returns {ItemStore} The store shared by the API and the poller, created on first use
+ */
+function itemStore() {
+  if (!defaultStore) {
+    defaultStore = new ItemStore();
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  ItemStore,
+  ItemStoreError,
+  itemStore,
+  itemKey,
+  storeFeedItems,
+  parsePageSize,
+  validateMarkRequest,
+  normalizeFeedUrl,
+  itemTime
+};
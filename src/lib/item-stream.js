@@ -0,0 +1,247 @@
+const { fetchFeed, describeFeedError } = require('./feed-fetcher');
+const { itemStore, storeFeedItems, normalizeFeedUrl } = require('./item-store');
+const { HttpError } = require('./http-error');
+
+const DEFAULT_REFRESH_MS = 60 * 1000;
+const DEFAULT_HEARTBEAT_MS = 15 * 1000;
+const DEFAULT_MAX_CONNECTIONS = 5;
+
+// Items replayed to a client that resumes with Last-Event-ID
+const REPLAY_LIMIT = 100;
+
+class StreamError extends HttpError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'StreamError';
+  }
+}
+
+/**
+ * Pushes the items newly seen in feeds to connected clients, for the
+ * Server-Sent Events endpoint.
+ *
+ * While at least one client follows a feed, it is re-fetched every
+ * `refreshMs` through fetchFeed (so the fetch cache, host limits and
+ * breakers apply) and its items are stored. Items the item store has not
+ * seen before are sent as `new-item` events to every client following
+ * their feed, whichever way they arrived: these refreshes, the poller,
+ * `/api/rss` or a WebSub push. The first items stored for a feed are its
+ * backlog rather than news, so they are stored without being sent. Event
+ * ids record when an item was first seen, so a client that reconnects with
+ * the last one it got is sent what it missed.
+ *
+ * A client is `{ key, feedUrls }` plus the callbacks `send(event)`,
+ * `heartbeat()` and `end()` that write to its connection. Each `key` (an
+ * API token or IP address) may hold `maxConnections` streams at once.
+ */
+class ItemStream {
+  /**
+   * @param {object} [options]
+   * @param {import('./item-store').ItemStore} [options.store] - Store whose new items are sent
+   * @param {(url: string) => Promise<object>} [options.fetch] - Fetches one feed, fetchFeed by default
+   * @param {(url: string, response: object) => Promise<object|null>} [options.storeItems] - Stores
+   *   the items of a fetched feed in `store`, storeFeedItems by default
+   * @param {number} [options.refreshMs] - How often followed feeds are re-fetched (STREAM_REFRESH_MS)
+   * @param {number} [options.heartbeatMs] - How often idle connections get a comment (STREAM_HEARTBEAT_MS)
+   * @param {number} [options.maxConnections] - Open streams per client (STREAM_MAX_CONNECTIONS)
+   */
+  constructor({
+    store = itemStore(),
+    fetch = fetchFeed,
+    storeItems = storeFeedItems,
+    refreshMs = streamSettings().refreshMs,
+    heartbeatMs = streamSettings().heartbeatMs,
+    maxConnections = streamSettings().maxConnections
+  } = {}) {
+    this.store = store;
+    this.fetch = fetch;
+    this.storeItems = storeItems;
+    this.refreshMs = refreshMs;
+    this.heartbeatMs = heartbeatMs;
+    this.maxConnections = maxConnections;
+    this.clients = new Set();
+    // Refresh timers and follower counts by feed URL
+    this.feeds = new Map();
+    // Refreshes in flight by feed URL
+    this.refreshes = new Map();
+    this.heartbeatTimer = null;
+
+    this.onAdded = (items, { backlog } = {}) => {
+      if (!backlog) {
+        this.publish(items);
+      }
+    };
+  }
+
+  /**
+   * Starts sending a client the new items of its feeds
+   * @param {{ key: string, feedUrls: string[] }} client - Who is connecting and what they follow
+   * @param {{ send: (event: object) => void, heartbeat: () => void, end: () => void }} connection
+   * @returns {object} The client, to pass to `replay` and `disconnect`
+   * @throws {StreamError} 429 when the client already has `maxConnections` streams open
+   */
+  connect({ key, feedUrls }, connection) {
+    const open = [...this.clients].filter((client) => client.key === key).length;
+    if (open >= this.maxConnections) {
+      throw new StreamError(429, `Too many open streams (maximum ${this.maxConnections} per client)`);
+    }
+
+    const client = { key, feedUrls: new Set(feedUrls.map((url) => normalizeFeedUrl(url))), ...connection };
+    if (!this.clients.size) {
+      this.store.on('added', this.onAdded);
+      this.heartbeatTimer = setInterval(() => this.clients.forEach((each) => each.heartbeat()), this.heartbeatMs);
+      this.heartbeatTimer.unref?.();
+    }
+    this.clients.add(client);
+
+    for (const feedUrl of client.feedUrls) {
+      const feed = this.feeds.get(feedUrl);
+      if (feed) {
+        feed.followers++;
+      } else {
+        this.feeds.set(feedUrl, { followers: 1, timer: null });
+        this.startRefresh(feedUrl);
+      }
+    }
+    return client;
+  }
+
+  /**
+   * Sends a reconnecting client the items it missed
+   * @param {object} client - As returned by `connect`
+   * @param {string} [lastEventId] - The last event id the client got
+   * @returns {Promise<number>} How many items were sent
+   */
+  async replay(client, lastEventId) {
+    const after = parseEventId(lastEventId);
+    if (!after) {
+      return 0;
+    }
+
+    const items = await this.store.seenSince([...client.feedUrls], { after, limit: REPLAY_LIMIT });
+    if (this.clients.has(client)) {
+      items.forEach((item) => client.send(newItemEvent(item)));
+    }
+    return items.length;
+  }
+
+  /**
+   * Stops sending to a client, and stops refreshing feeds no one follows any more
+   * @param {object} client
+   */
+  disconnect(client) {
+    if (!this.clients.delete(client)) {
+      return;
+    }
+
+    for (const feedUrl of client.feedUrls) {
+      const feed = this.feeds.get(feedUrl);
+      if (--feed.followers === 0) {
+        clearTimeout(feed.timer);
+        this.feeds.delete(feedUrl);
+      }
+    }
+
+    if (!this.clients.size) {
+      this.store.off('added', this.onAdded);
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Ends every open stream, e.g. before the server shuts down
+   */
+  closeAll() {
+    for (const client of [...this.clients]) {
+      this.disconnect(client);
+      client.end();
+    }
+  }
+
+  publish(items) {
+    // In event id order, so resuming from the last event skips none and repeats none
+    const events = items.map(newItemEvent).sort((a, b) => compareEventIds(parseEventId(a.id), parseEventId(b.id)));
+    for (const client of this.clients) {
+      events
+        .filter((event) => client.feedUrls.has(event.data.feedUrl))
+        .forEach((event) => client.send(event));
+    }
+  }
+
+  startRefresh(feedUrl) {
+    const refresh = this.refresh(feedUrl).finally(() => this.refreshes.delete(feedUrl));
+    this.refreshes.set(feedUrl, refresh);
+  }
+
+  /**
+   * Re-fetches a followed feed and schedules the next refresh; new items
+   * reach the clients through the item store
+   */
+  async refresh(feedUrl) {
+    const followed = this.feeds.get(feedUrl);
+    try {
+      await this.storeItems(feedUrl, await this.fetch(feedUrl));
+    } catch (error) {
+      const { status, body } = describeFeedError(error);
+      const event = { event: 'feed-error', data: { feedUrl, status, ...body } };
+      this.clients.forEach((client) => client.feedUrls.has(feedUrl) && client.send(event));
+    }
+
+    // Unless everyone left meanwhile; a feed followed again has its own refreshes
+    if (followed && this.feeds.get(feedUrl) === followed) {
+      followed.timer = setTimeout(() => this.startRefresh(feedUrl), this.refreshMs);
+      // Streams alone must not keep the process alive
+      followed.timer.unref?.();
+    }
+  }
+}
+
+function newItemEvent(item) {
+  return { id: `${Date.parse(item.firstSeenAt)}-${item.id}`, event: 'new-item', data: item };
+}
+
+// Event ids are `<first seen, ms since epoch>-<item id>`
+function parseEventId(value) {
+  const match = /^(\d+)-([0-9a-f]+)$/.exec(String(value || '').trim());
+  return match ? { time: Number(match[1]), id: match[2] } : null;
+}
+
+function compareEventIds(a, b) {
+  return a.time - b.time || (a.id < b.id ? -1 : Number(a.id > b.id));
+}
+
+/**
+ * Formats an event in the text/event-stream format
+ * @param {{ id?: string, event: string, data: object }} event
+ * @returns {string}
+ */
+function formatEvent({ id, event, data }) {
+  return `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Stream settings from the environment
+ * @returns {{ refreshMs: number, heartbeatMs: number, maxConnections: number }}
+ */
+function streamSettings() {
+  return {
+    refreshMs: Number(process.env.STREAM_REFRESH_MS) || DEFAULT_REFRESH_MS,
+    heartbeatMs: Number(process.env.STREAM_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS,
+    maxConnections: Number(process.env.STREAM_MAX_CONNECTIONS) || DEFAULT_MAX_CONNECTIONS
+  };
+}
+
+let defaultStream = null;
+
+/**
+ * @returns {ItemStream} The stream shared by every SSE connection, created on first use
+ */
+function itemStream() {
+  if (!defaultStream) {
+    defaultStream = new ItemStream();
+  }
+  return defaultStream;
+}
+
+module.exports = { ItemStream, StreamError, itemStream, formatEvent, streamSettings };
@@ -0,0 +1,116 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { HttpError, sendError } = require('./http-error');
+
+/**
+ * Raised for store requests that cannot be carried out; `status` is the
+ * HTTP status to answer with.
+ */
+class StoreError extends HttpError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'StoreError';
+  }
+}
+
+/**
+ * Directory for the server's persistent data files
+ * @returns {string} DATA_DIR, or `data/` in the project root
+ */
+function dataDir() {
+  return path.resolve(process.env.DATA_DIR || path.join(__dirname, '../../data'));
+}
+
+/**
+ * A JSON document persisted to a single file.
+ *
+ * The document is loaded on first use and kept in memory. Updates are
+ * applied one at a time and written atomically (temporary file + rename),
+ * so concurrent requests cannot interleave writes or leave a half-written
+ * file behind.
+ */
+class JsonStore {
+  /**
+   * @param {string} filePath - Location of the JSON file
+   * @param {object} defaultValue - Document to start from when the file does not exist yet
+   */
+  constructor(filePath, defaultValue) {
+    this.filePath = filePath;
+    this.defaultValue = defaultValue;
+    this.data = null;
+    // First load in flight, shared by everyone who asks meanwhile
+    this.loading = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<object>} The current document. Treat it as read-only; change it through `update`.
+   */
+  async read() {
+    await this.queue;
+    return this.load();
+  }
+
+  /**
+   * Applies a change to the document and saves it
+   * @param {(data: object) => *} mutator - Changes `data` in place; may be async
+   * @returns {Promise<*>} What the mutator returned
+   */
+  update(mutator) {
+    const run = this.queue.then(async () => {
+      const data = await this.load();
+      const result = await mutator(data);
+      await this.write(data);
+      return result;
+    });
+    // A failed update must not block the ones queued after it
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    // Concurrent first reads must end up with the same document, or an
+    // update made to one of them would be lost
+    if (!this.loading) {
+      this.loading = this.readFile().finally(() => {
+        this.loading = null;
+      });
+    }
+    this.data = await this.loading;
+    return this.data;
+  }
+
+  async readFile() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Unable to read data file ${this.filePath}: ${error.message}`);
+      }
+      return structuredClone(this.defaultValue);
+    }
+  }
+
+  async write(data) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Sends the JSON error response for a failed store operation (see sendError)
+ * @param {import('express').Response} res - Express response
+ * @param {Error} error
+ * @param {string} description - What could not be accessed, e.g. "saved subscriptions"
+ */
+function sendStoreError(res, error, description) {
+  return sendError(res, error, `Unable to access ${description}`);
+}
+
+module.exports = { JsonStore, StoreError, sendStoreError, dataDir };
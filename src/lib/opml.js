@@ -0,0 +1,168 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { HttpError } = require('./http-error');
+const { escapeHtml } = require('./html-text');
+
+// Separator between the levels of a nested folder
+const FOLDER_SEPARATOR = '/';
+
+// Outline types that stand for a feed
+const FEED_TYPES = ['rss', 'atom', 'feed', 'json'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => name === 'outline'
+});
+
+class OpmlError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'OpmlError';
+  }
+}
+
+/**
+ * Reads the feeds of an OPML 1.0 or 2.0 subscription list.
+ *
+ * Outlines with an `xmlUrl` are feeds; outlines around them are folders,
+ * which become folder paths such as `Tech/Web`. A feed's `title` attribute
+ * (else its `text`) is taken as its title, and a `text` that differs from
+ * the title as the name chosen by the user.
+ * @param {string} xml - OPML document
+ * @returns {{ title: string|null, entries: object[], invalid: object[] }}
+ *   Subscription fields for each feed (`url`, `title`, `name`, `folder`,
+ *   `htmlUrl`), and `{ url, title, reason }` for feed outlines without a URL
+ * @throws {OpmlError} When the document is not well-formed OPML
+ */
+function parseOpml(xml) {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw new OpmlError('Request body must be an OPML document');
+  }
+
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw new OpmlError(`Invalid OPML: ${validation.err.msg} (line ${validation.err.line})`);
+  }
+
+  const doc = parser.parse(xml);
+  if (!doc.opml || typeof doc.opml !== 'object' || !doc.opml.body) {
+    throw new OpmlError('Invalid OPML: expected an <opml> document with a <body>');
+  }
+
+  const head = doc.opml.head && typeof doc.opml.head === 'object' ? doc.opml.head : {};
+  const result = {
+    title: typeof head.title === 'string' && head.title ? head.title : null,
+    entries: [],
+    invalid: []
+  };
+  collectOutlines(doc.opml.body.outline || [], [], result);
+  return result;
+}
+
+function collectOutlines(outlines, folders, result) {
+  for (const outline of outlines) {
+    const attributes = outlineAttributes(outline);
+    const title = attributes.title || attributes.text || null;
+    const children = Array.isArray(outline.outline) ? outline.outline : [];
+
+    if (attributes.xmlurl) {
+      result.entries.push({
+        url: attributes.xmlurl,
+        title,
+        name: attributes.text && attributes.text !== title ? attributes.text : null,
+        folder: folders.length ? folders.join(FOLDER_SEPARATOR) : null,
+        htmlUrl: httpUrl(attributes.htmlurl)
+      });
+    } else if (children.length) {
+      const folder = (attributes.text || attributes.title || '').replaceAll(FOLDER_SEPARATOR, ' ').trim();
+      collectOutlines(children, folder ? [...folders, folder] : folders, result);
+    } else if (FEED_TYPES.includes((attributes.type || '').toLowerCase())) {
+      result.invalid.push({ url: null, title, reason: 'Missing xmlUrl' });
+    }
+  }
+}
+
+// Attribute names are matched case-insensitively; exporters disagree on xmlUrl vs xmlURL
+function outlineAttributes(outline) {
+  const attributes = {};
+  if (outline && typeof outline === 'object') {
+    for (const [key, value] of Object.entries(outline)) {
+      if (key.startsWith('@_') && typeof value === 'string' && value.trim()) {
+        attributes[key.slice(2).toLowerCase()] = value.trim();
+      }
+    }
+  }
+  return attributes;
+}
+
+// Site addresses that are not http URLs are dropped rather than failing the feed
+function httpUrl(value) {
+  try {
+    return value && ['http:', 'https:'].includes(new URL(value).protocol) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes subscriptions as an OPML 2.0 document, nesting folder paths as
+ * outlines
+ * @param {object[]} subscriptions - As returned by SubscriptionStore#list
+ * @param {object} [options]
+ * @param {string} [options.title]
+ * @param {Date} [options.dateCreated]
+ * @returns {string}
+ */
+function toOpml(subscriptions, { title = 'Subscriptions', dateCreated = new Date() } = {}) {
+  const root = { folders: new Map(), feeds: [] };
+  for (const subscription of subscriptions) {
+    let node = root;
+    for (const folder of (subscription.folder || '').split(FOLDER_SEPARATOR).map((part) => part.trim()).filter(Boolean)) {
+      if (!node.folders.has(folder)) {
+        node.folders.set(folder, { folders: new Map(), feeds: [] });
+      }
+      node = node.folders.get(folder);
+    }
+    node.feeds.push(subscription);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeHtml(title)}</title>`,
+    `    <dateCreated>${dateCreated.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...renderOutlines(root, '    '),
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+}
+
+function renderOutlines(node, indent) {
+  const feeds = node.feeds.map((subscription) => {
+    const attributes = [
+      ['type', 'rss'],
+      ['text', subscription.name || subscription.title || subscription.url],
+      ['title', subscription.title || subscription.name || subscription.url],
+      ['xmlUrl', subscription.url],
+      ['htmlUrl', subscription.htmlUrl]
+    ].filter(([, value]) => value);
+    return `${indent}<outline ${attributes.map(([name, value]) => `${name}="${escapeHtml(value)}"`).join(' ')}/>`;
+  });
+
+  const folders = [...node.folders].flatMap(([name, folder]) => [
+    `${indent}<outline text="${escapeHtml(name)}" title="${escapeHtml(name)}">`,
+    ...renderOutlines(folder, `${indent}  `),
+    `${indent}</outline>`
+  ]);
+
+  return [...feeds, ...folders];
+}
+
+module.exports = { parseOpml, toOpml, OpmlError };
@@ -0,0 +1,214 @@
+const { fetchFeed, describeFeedError } = require('./feed-fetcher');
+const { watchListStore, WatchListError, currentInterval } = require('./watch-list');
+const { planRefresh } = require('./refresh-planner');
+const { storeFeedItems } = require('./item-store');
+
+const DEFAULT_JITTER = 0.1;
+
+/**
+ * Polls the feeds of a watch list in the background, each on its own
+ * interval: a fixed one when the feed has `intervalMs`, otherwise the one
+ * the refresh planner works out from the feed after every successful poll.
+ *
+ * Every feed has its own timer. Intervals are stretched or shrunk at random
+ * by up to `jitter` (a fraction of the interval), and feeds that are already
+ * due when the poller starts are spread over the first `jitter` of their
+ * interval, so feeds added together do not keep hitting upstream together.
+ * The outcome of each poll is recorded in the watch list, and the items of
+ * the feed are added to the item store.
+ */
+class FeedPoller {
+  /**
+   * @param {object} [options]
+   * @param {import('./watch-list').WatchList} [options.watchList] - Feeds to poll
+   * @param {(url: string) => Promise<object>} [options.fetch] - Fetches one feed, fetchFeed by default
+   * @param {(url: string, response: object) => Promise<object|null>} [options.storeItems] - Stores
+   *   the items of a fetched feed, storeFeedItems by default
+   * @param {number} [options.jitter] - Random spread of intervals, 0 to 1 (FEED_POLL_JITTER)
+   * @param {() => number} [options.random] - Source of randomness, Math.random by default
+   */
+  constructor({
+    watchList = watchListStore(),
+    fetch = fetchFeed,
+    storeItems = storeFeedItems,
+    jitter = pollJitter(),
+    random = Math.random
+  } = {}) {
+    this.watchList = watchList;
+    this.fetch = fetch;
+    this.storeItems = storeItems;
+    this.jitter = Math.min(Math.max(jitter, 0), 1);
+    this.random = random;
+    this.running = false;
+    this.timers = new Map();
+    this.polls = new Map();
+
+    this.onAdded = (feed) => this.schedule(feed.id, 0);
+    this.onUpdated = (feed) => this.schedule(feed.id, Date.parse(feed.nextPollAt) - Date.now());
+    this.onRemoved = (id) => this.unschedule(id);
+  }
+
+  /**
+   * Schedules every watched feed and follows changes to the watch list
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    this.watchList.on('added', this.onAdded);
+    this.watchList.on('updated', this.onUpdated);
+    this.watchList.on('removed', this.onRemoved);
+
+    const now = Date.now();
+    for (const feed of await this.watchList.list()) {
+      const due = Date.parse(feed.nextPollAt) - now;
+      this.schedule(feed.id, due > 0 ? due : this.random() * this.jitter * currentInterval(feed));
+    }
+  }
+
+  /**
+   * Stops scheduling polls and waits for the ones in flight to finish
+   */
+  async stop() {
+    this.running = false;
+
+    this.watchList.off('added', this.onAdded);
+    this.watchList.off('updated', this.onUpdated);
+    this.watchList.off('removed', this.onRemoved);
+
+    for (const id of [...this.timers.keys()]) {
+      this.unschedule(id);
+    }
+    await Promise.allSettled(this.polls.values());
+  }
+
+  schedule(id, delayMs) {
+    if (!this.running) {
+      return;
+    }
+
+    this.unschedule(id);
+    const timer = setTimeout(() => {
+      this.timers.delete(id);
+      this.poll(id);
+    }, Math.max(0, delayMs));
+    // Polling alone must not keep the process alive
+    timer.unref?.();
+    this.timers.set(id, timer);
+  }
+
+  unschedule(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  /**
+   * Polls one feed now and schedules its next poll
+   * @param {string} id - Watch list entry
+   * @returns {Promise<object|null>} The updated entry, or null when the feed
+   *   is no longer watched or already being polled
+   */
+  poll(id) {
+    if (this.polls.has(id)) {
+      return Promise.resolve(null);
+    }
+
+    const poll = this.runPoll(id)
+      .catch((error) => {
+        console.error(`Unable to poll watched feed ${id}:`, error.message);
+        return null;
+      })
+      .finally(() => this.polls.delete(id));
+    this.polls.set(id, poll);
+    return poll;
+  }
+
+  async runPoll(id) {
+    let feed;
+    try {
+      feed = await this.watchList.get(id);
+    } catch (error) {
+      if (error instanceof WatchListError) {
+        return null;
+      }
+      throw error;
+    }
+
+    const startedAt = Date.now();
+    const { outcome, response } = await this.fetchOutcome(feed.url);
+    const result = {
+      at: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      ...outcome
+    };
+    const { nextPollAt, schedule } = this.planNextPoll(feed, response);
+
+    let updated;
+    try {
+      updated = await this.watchList.recordPoll(id, result, nextPollAt, schedule);
+    } catch (error) {
+      // Removed from the watch list while the poll was running
+      if (error instanceof WatchListError) {
+        return null;
+      }
+      throw error;
+    }
+
+    this.schedule(id, Date.parse(updated.nextPollAt) - Date.now());
+    return updated;
+  }
+
+  async fetchOutcome(url) {
+    let response;
+    try {
+      response = await this.fetch(url);
+    } catch (error) {
+      const { status, body } = describeFeedError(error);
+      return { outcome: { ok: false, status, error: body.message }, response: null };
+    }
+
+    const outcome = { ok: true, status: response.status, cacheStatus: response.cacheStatus };
+    try {
+      const stored = await this.storeItems(url, response);
+      if (stored) {
+        outcome.newItems = stored.added;
+      }
+    } catch (error) {
+      console.error(`Unable to store items of ${url}:`, error.message);
+    }
+    return { outcome, response };
+  }
+
+  /**
+   * @returns {{ nextPollAt: Date, schedule: object|null }} When to poll next,
+   *   with the refresh plan behind it for feeds without a fixed interval
+   */
+  planNextPoll(feed, response) {
+    const spread = (this.random() * 2 - 1) * this.jitter;
+    const now = Date.now();
+
+    if (feed.intervalMs || !response) {
+      // Failed polls of planned feeds keep to the last planned interval
+      return { nextPollAt: new Date(now + Math.round(currentInterval(feed) * (1 + spread))), schedule: null };
+    }
+
+    const schedule = planRefresh(response, { from: now });
+    return {
+      nextPollAt: new Date(Date.parse(schedule.nextFetchAt) + Math.round(schedule.intervalMs * spread)),
+      schedule
+    };
+  }
+}
+
+/**
+ * Interval jitter from the environment
+ * @returns {number}
+ */
+function pollJitter() {
+  const jitter = process.env.FEED_POLL_JITTER;
+  return jitter && !Number.isNaN(Number(jitter)) ? Number(jitter) : DEFAULT_JITTER;
+}
+
+module.exports = { FeedPoller, pollJitter };
@@ -0,0 +1,450 @@
+const { fetchFeed } = require('./feed-fetcher');
+const { HttpError } = require('./http-error');
+const { parseHtml, textContent, findAll, removeNode } = require('./html-parser');
+const { htmlToText, escapeHtml } = require('./html-text');
+const { resolveUrl } = require('./url-resolver');
+
+// Classes and ids of page furniture rather than content, unless they also look like content
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|newsletter|subscribe|share|cookie/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const BYLINE = /byline|author|dateline|writtenby|p-author/i;
+
+// Elements left out before looking for content
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas', 'math', 'form',
+  'button', 'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'audio', 'video', 'map', 'frame',
+  'frameset', 'link', 'meta', 'head', 'title', 'dialog'
+]);
+
+// Elements that hold a block of text, so a div holding none is a paragraph
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dl', 'div', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4',
+  'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// Starting scores of the elements that hold paragraphs
+const TAG_SCORES = {
+  div: 5, article: 5, main: 5, section: 3, pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5
+};
+
+// What survives of the extracted content, and the attributes each element keeps
+const ALLOWED_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'dfn', 'div', 'dl', 'dt', 'em',
+  'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol',
+  'p', 'pre', 'q', 's', 'samp', 'small', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+  'tr', 'u', 'ul'
+]);
+const RENAMED_ELEMENTS = { article: 'div', section: 'div', main: 'div', header: 'div' };
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img']);
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_ARTICLE_LENGTH = 140;
+const MAX_BYLINE_LENGTH = 100;
+
+class ArticleError extends HttpError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'ArticleError';
+  }
+}
+
+// Article pages are not feeds: they stay out of the feed cache and feed bookkeeping
+const fetchPage = (url) => fetchFeed(url, { cache: false, announce: false });
+
+/**
+ * Fetches a web page and extracts its article (see extractArticle)
+ * @param {string} url - Page URL
+ * @param {object} [options]
+ * @param {function(string): Promise<{ data: string, headers: object }>} [options.fetch] - Page fetcher
+ * @returns {Promise<object>} The article, with the `url` it was read from
+ * @throws {ArticleError} 422 when the URL is not a web page or holds no article
+ */
+async function fetchArticle(url, { fetch = fetchPage } = {}) {
+  const page = await fetch(url);
+
+  const type = String(page.headers['content-type'] || 'text/html').split(';')[0].trim().toLowerCase();
+  if (type !== 'text/html' && type !== 'application/xhtml+xml') {
+    throw new ArticleError(422, `Not a web page: ${type}`);
+  }
+
+  return { url, ...extractArticle(page.data, url) };
+}
+
+/**
+ * Extracts the main content of a web page, the way reader modes do: page
+ * furniture is left out, the element holding the best-scoring paragraphs
+ * is picked with the siblings that belong with it, and what remains is
+ * sanitized down to a safe subset of HTML with absolute links.
+ * @param {string} html - HTML document
+ * @param {string} pageUrl - URL the document was fetched from, for resolving relative links
+ * @returns {{ title: string|null, byline: string|null, siteName: string|null, excerpt: string|null,
+ *   leadImage: string|null, html: string, text: string }}
+ * @throws {ArticleError} 422 when the page holds no article
+ */
+function extractArticle(html, pageUrl) {
+  const document = parseHtml(html);
+  const baseTag = findAll(document, (element) => element.tag === 'base' && element.attributes.href)[0];
+  const baseUrl = resolveUrl(baseTag && baseTag.attributes.href, pageUrl) || pageUrl;
+  const meta = readMeta(document);
+
+  const title = articleTitle(document, meta);
+  const body = findAll(document, (element) => element.tag === 'body')[0] || document;
+  for (const element of findAll(body, (candidate) => DROPPED_ELEMENTS.has(candidate.tag) || isHidden(candidate))) {
+    removeNode(element);
+  }
+  const byline = articleByline(body, meta);
+  for (const element of findAll(body, isUnlikelyCandidate)) {
+    removeNode(element);
+  }
+
+  const content = cleanContent(gatherContent(body), title);
+  const articleHtml = content.map((node) => sanitize(node, baseUrl)).join('').trim();
+  const text = htmlToText(articleHtml);
+  if (text.length < MIN_ARTICLE_LENGTH) {
+    throw new ArticleError(422, 'No article found on this page');
+  }
+
+  return {
+    title,
+    byline,
+    siteName: meta['og:site_name'] || null,
+    excerpt: meta['og:description'] || meta['twitter:description'] || meta.description || null,
+    leadImage: leadImage(meta, content, baseUrl),
+    html: articleHtml,
+    text
+  };
+}
+
+// The content of <meta> tags by name or property, lowercased; the first one of a name wins
+function readMeta(document) {
+  const meta = {};
+  for (const element of findAll(document, (candidate) => candidate.tag === 'meta')) {
+    const content = (element.attributes.content || '').trim();
+    const names = `${element.attributes.name || ''} ${element.attributes.property || ''}`.toLowerCase().split(/\s+/);
+    for (const name of names.filter(Boolean)) {
+      if (content && !(name in meta)) {
+        meta[name] = content;
+      }
+    }
+  }
+  return meta;
+}
+
+function articleTitle(document, meta) {
+  const metaTitle = meta['og:title'] || meta['twitter:title'];
+  if (metaTitle) {
+    return metaTitle;
+  }
+
+  const titleElement = findAll(document, (element) => element.tag === 'title')[0];
+  const documentTitle = titleElement ? normalizeSpace(textContent(titleElement)) : '';
+  const headings = findAll(document, (element) => element.tag === 'h1').map((element) => normalizeSpace(textContent(element)));
+
+  const heading = headings.find((text) => text && documentTitle.includes(text));
+  if (heading) {
+    return heading;
+  }
+  if (documentTitle) {
+    // "Article | Site" or "Article - Site", unless that leaves too little of it
+    const parts = documentTitle.split(/ [|\-–—] | :: /);
+    const leading = parts.slice(0, -1).join(' - ');
+    return parts.length > 1 && leading.split(' ').length >= 3 ? leading : documentTitle;
+  }
+  return headings.find(Boolean) || null;
+}
+
+// The author, from the page metadata or a byline element, which is taken out of the content
+function articleByline(body, meta) {
+  const metaAuthor = meta.author || meta['article:author'] || meta.byl;
+  if (metaAuthor && !/^https?:\/\//i.test(metaAuthor)) {
+    return stripBy(metaAuthor);
+  }
+
+  const element = findAll(body, (candidate) => candidate.attributes.rel === 'author'
+    || candidate.attributes.itemprop === 'author'
+    || BYLINE.test(matchString(candidate)))
+    .find((candidate) => {
+      const length = normalizeSpace(textContent(candidate)).length;
+      return length > 0 && length <= MAX_BYLINE_LENGTH;
+    });
+  if (!element) {
+    return null;
+  }
+
+  removeNode(element);
+  return stripBy(normalizeSpace(textContent(element)));
+}
+
+function stripBy(byline) {
+  return byline.trim().replace(/^by\s+/i, '') || null;
+}
+
+function isUnlikelyCandidate(element) {
+  if (element.tag === 'body' || element.tag === 'a' || element.tag === 'article' || element.tag === 'main') {
+    return false;
+  }
+  const match = matchString(element);
+  return (UNLIKELY_CANDIDATES.test(match) && !MAYBE_CANDIDATES.test(match)) || element.attributes.role === 'complementary';
+}
+
+function isHidden(element) {
+  return 'hidden' in element.attributes
+    || element.attributes['aria-hidden'] === 'true'
+    || /display\s*:\s*none|visibility\s*:\s*hidden/i.test(element.attributes.style || '');
+}
+
+/**
+ * Scores the elements that hold paragraphs and returns the nodes of the
+ * best one, joined by its siblings that score well or read like paragraphs
+ */
+function gatherContent(body) {
+  // Paragraphs score their ancestors up to <html>, so the whole document is measured
+  let root = body;
+  while (root.parent) {
+    root = root.parent;
+  }
+  const stats = measure(root);
+  const scores = new Map();
+  const paragraphs = findAll(body, (element) => ['p', 'pre', 'td'].includes(element.tag)
+    || (element.tag === 'div' && !stats.get(element).hasBlock));
+
+  for (const paragraph of paragraphs) {
+    const { text } = stats.get(paragraph);
+    if (text.length < MIN_PARAGRAPH_LENGTH) {
+      continue;
+    }
+
+    // Commas and length make a paragraph worth more, to its parent most and its great-grandparent least
+    const commas = text.split(/[,，、]/).length - 1;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    ancestorsOf(paragraph, 3).forEach((ancestor, level) => {
+      if (!scores.has(ancestor)) {
+        scores.set(ancestor, (TAG_SCORES[ancestor.tag] || 0) + classWeight(ancestor));
+      }
+      scores.set(ancestor, scores.get(ancestor) + score / (level === 0 ? 1 : level === 1 ? 2 : level * 3));
+    });
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [element, score] of scores) {
+    const finalScore = score * (1 - linkDensity(stats.get(element)));
+    scores.set(element, finalScore);
+    if (!top || finalScore > topScore) {
+      top = element;
+      topScore = finalScore;
+    }
+  }
+
+  if (!top) {
+    return [body];
+  }
+  if (top === body || top.parent.tag === '#document') {
+    return [top];
+  }
+
+  const threshold = Math.max(10, topScore * 0.2);
+  return top.parent.children.filter((sibling) => sibling === top
+    || (sibling.type === 'element' && ((scores.get(sibling) || 0) >= threshold || isGoodParagraph(sibling, stats))));
+}
+
+function ancestorsOf(node, depth) {
+  const ancestors = [];
+  for (let parent = node.parent; parent && parent.tag !== '#document' && ancestors.length < depth; parent = parent.parent) {
+    ancestors.push(parent);
+  }
+  return ancestors;
+}
+
+function isGoodParagraph(element, stats) {
+  if (element.tag !== 'p') {
+    return false;
+  }
+  const { text } = stats.get(element);
+  const density = linkDensity(stats.get(element));
+  return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+}
+
+// Takes out what is left of navigation, promotions and the repeated title
+function cleanContent(nodes, title) {
+  const normalizedTitle = title && normalizeSpace(title).toLowerCase();
+
+  for (const node of nodes.filter((candidate) => candidate.type === 'element')) {
+    for (const element of findAll(node, (candidate) => ['h1', 'h2'].includes(candidate.tag))) {
+      if (normalizedTitle && normalizeSpace(textContent(element)).toLowerCase() === normalizedTitle) {
+        removeNode(element);
+      }
+    }
+
+    // Measured before anything goes, as containers are visited outermost first
+    const stats = measure(node);
+    const containers = findAll(node, (candidate) => ['div', 'section', 'header', 'ul', 'ol', 'table', 'figure'].includes(candidate.tag));
+    for (const element of containers) {
+      const { text, images } = stats.get(element);
+      if (classWeight(element) < 0
+        || linkDensity(stats.get(element)) > 0.5
+        || (text.length < MIN_PARAGRAPH_LENGTH && !images && element.tag !== 'table')) {
+        removeNode(element);
+      }
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * The element and its descendants as HTML, keeping only the elements and
+ * attributes of ALLOWED_ELEMENTS; other elements give way to their content.
+ * Whitespace is collapsed outside of <pre>.
+ */
+function sanitize(node, baseUrl, preformatted = false) {
+  if (node.type === 'text') {
+    return escapeHtml(preformatted ? node.text : node.text.replace(/\s+/g, ' '));
+  }
+  if (DROPPED_ELEMENTS.has(node.tag)) {
+    return '';
+  }
+
+  const tag = RENAMED_ELEMENTS[node.tag] || node.tag;
+  const content = node.children.map((child) => sanitize(child, baseUrl, preformatted || tag === 'pre')).join('');
+  if (!ALLOWED_ELEMENTS.has(tag)) {
+    return content;
+  }
+
+  const attributes = allowedAttributes(tag, node.attributes, baseUrl);
+  if (!attributes) {
+    return tag === 'img' ? '' : content;
+  }
+  const attributeHtml = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join('');
+
+  return VOID_ELEMENTS.has(tag) ? `<${tag}${attributeHtml}>` : `<${tag}${attributeHtml}>${content}</${tag}>`;
+}
+
+// The attributes an element keeps, or null when it is unusable without the ones it lacks
+function allowedAttributes(tag, attributes, baseUrl) {
+  const kept = {};
+
+  if (tag === 'a') {
+    const href = resolveUrl(attributes.href, baseUrl, ['http:', 'https:', 'mailto:']);
+    if (!href) {
+      return null;
+    }
+    kept.href = href;
+  } else if (tag === 'img') {
+    const src = imageSource(attributes, baseUrl);
+    if (!src) {
+      return null;
+    }
+    kept.src = src;
+    kept.alt = attributes.alt || '';
+  } else if ((tag === 'td' || tag === 'th') && /^\d+$/.test(attributes.colspan || '')) {
+    kept.colspan = attributes.colspan;
+  } else if (tag === 'ol' && /^\d+$/.test(attributes.start || '')) {
+    kept.start = attributes.start;
+  }
+
+  if ((tag === 'a' || tag === 'img' || tag === 'abbr') && attributes.title) {
+    kept.title = attributes.title;
+  }
+  return kept;
+}
+
+// Lazy-loading pages keep the real image in a data attribute
+function imageSource(attributes, baseUrl) {
+  for (const name of ['data-src', 'data-original', 'data-lazy-src', 'src']) {
+    const src = resolveUrl(attributes[name], baseUrl);
+    if (src) {
+      return src;
+    }
+  }
+  return null;
+}
+
+function leadImage(meta, content, baseUrl) {
+  const metaImage = resolveUrl(meta['og:image'] || meta['twitter:image'] || meta['twitter:image:src'], baseUrl);
+  if (metaImage) {
+    return metaImage;
+  }
+
+  for (const node of content.filter((candidate) => candidate.type === 'element')) {
+    const images = node.tag === 'img' ? [node] : findAll(node, (candidate) => candidate.tag === 'img');
+    const src = images.map((image) => imageSource(image.attributes, baseUrl)).find(Boolean);
+    if (src) {
+      return src;
+    }
+  }
+  return null;
+}
+
+/**
+ * Measures a node and every element under it in one walk, so that scoring
+ * does not walk each subtree again: the normalized text, how much of it is
+ * link text, how many images it holds and whether it holds block elements
+ * @returns {Map<object, { text: string, linkLength: number, images: number, hasBlock: boolean }>}
+ */
+function measure(root) {
+  const stats = new Map();
+  const visit = (node) => {
+    if (node.type === 'text') {
+      return node.text;
+    }
+
+    let content = '';
+    let linkLength = 0;
+    let images = 0;
+    let hasBlock = false;
+    for (const child of node.children) {
+      content += visit(child);
+      if (child.type === 'element') {
+        const childStats = stats.get(child);
+        linkLength += childStats.linkLength;
+        images += childStats.images + (child.tag === 'img' ? 1 : 0);
+        hasBlock = hasBlock || childStats.hasBlock || BLOCK_ELEMENTS.has(child.tag);
+      }
+    }
+
+    const text = normalizeSpace(content);
+    stats.set(node, { text, linkLength: node.tag === 'a' ? text.length : linkLength, images, hasBlock });
+    return content;
+  };
+  visit(root);
+  return stats;
+}
+
+// How much of an element's text is link text, from 0 to 1
+function linkDensity({ text, linkLength }) {
+  return text.length ? linkLength / text.length : 0;
+}
+
+// +25 for a class or id that looks like content, -25 for one that looks like furniture
+function classWeight(element) {
+  let weight = 0;
+  for (const value of [element.attributes.class, element.attributes.id]) {
+    if (!value) {
+      continue;
+    }
+    if (NEGATIVE.test(value)) {
+      weight -= 25;
+    }
+    if (POSITIVE.test(value)) {
+      weight += 25;
+    }
+  }
+  return weight;
+}
+
+function matchString(element) {
+  return `${element.attributes.class || ''} ${element.attributes.id || ''}`;
+}
+
+function normalizeSpace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { fetchArticle, extractArticle, ArticleError };
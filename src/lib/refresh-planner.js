@@ -0,0 +1,154 @@
+const { parseFeed, readRefreshHints, WEEKDAYS } = require('./feed-parser');
+const { freshnessLifetime } = require('./fetch-cache');
+const { pollInterval, minPollInterval } = require('./watch-list');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const DEFAULT_MAX_INTERVAL_MS = DAY;
+
+const UPDATE_PERIOD_MS = {
+  hourly: HOUR,
+  daily: DAY,
+  weekly: 7 * DAY,
+  monthly: 30 * DAY,
+  yearly: 365 * DAY
+};
+
+// Most recent posts looked at when working out how often a feed publishes
+const HISTORY_ITEMS = 10;
+
+/**
+ * Works out when a feed should next be fetched.
+ *
+ * The base interval is how often the feed has actually published recently
+ * (the median gap between its latest posts, stretched while the feed has
+ * gone quiet for longer than that), falling back to the publisher's
+ * `sy:updatePeriod`/`sy:updateFrequency`, and then to FEED_POLL_INTERVAL_MS.
+ * Fetching before the response goes stale is pointless, so the RSS `<ttl>`
+ * and the HTTP cache lifetime act as a floor. The result is clamped to
+ * FEED_POLL_MIN_INTERVAL_MS and FEED_POLL_MAX_INTERVAL_MS, and the fetch is
+ * moved out of the feed's `<skipHours>`/`<skipDays>` (in GMT) when that
+ * keeps it within the maximum interval.
+ * @param {object} response - The feed as returned by fetchFeed (`data` and `headers`)
+ * @param {object} [options]
+ * @param {number} [options.from=Date.now()] - Time of the fetch the plan follows, in ms since epoch
+ * @returns {{ intervalMs: number, nextFetchAt: string, basis: string, signals: object, limits: object }}
+ *   The interval, when the next fetch is due, which signal the interval is
+ *   based on (history, syndication, ttl, cache or default) and every signal
+ *   that was found
+ */
+function planRefresh(response, { from = Date.now() } = {}) {
+  const limits = refreshLimits();
+  const hints = readRefreshHints(response.data);
+  const lifetime = freshnessLifetime(response.headers || {}, null);
+
+  const signals = {
+    postingIntervalMs: postingInterval(itemDates(response.data), from),
+    syndicationIntervalMs: hints.updatePeriod
+      ? Math.round(UPDATE_PERIOD_MS[hints.updatePeriod] / hints.updateFrequency)
+      : null,
+    ttlMs: hints.ttlMinutes ? hints.ttlMinutes * 60 * 1000 : null,
+    cacheLifetimeMs: lifetime || null,
+    skipHours: hints.skipHours,
+    skipDays: hints.skipDays
+  };
+
+  let basis = 'default';
+  let intervalMs = pollInterval();
+  if (signals.postingIntervalMs) {
+    basis = 'history';
+    intervalMs = signals.postingIntervalMs;
+  } else if (signals.syndicationIntervalMs) {
+    basis = 'syndication';
+    intervalMs = signals.syndicationIntervalMs;
+  }
+
+  for (const [floorBasis, floor] of [['ttl', signals.ttlMs], ['cache', signals.cacheLifetimeMs]]) {
+    if (floor && floor > intervalMs) {
+      basis = floorBasis;
+      intervalMs = floor;
+    }
+  }
+
+  intervalMs = Math.min(Math.max(intervalMs, limits.minIntervalMs), limits.maxIntervalMs);
+  const nextFetchAt = skipBlockedTimes(from + intervalMs, hints, from + limits.maxIntervalMs);
+
+  return {
+    intervalMs,
+    nextFetchAt: new Date(nextFetchAt).toISOString(),
+    basis,
+    signals,
+    limits
+  };
+}
+
+/**
+ * Median gap between the latest posts, or, when the newest post is older
+ * than that, the time since it: a feed that has gone quiet is checked less
+ * often until it posts again
+ * @param {number[]} dates - Post times in ms since epoch
+ * @param {number} now
+ * @returns {number|null} Interval in ms, or null with fewer than two dated posts
+ */
+function postingInterval(dates, now) {
+  const recent = dates
+    .filter((date) => date <= now)
+    .sort((a, b) => b - a)
+    .slice(0, HISTORY_ITEMS);
+  if (recent.length < 2) {
+    return null;
+  }
+
+  const gaps = recent.slice(1).map((date, index) => recent[index] - date).sort((a, b) => a - b);
+  const middle = Math.floor(gaps.length / 2);
+  const median = gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2;
+
+  return Math.round(Math.max(median, now - recent[0])) || null;
+}
+
+function itemDates(body) {
+  try {
+    return parseFeed(body).items
+      .map((item) => Date.parse(item.published || item.updated))
+      .filter((date) => !Number.isNaN(date));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Moves a time forward, an hour at a time, out of the skipped hours and
+ * days, unless that would take it past `latest`
+ */
+function skipBlockedTimes(time, { skipHours, skipDays }, latest) {
+  if (!skipHours.length && !skipDays.length) {
+    return time;
+  }
+
+  const isBlocked = (candidate) => {
+    const date = new Date(candidate);
+    return skipHours.includes(date.getUTCHours()) || skipDays.includes(WEEKDAYS[date.getUTCDay()]);
+  };
+
+  let candidate = time;
+  while (isBlocked(candidate)) {
+    // Start of the next hour
+    candidate = Math.floor(candidate / HOUR) * HOUR + HOUR;
+    if (candidate > latest) {
+      return time;
+    }
+  }
+  return candidate;
+}
+
+/**
+ * Interval limits from the environment
+ * @returns {{ minIntervalMs: number, maxIntervalMs: number }}
+ */
+function refreshLimits() {
+  const minIntervalMs = minPollInterval();
+  const maxIntervalMs = Number(process.env.FEED_POLL_MAX_INTERVAL_MS) || DEFAULT_MAX_INTERVAL_MS;
+  return { minIntervalMs, maxIntervalMs: Math.max(maxIntervalMs, minIntervalMs) };
+}
+
+module.exports = { planRefresh, postingInterval, refreshLimits };
@@ -0,0 +1,103 @@
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 250;
+const DEFAULT_MAX_DELAY_MS = 4000;
+
+// Network failures worth another attempt: the request may never have reached the server
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+]);
+
+const TRANSIENT_STATUS_CODES = new Set([502, 503, 504]);
+
+/**
+ * Retry settings from the environment
+ * @returns {{ retries: number, baseDelayMs: number, maxDelayMs: number }}
+ */
+function retryOptions() {
+  const nonNegative = (value, fallback) => (value !== undefined && value !== '' && Number(value) >= 0 ? Number(value) : fallback);
+
+  return {
+    retries: nonNegative(process.env.FEED_RETRIES, DEFAULT_RETRIES),
+    baseDelayMs: nonNegative(process.env.FEED_RETRY_BASE_DELAY_MS, DEFAULT_BASE_DELAY_MS),
+    maxDelayMs: nonNegative(process.env.FEED_RETRY_MAX_DELAY_MS, DEFAULT_MAX_DELAY_MS)
+  };
+}
+
+/**
+ * Calls `fn` until it succeeds, retrying transient failures with "full
+ * jitter" exponential backoff: attempt n waits a random time between 0 and
+ * min(maxDelayMs, baseDelayMs * 2^n), so clients that failed together do
+ * not retry together.
+ * @param {(attempt: number) => Promise<*>} fn - Idempotent operation
+ * @param {object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {(error: Error) => boolean} [options.isRetryable=isTransientError]
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Replaceable for tests
+ * @returns {Promise<*>} The result of the first successful attempt
+ */
+async function withRetry(fn, {
+  retries,
+  baseDelayMs,
+  maxDelayMs,
+  isRetryable = isTransientError,
+  sleep = delay
+} = retryOptions()) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+    }
+  }
+}
+
+/**
+ * @param {number} attempt - Zero-based number of the attempt that just failed
+ * @returns {number} Milliseconds to wait before the next attempt
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  return Math.floor(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Whether a failed upstream request is worth retrying: connection resets and
+ * timeouts, or a 502/503/504 from the server or a gateway in front of it
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error.response) {
+    return TRANSIENT_STATUS_CODES.has(error.response.status);
+  }
+  return Boolean(errorCode(error) && TRANSIENT_ERROR_CODES.has(errorCode(error)));
+}
+
+/**
+ * Finds the system error code of an error, looking through wrapped causes
+ * @param {Error} error
+ * @returns {string|undefined}
+ */
+function errorCode(error) {
+  for (let current = error; current; current = current.cause) {
+    if (typeof current.code === 'string') {
+      return current.code;
+    }
+  }
+  return undefined;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { withRetry, retryOptions, backoffDelay, isTransientError };
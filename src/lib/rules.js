@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const path = require('path');
+const { JsonStore, StoreError, dataDir } = require('./json-store');
+const { htmlToText } = require('./html-text');
+const { itemStore, normalizeFeedUrl } = require('./item-store');
+const { tokenize, containsWords } = require('./search-index');
+
+const EDITABLE_FIELDS = ['name', 'feedUrl', 'field', 'match', 'pattern', 'action', 'tag', 'enabled'];
+const FIELDS = ['any', 'title', 'content', 'author', 'category', 'link'];
+const MATCHES = ['keyword', 'regex'];
+const ACTIONS = ['hide', 'highlight', 'star', 'tag'];
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TAG_LENGTH = 50;
+
+// The values of an item each field matches against; a rule matches when one of them does
+const FIELD_VALUES = {
+  title: (item) => [item.title],
+  content: (item) => [htmlToText(item.summary), htmlToText(item.content)],
+  author: (item) => [item.author],
+  category: (item) => item.categories || [],
+  link: (item) => [item.link]
+};
+FIELD_VALUES.any = (item) => Object.keys(FIELD_VALUES).filter((field) => field !== 'any')
+  .flatMap((field) => FIELD_VALUES[field](item));
+
+class RuleError extends StoreError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'RuleError';
+  }
+}
+
+/**
+ * Filtering rules for feed items, persisted in `rules.json` under DATA_DIR.
+ *
+ * Each rule is `{ id, name, feedUrl, field, match, pattern, action, tag,
+ * enabled, createdAt, updatedAt }`. A rule applies to the items of
+ * `feedUrl`, or of every feed when it is null, and matches those whose
+ * `field` (`title`, `content`, `author`, `category`, `link`, or `any` of
+ * them) contains `pattern`: as whole words regardless of case and accents
+ * when `match` is `keyword`, or as a case-insensitive regular expression
+ * when it is `regex`. Its `action` hides, highlights, stars or tags (with
+ * `tag`) the items it matches (see applyRules).
+ */
+class RuleStore {
+  /**
+   * @param {JsonStore} [store] - Backing document, `{ rules: [] }`
+   */
+  constructor(store = new JsonStore(path.join(dataDir(), 'rules.json'), { rules: [] })) {
+    this.store = store;
+  }
+
+  /**
+   * @returns {Promise<object[]>} Rules in the order they were created
+   */
+  async list() {
+    const { rules } = await this.store.read();
+    return rules.map((rule) => ({ ...rule }));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object>}
+   * @throws {RuleError} 404 when there is no such rule
+   */
+  async get(id) {
+    const { rules } = await this.store.read();
+    return { ...findById(rules, id) };
+  }
+
+  /**
+   * @param {{ pattern: string, action: string, name?: string|null, feedUrl?: string|null,
+   *   field?: string, match?: string, tag?: string|null, enabled?: boolean }} fields
+   * @returns {Promise<object>} The new rule
+   * @throws {RuleError} 400 for invalid fields
+   */
+  async create(fields) {
+    const values = validateFields(fields, { required: true });
+    const now = new Date().toISOString();
+    const rule = {
+      id: crypto.randomUUID(),
+      name: values.name ?? null,
+      feedUrl: values.feedUrl ?? null,
+      field: values.field ?? 'any',
+      match: values.match ?? 'keyword',
+      pattern: values.pattern,
+      action: values.action,
+      tag: values.tag ?? null,
+      enabled: values.enabled ?? true,
+      createdAt: now,
+      updatedAt: now
+    };
+    validateRule(rule);
+
+    return this.store.update(({ rules }) => {
+      rules.push(rule);
+      return { ...rule };
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} patch - Any of the fields of create
+   * @returns {Promise<object>} The updated rule
+   * @throws {RuleError} 400 for invalid fields, 404 when there is no such rule
+   */
+  async update(id, patch) {
+    const values = validateFields(patch, { required: false });
+
+    return this.store.update(({ rules }) => {
+      const rule = findById(rules, id);
+      const updated = { ...rule, ...values };
+      if (values.action && values.action !== 'tag' && values.tag === undefined) {
+        updated.tag = null;
+      }
+      validateRule(updated);
+
+      Object.assign(rule, updated, { updatedAt: new Date().toISOString() });
+      return { ...rule };
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @throws {RuleError} 404 when there is no such rule
+   */
+  async remove(id) {
+    await this.store.update(({ rules }) => {
+      rules.splice(rules.indexOf(findById(rules, id)), 1);
+    });
+  }
+}
+
+/**
+ * Works out what the enabled rules do to each item. Items are returned with
+ * `rules: { hidden, highlighted, starred, tags, matched }`, where `matched`
+ * lists the ids of the rules that matched, in rule order.
+ * @param {object[]} items - Stored items, with their `feedUrl`
+ * @param {object[]} rules - As returned by RuleStore#list
+ * @returns {object[]}
+ */
+function applyRules(items, rules) {
+  const matchers = rules.filter((rule) => rule.enabled).map((rule) => ({ rule, matches: compileRule(rule) }));
+
+  return items.map((item) => {
+    const outcome = { hidden: false, highlighted: false, starred: false, tags: [], matched: [] };
+    for (const { rule, matches } of matchers) {
+      if ((rule.feedUrl && rule.feedUrl !== item.feedUrl) || !matches(item)) {
+        continue;
+      }
+      outcome.matched.push(rule.id);
+      if (rule.action === 'hide') {
+        outcome.hidden = true;
+      } else if (rule.action === 'highlight') {
+        outcome.highlighted = true;
+      } else if (rule.action === 'star') {
+        outcome.starred = true;
+      } else if (!outcome.tags.includes(rule.tag)) {
+        outcome.tags.push(rule.tag);
+      }
+    }
+    return { ...item, rules: outcome };
+  });
+}
+
+/**
+ * applyRules with the saved rules
+ * @param {object[]} items
+ * @param {RuleStore} [store]
+ * @returns {Promise<object[]>}
+ */
+async function annotateItems(items, store = ruleStore()) {
+  return applyRules(items, await store.list());
+}
+
+/**
+ * Stars the items that `star` rules match. Meant for items as they are
+ * first stored, so starring stays a suggestion the reader can take back.
+ * @param {object[]} items - Newly stored items
+ * @param {object} [options]
+ * @param {RuleStore} [options.rules]
+ * @param {import('./item-store').ItemStore} [options.items]
+ * @returns {Promise<number>} How many items were starred
+ */
+async function starMatchingItems(items, { rules = ruleStore(), items: store = itemStore() } = {}) {
+  const starRules = (await rules.list()).filter((rule) => rule.action === 'star');
+  if (!starRules.length) {
+    return 0;
+  }
+
+  const ids = applyRules(items, starRules).filter((item) => item.rules.starred).map((item) => item.id);
+  return ids.length ? store.markMany({ ids }, { starred: true }) : 0;
+}
+
+// A rule's test of one item
+function compileRule(rule) {
+  const valuesOf = FIELD_VALUES[rule.field];
+  if (rule.match === 'regex') {
+    // Saved before such patterns were turned away
+    if (backtrackingRisk(rule.pattern)) {
+      return () => false;
+    }
+    const pattern = new RegExp(rule.pattern, 'i');
+    return (item) => valuesOf(item).some((value) => Boolean(value) && pattern.test(value));
+  }
+
+  const phrase = tokenize(rule.pattern);
+  return (item) => valuesOf(item).some((value) => Boolean(value) && containsWords(tokenize(value), phrase));
+}
+
+function findById(rules, id) {
+  const rule = rules.find((candidate) => candidate.id === id);
+  if (!rule) {
+    throw new RuleError(404, 'Rule not found');
+  }
+  return rule;
+}
+
+/**
+ * Checks a create or patch body and returns the values it sets: strings are
+ * trimmed, and empty optional fields become null
+ */
+function validateFields(fields, { required }) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new RuleError(400, 'Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(fields).find((key) => !EDITABLE_FIELDS.includes(key));
+  if (unknown) {
+    throw new RuleError(400, `Unknown field: ${unknown}`);
+  }
+
+  const values = {};
+
+  for (const key of ['pattern', 'action']) {
+    if (fields[key] === undefined && !required) {
+      continue;
+    }
+    if (typeof fields[key] !== 'string' || !fields[key].trim()) {
+      throw new RuleError(400, `Missing required field: ${key}`);
+    }
+    values[key] = fields[key].trim();
+  }
+
+  for (const key of ['name', 'feedUrl', 'tag']) {
+    if (fields[key] === undefined) {
+      continue;
+    }
+    if (fields[key] !== null && typeof fields[key] !== 'string') {
+      throw new RuleError(400, `Field ${key} must be a string or null`);
+    }
+    values[key] = fields[key] === null ? null : fields[key].trim() || null;
+  }
+
+  for (const [key, allowed] of [['field', FIELDS], ['match', MATCHES], ['action', ACTIONS]]) {
+    if (values[key] === undefined && fields[key] === undefined) {
+      continue;
+    }
+    const value = values[key] ?? fields[key];
+    if (!allowed.includes(value)) {
+      throw new RuleError(400, `Field ${key} must be one of: ${allowed.join(', ')}`);
+    }
+    values[key] = value;
+  }
+
+  if (fields.enabled !== undefined) {
+    if (typeof fields.enabled !== 'boolean') {
+      throw new RuleError(400, 'Field enabled must be a boolean');
+    }
+    values.enabled = fields.enabled;
+  }
+
+  if (values.feedUrl) {
+    values.feedUrl = ruleFeedUrl(values.feedUrl);
+  }
+
+  return values;
+}
+
+/**
+ * Checks the fields that depend on one another, once a rule is complete
+ */
+function validateRule(rule) {
+  if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+    throw new RuleError(400, `Field pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (rule.match === 'keyword' && !tokenize(rule.pattern).length) {
+    throw new RuleError(400, 'Field pattern must contain a word to match');
+  }
+  if (rule.match === 'regex') {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      throw new RuleError(400, `Field pattern is not a valid regular expression: ${error.message}`);
+    }
+    const risk = backtrackingRisk(rule.pattern);
+    if (risk) {
+      throw new RuleError(400, `Field pattern ${risk}, which can take too long to match`);
+    }
+  }
+
+  if (rule.action === 'tag' && !rule.tag) {
+    throw new RuleError(400, 'Field tag is required for the tag action');
+  }
+  if (rule.action !== 'tag' && rule.tag) {
+    throw new RuleError(400, 'Field tag is only used by the tag action');
+  }
+  if (rule.tag && rule.tag.length > MAX_TAG_LENGTH) {
+    throw new RuleError(400, `Field tag must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+}
+
+/**
+ * Looks for what makes a regular expression backtrack exponentially on
+ * text it almost matches: a repeated group that holds a repeat of its own,
+ * like `(a+)+` or `(\w+\s?)*`, a repeated group of alternatives, which can
+ * match the same text in more than one way, like `(a|aa)+` or `(\w|\d)+`,
+ * or a backreference
+ * @param {string} pattern - A valid regular expression
+ * @returns {string|null} What is wrong with the pattern, or null when it is safe to run
+ */
+function backtrackingRisk(pattern) {
+  // Per open group, whether it holds a quantifier or alternatives
+  const groups = [{ quantified: false, alternated: false }];
+  let lastAtom = null;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    const current = groups[groups.length - 1];
+
+    if (char === '\\') {
+      const next = pattern[index + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && pattern[index + 2] === '<')) {
+        return 'must not use backreferences';
+      }
+      index += 1;
+      if (/[pPu]/.test(next) && pattern[index + 1] === '{') {
+        index = pattern.indexOf('}', index);
+      }
+      lastAtom = { group: null };
+    } else if (char === '[') {
+      for (index++; index < pattern.length && pattern[index] !== ']'; index++) {
+        if (pattern[index] === '\\') {
+          index += 1;
+        }
+      }
+      lastAtom = { group: null };
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternated: false });
+      // (?:, (?=, (?!, (?<=, (?<! and (?<name> are not quantifiers
+      const prefix = /^\?(?:[:=!]|<[=!]|<[^>]*>)/.exec(pattern.slice(index + 1));
+      index += prefix ? prefix[0].length : 0;
+      lastAtom = null;
+    } else if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : current;
+      const parent = groups[groups.length - 1];
+      parent.quantified = parent.quantified || group.quantified;
+      parent.alternated = parent.alternated || group.alternated;
+      lastAtom = { group };
+    } else if (char === '*' || char === '+' || char === '?' || /^\{\d+(?:,\d*)?\}/.test(pattern.slice(index))) {
+      let repeats = char !== '?';
+      if (char === '{') {
+        const [, min, comma, max] = /^\{(\d+)(,?)(\d*)\}/.exec(pattern.slice(index));
+        repeats = comma ? max === '' || Number(max) > 1 : Number(min) > 1;
+        index = pattern.indexOf('}', index);
+      }
+      if (repeats && lastAtom && lastAtom.group && lastAtom.group.quantified) {
+        return 'must not repeat a group that holds a repeat, such as (a+)+';
+      }
+      if (repeats && lastAtom && lastAtom.group && lastAtom.group.alternated) {
+        return 'must not repeat a group of alternatives, such as (a|aa)+';
+      }
+      current.quantified = true;
+      // A lazy quantifier's ? belongs to it
+      if (pattern[index + 1] === '?') {
+        index += 1;
+      }
+      lastAtom = null;
+    } else if (char === '|') {
+      current.alternated = true;
+      lastAtom = null;
+    } else if (char === '^' || char === '$') {
+      lastAtom = null;
+    } else {
+      lastAtom = { group: null };
+    }
+  }
+
+  return null;
+}
+
+// Rules name their feed by the URL its items are stored under
+function ruleFeedUrl(url) {
+  const feedUrl = normalizeFeedUrl(url, () => new RuleError(400, `Invalid feed URL: ${url}`));
+  if (!/^https?:/.test(feedUrl)) {
+    throw new RuleError(400, `Only http and https feed URLs can have rules: ${url}`);
+  }
+  return feedUrl;
+}
+
+let defaultStore = null;
+
+/**
+ * @returns {RuleStore} The store shared by the API, created on first use
+ */
+function ruleStore() {
+  if (!defaultStore) {
+    defaultStore = new RuleStore();
+  }
+  return defaultStore;
+}
+
+module.exports = { RuleStore, RuleError, ruleStore, applyRules, annotateItems, starMatchingItems };
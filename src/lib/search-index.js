@@ -0,0 +1,325 @@
+const { htmlToText, escapeHtml } = require('./html-text');
+const { itemStore, itemTime } = require('./item-store');
+const { HttpError } = require('./http-error');
+
+// How much a word counts in each field
+const FIELD_WEIGHTS = { title: 3, author: 2, summary: 1, content: 1 };
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Characters of context shown around the first match
+const SNIPPET_LENGTH = 200;
+const SNIPPET_LEAD = 60;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+class SearchError extends HttpError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'SearchError';
+  }
+}
+
+/**
+ * In-process inverted index over the titles, authors, summaries and content
+ * of stored items.
+ *
+ * Words are matched case- and accent-insensitively. Every word of a query
+ * must appear in an item; quoted phrases must appear as written, word for
+ * word, within one field. Matches are ranked with BM25, titles counting
+ * three times and authors twice as much as the text.
+ */
+class SearchIndex {
+  constructor() {
+    // id => { id, feedUrl, time, text, terms, length }
+    this.docs = new Map();
+    // term => Map(id => weighted term frequency)
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Indexes an item, replacing what was indexed for it before
+   * @param {object} item - Stored item
+   */
+  add(item) {
+    this.remove(item.id);
+
+    const text = {
+      title: item.title || '',
+      author: item.author || '',
+      summary: htmlToText(item.summary),
+      content: htmlToText(item.content)
+    };
+
+    const frequencies = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const tokens = tokenize(text[field]);
+      length += tokens.length;
+      for (const token of tokens) {
+        frequencies.set(token, (frequencies.get(token) || 0) + weight);
+      }
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(item.id, frequency);
+    }
+
+    this.docs.set(item.id, { id: item.id, feedUrl: item.feedUrl, time: itemTime(item), text, terms: [...frequencies.keys()], length });
+    this.totalLength += length;
+  }
+
+  /**
+   * @param {string} id
+   */
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) {
+      return;
+    }
+
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (!posting.size) {
+        this.postings.delete(term);
+      }
+    }
+    this.docs.delete(id);
+    this.totalLength -= doc.length;
+  }
+
+  /**
+   * @param {string} query - Words and "quoted phrases"
+   * @param {object} [options]
+   * @param {string[]} [options.feedUrls] - Only items of these feeds
+   * @param {number} [options.from] - Only items dated from this time on, in ms since epoch
+   * @param {number} [options.to] - Only items dated up to this time
+   * @param {number} [options.limit=20]
+   * @param {number} [options.offset=0]
+   * @returns {{ total: number, results: Array<{ id: string, score: number, highlights: { title: string, snippet: string } }> }}
+   *   Best matches first; highlights are HTML with the matched words in `<mark>`
+   * @throws {SearchError} 400 when the query has no words
+   */
+  search(query, { feedUrls, from, to, limit = 20, offset = 0 } = {}) {
+    const { terms, matches } = this.match(query, { feedUrls, from, to });
+
+    const termSet = new Set(terms);
+    return {
+      total: matches.length,
+      results: matches.slice(offset, offset + limit).map(({ doc, score }) => ({
+        id: doc.id,
+        score: Math.round(score * 1000) / 1000,
+        highlights: {
+          title: highlight(doc.text.title, termSet),
+          snippet: snippet(doc.text, termSet)
+        }
+      }))
+    };
+  }
+
+  /**
+   * The ids of every item a search would find, best match first, without
+   * building highlights
+   * @param {string} query
+   * @param {{ feedUrls?: string[], from?: number, to?: number }} [filters] - As for `search`
+   * @returns {string[]}
+   * @throws {SearchError} 400 when the query has no words
+   */
+  matchIds(query, filters = {}) {
+    return this.match(query, filters).matches.map(({ doc }) => doc.id);
+  }
+
+  match(query, { feedUrls, from, to }) {
+    const { terms, phrases } = parseQuery(query);
+    if (!terms.length) {
+      throw new SearchError(400, 'The search query has no words to search for');
+    }
+
+    const feeds = feedUrls && new Set(feedUrls);
+    const [rarest, ...others] = [...terms].sort((a, b) => this.documentFrequency(a) - this.documentFrequency(b));
+
+    const matches = [];
+    for (const id of (this.postings.get(rarest) || new Map()).keys()) {
+      const doc = this.docs.get(id);
+      if (
+        others.every((term) => this.postings.get(term)?.has(id)) &&
+        (!feeds || feeds.has(doc.feedUrl)) &&
+        (from === undefined || doc.time >= from) &&
+        (to === undefined || doc.time <= to) &&
+        phrases.every((phrase) => containsPhrase(doc, phrase))
+      ) {
+        matches.push({ doc, score: this.score(doc, terms) });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score || b.doc.time - a.doc.time);
+    return { terms, matches };
+  }
+
+  documentFrequency(term) {
+    return this.postings.get(term)?.size || 0;
+  }
+
+  score(doc, terms) {
+    const count = this.docs.size;
+    const averageLength = this.totalLength / count || 1;
+
+    return terms.reduce((total, term) => {
+      const posting = this.postings.get(term);
+      const frequency = posting.get(doc.id);
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+      return total + idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * doc.length / averageLength));
+    }, 0);
+  }
+}
+
+/**
+ * Splits text into normalized words: lower case, without accents
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (text.match(WORD) || []).map(normalizeWord);
+}
+
+function normalizeWord(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * @param {string} query
+ * @returns {{ terms: string[], phrases: string[][] }} Every word of the query
+ *   once, and the phrases of more than one word. Words that tokenize into
+ *   several (e.g. "e-mail") count as phrases.
+ */
+function parseQuery(query) {
+  const terms = new Set();
+  const phrases = [];
+
+  for (const match of query.matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const tokens = tokenize(match[1] ?? match[2]);
+    tokens.forEach((token) => terms.add(token));
+    if (tokens.length > 1) {
+      phrases.push(tokens);
+    }
+  }
+
+  return { terms: [...terms], phrases };
+}
+
+function containsPhrase(doc, phrase) {
+  return Object.keys(FIELD_WEIGHTS).some((field) => containsWords(tokenize(doc.text[field]), phrase));
+}
+
+/**
+ * Whether `words` has the words of `phrase` in a row
+ * @param {string[]} words - As returned by tokenize
+ * @param {string[]} phrase - As returned by tokenize
+ * @returns {boolean}
+ */
+function containsWords(words, phrase) {
+  for (let start = words.indexOf(phrase[0]); start !== -1; start = words.indexOf(phrase[0], start + 1)) {
+    if (phrase.every((word, offset) => words[start + offset] === word)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Escapes text for HTML, wrapping the words of `terms` in `<mark>`
+ */
+function highlight(text, terms) {
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(WORD)) {
+    if (terms.has(normalizeWord(match[0]))) {
+      html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * A highlighted excerpt of the summary or content around the first match,
+ * or the start of the text when only the title or author matched
+ */
+function snippet(text, terms) {
+  const bodies = [text.summary, text.content].filter(Boolean);
+  let body = bodies[0] || '';
+  let start = 0;
+
+  for (const candidate of bodies) {
+    const match = [...candidate.matchAll(WORD)].find((word) => terms.has(normalizeWord(word[0])));
+    if (match) {
+      body = candidate;
+      start = Math.max(0, match.index - SNIPPET_LEAD);
+      break;
+    }
+  }
+
+  // Start and end on word boundaries
+  if (start > 0) {
+    const space = body.indexOf(' ', start);
+    start = space === -1 || space > start + SNIPPET_LEAD ? start : space + 1;
+  }
+  let end = Math.min(body.length, start + SNIPPET_LENGTH);
+  if (end < body.length) {
+    const space = body.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const excerpt = body.slice(start, end).replace(/\s+/g, ' ');
+  return `${start > 0 ? '… ' : ''}${highlight(excerpt, terms)}${end < body.length ? ' …' : ''}`;
+}
+
+let defaultIndex = null;
+
+/**
+ * The index over the item store, built on first use and kept up to date as
+ * items are stored
+ * @returns {Promise<SearchIndex>}
+ */
+function searchIndex() {
+  if (!defaultIndex) {
+    defaultIndex = buildIndex(itemStore()).catch((error) => {
+      defaultIndex = null;
+      throw error;
+    });
+  }
+  return defaultIndex;
+}
+
+/**
+ * Indexes every item of a store and follows the items stored after
+ * @param {import('./item-store').ItemStore} store
+ * @returns {Promise<SearchIndex>}
+ */
+async function buildIndex(store) {
+  const index = new SearchIndex();
+  const onStored = (items) => items.forEach((item) => index.add(item));
+  store.on('stored', onStored);
+
+  try {
+    for (const item of await store.all()) {
+      // Items stored while loading are already indexed with their newest content
+      if (!index.docs.has(item.id)) {
+        index.add(item);
+      }
+    }
+  } catch (error) {
+    store.off('stored', onStored);
+    throw error;
+  }
+  return index;
+}
+
+module.exports = { SearchIndex, SearchError, searchIndex, buildIndex, tokenize, parseQuery, containsWords };
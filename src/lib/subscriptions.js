@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const path = require('path');
+const { JsonStore, StoreError, dataDir } = require('./json-store');
+const { normalizeFeedUrl } = require('./item-store');
+
+const EDITABLE_FIELDS = ['url', 'title', 'name', 'folder', 'htmlUrl'];
+
+class SubscriptionError extends StoreError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'SubscriptionError';
+  }
+}
+
+/**
+ * Feed subscriptions persisted in `subscriptions.json` under DATA_DIR.
+ *
+ * Each subscription is `{ id, url, title, name, folder, htmlUrl, createdAt,
+ * lastFetchedAt }`: `title` is the feed's own title, `name` an optional
+ * name chosen by the user, `folder` an optional folder name (nested
+ * folders are paths such as `Tech/Web`), `htmlUrl` the optional address of
+ * the site behind the feed, and the timestamps are ISO strings
+ * (`lastFetchedAt` is null until the feed has been fetched from upstream).
+ */
+class SubscriptionStore {
+  /**
+   * @param {JsonStore} [store] - Backing document, `{ subscriptions: [] }`
+   */
+  constructor(store = new JsonStore(path.join(dataDir(), 'subscriptions.json'), { subscriptions: [] })) {
+    this.store = store;
+  }
+
+  /**
+   * @param {{ folder?: string }} [filter] - Only return subscriptions in this folder
+   * @returns {Promise<object[]>} Subscriptions in the order they were created
+   */
+  async list({ folder } = {}) {
+    const { subscriptions } = await this.store.read();
+    return subscriptions
+      .filter((subscription) => folder === undefined || subscription.folder === folder)
+      .map(copySubscription);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object>}
+   * @throws {SubscriptionError} 404 when there is no such subscription
+   */
+  async get(id) {
+    const { subscriptions } = await this.store.read();
+    return copySubscription(findById(subscriptions, id));
+  }
+
+  /**
+   * @param {string} url - Feed URL, in any spelling the URL parser understands
+   * @returns {Promise<object|null>} The subscription to a feed URL, if any
+   */
+  async findByUrl(url) {
+    const savedUrl = toSavedUrl(url);
+    const { subscriptions } = await this.store.read();
+    const subscription = subscriptions.find((candidate) => candidate.url === savedUrl);
+    return subscription ? copySubscription(subscription) : null;
+  }
+
+  /**
+   * @param {{ url: string, title?: string, name?: string, folder?: string, htmlUrl?: string }} fields
+   * @returns {Promise<object>} The new subscription
+   * @throws {SubscriptionError} 400 for invalid fields, 409 when the URL is already subscribed
+   */
+  async create(fields) {
+    const values = validateFields(fields, { requireUrl: true });
+
+    return this.store.update(({ subscriptions }) => {
+      assertUnique(subscriptions, values.url);
+
+      const subscription = newSubscription(values);
+      subscriptions.push(subscription);
+      return copySubscription(subscription);
+    });
+  }
+
+  /**
+   * Subscribes to many feeds at once, e.g. from an OPML file. Entries that
+   * are invalid or already subscribed are skipped and reported rather than
+   * failing the whole import.
+   * @param {object[]} entries - Fields of each subscription, as for `create`
+   * @returns {Promise<{ imported: object[], duplicates: object[], invalid: object[] }>}
+   *   The new subscriptions, and `{ url, title, reason }` for each skipped entry
+   */
+  async importMany(entries) {
+    const result = { imported: [], duplicates: [], invalid: [] };
+    const valid = [];
+
+    for (const entry of entries) {
+      try {
+        valid.push(validateFields(entry, { requireUrl: true }));
+      } catch (error) {
+        if (!(error instanceof SubscriptionError)) {
+          throw error;
+        }
+        result.invalid.push(skippedEntry(entry, error.message));
+      }
+    }
+
+    if (!valid.length) {
+      return result;
+    }
+
+    await this.store.update(({ subscriptions }) => {
+      const seen = new Set(subscriptions.map((subscription) => subscription.url));
+      const imported = new Set();
+
+      for (const values of valid) {
+        if (seen.has(values.url)) {
+          const reason = imported.has(values.url) ? 'Listed more than once' : 'Already subscribed';
+          result.duplicates.push(skippedEntry(values, reason));
+          continue;
+        }
+
+        const subscription = newSubscription(values);
+        subscriptions.push(subscription);
+        result.imported.push(copySubscription(subscription));
+        seen.add(values.url);
+        imported.add(values.url);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * @param {string} id
+   * @param {{ url?: string, title?: string|null, name?: string|null, folder?: string|null }} patch
+   * @returns {Promise<object>} The updated subscription
+   * @throws {SubscriptionError} 400 for invalid fields, 404 when missing, 409 for a URL already subscribed
+   */
+  async update(id, patch) {
+    const values = validateFields(patch, { requireUrl: false });
+
+    return this.store.update(({ subscriptions }) => {
+      const subscription = findById(subscriptions, id);
+      if (values.url && values.url !== subscription.url) {
+        assertUnique(subscriptions, values.url);
+      }
+
+      Object.assign(subscription, values);
+      return copySubscription(subscription);
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @throws {SubscriptionError} 404 when there is no such subscription
+   */
+  async remove(id) {
+    return this.store.update(({ subscriptions }) => {
+      subscriptions.splice(subscriptions.indexOf(findById(subscriptions, id)), 1);
+    });
+  }
+
+  /**
+   * Records that a feed was fetched from upstream, if it is subscribed
+   * @param {string} url - Feed URL, in any spelling the URL parser understands
+   * @param {Date} [fetchedAt]
+   * @returns {Promise<boolean>} Whether a subscription was updated
+   */
+  async markFetched(url, fetchedAt = new Date()) {
+    if (!(await this.findByUrl(url))) {
+      return false;
+    }
+
+    const savedUrl = toSavedUrl(url);
+    return this.store.update(({ subscriptions }) => {
+      const subscription = subscriptions.find((candidate) => candidate.url === savedUrl);
+      if (!subscription) {
+        return false;
+      }
+      subscription.lastFetchedAt = fetchedAt.toISOString();
+      return true;
+    });
+  }
+}
+
+function newSubscription(values) {
+  return {
+    id: crypto.randomUUID(),
+    url: values.url,
+    title: values.title ?? null,
+    name: values.name ?? null,
+    folder: values.folder ?? null,
+    htmlUrl: values.htmlUrl ?? null,
+    createdAt: new Date().toISOString(),
+    lastFetchedAt: null
+  };
+}
+
+// Subscriptions saved before htmlUrl was kept have none
+function copySubscription(subscription) {
+  return { ...subscription, htmlUrl: subscription.htmlUrl ?? null };
+}
+
+function skippedEntry(entry, reason) {
+  const field = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  return { url: field(entry && entry.url), title: field(entry && (entry.title || entry.name)), reason };
+}
+
+function findById(subscriptions, id) {
+  const subscription = subscriptions.find((candidate) => candidate.id === id);
+  if (!subscription) {
+    throw new SubscriptionError(404, 'Subscription not found');
+  }
+  return subscription;
+}
+
+function assertUnique(subscriptions, url) {
+  if (subscriptions.some((subscription) => subscription.url === url)) {
+    throw new SubscriptionError(409, `Already subscribed to ${url}`);
+  }
+}
+
+/**
+ * Checks a create or patch body and returns the values to store: strings
+ * are trimmed, and empty optional fields become null
+ */
+function validateFields(fields, { requireUrl }) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new SubscriptionError(400, 'Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(fields).find((key) => !EDITABLE_FIELDS.includes(key));
+  if (unknown) {
+    throw new SubscriptionError(400, `Unknown field: ${unknown}`);
+  }
+
+  const values = {};
+
+  if (fields.url !== undefined || requireUrl) {
+    if (typeof fields.url !== 'string' || !fields.url.trim()) {
+      throw new SubscriptionError(400, 'Missing required field: url');
+    }
+    values.url = normalizeUrl(fields.url.trim());
+  }
+
+  for (const key of ['title', 'name', 'folder']) {
+    if (fields[key] === undefined) {
+      continue;
+    }
+    if (fields[key] !== null && typeof fields[key] !== 'string') {
+      throw new SubscriptionError(400, `Field ${key} must be a string or null`);
+    }
+    values[key] = fields[key] === null ? null : fields[key].trim() || null;
+  }
+
+  if (fields.htmlUrl !== undefined) {
+    if (fields.htmlUrl !== null && typeof fields.htmlUrl !== 'string') {
+      throw new SubscriptionError(400, 'Field htmlUrl must be a string or null');
+    }
+    const htmlUrl = fields.htmlUrl && fields.htmlUrl.trim();
+    values.htmlUrl = htmlUrl ? normalizeHtmlUrl(htmlUrl) : null;
+  }
+
+  return values;
+}
+
+// Subscriptions are saved under the URL as the URL parser writes it; a URL
+// that does not parse matches none
+function toSavedUrl(url) {
+  try {
+    return normalizeFeedUrl(url);
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeUrl(url) {
+  const feedUrl = normalizeFeedUrl(url, () => new SubscriptionError(400, 'Invalid URL format'));
+  if (!/^https?:/.test(feedUrl)) {
+    throw new SubscriptionError(400, 'Only http and https feed URLs can be subscribed to');
+  }
+  return feedUrl;
+}
+
+let defaultStore = null;
+
+/**
+ * @returns {SubscriptionStore} The store shared by the API, created on first use
+ */
+function subscriptionStore() {
+  if (!defaultStore) {
+    defaultStore = new SubscriptionStore();
+  }
+  return defaultStore;
+}
+
+function normalizeHtmlUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+      return parsed.href;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new SubscriptionError(400, 'Field htmlUrl must be an http or https URL');
+}
+
+module.exports = { SubscriptionStore, SubscriptionError, subscriptionStore };
@@ -0,0 +1,198 @@
+const dns = require('dns');
+const net = require('net');
+
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:']);
+
+// Loopback, private, link-local (including cloud metadata), carrier-grade NAT,
+// multicast and reserved ranges that must never be reached through the proxy
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Raised when a URL or the address it resolves to is not allowed to be fetched.
+ */
+class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedUrlError';
+  }
+}
+
+/**
+ * Checks a URL against the protocol allowlist, the host allow/deny lists and,
+ * for literal IP hosts, the blocked address ranges
+ * @param {string} url - URL about to be requested
+ * @throws {BlockedUrlError} When the URL must not be fetched
+ */
+function assertUrlAllowed(url) {
+  const parsed = new URL(url);
+
+  if (!ALLOWED_PROTOCOLS.has(parsed.protocol)) {
+    throw new BlockedUrlError(`Protocol "${parsed.protocol}" is not allowed. Only http and https URLs can be fetched.`);
+  }
+
+  const hostname = normalizeHostname(parsed.hostname);
+
+  if (matchesHostList(hostname, process.env.FEED_HOST_DENYLIST)) {
+    throw new BlockedUrlError(`Host "${hostname}" is on the deny list.`);
+  }
+  if (isAllowlisted(hostname)) {
+    return;
+  }
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    throw new BlockedUrlError(`Host "${hostname}" points to the local machine.`);
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new BlockedUrlError(`Address ${hostname} is in a private or reserved range.`);
+  }
+}
+
+/**
+ * axios `beforeRedirect` hook: re-checks every redirect target before it is followed
+ * @param {object} options - Request options for the next hop (follow-redirects)
+ */
+function assertRedirectAllowed(options) {
+  assertUrlAllowed(options.href || `${options.protocol}//${options.hostname}${options.path || '/'}`);
+}
+
+/**
+ * Drop-in replacement for dns.lookup that refuses hostnames resolving to a
+ * blocked address. Passed to axios as `lookup`, so it runs on every
+ * connection, including each redirect hop.
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (!isAllowlisted(normalizeHostname(hostname))) {
+      const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked) {
+        return callback(new BlockedUrlError(`Host "${hostname}" resolves to ${blocked.address}, which is in a private or reserved range.`));
+      }
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is in a blocked range
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+
+  if (family === 6) {
+    // IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) addresses embed an IPv4 target
+    const embedded = embeddedIpv4(address);
+    if (embedded) {
+      return isBlockedAddress(embedded);
+    }
+    return blockedRanges.check(address, 'ipv6');
+  }
+
+  return blockedRanges.check(address, 'ipv4');
+}
+
+/**
+ * Walks an error's `cause` chain (axios and follow-redirects wrap errors) for a BlockedUrlError
+ * @param {Error} error
+ * @returns {BlockedUrlError|null}
+ */
+function findBlockedUrlError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof BlockedUrlError) {
+      return current;
+    }
+  }
+  return null;
+}
+
+function embeddedIpv4(address) {
+  const match = address.toLowerCase().match(/^(?:::ffff:|64:ff9b::)(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  if (net.isIPv4(match[1])) {
+    return match[1];
+  }
+
+  // Hex form, e.g. ::ffff:7f00:1
+  const hex = match[1].match(/^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (!hex) {
+    return null;
+  }
+  const high = parseInt(hex[1], 16);
+  const low = parseInt(hex[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isAllowlisted(hostname) {
+  return matchesHostList(hostname, process.env.FEED_HOST_ALLOWLIST);
+}
+
+/**
+ * Matches a hostname against a comma-separated list of hosts, where
+ * `*.example.com` also matches any subdomain of example.com
+ */
+function matchesHostList(hostname, list) {
+  if (!list) {
+    return false;
+  }
+
+  return list.split(',').map((entry) => normalizeHostname(entry.trim())).filter(Boolean).some((entry) => {
+    if (entry.startsWith('*.')) {
+      const domain = entry.slice(2);
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+    return hostname === entry;
+  });
+}
+
+function normalizeHostname(hostname) {
+  return hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+module.exports = {
+  BlockedUrlError,
+  assertUrlAllowed,
+  assertRedirectAllowed,
+  guardedLookup,
+  isBlockedAddress,
+  findBlockedUrlError
+};
@@ -0,0 +1,23 @@
+const WEB_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Resolves a link found in a page or feed against the URL it came from
+ * @param {string} [href] - Link as written, possibly relative
+ * @param {string} baseUrl - URL to resolve against
+ * @param {string[]} [protocols] - Protocols the resolved URL may have
+ * @returns {string|null} The absolute URL, or null when the link is missing, malformed or of another protocol
+ */
+function resolveUrl(href, baseUrl, protocols = WEB_PROTOCOLS) {
+  if (typeof href !== 'string' || !href.trim()) {
+    return null;
+  }
+
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return protocols.includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { resolveUrl };
@@ -0,0 +1,320 @@
+const path = require('path');
+const { JsonStore, dataDir } = require('./json-store');
+const { HttpError } = require('./http-error');
+const { fetchFeed } = require('./feed-fetcher');
+const { parseFeed } = require('./feed-parser');
+const { mapWithConcurrency } = require('./concurrency');
+const { htmlToText } = require('./html-text');
+const { storeFeedItems, normalizeFeedUrl, itemTime } = require('./item-store');
+const { tokenize, containsWords } = require('./search-index');
+
+const EDITABLE_FIELDS = ['name', 'title', 'description', 'sources', 'include', 'exclude', 'limit'];
+const NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_NAME_LENGTH = 64;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_MAX_SOURCES = 100;
+const DEFAULT_CONCURRENCY = 6;
+
+class VirtualFeedError extends HttpError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'VirtualFeedError';
+  }
+}
+
+/**
+ * Definitions of virtual feeds, persisted in `virtual-feeds.json` under
+ * DATA_DIR. A virtual feed merges the items of several source feeds into
+ * one, optionally keeping only the items that mention some keywords and
+ * dropping those that mention others (see buildVirtualFeed).
+ *
+ * Each definition is `{ name, title, description, sources, include,
+ * exclude, limit, createdAt, updatedAt }`. `name` identifies it and is
+ * part of the URLs it is served from, so it is kept to lower-case letters,
+ * digits and dashes.
+ */
+class VirtualFeedStore {
+  /**
+   * @param {JsonStore} [store] - Backing document, `{ feeds: [] }`
+   */
+  constructor(store = new JsonStore(path.join(dataDir(), 'virtual-feeds.json'), { feeds: [] })) {
+    this.store = store;
+  }
+
+  /**
+   * @returns {Promise<object[]>} Definitions in the order they were created
+   */
+  async list() {
+    const { feeds } = await this.store.read();
+    return feeds.map(copyDefinition);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<object>}
+   * @throws {VirtualFeedError} 404 when there is no such virtual feed
+   */
+  async get(name) {
+    const { feeds } = await this.store.read();
+    return copyDefinition(findByName(feeds, name));
+  }
+
+  /**
+   * @param {{ name: string, sources: string[], title?: string|null, description?: string|null,
+   *   include?: string[], exclude?: string[], limit?: number }} fields
+   * @returns {Promise<object>} The new definition
+   * @throws {VirtualFeedError} 400 for invalid fields, 409 when the name is taken
+   */
+  async create(fields) {
+    const values = validateFields(fields, { required: true });
+
+    return this.store.update(({ feeds }) => {
+      assertUnique(feeds, values.name);
+
+      const now = new Date().toISOString();
+      const definition = {
+        name: values.name,
+        title: values.title ?? null,
+        description: values.description ?? null,
+        sources: values.sources,
+        include: values.include ?? [],
+        exclude: values.exclude ?? [],
+        limit: values.limit ?? DEFAULT_LIMIT,
+        createdAt: now,
+        updatedAt: now
+      };
+      feeds.push(definition);
+      return copyDefinition(definition);
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {object} patch - Any of the fields of create; a new `name` renames the feed
+   * @returns {Promise<object>} The updated definition
+   * @throws {VirtualFeedError} 400 for invalid fields, 404 when missing, 409 when renamed to a taken name
+   */
+  async update(name, patch) {
+    const values = validateFields(patch, { required: false });
+
+    return this.store.update(({ feeds }) => {
+      const definition = findByName(feeds, name);
+      if (values.name && values.name !== definition.name) {
+        assertUnique(feeds, values.name);
+      }
+
+      Object.assign(definition, values, { updatedAt: new Date().toISOString() });
+      return copyDefinition(definition);
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @throws {VirtualFeedError} 404 when there is no such virtual feed
+   */
+  async remove(name) {
+    await this.store.update(({ feeds }) => {
+      feeds.splice(feeds.indexOf(findByName(feeds, name)), 1);
+    });
+  }
+}
+
+/**
+ * Fetches the sources of a virtual feed and merges their items, newest
+ * first. Items must mention one of the `include` keywords (when there are
+ * any) and none of the `exclude` ones, in their title, text, author or
+ * categories; keywords match whole words regardless of case and accents,
+ * and keywords of several words match them in a row. An item listed by
+ * several sources is kept once. Items get ids that are unique across the
+ * sources, so they make valid guids.
+ *
+ * Sources are fetched like GET /api/rss fetches them, and their items are
+ * added to the item store. Sources that fail are left out, unless they all
+ * do.
+ * @param {object} definition - As stored by VirtualFeedStore
+ * @param {object} [options]
+ * @param {(url: string) => Promise<object>} [options.fetch] - Fetches one feed, fetchFeed by default
+ * @returns {Promise<object>} The merged feed, normalized like parseFeed output
+ * @throws {Error} The error of the first source when none could be fetched
+ */
+async function buildVirtualFeed(definition, { fetch = fetchFeed } = {}) {
+  const concurrency = Number(process.env.FEED_BATCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+  const results = await mapWithConcurrency(definition.sources, concurrency, async (url) => {
+    try {
+      const response = await fetch(url);
+      const feed = parseFeed(response.data);
+      // The feed is served even when its items cannot be stored
+      await storeFeedItems(url, response)
+        .catch((error) => console.error(`Unable to store items of ${url}:`, error.message));
+      return { url, feed };
+    } catch (error) {
+      return { url, error };
+    }
+  });
+
+  const failures = results.filter((result) => result.error);
+  if (failures.length === results.length && failures.length) {
+    throw failures[0].error;
+  }
+
+  const include = definition.include.map(tokenize);
+  const exclude = definition.exclude.map(tokenize);
+  const matches = (words) => (keywords) => keywords.some((keyword) => containsWords(words, keyword));
+
+  const seen = new Set();
+  const items = results
+    .filter((result) => result.feed)
+    .flatMap(({ url, feed }) => feed.items.map((item) => ({ ...item, id: mergedId(item, url) })))
+    .filter((item) => {
+      const words = tokenize(itemText(item));
+      return (!include.length || matches(words)(include)) && !matches(words)(exclude);
+    })
+    .sort((a, b) => itemTime(b) - itemTime(a))
+    .filter((item) => {
+      const keys = [item.id, item.link].filter(Boolean);
+      if (keys.some((key) => seen.has(key))) {
+        return false;
+      }
+      keys.forEach((key) => seen.add(key));
+      return true;
+    })
+    .slice(0, definition.limit);
+
+  failures.forEach(({ url, error }) => console.error(`Left ${url} out of virtual feed ${definition.name}:`, error.message));
+
+  const latest = items.map(itemTime).find(Boolean);
+  return {
+    title: definition.title || definition.name,
+    description: definition.description || `Items from ${definition.sources.length} ${definition.sources.length === 1 ? 'feed' : 'feeds'}`,
+    link: null,
+    language: null,
+    // Written as lastBuildDate; the build time only when no item is dated
+    updated: latest ? new Date(latest).toISOString() : null,
+    items
+  };
+}
+
+// Ids that are IRIs are unique anyway; bare guids such as "post-42" are
+// qualified with their feed's URL so two sources cannot clash
+function mergedId(item, sourceUrl) {
+  if (!item.id) {
+    return item.link || null;
+  }
+  return /^[a-z][a-z0-9+.-]*:/i.test(item.id) ? item.id : `${sourceUrl}#${item.id}`;
+}
+
+function itemText(item) {
+  return [item.title, item.author, ...(item.categories || []), htmlToText(item.summary), htmlToText(item.content)]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function copyDefinition(definition) {
+  return { ...definition, sources: [...definition.sources], include: [...definition.include], exclude: [...definition.exclude] };
+}
+
+function findByName(feeds, name) {
+  const definition = feeds.find((candidate) => candidate.name === name);
+  if (!definition) {
+    throw new VirtualFeedError(404, 'Virtual feed not found');
+  }
+  return definition;
+}
+
+function assertUnique(feeds, name) {
+  if (feeds.some((definition) => definition.name === name)) {
+    throw new VirtualFeedError(409, `A virtual feed named ${name} already exists`);
+  }
+}
+
+/**
+ * Checks a create or patch body and returns the values to store: strings
+ * are trimmed, and empty optional fields become null
+ */
+function validateFields(fields, { required }) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new VirtualFeedError(400, 'Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(fields).find((key) => !EDITABLE_FIELDS.includes(key));
+  if (unknown) {
+    throw new VirtualFeedError(400, `Unknown field: ${unknown}`);
+  }
+
+  const values = {};
+
+  if (fields.name !== undefined || required) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) {
+      throw new VirtualFeedError(400, 'Missing required field: name');
+    }
+    const name = fields.name.trim().toLowerCase();
+    if (!NAME_PATTERN.test(name) || name.length > MAX_NAME_LENGTH) {
+      throw new VirtualFeedError(400, `Field name must be letters, digits and single dashes, at most ${MAX_NAME_LENGTH} characters`);
+    }
+    values.name = name;
+  }
+
+  for (const key of ['title', 'description']) {
+    if (fields[key] === undefined) {
+      continue;
+    }
+    if (fields[key] !== null && typeof fields[key] !== 'string') {
+      throw new VirtualFeedError(400, `Field ${key} must be a string or null`);
+    }
+    values[key] = fields[key] === null ? null : fields[key].trim() || null;
+  }
+
+  if (fields.sources !== undefined || required) {
+    const maxSources = Number(process.env.FEED_BATCH_MAX_URLS) || DEFAULT_MAX_SOURCES;
+    if (!Array.isArray(fields.sources) || !fields.sources.length || !fields.sources.every((url) => typeof url === 'string')) {
+      throw new VirtualFeedError(400, 'Field sources must be a non-empty array of feed URLs');
+    }
+    if (fields.sources.length > maxSources) {
+      throw new VirtualFeedError(400, `Field sources lists too many feeds: ${fields.sources.length} (maximum ${maxSources})`);
+    }
+    values.sources = [...new Set(fields.sources.map((url) => sourceUrl(url.trim())))];
+  }
+
+  for (const key of ['include', 'exclude']) {
+    if (fields[key] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(fields[key]) || !fields[key].every((keyword) => typeof keyword === 'string' && tokenize(keyword).length)) {
+      throw new VirtualFeedError(400, `Field ${key} must be an array of keywords`);
+    }
+    values[key] = [...new Set(fields[key].map((keyword) => keyword.trim()))];
+  }
+
+  if (fields.limit !== undefined) {
+    if (!Number.isInteger(fields.limit) || fields.limit < 1 || fields.limit > MAX_LIMIT) {
+      throw new VirtualFeedError(400, `Field limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+    values.limit = fields.limit;
+  }
+
+  return values;
+}
+
+// Sources are kept under the URL their items are stored under
+function sourceUrl(url) {
+  const feedUrl = normalizeFeedUrl(url, () => new VirtualFeedError(400, `Invalid source URL: ${url}`));
+  if (!/^https?:/.test(feedUrl)) {
+    throw new VirtualFeedError(400, `Only http and https feed URLs can be sources: ${url}`);
+  }
+  return feedUrl;
+}
+
+let defaultStore = null;
+
+/**
+ * @returns {VirtualFeedStore} The store shared by the API, created on first use
+ */
+function virtualFeedStore() {
+  if (!defaultStore) {
+    defaultStore = new VirtualFeedStore();
+  }
+  return defaultStore;
+}
+
+module.exports = { VirtualFeedStore, VirtualFeedError, virtualFeedStore, buildVirtualFeed };
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const path = require('path');
+const { JsonStore, StoreError, dataDir } = require('./json-store');
+const { normalizeFeedUrl } = require('./item-store');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_MIN_INTERVAL_MS = 60 * 1000;
+
+// Poll outcomes kept per feed, newest first
+const HISTORY_LENGTH = 20;
+
+class WatchListError extends StoreError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'WatchListError';
+  }
+}
+
+/**
+ * Feeds polled in the background, persisted in `watchlist.json` under
+ * DATA_DIR.
+ *
+ * Each entry is `{ id, url, intervalMs, schedule, createdAt, lastPolledAt,
+ * nextPollAt, consecutiveFailures, history }`. `intervalMs` is a fixed
+ * polling interval, or null to let the refresh planner pick one after each
+ * poll, in which case `schedule` holds the latest plan. `history` holds the
+ * outcomes of the latest polls, newest first.
+ *
+ * Emits `added` (entry), `updated` (entry) and `removed` (id) when the list
+ * is changed through `add`, `update` and `remove`, so a running poller can
+ * follow along.
+ */
+class WatchList extends EventEmitter {
+  /**
+   * @param {JsonStore} [store] - Backing document, `{ feeds: [] }`
+   */
+  constructor(store = new JsonStore(path.join(dataDir(), 'watchlist.json'), { feeds: [] })) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * @returns {Promise<object[]>} Watched feeds in the order they were added
+   */
+  async list() {
+    const { feeds } = await this.store.read();
+    return feeds.map(copyEntry);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object>}
+   * @throws {WatchListError} 404 when the feed is not watched
+   */
+  async get(id) {
+    const { feeds } = await this.store.read();
+    return copyEntry(findById(feeds, id));
+  }
+
+  /**
+   * Starts watching a feed; it is due for polling straight away
+   * @param {{ url: string, intervalMs?: number|null }} fields
+   * @returns {Promise<object>} The new entry
+   * @throws {WatchListError} 400 for invalid fields, 409 when the URL is already watched
+   */
+  async add(fields) {
+    const values = validateFields(fields, { requireUrl: true });
+
+    const entry = await this.store.update(({ feeds }) => {
+      if (feeds.some((feed) => feed.url === values.url)) {
+        throw new WatchListError(409, `Already watching ${values.url}`);
+      }
+
+      const now = new Date().toISOString();
+      const feed = {
+        id: crypto.randomUUID(),
+        url: values.url,
+        intervalMs: values.intervalMs ?? null,
+        schedule: null,
+        createdAt: now,
+        lastPolledAt: null,
+        nextPollAt: now,
+        consecutiveFailures: 0,
+        history: []
+      };
+      feeds.push(feed);
+      return copyEntry(feed);
+    });
+
+    this.emit('added', entry);
+    return entry;
+  }
+
+  /**
+   * Changes a feed's polling interval (null for a planned one); the next
+   * poll moves accordingly
+   * @param {string} id
+   * @param {{ intervalMs: number|null }} patch
+   * @returns {Promise<object>} The updated entry
+   * @throws {WatchListError} 400 for invalid fields, 404 when the feed is not watched
+   */
+  async update(id, patch) {
+    const values = validateFields(patch, { requireUrl: false });
+
+    const entry = await this.store.update(({ feeds }) => {
+      const feed = findById(feeds, id);
+      if (values.intervalMs !== undefined) {
+        feed.intervalMs = values.intervalMs;
+        const from = feed.lastPolledAt ? Date.parse(feed.lastPolledAt) : Date.now();
+        feed.nextPollAt = new Date(from + currentInterval(feed)).toISOString();
+      }
+      return copyEntry(feed);
+    });
+
+    this.emit('updated', entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} id
+   * @throws {WatchListError} 404 when the feed is not watched
+   */
+  async remove(id) {
+    await this.store.update(({ feeds }) => {
+      feeds.splice(feeds.indexOf(findById(feeds, id)), 1);
+    });
+    this.emit('removed', id);
+  }
+
+  /**
+   * Stores the outcome of a poll and when the feed is due next
+   * @param {string} id
+   * @param {{ at: string, ok: boolean }} outcome - Poll outcome; `at` is when the poll started
+   * @param {Date} nextPollAt
+   * @param {object} [schedule] - Refresh plan the next poll follows, kept until the next plan
+   * @returns {Promise<object>} The updated entry
+   * @throws {WatchListError} 404 when the feed stopped being watched during the poll
+   */
+  recordPoll(id, outcome, nextPollAt, schedule) {
+    return this.store.update(({ feeds }) => {
+      const feed = findById(feeds, id);
+      if (schedule) {
+        feed.schedule = schedule;
+      }
+      feed.lastPolledAt = outcome.at;
+      feed.nextPollAt = nextPollAt.toISOString();
+      feed.consecutiveFailures = outcome.ok ? 0 : feed.consecutiveFailures + 1;
+      feed.history = [outcome, ...feed.history].slice(0, HISTORY_LENGTH);
+      return copyEntry(feed);
+    });
+  }
+}
+
+function copyEntry(feed) {
+  return { ...feed, schedule: structuredClone(feed.schedule), history: feed.history.map((outcome) => ({ ...outcome })) };
+}
+
+/**
+ * @param {object} feed - Watch list entry
+ * @returns {number} The feed's fixed interval, else its last planned one, else the default
+ */
+function currentInterval(feed) {
+  return feed.intervalMs || (feed.schedule && feed.schedule.intervalMs) || pollInterval();
+}
+
+function findById(feeds, id) {
+  const feed = feeds.find((candidate) => candidate.id === id);
+  if (!feed) {
+    throw new WatchListError(404, 'Watched feed not found');
+  }
+  return feed;
+}
+
+function validateFields(fields, { requireUrl }) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new WatchListError(400, 'Request body must be a JSON object');
+  }
+
+  const editable = requireUrl ? ['url', 'intervalMs'] : ['intervalMs'];
+  const unknown = Object.keys(fields).find((key) => !editable.includes(key));
+  if (unknown) {
+    throw new WatchListError(400, `Unknown field: ${unknown}`);
+  }
+
+  const values = {};
+
+  if (requireUrl) {
+    if (typeof fields.url !== 'string' || !fields.url.trim()) {
+      throw new WatchListError(400, 'Missing required field: url');
+    }
+    values.url = normalizeUrl(fields.url.trim());
+  }
+
+  if (fields.intervalMs !== undefined) {
+    const minimum = minPollInterval();
+    if (fields.intervalMs !== null && (!Number.isInteger(fields.intervalMs) || fields.intervalMs < minimum)) {
+      throw new WatchListError(400, `Field intervalMs must be null or a whole number of milliseconds, at least ${minimum}`);
+    }
+    values.intervalMs = fields.intervalMs;
+  }
+
+  return values;
+}
+
+// Watched feeds are keyed by the URL their items are stored under
+function normalizeUrl(url) {
+  const feedUrl = normalizeFeedUrl(url, () => new WatchListError(400, 'Invalid URL format'));
+  if (!/^https?:/.test(feedUrl)) {
+    throw new WatchListError(400, 'Only http and https feed URLs can be watched');
+  }
+  return feedUrl;
+}
+
+/**
+ * Polling interval for feeds the refresh planner knows nothing about, from the environment
+ * @returns {number}
+ */
+function pollInterval() {
+  return Math.max(Number(process.env.FEED_POLL_INTERVAL_MS) || DEFAULT_INTERVAL_MS, minPollInterval());
+}
+
+/**
+ * Shortest polling interval accepted, from the environment
+ * @returns {number}
+ */
+function minPollInterval() {
+  return Number(process.env.FEED_POLL_MIN_INTERVAL_MS) || DEFAULT_MIN_INTERVAL_MS;
+}
+
+let defaultWatchList = null;
+
+/**
+ * @returns {WatchList} The watch list shared by the API and the poller, created on first use
+ */
+function watchListStore() {
+  if (!defaultWatchList) {
+    defaultWatchList = new WatchList();
+  }
+  return defaultWatchList;
+}
+
+module.exports = { WatchList, WatchListError, watchListStore, currentInterval, pollInterval, minPollInterval };
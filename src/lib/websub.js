@@ -0,0 +1,539 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const path = require('path');
+const axios = require('axios');
+const { JsonStore, StoreError, dataDir } = require('./json-store');
+const { readFeedLinks } = require('./feed-parser');
+const { decodeBody } = require('./charset');
+const { USER_AGENT, cachePushedFeed } = require('./feed-fetcher');
+const { assertUrlAllowed, assertRedirectAllowed, guardedLookup } = require('./url-guard');
+const { resolveUrl } = require('./url-resolver');
+const { storeFeedItems, normalizeFeedUrl } = require('./item-store');
+const { subscriptionStore } = require('./subscriptions');
+const { watchListStore } = require('./watch-list');
+
+const DEFAULT_LEASE_SECONDS = 10 * 24 * 60 * 60;
+
+// A lease is renewed once this fraction of it is left
+const RENEW_MARGIN = 0.1;
+
+// Requests a hub has not verified by then are made again on the next fetch
+const PENDING_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Failed renewals are retried after this long, while the lease lasts
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Longest delay setTimeout can wait
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+class WebSubError extends StoreError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'WebSubError';
+  }
+}
+
+/**
+ * Subscribes to the WebSub hubs of followed feeds, so new content is pushed
+ * to us instead of being polled for. Subscriptions are persisted in
+ * `websub.json` under DATA_DIR.
+ *
+ * Every feed fetched from upstream is checked for hub and self links
+ * (`discover`). Feeds that are saved or watched and advertise a hub are
+ * subscribed to with a callback URL under WEBSUB_CALLBACK_URL and a secret
+ * of their own. The hub verifies the request against the callback
+ * (`verify`), then posts new content to it, signed with the secret
+ * (`receive`). Pushed content becomes the feed's cached response until the
+ * lease expires, and its items are stored. Leases are renewed before they
+ * run out, or given up once the feed is no longer followed.
+ *
+ * Each subscription is `{ id, feedUrl, topic, hub, secret, state,
+ * leaseSeconds, requestedAt, verifiedAt, expiresAt, lastPushAt, pushes,
+ * lastError }`, where `state` is pending, subscribed, unsubscribing, denied
+ * or failed.
+ *
+ * Emits `pushed` (feedUrl) for every accepted delivery.
+ */
+class WebSubSubscriber extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {JsonStore} [options.store] - Backing document, `{ subscriptions: [] }`
+   * @param {string|null} [options.callbackUrl] - Public base URL of this server
+   *   (WEBSUB_CALLBACK_URL); nothing is subscribed to without one
+   * @param {number} [options.leaseSeconds] - Lease to ask hubs for (WEBSUB_LEASE_SECONDS)
+   * @param {(hub: string, params: object) => Promise<void>} [options.request] - Sends a
+   *   subscription request to a hub
+   * @param {(url: string) => Promise<boolean>} [options.isFollowed] - Whether a feed is
+   *   worth subscribing to, by default when it is saved or watched
+   * @param {(url: string, response: object) => Promise<object|null>} [options.storeItems] - Stores
+   *   the items of pushed content, storeFeedItems by default
+   */
+  constructor({
+    store = new JsonStore(path.join(dataDir(), 'websub.json'), { subscriptions: [] }),
+    callbackUrl = webSubCallbackUrl(),
+    leaseSeconds = webSubLeaseSeconds(),
+    request = requestHub,
+    isFollowed = isFollowedFeed,
+    storeItems = storeFeedItems
+  } = {}) {
+    super();
+    this.store = store;
+    this.callbackUrl = callbackUrl ? callbackUrl.replace(/\/+$/, '') : null;
+    this.leaseSeconds = leaseSeconds;
+    this.request = request;
+    this.isFollowed = isFollowed;
+    this.storeItems = storeItems;
+    this.running = false;
+    this.timers = new Map();
+  }
+
+  get enabled() {
+    return Boolean(this.callbackUrl);
+  }
+
+  /**
+   * @returns {Promise<object[]>} Subscriptions, without their secrets
+   */
+  async list() {
+    const { subscriptions } = await this.store.read();
+    return subscriptions.map(publicRecord);
+  }
+
+  /**
+   * Subscribes to a fetched feed's hub when it advertises one, is followed
+   * and is not already subscribed there
+   * @param {string} url - URL the feed was fetched from
+   * @param {{ data: string|object }} response - The feed as returned by fetchFeed
+   * @returns {Promise<object|null>} The subscription when one was requested
+   */
+  async discover(url, response) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    // Subscriptions are kept under the URL the feed's items are stored under,
+    // so that spellings of one URL share a single hub subscription
+    const feedUrl = normalizeFeedUrl(url);
+
+    const links = readFeedLinks(response.data);
+    const hub = links.hubs.map((href) => resolveUrl(href, feedUrl)).find(Boolean);
+    if (!hub) {
+      return null;
+    }
+    const topic = resolveUrl(links.self, feedUrl) || feedUrl;
+
+    const { subscriptions } = await this.store.read();
+    const existing = subscriptions.find((record) => record.feedUrl === feedUrl);
+    if (existing && existing.hub === hub && existing.topic === topic && isActive(existing)) {
+      return null;
+    }
+    if (!(await this.isFollowed(feedUrl))) {
+      return null;
+    }
+    return this.subscribe(feedUrl, { hub, topic });
+  }
+
+  /**
+   * Asks a hub for a subscription, or for a renewal of one. The hub
+   * confirms it later through `verify`.
+   * @param {string} feedUrl
+   * @param {{ hub: string, topic: string }} target - Hub URL and the feed's URL at the hub
+   * @returns {Promise<object>} The subscription
+   */
+  async subscribe(feedUrl, { hub, topic }) {
+    const record = await this.store.update(({ subscriptions }) => {
+      let entry = subscriptions.find((candidate) => candidate.feedUrl === feedUrl);
+      if (!entry) {
+        entry = {
+          id: crypto.randomUUID(),
+          feedUrl,
+          topic,
+          hub,
+          secret: crypto.randomBytes(32).toString('hex'),
+          state: 'pending',
+          leaseSeconds: null,
+          requestedAt: null,
+          verifiedAt: null,
+          expiresAt: null,
+          lastPushAt: null,
+          pushes: 0,
+          lastError: null
+        };
+        subscriptions.push(entry);
+      }
+
+      // A renewal keeps the subscription active until the hub confirms it
+      if (entry.state !== 'subscribed' || entry.hub !== hub || entry.topic !== topic) {
+        entry.state = 'pending';
+      }
+      entry.hub = hub;
+      entry.topic = topic;
+      entry.requestedAt = new Date().toISOString();
+      entry.lastError = null;
+      return { ...entry };
+    });
+
+    return this.sendRequest(record, 'subscribe');
+  }
+
+  /**
+   * Asks the hub to stop pushing a feed; the subscription is removed once
+   * the hub confirms
+   * @param {string} id
+   * @returns {Promise<object|null>} The subscription, or null when it was
+   *   dropped because the hub could not be reached
+   * @throws {WebSubError} 404 for unknown subscriptions
+   */
+  async unsubscribe(id) {
+    const record = await this.store.update(({ subscriptions }) => {
+      const entry = findById(subscriptions, id);
+      entry.state = 'unsubscribing';
+      entry.requestedAt = new Date().toISOString();
+      return { ...entry };
+    });
+    this.unschedule(id);
+
+    return this.sendRequest(record, 'unsubscribe');
+  }
+
+  async sendRequest(record, mode) {
+    const params = {
+      'hub.mode': mode,
+      'hub.topic': record.topic,
+      'hub.callback': `${this.callbackUrl}/api/websub/callback/${record.id}`
+    };
+    if (mode === 'subscribe') {
+      params['hub.secret'] = record.secret;
+      params['hub.lease_seconds'] = String(this.leaseSeconds);
+    }
+
+    try {
+      await this.request(record.hub, params);
+      return publicRecord(record);
+    } catch (error) {
+      const message = describeHubError(error);
+      console.error(`Unable to ${mode} to ${record.topic} at ${record.hub}:`, message);
+      return this.recordFailure(record.id, message);
+    }
+  }
+
+  // Renewals keep the current lease and are retried; other requests fail
+  async recordFailure(id, message) {
+    const record = await this.store.update(({ subscriptions }) => {
+      const index = subscriptions.findIndex((candidate) => candidate.id === id);
+      if (index === -1) {
+        return null;
+      }
+      const entry = subscriptions[index];
+      if (entry.state === 'unsubscribing') {
+        // Pushes that still arrive are answered with 410 Gone
+        subscriptions.splice(index, 1);
+        return null;
+      }
+      if (entry.state === 'pending') {
+        entry.state = 'failed';
+      }
+      entry.lastError = message;
+      return { ...entry };
+    });
+
+    if (record && record.state === 'subscribed') {
+      this.schedule(id, Math.min(Date.now() + RETRY_DELAY_MS, Date.parse(record.expiresAt)));
+    }
+    return record && publicRecord(record);
+  }
+
+  /**
+   * Answers a hub's verification of intent for a subscription
+   * @param {string} id - Subscription the callback URL belongs to
+   * @param {object} query - The callback's query parameters (`hub.mode`, `hub.topic`,
+   *   `hub.challenge`, `hub.lease_seconds`, `hub.reason`)
+   * @returns {Promise<string>} The challenge to echo back, empty for denials
+   * @throws {WebSubError} 400 for malformed requests, 404 when we did not ask for this
+   */
+  async verify(id, query) {
+    const mode = query['hub.mode'];
+    const challenge = query['hub.challenge'];
+    if (!['subscribe', 'unsubscribe', 'denied'].includes(mode)) {
+      throw new WebSubError(400, 'Invalid hub.mode. Expected subscribe, unsubscribe or denied');
+    }
+    if (mode !== 'denied' && (typeof challenge !== 'string' || !challenge)) {
+      throw new WebSubError(400, 'Missing hub.challenge');
+    }
+
+    const record = await this.store.update(({ subscriptions }) => {
+      const entry = subscriptions.find((candidate) => candidate.id === id);
+      if (!entry || query['hub.topic'] !== entry.topic) {
+        throw new WebSubError(404, 'No subscription to this topic');
+      }
+
+      if (mode === 'denied') {
+        entry.state = 'denied';
+        entry.lastError = typeof query['hub.reason'] === 'string' && query['hub.reason']
+          ? `Denied by the hub: ${query['hub.reason']}`
+          : 'Denied by the hub';
+      } else if (mode === 'subscribe' && ['pending', 'subscribed'].includes(entry.state)) {
+        const lease = Number(query['hub.lease_seconds']);
+        const now = Date.now();
+        entry.state = 'subscribed';
+        entry.leaseSeconds = Number.isInteger(lease) && lease > 0 ? lease : this.leaseSeconds;
+        entry.verifiedAt = new Date(now).toISOString();
+        entry.expiresAt = new Date(now + entry.leaseSeconds * 1000).toISOString();
+        entry.lastError = null;
+      } else if (mode === 'unsubscribe' && entry.state === 'unsubscribing') {
+        subscriptions.splice(subscriptions.indexOf(entry), 1);
+      } else {
+        throw new WebSubError(404, `Not expecting to ${mode}`);
+      }
+      return { ...entry };
+    });
+
+    if (record.state === 'subscribed') {
+      this.scheduleRenewal(record);
+    } else {
+      this.unschedule(id);
+    }
+    return mode === 'denied' ? '' : challenge;
+  }
+
+  /**
+   * Takes content a hub pushed. Deliveries without a valid signature are
+   * ignored, but still acknowledged as the spec requires.
+   * @param {string} id - Subscription the callback URL belongs to
+   * @param {Buffer} body - Raw request body
+   * @param {object} headers - Request headers (lower-case names)
+   * @returns {Promise<boolean>} Whether the content was accepted
+   * @throws {WebSubError} 410 when there is no active subscription, so the hub stops
+   */
+  async receive(id, body, headers) {
+    const { subscriptions } = await this.store.read();
+    const record = subscriptions.find((candidate) => candidate.id === id);
+    if (!record || record.state !== 'subscribed') {
+      throw new WebSubError(410, 'Not subscribed');
+    }
+
+    if (!verifySignature(body, headers['x-hub-signature'], record.secret)) {
+      console.warn(`Ignoring content pushed for ${record.feedUrl}: missing or invalid X-Hub-Signature`);
+      return false;
+    }
+
+    const contentType = headers['content-type'] || 'application/xml';
+    const { text, charset } = decodeBody(body, contentType);
+    const response = { data: text, headers: { 'content-type': contentType }, charset };
+    cachePushedFeed(record.feedUrl, response, Date.parse(record.expiresAt));
+
+    try {
+      await this.storeItems(record.feedUrl, response);
+    } catch (error) {
+      console.error(`Unable to store items of ${record.feedUrl}:`, error.message);
+    }
+
+    await this.store.update(({ subscriptions: current }) => {
+      const entry = current.find((candidate) => candidate.id === id);
+      if (entry) {
+        entry.lastPushAt = new Date().toISOString();
+        entry.pushes += 1;
+      }
+    });
+
+    this.emit('pushed', record.feedUrl);
+    return true;
+  }
+
+  /**
+   * Schedules the renewal of every active lease
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    for (const record of await this.list()) {
+      if (record.state === 'subscribed') {
+        this.scheduleRenewal(record);
+      }
+    }
+  }
+
+  stop() {
+    this.running = false;
+    for (const id of [...this.timers.keys()]) {
+      this.unschedule(id);
+    }
+  }
+
+  scheduleRenewal(record) {
+    const expiresAt = Date.parse(record.expiresAt);
+    this.schedule(record.id, expiresAt - record.leaseSeconds * 1000 * RENEW_MARGIN);
+  }
+
+  schedule(id, at) {
+    if (!this.running) {
+      return;
+    }
+
+    this.unschedule(id);
+    const timer = setTimeout(() => {
+      this.timers.delete(id);
+      // Long leases are waited out in steps
+      if (Date.now() < at) {
+        this.schedule(id, at);
+        return;
+      }
+      this.renew(id).catch((error) => {
+        console.error(`Unable to renew WebSub subscription ${id}:`, error.message);
+      });
+    }, Math.min(Math.max(0, at - Date.now()), MAX_TIMER_MS));
+    // Renewals alone must not keep the process alive
+    timer.unref?.();
+    this.timers.set(id, timer);
+  }
+
+  unschedule(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  /**
+   * Renews a lease, or unsubscribes when the feed is no longer followed
+   * @param {string} id
+   * @returns {Promise<object|null>} The subscription, or null when it is not active
+   */
+  async renew(id) {
+    const { subscriptions } = await this.store.read();
+    const record = subscriptions.find((candidate) => candidate.id === id);
+    if (!record || record.state !== 'subscribed') {
+      return null;
+    }
+
+    if (!(await this.isFollowed(record.feedUrl))) {
+      return this.unsubscribe(id);
+    }
+    return this.subscribe(record.feedUrl, record);
+  }
+}
+
+function publicRecord(record) {
+  const { secret, ...rest } = record;
+  return rest;
+}
+
+function findById(subscriptions, id) {
+  const record = subscriptions.find((candidate) => candidate.id === id);
+  if (!record) {
+    throw new WebSubError(404, 'WebSub subscription not found');
+  }
+  return record;
+}
+
+// Subscribed with time left on the lease, or asked for recently
+function isActive(record) {
+  const now = Date.now();
+  if (record.state === 'subscribed') {
+    return Date.parse(record.expiresAt) > now;
+  }
+  if (record.state === 'pending' || record.state === 'unsubscribing') {
+    return now - Date.parse(record.requestedAt) < PENDING_TIMEOUT_MS;
+  }
+  return false;
+}
+
+/**
+ * Checks an `X-Hub-Signature` header (`sha256=<hex>`, or sha1, sha384 or
+ * sha512) against the HMAC of the body
+ * @param {Buffer} body - Raw request body
+ * @param {string} [header] - Value of the X-Hub-Signature header
+ * @param {string} secret - The subscription's secret
+ * @returns {boolean}
+ */
+function verifySignature(body, header, secret) {
+  const match = /^(\w+)=([0-9a-f]+)$/i.exec(String(header || '').trim());
+  if (!match || !SIGNATURE_ALGORITHMS.includes(match[1].toLowerCase())) {
+    return false;
+  }
+
+  const expected = crypto.createHmac(match[1].toLowerCase(), secret).update(body).digest();
+  const actual = Buffer.from(match[2], 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Posts a subscription request to a hub, through the same URL guard as feed
+ * fetches
+ * @param {string} hub - Hub URL
+ * @param {object} params - `hub.*` form fields
+ */
+async function requestHub(hub, params) {
+  assertUrlAllowed(hub);
+  await axios.post(hub, new URLSearchParams(params).toString(), {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    timeout: 10000,
+    maxRedirects: 5,
+    lookup: guardedLookup,
+    beforeRedirect: assertRedirectAllowed,
+    validateStatus: (status) => status >= 200 && status < 300
+  });
+}
+
+function describeHubError(error) {
+  if (error.response) {
+    return `The hub answered ${error.response.status}`;
+  }
+  return error.message;
+}
+
+/**
+ * Feeds are followed while they are saved or on the watch list
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+async function isFollowedFeed(url) {
+  if (await subscriptionStore().findByUrl(url)) {
+    return true;
+  }
+  return (await watchListStore().list()).some((feed) => feed.url === url);
+}
+
+/**
+ * Public base URL hubs call back, from the environment
+ * @returns {string|null}
+ */
+function webSubCallbackUrl() {
+  return process.env.WEBSUB_CALLBACK_URL || null;
+}
+
+/**
+ * Lease to ask hubs for, from the environment
+ * @returns {number} Seconds
+ */
+function webSubLeaseSeconds() {
+  return Number(process.env.WEBSUB_LEASE_SECONDS) || DEFAULT_LEASE_SECONDS;
+}
+
+let defaultSubscriber = null;
+
+/**
+ * @returns {WebSubSubscriber} The subscriber shared by the API and the
+ *   fetcher, created on first use
+ */
+function webSubSubscriber() {
+  if (!defaultSubscriber) {
+    defaultSubscriber = new WebSubSubscriber();
+  }
+  return defaultSubscriber;
+}
+
+module.exports = {
+  WebSubSubscriber,
+  WebSubError,
+  webSubSubscriber,
+  verifySignature,
+  webSubCallbackUrl,
+  webSubLeaseSeconds
+};
@@ -0,0 +1,162 @@
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Fixed-window request counters kept in process memory.
+ *
+ * Any object with the same `increment`/`resetKey` methods can be passed to
+ * `rateLimit` as its `store`, e.g. one backed by Redis so several server
+ * instances share their counters.
+ */
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.nextSweep = 0;
+  }
+
+  /**
+   * Adds `cost` hits to a key's current window, starting a new window when
+   * the previous one has ended
+   * @param {string} key - Client key
+   * @param {number} windowMs - Window length
+   * @param {number} [cost=1] - Hits to add
+   * @returns {Promise<{ count: number, resetTime: number }>} Hits so far in
+   *   the window and the time (ms since epoch) the window ends
+   */
+  async increment(key, windowMs, cost = 1) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetTime <= now) {
+      window = { count: 0, resetTime: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count += cost;
+
+    return { count: window.count, resetTime: window.resetTime };
+  }
+
+  /**
+   * @param {string} key - Client key whose window is dropped
+   */
+  async resetKey(key) {
+    this.windows.delete(key);
+  }
+
+  async resetAll() {
+    this.windows.clear();
+  }
+
+  // Drops ended windows at most once a second, so idle clients do not pile up
+  sweep(now) {
+    if (now < this.nextSweep) {
+      return;
+    }
+    this.nextSweep = now + 1000;
+    for (const [key, window] of this.windows) {
+      if (window.resetTime <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Creates a rate limiting middleware. Clients presenting one of the
+ * configured API tokens (`Authorization: Bearer <token>` or `X-API-Key`)
+ * are counted per token against `tokenLimit`; everyone else is counted per
+ * IP address against `limit`. Every response carries `RateLimit-Limit`,
+ * `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy` headers;
+ * requests over budget get a 429 with `Retry-After`.
+ * @param {object} options
+ * @param {string} options.name - Budget name, keeps the counters of different limiters apart
+ * @param {number} options.limit - Requests per window for each IP address
+ * @param {number} [options.tokenLimit] - Requests per window for each API token (defaults to `limit`)
+ * @param {number} [options.windowMs=60000] - Window length
+ * @param {string[]} [options.tokens=[]] - Recognized API tokens
+ * @param {object} [options.store] - Counter store, a MemoryStore by default
+ * @param {(req: import('express').Request) => number} [options.cost] - Hits a request counts for (1 by default)
+ * @returns {import('express').RequestHandler}
+ */
+function rateLimit({
+  name,
+  limit,
+  tokenLimit = limit,
+  windowMs = DEFAULT_WINDOW_MS,
+  tokens = [],
+  store = new MemoryStore(),
+  cost = () => 1
+}) {
+  const knownTokens = new Set(tokens);
+
+  return async (req, res, next) => {
+    const token = requestToken(req);
+    const client = token && knownTokens.has(token)
+      ? { key: `${name}:token:${token}`, limit: tokenLimit }
+      : { key: `${name}:ip:${req.ip}`, limit };
+
+    let counter;
+    try {
+      counter = await store.increment(client.key, windowMs, cost(req));
+    } catch (error) {
+      // A broken store must not take the API down with it
+      console.error(`Rate limit store failed for "${name}":`, error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((counter.resetTime - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(client.limit),
+      'RateLimit-Remaining': String(Math.max(0, client.limit - counter.count)),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${client.limit};w=${Math.ceil(windowMs / 1000)}`
+    });
+
+    if (counter.count > client.limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded. Try again in ${resetSeconds} seconds.`
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Reads the API token from `Authorization: Bearer <token>` or `X-API-Key`
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function requestToken(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) {
+    return bearer[1];
+  }
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Builds the limiter options shared by the server from the environment
+ * @returns {{ windowMs: number, tokens: string[], api: object, fetch: object }}
+ */
+function rateLimitSettings() {
+  const positive = (value, fallback) => Number(value) > 0 ? Number(value) : fallback;
+
+  return {
+    windowMs: positive(process.env.RATE_LIMIT_WINDOW_MS, DEFAULT_WINDOW_MS),
+    tokens: (process.env.API_TOKENS || '').split(',').map((token) => token.trim()).filter(Boolean),
+    api: {
+      limit: positive(process.env.RATE_LIMIT_MAX, 300),
+      tokenLimit: positive(process.env.RATE_LIMIT_TOKEN_MAX, 1500)
+    },
+    fetch: {
+      limit: positive(process.env.RATE_LIMIT_FETCH_MAX, 120),
+      tokenLimit: positive(process.env.RATE_LIMIT_TOKEN_FETCH_MAX, 600)
+    }
+  };
+}
+
+module.exports = { MemoryStore, rateLimit, rateLimitSettings, requestToken };
@@ -0,0 +1,31 @@
+const express = require('express');
+const { validateFeedUrl, sendFeedError } = require('../lib/feed-fetcher');
+const { fetchArticle, ArticleError } = require('../lib/readability');
+const { sendError } = require('../lib/http-error');
+const router = express.Router();
+
+/**
+ * GET /api/article?url=<PAGE_URL>
+ * Reads the main article of a web page, for reading an item in the app:
+ * its title, byline, lead image, and content as sanitized HTML and as text
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    const validationError = validateFeedUrl(url);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    res.json(await fetchArticle(url));
+
+  } catch (error) {
+    if (error instanceof ArticleError) {
+      return sendError(res, error, 'Unable to read the article');
+    }
+    return sendFeedError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const { validateFeedUrl, sendFeedError } = require('../lib/feed-fetcher');
+const { discoverFeeds } = require('../lib/discovery');
+const router = express.Router();
+
+/**
+ * GET /api/discover?url=<PAGE_URL>
+ * Lists the feeds offered by a web page, from its <link rel="alternate">
+ * tags or, failing that, from common feed paths on the same site
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    const validationError = validateFeedUrl(url);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    res.json(await discoverFeeds(url));
+
+  } catch (error) {
+    return sendFeedError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const { validateFeedUrl, fetchFeed, sendFeedError } = require('../lib/feed-fetcher');
+const { parseFeed } = require('../lib/feed-parser');
+const router = express.Router();
+
+/**
+ * GET /api/feed?url=<FEED_URL>
+ * Fetches a feed and returns it as normalized JSON, whatever its source format
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    const validationError = validateFeedUrl(url);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const response = await fetchFeed(url);
+    res.set('X-Cache', response.cacheStatus);
+    res.json(parseFeed(response.data));
+
+  } catch (error) {
+    return sendFeedError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const { validateFeedUrl } = require('../lib/feed-fetcher');
+const { itemStore, parsePageSize, validateMarkRequest } = require('../lib/item-store');
+const { subscriptionStore } = require('../lib/subscriptions');
+const { annotateItems } = require('../lib/rules');
+const { sendStoreError } = require('../lib/json-store');
+const router = express.Router();
+
+/**
+ * GET /api/items?url=<FEED_URL>[&limit=50][&cursor=<CURSOR>][&state=unread|read|starred|archived]
+ * Pages back through every item stored for a feed, newest first. Pass the
+ * `nextCursor` of a page as `cursor` to get the next one. Each item comes
+ * with what the filtering rules do to it, as `rules`.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { url, cursor, state } = req.query;
+
+    const validationError = validateFeedUrl(url);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const limit = parsePageSize(req.query.limit);
+    const page = await itemStore().list(url, { limit, cursor, state });
+    res.json({ url, ...page, items: await annotateItems(page.items) });
+
+  } catch (error) {
+    return sendItemError(res, error);
+  }
+});
+
+/**
+ * GET /api/items/counts
+ * Total, unread and starred items of every stored feed, by feed URL
+ */
+router.get('/counts', async (req, res) => {
+  try {
+    res.json({ feeds: await itemStore().counts() });
+  } catch (error) {
+    return sendItemError(res, error);
+  }
+});
+
+/**
+ * POST /api/items/mark
+ * Body: { "read"|"starred"|"archived": <boolean>, "url"|"folder"|"ids": ..., "olderThan": "<DATE>" }
+ * Changes the state of every item of a feed, of the saved feeds in a folder,
+ * or with the given ids (all stored items when none is given), optionally
+ * only those dated before `olderThan`
+ */
+router.post('/mark', async (req, res) => {
+  try {
+    const { url, folder, ids, olderThan, state } = validateMarkRequest(req.body);
+
+    let feedUrls = url && [url];
+    if (folder) {
+      feedUrls = (await subscriptionStore().list({ folder })).map((subscription) => subscription.url);
+    }
+
+    res.json({ updated: await itemStore().markMany({ feedUrls, ids, olderThan }, state) });
+  } catch (error) {
+    return sendItemError(res, error);
+  }
+});
+
+/**
+ * GET /api/items/:id
+ * One item, with what the filtering rules do to it
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const [item] = await annotateItems([await itemStore().get(req.params.id)]);
+    res.json(item);
+  } catch (error) {
+    return sendItemError(res, error);
+  }
+});
+
+/**
+ * PATCH /api/items/:id
+ * Body: any of read, starred and archived
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const [item] = await annotateItems([await itemStore().setState(req.params.id, req.body)]);
+    res.json(item);
+  } catch (error) {
+    return sendItemError(res, error);
+  }
+});
+
+function sendItemError(res, error) {
+  return sendStoreError(res, error, 'stored items');
+}
+
+module.exports = router;
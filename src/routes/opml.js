@@ -0,0 +1,66 @@
+const express = require('express');
+const http = require('http');
+const { subscriptionStore } = require('../lib/subscriptions');
+const { parseOpml, toOpml } = require('../lib/opml');
+const { sendStoreError } = require('../lib/json-store');
+const router = express.Router();
+
+const OPML_TYPES = ['text/x-opml', 'application/xml', 'text/xml', 'text/plain'];
+const MAX_OPML_SIZE = '2mb';
+
+const textParser = express.text({ type: OPML_TYPES, limit: MAX_OPML_SIZE });
+
+/**
+ * GET /api/opml
+ * Exports the saved feeds as an OPML 2.0 file, folders as nested outlines
+ */
+router.get('/', async (req, res) => {
+  try {
+    const opml = toOpml(await subscriptionStore().list());
+    res.set('Content-Type', 'text/x-opml; charset=utf-8')
+      .attachment('subscriptions.opml')
+      .send(opml);
+  } catch (error) {
+    return sendStoreError(res, error, 'saved subscriptions');
+  }
+});
+
+/**
+ * POST /api/opml
+ * Body: an OPML document (Content-Type text/x-opml, application/xml or text/xml)
+ * Subscribes to every feed in it, keeping folders, titles and site URLs.
+ * Responds with the new subscriptions and the entries that were skipped as
+ * duplicates or invalid.
+ */
+router.post('/', readOpmlBody, async (req, res) => {
+  try {
+    const { entries, invalid } = parseOpml(req.body);
+    const result = await subscriptionStore().importMany(entries);
+
+    res.json({
+      imported: result.imported,
+      duplicates: result.duplicates,
+      invalid: [...invalid, ...result.invalid]
+    });
+  } catch (error) {
+    return sendStoreError(res, error, 'saved subscriptions');
+  }
+});
+
+// Body read errors are answered in the API's JSON error shape
+function readOpmlBody(req, res, next) {
+  textParser(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    const status = error.status || 400;
+    return res.status(status).json({
+      error: http.STATUS_CODES[status],
+      message: error.type === 'entity.too.large'
+        ? `OPML document is too large (maximum ${MAX_OPML_SIZE})`
+        : 'Unable to read the OPML document'
+    });
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { validateFeedUrl, fetchFeed, describeFeedError } = require('../lib/feed-fetcher');
+const { parseFeed } = require('../lib/feed-parser');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { itemStore, parsePageSize, normalizeFeedUrl } = require('../lib/item-store');
+const { subscriptionStore } = require('../lib/subscriptions');
+const { annotateItems } = require('../lib/rules');
+const { sendStoreError } = require('../lib/json-store');
+const router = express.Router();
+
+const DEFAULT_MAX_FEEDS = 100;
+const DEFAULT_CONCURRENCY = 6;
+
+/**
+ * GET /api/river[?feeds=<FEED_URL>...][&folder=<FOLDER>][&limit=50][&cursor=<CURSOR>][&state=unread|read|starred|archived]
+ * River of news: the items of several feeds merged into one timeline, newest
+ * first, each tagged with the title of its feed. Follows the given feeds, or
+ * every saved feed when none are given, in either case only those saved in
+ * `folder` when it is set. The first page fetches every feed, stores its
+ * items and reports how each fetch went in `feeds`; pass the `nextCursor`
+ * of a page as `cursor` to page back through the stored items without
+ * fetching again. Items come with what the filtering rules do to them, as
+ * for /api/items.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { folder, cursor, state } = req.query;
+    const limit = parsePageSize(req.query.limit);
+    const maxFeeds = Number(process.env.FEED_BATCH_MAX_URLS) || DEFAULT_MAX_FEEDS;
+    const subscriptions = await subscriptionStore().list();
+
+    let feedUrls = [].concat(req.query.feeds ?? []);
+    if (feedUrls.length) {
+      if (feedUrls.length > maxFeeds) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Too many feeds in one river: ${feedUrls.length} (maximum ${maxFeeds})`
+        });
+      }
+
+      for (const url of feedUrls) {
+        const validationError = typeof url === 'string' ? validateFeedUrl(url) : { message: 'Invalid URL format' };
+        if (validationError) {
+          return res.status(400).json({ error: 'Bad Request', message: `Invalid feeds parameter: ${validationError.message}` });
+        }
+      }
+    } else {
+      feedUrls = subscriptions.map((subscription) => subscription.url);
+    }
+    feedUrls = [...new Set(feedUrls.map((url) => normalizeFeedUrl(url)))];
+
+    if (folder !== undefined) {
+      const folderUrls = subscriptions
+        .filter((subscription) => subscription.folder === folder)
+        .map((subscription) => normalizeFeedUrl(subscription.url));
+      feedUrls = feedUrls.filter((url) => folderUrls.includes(url));
+    }
+
+    let feeds;
+    if (!cursor) {
+      const concurrency = Number(process.env.FEED_BATCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+      feeds = await mapWithConcurrency(feedUrls, concurrency, refreshFeed);
+    }
+
+    const page = await itemStore().timeline(feedUrls, { limit, cursor, state });
+
+    // Saved feeds go by the name they were given
+    const labels = new Map(subscriptions.map((subscription) => [
+      normalizeFeedUrl(subscription.url),
+      subscription.name || subscription.title
+    ]));
+
+    res.json({
+      ...(feeds && { feeds: feeds.map((feed) => ({ ...feed, title: labels.get(feed.url) || feed.title || null })) }),
+      items: (await annotateItems(page.items))
+        .map((item) => ({ ...item, feedTitle: labels.get(item.feedUrl) || item.feedTitle || item.feedUrl })),
+      total: page.total,
+      nextCursor: page.nextCursor
+    });
+
+  } catch (error) {
+    return sendStoreError(res, error, 'the river');
+  }
+});
+
+/**
+ * Fetches one feed of the river and stores its items, turning any failure
+ * into an error result so the other feeds are still shown
+ * @param {string} url - Feed URL
+ * @returns {Promise<object>} `{ url, status, ... }` result entry
+ */
+async function refreshFeed(url) {
+  try {
+    const response = await fetchFeed(url);
+    const feed = parseFeed(response.data);
+    await itemStore().upsert(url, feed);
+    return { url, status: 200, cache: response.cacheStatus, title: feed.title || null };
+  } catch (error) {
+    const { status, body } = describeFeedError(error);
+    return { url, status, error: body };
+  }
+}
+
+module.exports = router;
@@ -1,70 +1,192 @@
 const express = require('express');
-const axios = require('axios');
+const { validateFeedUrl, fetchFeed, describeFeedError, sendFeedError } = require('../lib/feed-fetcher');
+const { parseFeed, isJsonFeed } = require('../lib/feed-parser');
+const { FORMAT_TYPES, toRss, toAtom, toJsonFeed } = require('../lib/feed-writer');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { storeFeedItems } = require('../lib/item-store');
 const router = express.Router();
 
+const DEFAULT_BATCH_MAX_URLS = 100;
+const DEFAULT_BATCH_CONCURRENCY = 6;
+
+// Upstream bodies are transcoded to UTF-8 by fetchFeed, whatever they were sent in
+const CHARSET = 'charset=utf-8';
+
+const WRITERS = {
+  rss: toRss,
+  atom: toAtom,
+  json: (feed, options) => JSON.stringify(toJsonFeed(feed, options))
+};
+
 /**
- * GET /api/rss?url=<RSS_URL>
- * Fetches RSS feed from the provided URL and returns raw XML
+ * GET /api/rss?url=<RSS_URL>[&format=rss|atom|json]
+ * Fetches RSS feed from the provided URL and returns raw XML, or the raw
+ * JSON when the source is a JSON Feed. When a format is requested through
+ * the `format` parameter or the Accept header, the feed is converted to it.
+ * The feed's items are added to the item store (see GET /api/items).
  */
 router.get('/', async (req, res) => {
   try {
-    const { url } = req.query;
+    const { url, format } = req.query;
 
     // Validate URL parameter
-    if (!url) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Missing required query parameter: url'
-      });
+    const validationError = validateFeedUrl(url);
+    if (validationError) {
+      return res.status(400).json(validationError);
     }
 
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch (error) {
+    if (format !== undefined && !Object.hasOwn(FORMAT_TYPES, format)) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'Invalid URL format'
+        message: `Invalid format parameter. Expected one of: ${Object.keys(FORMAT_TYPES).join(', ')}`
       });
     }
 
+    const targetFormat = format || negotiateFormat(req);
+    res.vary('Accept');
+
     // Fetch the RSS feed
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'RSS-Fetch-API/1.0'
-      },
-      timeout: 10000, // 10 second timeout
-      maxRedirects: 5
-    });
+    const response = await fetchFeed(url);
+    const contentType = response.headers['content-type'] || '';
+    res.set('X-Cache', response.cacheStatus);
+    await recordItems(url, response);
+
+    if (targetFormat) {
+      return sendAsFormat(req, res, response.data, targetFormat);
+    }
+
+    // JSON Feed sources are passed through with their own media type
+    if (isJsonFeed(response.data, contentType)) {
+      res.set('Content-Type', `application/feed+json; ${CHARSET}`);
+      return res.send(serializeBody(response.data));
+    }
 
     // Set appropriate content type and return raw XML
-    res.set('Content-Type', 'application/xml');
+    res.set('Content-Type', `application/xml; ${CHARSET}`);
     res.send(response.data);
 
   } catch (error) {
-    // Handle axios errors
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      return res.status(error.response.status).json({
-        error: 'Feed Fetch Failed',
-        message: `Unable to fetch RSS feed: ${error.response.statusText}`,
-        statusCode: error.response.status
+    return sendFeedError(res, error);
+  }
+});
+
+/**
+ * POST /api/rss/batch
+ * Body: { "urls": ["<RSS_URL>", ...], "parse": false }
+ * Fetches many feeds at once with bounded concurrency. Each URL gets its own
+ * result, so one failing feed does not fail the batch: successes carry the
+ * raw `body` (or the normalized `feed` when `parse` is true), failures carry
+ * the same `error` object GET /api/rss would have responded with.
+ */
+router.post('/batch', async (req, res) => {
+  try {
+    const { urls, parse = false } = req.body || {};
+    const maxUrls = Number(process.env.FEED_BATCH_MAX_URLS) || DEFAULT_BATCH_MAX_URLS;
+
+    if (!Array.isArray(urls) || !urls.length || !urls.every((url) => typeof url === 'string')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Request body must include a non-empty "urls" array of strings'
       });
-    } else if (error.request) {
-      // The request was made but no response was received
-      return res.status(503).json({
-        error: 'Service Unavailable',
-        message: 'Unable to reach the RSS feed URL. Please check the URL and try again.'
+    }
+
+    if (urls.length > maxUrls) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Too many URLs in batch: ${urls.length} (maximum ${maxUrls})`
       });
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      return res.status(500).json({
-        error: 'Internal Server Error',
-        message: 'An error occurred while processing the request'
+    }
+
+    if (typeof parse !== 'boolean') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid parse parameter. Expected true or false'
       });
     }
+
+    // Each distinct URL is fetched once, however often it is listed
+    const uniqueUrls = [...new Set(urls)];
+    const concurrency = Number(process.env.FEED_BATCH_CONCURRENCY) || DEFAULT_BATCH_CONCURRENCY;
+    const uniqueResults = await mapWithConcurrency(uniqueUrls, concurrency, (url) => fetchBatchResult(url, parse));
+    const resultsByUrl = new Map(uniqueUrls.map((url, index) => [url, uniqueResults[index]]));
+
+    res.json({ results: urls.map((url) => resultsByUrl.get(url)) });
+
+  } catch (error) {
+    return sendFeedError(res, error);
   }
 });
 
+/**
+ * Fetches one feed of a batch, turning any failure into an error result
+ * @param {string} url - Feed URL
+ * @param {boolean} parse - Whether to return the normalized feed instead of the raw body
+ * @returns {Promise<object>} `{ url, status, ... }` result entry
+ */
+async function fetchBatchResult(url, parse) {
+  const validationError = validateFeedUrl(url);
+  if (validationError) {
+    return { url, status: 400, error: validationError };
+  }
+
+  try {
+    const response = await fetchFeed(url);
+    const result = { url, status: 200, cache: response.cacheStatus };
+
+    if (parse) {
+      return { ...result, feed: parseFeed(response.data) };
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    return isJsonFeed(response.data, contentType)
+      ? { ...result, contentType: `application/feed+json; ${CHARSET}`, body: serializeBody(response.data) }
+      : { ...result, contentType: `application/xml; ${CHARSET}`, body: response.data };
+  } catch (error) {
+    const { status, body } = describeFeedError(error);
+    return { url, status, error: body };
+  }
+}
+
+/**
+ * Picks an output format from the Accept header. Only explicit feed media
+ * types count, so generic values such as `*\/*` keep the raw passthrough.
+ */
+function negotiateFormat(req) {
+  const accept = req.get('Accept') || '';
+  const types = Object.values(FORMAT_TYPES);
+
+  if (!types.some((type) => accept.includes(type))) {
+    return null;
+  }
+
+  const preferred = req.accepts(types);
+  return Object.keys(FORMAT_TYPES).find((key) => FORMAT_TYPES[key] === preferred) || null;
+}
+
+function sendAsFormat(req, res, body, targetFormat) {
+  const feed = parseFeed(body);
+  res.set('Content-Type', `${FORMAT_TYPES[targetFormat]}; ${CHARSET}`);
+
+  // Already in the requested format: keep the publisher's document untouched
+  if (feed.format === targetFormat) {
+    return res.send(serializeBody(body));
+  }
+
+  const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  return res.send(WRITERS[targetFormat](feed, { selfUrl }));
+}
+
+function serializeBody(body) {
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+// The feed is served even when its items cannot be stored
+async function recordItems(url, response) {
+  try {
+    await storeFeedItems(url, response);
+  } catch (error) {
+    console.error(`Unable to store items of ${url}:`, error.message);
+  }
+}
+
 module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { ruleStore } = require('../lib/rules');
+const { sendStoreError } = require('../lib/json-store');
+const router = express.Router();
+
+/**
+ * GET /api/rules
+ * Lists the filtering rules, in the order they apply
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({ rules: await ruleStore().list() });
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+});
+
+/**
+ * POST /api/rules
+ * Body: { "pattern": "sponsored", "action": "hide"|"highlight"|"star"|"tag",
+ *   "match": "keyword"|"regex", "field": "any"|"title"|"content"|"author"|"category"|"link",
+ *   "feedUrl": "<FEED_URL>"|null, "tag": "<TAG>", "name": "<NAME>", "enabled": true }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const rule = await ruleStore().create(req.body);
+    res.status(201)
+      .location(`${req.baseUrl}/${rule.id}`)
+      .json(rule);
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+});
+
+/**
+ * GET /api/rules/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await ruleStore().get(req.params.id));
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+});
+
+/**
+ * PATCH /api/rules/:id
+ * Body: any of the fields of POST
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    res.json(await ruleStore().update(req.params.id, req.body));
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/rules/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await ruleStore().remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+});
+
+function sendRuleError(res, error) {
+  return sendStoreError(res, error, 'rules');
+}
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { validateFeedUrl, fetchFeed, sendFeedError } = require('../lib/feed-fetcher');
+const { planRefresh } = require('../lib/refresh-planner');
+const { normalizeFeedUrl } = require('../lib/item-store');
+const { watchListStore } = require('../lib/watch-list');
+const router = express.Router();
+
+/**
+ * GET /api/schedule?url=<FEED_URL>
+ * Works out when a feed should next be fetched, from its refresh hints,
+ * cache headers and posting history. For a watched feed the plan follows
+ * its last poll and the watch list entry is included as `watched`.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    const validationError = validateFeedUrl(url);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const response = await fetchFeed(url);
+    const feedUrl = normalizeFeedUrl(url);
+    const watched = (await watchListStore().list()).find((feed) => feed.url === feedUrl) || null;
+    const from = watched && watched.lastPolledAt ? Date.parse(watched.lastPolledAt) : Date.now();
+
+    res.json({
+      url,
+      ...planRefresh(response, { from }),
+      watched: watched && {
+        id: watched.id,
+        intervalMs: watched.intervalMs,
+        lastPolledAt: watched.lastPolledAt,
+        nextPollAt: watched.nextPollAt
+      }
+    });
+
+  } catch (error) {
+    return sendFeedError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { itemStore, parsePageSize, normalizeFeedUrl } = require('../lib/item-store');
+const { searchIndex, SearchError } = require('../lib/search-index');
+const { subscriptionStore } = require('../lib/subscriptions');
+const { sendError } = require('../lib/http-error');
+const router = express.Router();
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * GET /api/search?q=<QUERY>[&feed=<FEED_URL>...][&folder=<FOLDER>][&from=<DATE>][&to=<DATE>][&limit=20][&offset=0]
+ * Searches the titles, authors, summaries and content of every stored item.
+ * Words must all match; "quoted phrases" must match word for word. Results
+ * are the stored items, best match first, with a relevance `score` and
+ * highlighted `highlights.title` and `highlights.snippet`.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, folder } = req.query;
+
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Missing required query parameter: q'
+      });
+    }
+
+    const options = {
+      from: parseDateParam(req.query.from, 'from'),
+      to: parseDateParam(req.query.to, 'to', { endOfDay: true }),
+      limit: req.query.limit === undefined ? DEFAULT_LIMIT : parsePageSize(req.query.limit),
+      offset: parseOffset(req.query.offset)
+    };
+
+    const feeds = [req.query.feed].flat().filter((feed) => feed !== undefined);
+    if (feeds.length) {
+      options.feedUrls = feeds.map((feed) => normalizeFeedUrl(feed, invalidFeedParam));
+    }
+    if (folder !== undefined) {
+      const folderUrls = (await subscriptionStore().list({ folder })).map((subscription) => subscription.url);
+      options.feedUrls = options.feedUrls ? options.feedUrls.filter((url) => folderUrls.includes(url)) : folderUrls;
+    }
+
+    const { total, results } = await searchStoredItems(q, options);
+    res.json({ query: q, total, results });
+
+  } catch (error) {
+    return sendError(res, error, 'Unable to search stored items');
+  }
+});
+
+/**
+ * Searches the index and reads the current state of the results from the
+ * store. Items the index has that have left the store are dropped from it
+ * first, wherever they rank, so the total only counts stored items.
+ */
+async function searchStoredItems(q, options) {
+  const index = await searchIndex();
+  const ids = index.matchIds(q, options);
+  const stored = new Set((await itemStore().getMany(ids)).map((item) => item.id));
+  ids.filter((id) => !stored.has(id)).forEach((id) => index.remove(id));
+
+  const { total, results } = index.search(q, options);
+  const items = new Map((await itemStore().getMany(results.map((result) => result.id))).map((item) => [item.id, item]));
+  return {
+    total,
+    results: results
+      .filter((result) => items.has(result.id))
+      .map(({ id, score, highlights }) => ({ ...items.get(id), score, highlights }))
+  };
+}
+
+/**
+ * A `from`/`to` date as ms since epoch; a bare `to` date (YYYY-MM-DD) covers that whole day
+ */
+function parseDateParam(value, name, { endOfDay = false } = {}) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new SearchError(400, `Invalid ${name} parameter. Expected a date`);
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+function parseOffset(value) {
+  if (value === undefined) {
+    return 0;
+  }
+  const offset = Number(value);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new SearchError(400, 'Invalid offset parameter. Expected a whole number');
+  }
+  return offset;
+}
+
+function invalidFeedParam() {
+  return new SearchError(400, 'Invalid feed parameter. Expected a feed URL');
+}
+
+module.exports = router;
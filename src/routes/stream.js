@@ -0,0 +1,83 @@
+const express = require('express');
+const { validateFeedUrl } = require('../lib/feed-fetcher');
+const { itemStream, formatEvent } = require('../lib/item-stream');
+const { sendError } = require('../lib/http-error');
+const { rateLimitSettings, requestToken } = require('../middleware/rate-limit');
+const router = express.Router();
+
+const MAX_STREAM_FEEDS = 50;
+
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 5000;
+
+/**
+ * GET /api/stream?feeds=<FEED_URL>[&feeds=<FEED_URL>...]
+ * Server-Sent Events stream of the items newly seen in the given feeds,
+ * which the server re-fetches while the stream is open. Sends `ready` once
+ * connected, `new-item` with each stored item, `feed-error` when a refresh
+ * fails, and a comment every so often to keep the connection open. A
+ * client that reconnects with `Last-Event-ID` (or `?lastEventId=`) is sent
+ * the items it missed first.
+ */
+router.get('/', async (req, res) => {
+  const feedUrls = [].concat(req.query.feeds ?? []);
+
+  if (!feedUrls.length) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Missing required query parameter: feeds'
+    });
+  }
+
+  if (feedUrls.length > MAX_STREAM_FEEDS) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Too many feeds in one stream: ${feedUrls.length} (maximum ${MAX_STREAM_FEEDS})`
+    });
+  }
+
+  for (const url of feedUrls) {
+    const validationError = typeof url === 'string' ? validateFeedUrl(url) : { message: 'Invalid URL format' };
+    if (validationError) {
+      return res.status(400).json({ error: 'Bad Request', message: `Invalid feeds parameter: ${validationError.message}` });
+    }
+  }
+
+  let client;
+  try {
+    client = itemStream().connect({ key: clientKey(req), feedUrls }, {
+      send: (event) => res.write(formatEvent(event)),
+      heartbeat: () => res.write(': heartbeat\n\n'),
+      end: () => res.end()
+    });
+  } catch (error) {
+    return sendError(res, error, 'Unable to open the item stream');
+  }
+
+  req.on('close', () => itemStream().disconnect(client));
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Reverse proxies must pass events on as they are written
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  res.write(formatEvent({ event: 'ready', data: { feeds: [...client.feedUrls] } }));
+
+  try {
+    await itemStream().replay(client, req.get('Last-Event-ID') || req.query.lastEventId);
+  } catch (error) {
+    console.error('Unable to replay missed items:', error.message);
+  }
+});
+
+// Streams are capped per API token, or per IP address without one
+function clientKey(req) {
+  const token = requestToken(req);
+  return token && rateLimitSettings().tokens.includes(token) ? `token:${token}` : `ip:${req.ip}`;
+}
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { subscriptionStore } = require('../lib/subscriptions');
+const { sendStoreError } = require('../lib/json-store');
+const router = express.Router();
+
+/**
+ * GET /api/subscriptions[?folder=<FOLDER>]
+ * Lists saved feeds in the order they were added, optionally only those in
+ * one folder
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { folder } = req.query;
+    res.json({ subscriptions: await subscriptionStore().list({ folder }) });
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
+
+/**
+ * GET /api/subscriptions/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await subscriptionStore().get(req.params.id));
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
+
+/**
+ * POST /api/subscriptions
+ * Body: { "url": "<FEED_URL>", "title": "...", "name": "...", "folder": "..." }
+ * Saves a feed; only `url` is required. Subscribing to a URL twice is a 409.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const subscription = await subscriptionStore().create(req.body);
+    res.status(201)
+      .location(`${req.baseUrl}/${subscription.id}`)
+      .json(subscription);
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
+
+/**
+ * PATCH /api/subscriptions/:id
+ * Body: any of url, title, name and folder; null or "" clears the optional ones
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    res.json(await subscriptionStore().update(req.params.id, req.body));
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/subscriptions/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await subscriptionStore().remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    return sendSubscriptionError(res, error);
+  }
+});
+
+function sendSubscriptionError(res, error) {
+  return sendStoreError(res, error, 'saved subscriptions');
+}
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const { sendFeedError } = require('../lib/feed-fetcher');
+const { FORMAT_TYPES, toRss, toAtom } = require('../lib/feed-writer');
+const { virtualFeedStore, buildVirtualFeed } = require('../lib/virtual-feeds');
+const { sendError } = require('../lib/http-error');
+const router = express.Router();
+
+const WRITERS = { rss: toRss, atom: toAtom };
+
+/**
+ * GET /api/virtual-feeds
+ * Lists the virtual feed definitions
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({ feeds: await virtualFeedStore().list() });
+  } catch (error) {
+    return sendVirtualFeedError(res, error);
+  }
+});
+
+/**
+ * POST /api/virtual-feeds
+ * Body: { "name": "tech", "sources": ["<FEED_URL>", ...], "title": "Tech",
+ *   "description": null, "include": ["javascript"], "exclude": ["sponsored"], "limit": 50 }
+ * Defines a virtual feed, served at /api/virtual-feeds/<name>/rss and /atom
+ */
+router.post('/', async (req, res) => {
+  try {
+    const definition = await virtualFeedStore().create(req.body);
+    res.status(201)
+      .location(`${req.baseUrl}/${definition.name}`)
+      .json(definition);
+  } catch (error) {
+    return sendVirtualFeedError(res, error);
+  }
+});
+
+/**
+ * GET /api/virtual-feeds/:name
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    res.json(await virtualFeedStore().get(req.params.name));
+  } catch (error) {
+    return sendVirtualFeedError(res, error);
+  }
+});
+
+/**
+ * PATCH /api/virtual-feeds/:name
+ * Body: any of the fields of POST
+ */
+router.patch('/:name', async (req, res) => {
+  try {
+    res.json(await virtualFeedStore().update(req.params.name, req.body));
+  } catch (error) {
+    return sendVirtualFeedError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/virtual-feeds/:name
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    await virtualFeedStore().remove(req.params.name);
+    res.status(204).end();
+  } catch (error) {
+    return sendVirtualFeedError(res, error);
+  }
+});
+
+/**
+ * GET /api/virtual-feeds/:name/rss
+ * GET /api/virtual-feeds/:name/atom
+ * Fetches the sources of a virtual feed and serves the merged, filtered
+ * items as RSS 2.0 or Atom 1.0
+ */
+router.get('/:name/:format(rss|atom)', async (req, res) => {
+  let definition;
+  try {
+    definition = await virtualFeedStore().get(req.params.name);
+  } catch (error) {
+    return sendVirtualFeedError(res, error);
+  }
+
+  try {
+    const feed = await buildVirtualFeed(definition);
+    const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    res.set('Content-Type', `${FORMAT_TYPES[req.params.format]}; charset=utf-8`);
+    res.send(WRITERS[req.params.format](feed, { selfUrl }));
+  } catch (error) {
+    // Every source failed: answer as GET /api/rss would have for the first
+    return sendFeedError(res, error);
+  }
+});
+
+function sendVirtualFeedError(res, error) {
+  return sendError(res, error, 'Unable to access virtual feeds');
+}
+
+module.exports = router;
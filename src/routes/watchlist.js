@@ -0,0 +1,75 @@
+const express = require('express');
+const { watchListStore } = require('../lib/watch-list');
+const { sendStoreError } = require('../lib/json-store');
+const router = express.Router();
+
+/**
+ * GET /api/watchlist
+ * Lists the feeds polled in the background, with their recent poll outcomes
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({ feeds: await watchListStore().list() });
+  } catch (error) {
+    return sendWatchListError(res, error);
+  }
+});
+
+/**
+ * GET /api/watchlist/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await watchListStore().get(req.params.id));
+  } catch (error) {
+    return sendWatchListError(res, error);
+  }
+});
+
+/**
+ * POST /api/watchlist
+ * Body: { "url": "<FEED_URL>", "intervalMs": 900000 }
+ * Starts polling a feed; it is polled right away and then every intervalMs
+ * (FEED_POLL_INTERVAL_MS when omitted)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const feed = await watchListStore().add(req.body);
+    res.status(201)
+      .location(`${req.baseUrl}/${feed.id}`)
+      .json(feed);
+  } catch (error) {
+    return sendWatchListError(res, error);
+  }
+});
+
+/**
+ * PATCH /api/watchlist/:id
+ * Body: { "intervalMs": 3600000 }
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    res.json(await watchListStore().update(req.params.id, req.body));
+  } catch (error) {
+    return sendWatchListError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/watchlist/:id
+ * Stops polling a feed
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await watchListStore().remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    return sendWatchListError(res, error);
+  }
+});
+
+function sendWatchListError(res, error) {
+  return sendStoreError(res, error, 'the watch list');
+}
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const http = require('http');
+const { webSubSubscriber } = require('../lib/websub');
+const { bodyLimits } = require('../lib/body-reader');
+const { sendStoreError } = require('../lib/json-store');
+const router = express.Router();
+
+// Pushed content is a feed document of any type, kept as raw bytes for the signature check
+const rawParser = express.raw({ type: () => true, limit: bodyLimits().maxBytes });
+
+/**
+ * GET /api/websub
+ * Lists the WebSub subscriptions and whether WebSub is enabled
+ * (WEBSUB_CALLBACK_URL is set)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriber = webSubSubscriber();
+    res.json({ enabled: subscriber.enabled, subscriptions: await subscriber.list() });
+  } catch (error) {
+    return sendWebSubError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/websub/:id
+ * Asks the hub to stop pushing the feed: 202 while the hub is to confirm,
+ * 204 when the hub could not be reached and the subscription was dropped
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const subscription = await webSubSubscriber().unsubscribe(req.params.id);
+    if (!subscription) {
+      return res.status(204).end();
+    }
+    res.status(202).json(subscription);
+  } catch (error) {
+    return sendWebSubError(res, error);
+  }
+});
+
+/**
+ * GET /api/websub/callback/:id?hub.mode=...&hub.topic=...&hub.challenge=...
+ * Verification of intent: the hub checks that we asked for the
+ * (un)subscription, and we echo its challenge back
+ */
+router.get('/callback/:id', async (req, res) => {
+  try {
+    const challenge = await webSubSubscriber().verify(req.params.id, req.query);
+    res.type('text/plain').send(challenge);
+  } catch (error) {
+    return sendWebSubError(res, error);
+  }
+});
+
+/**
+ * POST /api/websub/callback/:id
+ * Content distribution: the hub pushes the feed's new content, signed with
+ * the subscription's secret in X-Hub-Signature
+ */
+router.post('/callback/:id', readRawBody, async (req, res) => {
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    await webSubSubscriber().receive(req.params.id, body, req.headers);
+    // Deliveries with a bad signature are acknowledged all the same
+    res.status(202).end();
+  } catch (error) {
+    return sendWebSubError(res, error);
+  }
+});
+
+// Body read errors are answered in the API's JSON error shape
+function readRawBody(req, res, next) {
+  rawParser(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    const status = error.status || 400;
+    return res.status(status).json({
+      error: http.STATUS_CODES[status],
+      message: error.type === 'entity.too.large'
+        ? 'Pushed content is larger than the configured size limit'
+        : 'Unable to read the pushed content'
+    });
+  });
+}
+
+function sendWebSubError(res, error) {
+  return sendStoreError(res, error, 'WebSub subscriptions');
+}
+
+module.exports = router;
@@ -3,19 +3,103 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const rssRouter = require('./routes/rss');
+const feedRouter = require('./routes/feed');
+const discoverRouter = require('./routes/discover');
+const subscriptionsRouter = require('./routes/subscriptions');
+const watchlistRouter = require('./routes/watchlist');
+const scheduleRouter = require('./routes/schedule');
+const itemsRouter = require('./routes/items');
+const searchRouter = require('./routes/search');
+const opmlRouter = require('./routes/opml');
+const websubRouter = require('./routes/websub');
+const streamRouter = require('./routes/stream');
+const riverRouter = require('./routes/river');
+const virtualFeedsRouter = require('./routes/virtual-feeds');
+const rulesRouter = require('./routes/rules');
+const articleRouter = require('./routes/article');
+const { FeedPoller } = require('./lib/poller');
+const { feedEvents } = require('./lib/feed-fetcher');
+const { subscriptionStore } = require('./lib/subscriptions');
+const { webSubSubscriber } = require('./lib/websub');
+const { itemStream } = require('./lib/item-stream');
+const { itemStore } = require('./lib/item-store');
+const { starMatchingItems } = require('./lib/rules');
+const { rateLimit, rateLimitSettings } = require('./middleware/rate-limit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, req.ip (and so the rate limit key) needs this to see the real client
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Rate limiting: a general budget for the whole API and a tighter one for
+// the endpoints that make upstream requests on the client's behalf
+const { windowMs, tokens, api, fetch } = rateLimitSettings();
+app.use('/api', rateLimit({ name: 'api', windowMs, tokens, ...api }));
+app.use([
+  '/api/rss',
+  '/api/feed',
+  '/api/discover',
+  '/api/schedule',
+  '/api/stream',
+  '/api/river',
+  '/api/virtual-feeds/:name/:format(rss|atom)',
+  '/api/article'
+], rateLimit({
+  name: 'fetch',
+  windowMs,
+  tokens,
+  ...fetch,
+  cost: fetchCost
+}));
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Routes
 app.use('/api/rss', rssRouter);
+app.use('/api/feed', feedRouter);
+app.use('/api/discover', discoverRouter);
+app.use('/api/subscriptions', subscriptionsRouter);
+app.use('/api/watchlist', watchlistRouter);
+app.use('/api/schedule', scheduleRouter);
+app.use('/api/items', itemsRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/opml', opmlRouter);
+app.use('/api/websub', websubRouter);
+app.use('/api/stream', streamRouter);
+app.use('/api/river', riverRouter);
+app.use('/api/virtual-feeds', virtualFeedsRouter);
+app.use('/api/rules', rulesRouter);
+app.use('/api/article', articleRouter);
+
+// Keep lastFetchedAt of saved feeds current whenever one is fetched from upstream
+feedEvents.on('fetched', (url) => {
+  subscriptionStore().markFetched(url).catch((error) => {
+    console.error('Unable to record feed fetch:', error.message);
+  });
+});
+
+// Subscribe to the WebSub hubs that followed feeds advertise
+feedEvents.on('fetched', (url, result) => {
+  webSubSubscriber().discover(url, result).catch((error) => {
+    console.error(`Unable to subscribe to the hub of ${url}:`, error.message);
+  });
+});
+
+// Star new items that auto-star rules match, however they arrived
+itemStore().on('added', (items) => {
+  starMatchingItems(items).catch((error) => {
+    console.error('Unable to apply auto-star rules:', error.message);
+  });
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -24,11 +108,60 @@ app.get('/health', (req, res) => {
 
 // Start server only when run directly (not when imported for testing)
 if (require.main === module) {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📡 API endpoint: http://localhost:${PORT}/api/rss?url=<RSS_URL>`);
+    console.log(`🧾 JSON endpoint: http://localhost:${PORT}/api/feed?url=<FEED_URL>`);
+    console.log(`🔍 Discovery endpoint: http://localhost:${PORT}/api/discover?url=<PAGE_URL>`);
+    console.log(`⭐ Subscriptions endpoint: http://localhost:${PORT}/api/subscriptions`);
+    console.log(`⏱️  Watch list endpoint: http://localhost:${PORT}/api/watchlist`);
+    console.log(`🗓️  Schedule endpoint: http://localhost:${PORT}/api/schedule?url=<FEED_URL>`);
+    console.log(`🗃️  Items endpoint: http://localhost:${PORT}/api/items?url=<FEED_URL>`);
+    console.log(`🔎 Search endpoint: http://localhost:${PORT}/api/search?q=<QUERY>`);
+    console.log(`📤 OPML endpoint: http://localhost:${PORT}/api/opml`);
+    console.log(`📬 WebSub endpoint: http://localhost:${PORT}/api/websub`);
+    console.log(`📺 Stream endpoint: http://localhost:${PORT}/api/stream?feeds=<FEED_URL>`);
+    console.log(`🌊 River endpoint: http://localhost:${PORT}/api/river`);
+    console.log(`🧩 Virtual feeds endpoint: http://localhost:${PORT}/api/virtual-feeds`);
+    console.log(`🧹 Rules endpoint: http://localhost:${PORT}/api/rules`);
+    console.log(`📖 Article endpoint: http://localhost:${PORT}/api/article?url=<PAGE_URL>`);
     console.log(`🌐 Frontend: http://localhost:${PORT}`);
   });
+
+  // Poll the watched feeds in the background
+  const poller = new FeedPoller();
+  poller.start().catch((error) => {
+    console.error('Unable to start the feed poller:', error.message);
+  });
+
+  // Renew WebSub leases before they expire
+  const webSub = webSubSubscriber();
+  if (webSub.enabled) {
+    webSub.start().catch((error) => {
+      console.error('Unable to start WebSub lease renewal:', error.message);
+    });
+  }
+
+  process.once('SIGTERM', async () => {
+    console.log('SIGTERM received, shutting down');
+    webSub.stop();
+    // Open event streams would keep the server from closing
+    itemStream().closeAll();
+    await poller.stop();
+    server.close(() => process.exit(0));
+  });
+}
+
+// A batch counts once per distinct URL it fetches, and so does the first
+// page of a river of given feeds
+function fetchCost(req) {
+  if (Array.isArray(req.body && req.body.urls)) {
+    return Math.max(1, new Set(req.body.urls).size);
+  }
+  if (req.baseUrl === '/api/river' && !req.query.cursor && req.query.feeds) {
+    return Math.max(1, new Set([].concat(req.query.feeds)).size);
+  }
+  return 1;
 }
 
 // Export app for testing
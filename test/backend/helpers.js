@@ -0,0 +1,21 @@
+// Taken before any test fakes timers, so waiting always runs on real time
+const { setTimeout: realSetTimeout, Date: RealDate } = global;
+
+/**
+ * Helper function to wait for work the test cannot await directly, such as
+ * file I/O behind an event or a message on an open connection
+ * @param {Function} check - Returns (a promise of) true once the wait is over
+ * @param {number} [timeoutMs=2000] - Real time to wait before giving up
+ * @returns {Promise<void>}
+ */
+async function until(check, timeoutMs = 2000) {
+  const deadline = RealDate.now() + timeoutMs;
+  while (!(await check())) {
+    if (RealDate.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => realSetTimeout(resolve, 5));
+  }
+}
+
+module.exports = { until };
@@ -2,6 +2,7 @@ const request = require('supertest');
 const axios = require('axios');
 const app = require('../../../src/server');
 const { readFixture } = require('../../fixtures/helper');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
 
 // Mock axios for integration tests
 jest.mock('axios');
@@ -9,6 +10,7 @@ jest.mock('axios');
 describe('API Integration Tests', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    clearFeedCache();
   });
 
   describe('Complete Request/Response Lifecycle', () => {
@@ -272,7 +274,12 @@ describe('API Integration Tests', () => {
             'User-Agent': 'RSS-Fetch-API/1.0'
           },
           timeout: 10000,
-          maxRedirects: 5
+          maxRedirects: 5,
+          lookup: expect.any(Function),
+          beforeRedirect: expect.any(Function),
+          responseType: 'stream',
+          decompress: false,
+          validateStatus: expect.any(Function)
         }
       );
     });
@@ -0,0 +1,128 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const {
+  ResponseTooLargeError,
+  ResponseEncodingError,
+  bodyLimits,
+  readBody
+} = require('../../../src/lib/body-reader');
+const { readFixture } = require('../../fixtures/helper');
+
+const limits = { maxBytes: 1024, maxDecompressedBytes: 4096 };
+
+function streamOf(...chunks) {
+  return Readable.from(chunks.map((chunk) => Buffer.from(chunk)));
+}
+
+describe('Body Reader', () => {
+  afterEach(() => {
+    delete process.env.FEED_MAX_BODY_BYTES;
+    delete process.env.FEED_MAX_DECOMPRESSED_BYTES;
+  });
+
+  describe('bodyLimits', () => {
+    test('should default to 2 MiB compressed and 5 MiB decompressed', () => {
+      expect(bodyLimits()).toEqual({
+        maxBytes: 2 * 1024 * 1024,
+        maxDecompressedBytes: 5 * 1024 * 1024
+      });
+    });
+
+    test('should read limits from the environment', () => {
+      process.env.FEED_MAX_BODY_BYTES = '2048';
+      process.env.FEED_MAX_DECOMPRESSED_BYTES = '8192';
+
+      expect(bodyLimits()).toEqual({ maxBytes: 2048, maxDecompressedBytes: 8192 });
+    });
+  });
+
+  describe('readBody', () => {
+    test('should collect a streamed body', async () => {
+      const body = await readBody(streamOf('<rss>', '</rss>'), {}, limits);
+
+      expect(body.toString('utf8')).toBe('<rss></rss>');
+    });
+
+    test('should accept an already buffered body', async () => {
+      const xml = readFixture('rss-valid.xml');
+
+      const body = await readBody(xml, {}, { maxBytes: 1e6, maxDecompressedBytes: 1e6 });
+
+      expect(body.toString('utf8')).toBe(xml);
+    });
+
+    test.each([
+      ['gzip', zlib.gzipSync],
+      ['x-gzip', zlib.gzipSync],
+      ['deflate', zlib.deflateSync],
+      ['br', zlib.brotliCompressSync]
+    ])('should decompress %s bodies', async (encoding, compress) => {
+      const xml = '<rss version="2.0"><channel><title>Compressed</title></channel></rss>';
+
+      const body = await readBody(Readable.from([compress(xml)]), { 'content-encoding': encoding }, limits);
+
+      expect(body.toString('utf8')).toBe(xml);
+    });
+
+    test('should reject a declared Content-Length over the limit without reading', async () => {
+      const stream = streamOf('<rss></rss>');
+
+      await expect(readBody(stream, { 'content-length': '2048' }, limits))
+        .rejects.toThrow(new ResponseTooLargeError('Feed exceeds the maximum size of 1024 bytes'));
+      expect(stream.destroyed).toBe(true);
+    });
+
+    test('should abort a stream that grows past the limit', async () => {
+      const chunk = 'x'.repeat(512);
+      let produced = 0;
+      const stream = new Readable({
+        read() {
+          produced += 1;
+          this.push(chunk);
+        }
+      });
+
+      await expect(readBody(stream, {}, limits)).rejects.toBeInstanceOf(ResponseTooLargeError);
+      expect(stream.destroyed).toBe(true);
+      // Only what fits in the stream buffers is ever produced
+      expect(produced * chunk.length).toBeLessThan(64 * 1024);
+    });
+
+    test('should abort a decompression bomb at the decompressed limit', async () => {
+      const bomb = zlib.gzipSync(Buffer.alloc(1024 * 1024));
+      expect(bomb.length).toBeLessThan(limits.maxBytes * 2);
+
+      const error = await readBody(Readable.from([bomb]), { 'content-encoding': 'gzip' }, {
+        maxBytes: 1e6,
+        maxDecompressedBytes: 4096
+      }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(ResponseTooLargeError);
+      expect(error.message).toBe('Feed exceeds the maximum decompressed size of 4096 bytes');
+      expect(error.limit).toBe(4096);
+    });
+
+    test('should reject corrupt compressed bodies', async () => {
+      await expect(readBody(streamOf('not gzip at all'), { 'content-encoding': 'gzip' }, limits))
+        .rejects.toThrow(new ResponseEncodingError('Upstream sent a corrupt gzip body'));
+    });
+
+    test('should reject unknown content encodings', async () => {
+      await expect(readBody(streamOf('data'), { 'content-encoding': 'zstd' }, limits))
+        .rejects.toThrow(new ResponseEncodingError('Unsupported content encoding: zstd'));
+    });
+
+    test('should report connection failures mid-body as request errors', async () => {
+      const stream = new Readable({
+        read() {
+          this.destroy(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+        }
+      });
+
+      const error = await readBody(stream, {}, limits).catch((e) => e);
+
+      expect(error.code).toBe('ECONNRESET');
+      expect(error.request).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const { detectCharset, decodeBody, resolveCharset } = require('../../../src/lib/charset');
+
+// "日本語のニュース" in Shift_JIS
+const SHIFT_JIS_TITLE = Buffer.from([
+  0x93, 0xfa, 0x96, 0x7b, 0x8c, 0xea, 0x82, 0xcc,
+  0x83, 0x6a, 0x83, 0x85, 0x81, 0x5b, 0x83, 0x58
+]);
+
+// "中文新闻" in GB2312
+const GB2312_TITLE = Buffer.from([0xd6, 0xd0, 0xce, 0xc4, 0xd0, 0xc2, 0xce, 0xc5]);
+
+function xmlWithTitle(encoding, titleBytes) {
+  return Buffer.concat([
+    Buffer.from(`<?xml version="1.0" encoding="${encoding}"?><rss><channel><title>`),
+    titleBytes,
+    Buffer.from('</title></channel></rss>')
+  ]);
+}
+
+describe('Charset', () => {
+  describe('resolveCharset', () => {
+    test.each([
+      ['UTF-8', 'utf-8'],
+      ['utf8', 'utf-8'],
+      ['ISO-8859-1', 'windows-1252'],
+      ['latin1', 'windows-1252'],
+      ['Shift_JIS', 'shift_jis'],
+      ['GB2312', 'gbk'],
+      [' windows-1252 ', 'windows-1252']
+    ])('should resolve %s to %s', (label, expected) => {
+      expect(resolveCharset(label)).toBe(expected);
+    });
+
+    test('should return null for unknown, undecodable or missing labels', () => {
+      expect(resolveCharset('x-made-up')).toBeNull();
+      expect(resolveCharset('ISO-2022-JP')).toBeNull();
+      expect(resolveCharset(undefined)).toBeNull();
+    });
+  });
+
+  describe('detectCharset', () => {
+    test('should default to UTF-8', () => {
+      expect(detectCharset(Buffer.from('<rss></rss>'), 'application/xml'))
+        .toEqual({ charset: 'utf-8', source: 'default' });
+    });
+
+    test('should read the charset parameter of the Content-Type header', () => {
+      expect(detectCharset(Buffer.from('<rss></rss>'), 'application/rss+xml; charset="ISO-8859-1"'))
+        .toEqual({ charset: 'windows-1252', source: 'header' });
+    });
+
+    test('should read the XML declaration', () => {
+      expect(detectCharset(Buffer.from('<?xml version="1.0" encoding=\'Shift_JIS\'?><rss/>'), 'text/xml'))
+        .toEqual({ charset: 'shift_jis', source: 'declaration' });
+    });
+
+    test('should prefer the header over the XML declaration', () => {
+      const buffer = Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><rss/>');
+
+      expect(detectCharset(buffer, 'text/xml; charset=utf-8').charset).toBe('utf-8');
+    });
+
+    test.each([
+      [[0xef, 0xbb, 0xbf], 'utf-8'],
+      [[0xff, 0xfe], 'utf-16le'],
+      [[0xfe, 0xff], 'utf-16be']
+    ])('should prefer a byte order mark over everything else', (bom, expected) => {
+      const buffer = Buffer.concat([Buffer.from(bom), Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?>')]);
+
+      expect(detectCharset(buffer, 'text/xml; charset=Shift_JIS'))
+        .toEqual({ charset: expected, source: 'bom' });
+    });
+
+    test('should recognise UTF-16 documents without a byte order mark', () => {
+      const buffer = Buffer.from('<?xml version="1.0" encoding="UTF-16"?><rss/>', 'utf16le');
+
+      expect(detectCharset(buffer)).toEqual({ charset: 'utf-16le', source: 'declaration' });
+    });
+
+    test('should read the meta charset of HTML pages', () => {
+      const page = Buffer.from('<!DOCTYPE html><html><head><meta charset="windows-1252"><title>Caf\xe9</title>', 'latin1');
+      const httpEquiv = Buffer.from('<html><head><meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS">');
+
+      expect(detectCharset(page)).toEqual({ charset: 'windows-1252', source: 'meta' });
+      expect(detectCharset(httpEquiv, 'text/html')).toEqual({ charset: 'shift_jis', source: 'meta' });
+    });
+
+    test('should not read meta tags in feeds', () => {
+      const feed = Buffer.from('<rss><channel><description><![CDATA[<meta charset="latin1">]]></description></channel></rss>');
+
+      expect(detectCharset(feed, 'application/rss+xml').source).toBe('default');
+    });
+
+    test('should ignore unknown labels', () => {
+      const buffer = Buffer.from('<?xml version="1.0" encoding="x-unknown"?><rss/>');
+
+      expect(detectCharset(buffer, 'text/xml; charset=bogus'))
+        .toEqual({ charset: 'utf-8', source: 'default' });
+    });
+  });
+
+  describe('decodeBody', () => {
+    test('should transcode ISO-8859-1 and rewrite the declaration', () => {
+      const buffer = Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><rss><title>Café Müller</title></rss>', 'latin1');
+
+      expect(decodeBody(buffer, 'application/xml')).toEqual({
+        text: '<?xml version="1.0" encoding="UTF-8"?><rss><title>Café Müller</title></rss>',
+        charset: 'windows-1252'
+      });
+    });
+
+    test('should decode Windows-1252 punctuation', () => {
+      // “Quoted” – €5
+      const buffer = Buffer.from([0x93, 0x51, 0x75, 0x6f, 0x74, 0x65, 0x64, 0x94, 0x20, 0x96, 0x20, 0x80, 0x35]);
+
+      expect(decodeBody(buffer, 'text/xml; charset=windows-1252').text).toBe('“Quoted” – €5');
+    });
+
+    test('should transcode Shift_JIS', () => {
+      const { text, charset } = decodeBody(xmlWithTitle('Shift_JIS', SHIFT_JIS_TITLE), 'application/rss+xml');
+
+      expect(charset).toBe('shift_jis');
+      expect(text).toBe('<?xml version="1.0" encoding="UTF-8"?><rss><channel><title>日本語のニュース</title></channel></rss>');
+    });
+
+    test('should transcode GB2312', () => {
+      const { text } = decodeBody(xmlWithTitle('GB2312', GB2312_TITLE), 'text/xml');
+
+      expect(text).toContain('<title>中文新闻</title>');
+    });
+
+    test('should strip a UTF-8 byte order mark', () => {
+      const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<rss/>')]);
+
+      expect(decodeBody(buffer).text).toBe('<rss/>');
+    });
+
+    test('should decode UTF-16 with a byte order mark', () => {
+      const buffer = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('<?xml version="1.0" encoding="UTF-16"?><rss/>', 'utf16le')]);
+
+      expect(decodeBody(buffer).text).toBe('<?xml version="1.0" encoding="UTF-8"?><rss/>');
+    });
+
+    test('should leave UTF-8 bodies untouched', () => {
+      const xml = '<?xml version="1.0" encoding="utf-8"?><rss><title>Ünïcödé ✓</title></rss>';
+
+      expect(decodeBody(Buffer.from(xml))).toEqual({ text: xml, charset: 'utf-8' });
+    });
+  });
+});
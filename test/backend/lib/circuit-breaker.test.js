@@ -0,0 +1,134 @@
+const { CircuitBreaker, CircuitOpenError, breakerOptions } = require('../../../src/lib/circuit-breaker');
+
+describe('CircuitBreaker', () => {
+  let now;
+
+  beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function openBreaker() {
+    const breaker = new CircuitBreaker('feeds.example.com', { failureThreshold: 3, cooldownMs: 30000 });
+    for (let i = 0; i < 3; i++) {
+      breaker.beforeRequest();
+      breaker.recordFailure();
+    }
+    return breaker;
+  }
+
+  test('should let requests through while closed', () => {
+    const breaker = new CircuitBreaker('feeds.example.com', { failureThreshold: 3 });
+
+    breaker.beforeRequest();
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    expect(() => breaker.beforeRequest()).not.toThrow();
+    expect(breaker.snapshot()).toEqual({ host: 'feeds.example.com', state: 'closed', failures: 2, retryAt: null });
+  });
+
+  test('should reset the failure count on success', () => {
+    const breaker = new CircuitBreaker('feeds.example.com', { failureThreshold: 3 });
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(1);
+  });
+
+  test('should open after consecutive failures and fail fast', () => {
+    const breaker = openBreaker();
+
+    let error;
+    try {
+      breaker.beforeRequest();
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.host).toBe('feeds.example.com');
+    expect(error.message).toBe('Upstream host feeds.example.com is failing; requests are paused until 2026-01-01T00:00:30.000Z');
+    expect(error.circuit).toEqual({
+      host: 'feeds.example.com',
+      state: 'open',
+      failures: 3,
+      retryAt: '2026-01-01T00:00:30.000Z'
+    });
+  });
+
+  test('should allow a single trial request after the cooldown', () => {
+    const breaker = openBreaker();
+    now.mockReturnValue(Date.parse('2026-01-01T00:00:30Z'));
+
+    expect(() => breaker.beforeRequest()).not.toThrow();
+    expect(breaker.state).toBe('half-open');
+    expect(() => breaker.beforeRequest()).toThrow(CircuitOpenError);
+  });
+
+  test('should close when the trial succeeds', () => {
+    const breaker = openBreaker();
+    now.mockReturnValue(Date.parse('2026-01-01T00:01:00Z'));
+
+    breaker.beforeRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.snapshot()).toEqual({ host: 'feeds.example.com', state: 'closed', failures: 0, retryAt: null });
+    expect(() => breaker.beforeRequest()).not.toThrow();
+  });
+
+  test('should reopen when the trial fails', () => {
+    const breaker = openBreaker();
+    now.mockReturnValue(Date.parse('2026-01-01T00:01:00Z'));
+
+    breaker.beforeRequest();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.snapshot().retryAt).toBe('2026-01-01T00:01:30.000Z');
+    expect(() => breaker.beforeRequest()).toThrow(CircuitOpenError);
+  });
+
+  test('should free the trial slot when a trial is inconclusive', () => {
+    const breaker = openBreaker();
+    now.mockReturnValue(Date.parse('2026-01-01T00:01:00Z'));
+
+    breaker.beforeRequest();
+    breaker.releaseTrial();
+
+    expect(breaker.state).toBe('half-open');
+    expect(() => breaker.beforeRequest()).not.toThrow();
+  });
+
+  describe('breakerOptions', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = [process.env.FEED_BREAKER_THRESHOLD, process.env.FEED_BREAKER_COOLDOWN_MS];
+      delete process.env.FEED_BREAKER_THRESHOLD;
+      delete process.env.FEED_BREAKER_COOLDOWN_MS;
+    });
+
+    afterEach(() => {
+      process.env.FEED_BREAKER_THRESHOLD = saved[0];
+      if (saved[1] !== undefined) {
+        process.env.FEED_BREAKER_COOLDOWN_MS = saved[1];
+      }
+    });
+
+    test('should provide defaults and read the environment', () => {
+      expect(breakerOptions()).toEqual({ failureThreshold: 5, cooldownMs: 60000 });
+
+      process.env.FEED_BREAKER_THRESHOLD = '2';
+      process.env.FEED_BREAKER_COOLDOWN_MS = '1000';
+      expect(breakerOptions()).toEqual({ failureThreshold: 2, cooldownMs: 1000 });
+    });
+  });
+});
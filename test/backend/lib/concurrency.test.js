@@ -0,0 +1,49 @@
+const { mapWithConcurrency } = require('../../../src/lib/concurrency');
+
+describe('mapWithConcurrency', () => {
+  function deferredTask() {
+    let active = 0;
+    let peak = 0;
+    const task = async (item) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, item));
+      active--;
+      return item * 2;
+    };
+    return { task, peak: () => peak };
+  }
+
+  test('should return results in input order', async () => {
+    const { task } = deferredTask();
+
+    await expect(mapWithConcurrency([30, 5, 20, 1], 2, task)).resolves.toEqual([60, 10, 40, 2]);
+  });
+
+  test('should never exceed the concurrency limit', async () => {
+    const { task, peak } = deferredTask();
+
+    await mapWithConcurrency([5, 5, 5, 5, 5, 5, 5], 3, task);
+
+    expect(peak()).toBe(3);
+  });
+
+  test('should pass the index to the worker function', async () => {
+    await expect(mapWithConcurrency(['a', 'b'], 4, async (item, index) => `${index}:${item}`))
+      .resolves.toEqual(['0:a', '1:b']);
+  });
+
+  test('should handle empty input and invalid limits', async () => {
+    await expect(mapWithConcurrency([], 5, async () => 1)).resolves.toEqual([]);
+    await expect(mapWithConcurrency([1, 2], 0, async (item) => item)).resolves.toEqual([1, 2]);
+  });
+
+  test('should reject with the first error', async () => {
+    await expect(mapWithConcurrency([1, 2, 3], 2, async (item) => {
+      if (item === 2) {
+        throw new Error('boom');
+      }
+      return item;
+    })).rejects.toThrow('boom');
+  });
+});
@@ -0,0 +1,60 @@
+const { extractFeedLinks } = require('../../../src/lib/discovery');
+const { readFixture } = require('../../fixtures/helper');
+
+describe('Feed Discovery', () => {
+  describe('extractFeedLinks', () => {
+    test('should read feed links from an HTML page', () => {
+      const links = extractFeedLinks(readFixture('html-with-feeds.html'), 'https://www.example.com/');
+
+      expect(links).toEqual([
+        { url: 'https://www.example.com/blog/feed.xml', title: 'Example News – RSS', type: 'rss' },
+        { url: 'https://www.example.com/atom.xml?lang=en&full=1', title: null, type: 'atom' },
+        { url: 'https://cdn.example.com/feed.json', title: 'Example JSON Feed', type: 'json' }
+      ]);
+    });
+
+    test('should resolve relative links against the page URL without a base tag', () => {
+      const html = '<head><link type="application/rss+xml" rel="Alternate" href="../rss"></head>';
+
+      expect(extractFeedLinks(html, 'https://example.org/news/today/')).toEqual([
+        { url: 'https://example.org/news/rss', title: null, type: 'rss' }
+      ]);
+    });
+
+    test('should accept single-quoted attributes and media type parameters', () => {
+      const html = "<link rel='alternate' type='application/atom+xml; charset=utf-8' href='/feed' title='  '>";
+
+      expect(extractFeedLinks(html, 'https://example.org/')).toEqual([
+        { url: 'https://example.org/feed', title: null, type: 'atom' }
+      ]);
+    });
+
+    test('should ignore links that are not feed alternates', () => {
+      const html = [
+        '<link rel="stylesheet" type="application/rss+xml" href="/a">',
+        '<link rel="alternate" type="text/html" href="/b">',
+        '<link rel="alternate" type="application/rss+xml">',
+        '<link rel="alternate" type="application/rss+xml" href="ftp://example.org/feed">'
+      ].join('');
+
+      expect(extractFeedLinks(html, 'https://example.org/')).toEqual([]);
+    });
+
+    test('should not read links out of comments and scripts', () => {
+      const html = [
+        '<!-- <link rel="alternate" type="application/rss+xml" href="/old-feed"> -->',
+        '<script>document.write(\'<link rel="alternate" type="application/rss+xml" href="/js-feed">\');</script>',
+        '<link rel="alternate" type="application/rss+xml" href="/feed">'
+      ].join('');
+
+      expect(extractFeedLinks(html, 'https://example.org/')).toEqual([
+        { url: 'https://example.org/feed', title: null, type: 'rss' }
+      ]);
+    });
+
+    test('should return nothing for non-HTML bodies', () => {
+      expect(extractFeedLinks(undefined, 'https://example.org/')).toEqual([]);
+      expect(extractFeedLinks('plain text', 'https://example.org/')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,341 @@
+const { parseFeed, isJsonFeed, readRefreshHints, readFeedLinks, FeedParseError } = require('../../../src/lib/feed-parser');
+const { readFixture } = require('../../fixtures/helper');
+
+describe('Feed Parser', () => {
+  describe('RSS 2.0', () => {
+    test('should read channel metadata', () => {
+      const feed = parseFeed(readFixture('rss-valid.xml'));
+
+      expect(feed).toMatchObject({
+        format: 'rss',
+        title: 'BBC News - World',
+        link: 'https://www.bbc.co.uk/news/world',
+        description: 'The latest stories from the World section of BBC News.',
+        language: 'en-gb',
+        updated: '2026-02-07T10:00:00.000Z'
+      });
+    });
+
+    test('should normalize items', () => {
+      const feed = parseFeed(readFixture('rss-valid.xml'));
+
+      expect(feed.items).toHaveLength(3);
+      expect(feed.items[0]).toEqual({
+        id: 'https://www.bbc.co.uk/news/world-12345678',
+        title: 'Breaking: Major Event Happens',
+        link: 'https://www.bbc.co.uk/news/world-12345678',
+        author: null,
+        published: '2026-02-07T09:30:00.000Z',
+        updated: null,
+        summary: 'This is a sample news story with important details about what happened.',
+        content: null,
+        categories: [],
+        attachments: []
+      });
+    });
+
+    test('should read enclosures as attachments', () => {
+      const xml = `<rss><channel><title>Podcast</title><item>
+        <enclosure url="https://example.com/ep1.mp3" length="2048" type="audio/mpeg"/>
+      </item></channel></rss>`;
+
+      expect(parseFeed(xml).items[0].attachments).toEqual([{
+        url: 'https://example.com/ep1.mp3',
+        mimeType: 'audio/mpeg',
+        size: 2048,
+        title: null
+      }]);
+    });
+
+    test('should read content:encoded, dc:creator and categories', () => {
+      const [item] = parseFeed(readFixture('rss-extended.xml')).items;
+
+      expect(item.id).toBe('post-42');
+      expect(item.author).toBe('Alex Writer');
+      expect(item.summary).toBe('<p>Short <b>teaser</b></p>');
+      expect(item.content).toBe('<p>The full <em>article</em> body.</p>');
+      expect(item.categories).toEqual(['News', 'Tech']);
+    });
+
+    test('should fall back to pubDate for the feed updated date', () => {
+      const feed = parseFeed(readFixture('rss-extended.xml'));
+
+      expect(feed.updated).toBe('2026-02-07T12:00:00.000Z');
+    });
+
+    test('should use null for missing optional elements', () => {
+      const feed = parseFeed(readFixture('rss-missing-elements.xml'));
+
+      expect(feed.description).toBeNull();
+      expect(feed.items[1]).toMatchObject({ id: null, link: null, published: null });
+    });
+
+    test('should return an empty items array for an empty feed', () => {
+      expect(parseFeed(readFixture('rss-empty.xml')).items).toEqual([]);
+    });
+
+    test('should ignore unparseable dates', () => {
+      const xml = '<rss><channel><title>T</title><item><pubDate>not a date</pubDate></item></channel></rss>';
+
+      expect(parseFeed(xml).items[0].published).toBeNull();
+    });
+  });
+
+  describe('Atom 1.0', () => {
+    test('should read feed metadata', () => {
+      const feed = parseFeed(readFixture('atom-valid.xml'));
+
+      expect(feed).toMatchObject({
+        format: 'atom',
+        title: 'Example Atom Feed',
+        link: 'https://example.com/',
+        updated: '2026-02-07T10:00:00.000Z'
+      });
+    });
+
+    test('should inherit the feed author for entries without one', () => {
+      const feed = parseFeed(readFixture('atom-valid.xml'));
+
+      expect(feed.items.every((item) => item.author === 'John Doe')).toBe(true);
+    });
+
+    test('should read summary and content separately', () => {
+      const feed = parseFeed(readFixture('atom-valid.xml'));
+
+      expect(feed.items[0].summary).toContain('summary of the first entry');
+      expect(feed.items[1].content).toBe('This entry has content instead of summary.');
+    });
+
+    test('should prefer the alternate link over self and enclosure links', () => {
+      const feed = parseFeed(readFixture('atom-extended.xml'));
+
+      expect(feed.link).toBe('https://example.com/');
+      expect(feed.items[0].link).toBe('https://example.com/rich');
+    });
+
+    test('should keep inline XHTML content without the wrapper div', () => {
+      const [entry] = parseFeed(readFixture('atom-extended.xml')).items;
+
+      expect(entry.content).toBe('<p>Hello <strong>world</strong></p>');
+    });
+
+    test('should decode escaped HTML text constructs', () => {
+      const xml = '<feed><title>Feed</title><entry><title type="html">A &lt;b&gt;bold&lt;/b&gt; title</title></entry></feed>';
+
+      expect(parseFeed(xml).items[0].title).toBe('A <b>bold</b> title');
+    });
+
+    test('should read language, published date and category terms', () => {
+      const feed = parseFeed(readFixture('atom-extended.xml'));
+
+      expect(feed.language).toBe('en-US');
+      expect(feed.description).toBe('Atom feed with xhtml content and categories');
+      expect(feed.items[0].published).toBe('2026-02-06T08:00:00.000Z');
+      expect(feed.items[0].categories).toEqual(['web', 'xml']);
+    });
+  });
+
+  describe('JSON Feed', () => {
+    test('should read feed metadata', () => {
+      const feed = parseFeed(readFixture('jsonfeed-valid.json'));
+
+      expect(feed).toMatchObject({
+        format: 'json',
+        title: 'Example JSON Feed',
+        link: 'https://example.net/',
+        description: 'A JSON Feed used for tests.',
+        language: 'en-US'
+      });
+    });
+
+    test('should normalize items, authors and attachments', () => {
+      const [item] = parseFeed(readFixture('jsonfeed-valid.json')).items;
+
+      expect(item).toEqual({
+        id: 'item-1',
+        title: 'First JSON Item',
+        link: 'https://example.net/posts/1',
+        author: 'Item Author',
+        published: '2026-02-07T09:00:00.000Z',
+        updated: '2026-02-07T10:00:00.000Z',
+        summary: 'A short summary of the first item.',
+        content: '<p>Hello from <strong>JSON Feed</strong>.</p>',
+        categories: ['json', 'feeds'],
+        attachments: [{
+          url: 'https://example.net/media/episode1.mp3',
+          mimeType: 'audio/mpeg',
+          size: 1048576,
+          title: 'Episode 1'
+        }]
+      });
+    });
+
+    test('should fall back to external_url, content_text and the feed author', () => {
+      const item = parseFeed(readFixture('jsonfeed-valid.json')).items[1];
+
+      expect(item.link).toBe('https://other.example/article');
+      expect(item.content).toBe('Plain text content only.');
+      expect(item.author).toBe('Feed Author');
+    });
+
+    test('should accept an already decoded JSON Feed object', () => {
+      const feed = parseFeed(JSON.parse(readFixture('jsonfeed-valid.json')));
+
+      expect(feed.items).toHaveLength(2);
+    });
+
+    test('should read the JSON Feed 1.0 author object', () => {
+      const doc = {
+        version: 'https://jsonfeed.org/version/1',
+        author: { name: 'Legacy Author' },
+        items: [{ id: '1', content_text: 'Hi' }]
+      };
+
+      expect(parseFeed(doc).items[0].author).toBe('Legacy Author');
+    });
+
+    test('should reject JSON documents that are not JSON Feeds', () => {
+      expect(() => parseFeed('{"hello": "world"}')).toThrow(/JSON Feed 1.0 or 1.1/);
+      expect(() => parseFeed('{not json')).toThrow(/not valid JSON/);
+    });
+  });
+
+  describe('isJsonFeed', () => {
+    test('should detect JSON Feed by content type', () => {
+      expect(isJsonFeed('', 'application/feed+json; charset=utf-8')).toBe(true);
+    });
+
+    test('should detect JSON Feed by body shape', () => {
+      expect(isJsonFeed(readFixture('jsonfeed-valid.json'), 'application/json')).toBe(true);
+      expect(isJsonFeed({ version: 'https://jsonfeed.org/version/1.1', items: [] })).toBe(true);
+    });
+
+    test('should not treat XML or other JSON as JSON Feed', () => {
+      expect(isJsonFeed(readFixture('rss-valid.xml'), 'application/xml')).toBe(false);
+      expect(isJsonFeed('{"version": "2"}', 'application/json')).toBe(false);
+    });
+  });
+
+  describe('RSS 1.0 (RDF)', () => {
+    test('should read channel metadata from the RDF document', () => {
+      const feed = parseFeed(readFixture('rdf-valid.xml'));
+
+      expect(feed).toMatchObject({
+        format: 'rdf',
+        title: 'Example RDF Feed',
+        link: 'https://example.org/',
+        language: 'en',
+        updated: '2026-02-07T10:00:00.000Z'
+      });
+    });
+
+    test('should read items that sit beside the channel', () => {
+      const feed = parseFeed(readFixture('rdf-valid.xml'));
+
+      expect(feed.items).toHaveLength(2);
+      expect(feed.items[0]).toMatchObject({
+        id: 'https://example.org/posts/1',
+        author: 'Jane Roe',
+        published: '2026-02-07T09:00:00.000Z',
+        categories: ['Science']
+      });
+    });
+  });
+
+  describe('readRefreshHints', () => {
+    test('should read ttl, skipHours, skipDays and the syndication module', () => {
+      expect(readRefreshHints(readFixture('rss-refresh-hints.xml'))).toEqual({
+        ttlMinutes: 90,
+        skipHours: [0, 1],
+        skipDays: ['Saturday', 'Sunday'],
+        updatePeriod: 'daily',
+        updateFrequency: 4
+      });
+    });
+
+    test('should read the syndication module of Atom feeds', () => {
+      const atom = `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:sy="http://purl.org/rss/1.0/modules/syndication/">
+        <title>Hourly</title><sy:updatePeriod>Hourly</sy:updatePeriod></feed>`;
+
+      expect(readRefreshHints(atom)).toMatchObject({ updatePeriod: 'hourly', updateFrequency: 1 });
+    });
+
+    test('should return no hints for feeds without them, JSON Feeds and garbage', () => {
+      const none = { ttlMinutes: null, skipHours: [], skipDays: [], updatePeriod: null, updateFrequency: null };
+
+      expect(readRefreshHints(readFixture('atom-valid.xml'))).toEqual(none);
+      expect(readRefreshHints(readFixture('jsonfeed-valid.json'))).toEqual(none);
+      expect(readRefreshHints('<rss><channel><ttl>soon</ttl><sy:updatePeriod>fortnightly</sy:updatePeriod></channel></rss>')).toEqual(none);
+      expect(readRefreshHints(undefined)).toEqual(none);
+    });
+  });
+
+  describe('readFeedLinks', () => {
+    test('should read hub and self links of RSS feeds, whatever the Atom prefix', () => {
+      const rss = `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:atom10="http://www.w3.org/2005/Atom">
+        <channel>
+          <title>Pushed</title>
+          <link>https://example.com/</link>
+          <atom:link rel="self" type="application/rss+xml" href="https://example.com/feed.xml"/>
+          <atom10:link rel="hub" href="https://hub.example.com/"/>
+          <atom:link rel="hub" href="https://pubsubhubbub.appspot.com/"/>
+        </channel>
+      </rss>`;
+
+      expect(readFeedLinks(rss)).toEqual({
+        hubs: ['https://pubsubhubbub.appspot.com/', 'https://hub.example.com/'],
+        self: 'https://example.com/feed.xml'
+      });
+    });
+
+    test('should read hub and self links of Atom feeds', () => {
+      const atom = `<feed xmlns="http://www.w3.org/2005/Atom">
+        <title>Pushed</title>
+        <link href="https://example.com/"/>
+        <link rel="self" href="/feed.atom"/>
+        <link rel="HUB" href="https://hub.example.com/"/>
+      </feed>`;
+
+      expect(readFeedLinks(atom)).toEqual({ hubs: ['https://hub.example.com/'], self: '/feed.atom' });
+    });
+
+    test('should read the WebSub hubs and feed_url of JSON Feeds', () => {
+      const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        feed_url: 'https://example.com/feed.json',
+        hubs: [{ type: 'WebSub', url: 'https://hub.example.com/' }, { type: 'rssCloud', url: 'https://cloud.example.com/' }],
+        items: []
+      };
+
+      expect(readFeedLinks(JSON.stringify(feed))).toEqual({
+        hubs: ['https://hub.example.com/'],
+        self: 'https://example.com/feed.json'
+      });
+    });
+
+    test('should return no links for feeds without them and garbage', () => {
+      const none = { hubs: [], self: null };
+
+      expect(readFeedLinks(readFixture('rss-valid.xml'))).toEqual(none);
+      expect(readFeedLinks('<rss><channel>')).toEqual(none);
+      expect(readFeedLinks('{ not json')).toEqual(none);
+      expect(readFeedLinks(undefined)).toEqual(none);
+    });
+  });
+
+  describe('Errors', () => {
+    test('should throw FeedParseError for malformed XML', () => {
+      expect(() => parseFeed(readFixture('rss-malformed.xml'))).toThrow(FeedParseError);
+      expect(() => parseFeed(readFixture('rss-malformed.xml'))).toThrow(/Invalid XML/);
+    });
+
+    test('should throw FeedParseError for unrecognized documents', () => {
+      expect(() => parseFeed('<?xml version="1.0"?><unknown></unknown>')).toThrow(/Unrecognized feed format/);
+    });
+
+    test('should throw FeedParseError for empty input', () => {
+      expect(() => parseFeed('')).toThrow(FeedParseError);
+      expect(() => parseFeed(undefined)).toThrow(FeedParseError);
+    });
+  });
+});
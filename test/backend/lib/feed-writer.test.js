@@ -0,0 +1,149 @@
+const { parseFeed } = require('../../../src/lib/feed-parser');
+const { toRss, toAtom, toJsonFeed, itemId } = require('../../../src/lib/feed-writer');
+const { readFixture } = require('../../fixtures/helper');
+
+describe('Feed Writer', () => {
+  const rssFeed = () => parseFeed(readFixture('rss-extended.xml'));
+  const atomFeed = () => parseFeed(readFixture('atom-extended.xml'));
+
+  describe('toRss', () => {
+    test('should produce an RSS 2.0 document that parses back to the same items', () => {
+      const feed = atomFeed();
+      const roundTrip = parseFeed(toRss(feed));
+
+      expect(roundTrip.format).toBe('rss');
+      expect(roundTrip.title).toBe(feed.title);
+      expect(roundTrip.items[0]).toMatchObject({
+        id: feed.items[0].id,
+        title: feed.items[0].title,
+        link: feed.items[0].link,
+        author: feed.items[0].author,
+        published: feed.items[0].published,
+        categories: feed.items[0].categories
+      });
+    });
+
+    test('should write the self link and lastBuildDate', () => {
+      const xml = toRss(atomFeed(), { selfUrl: 'https://proxy.example/api/rss?url=x&format=rss' });
+
+      expect(xml).toContain('<atom:link href="https://proxy.example/api/rss?url=x&amp;format=rss" rel="self" type="application/rss+xml"/>');
+      expect(xml).toContain('<lastBuildDate>Sat, 07 Feb 2026 10:00:00 GMT</lastBuildDate>');
+    });
+
+    test('should mark guids as permalinks only when they are the item link', () => {
+      const feed = parseFeed(readFixture('rss-valid.xml'));
+
+      expect(toRss(feed)).toContain('<guid isPermaLink="true">https://www.bbc.co.uk/news/world-12345678</guid>');
+      expect(toRss(rssFeed())).toContain('<guid isPermaLink="false">post-42</guid>');
+    });
+
+    test('should write enclosures for attachments', () => {
+      const feed = parseFeed(readFixture('jsonfeed-valid.json'));
+
+      expect(toRss(feed)).toContain('<enclosure url="https://example.net/media/episode1.mp3" length="1048576" type="audio/mpeg"/>');
+    });
+
+    test('should escape markup in text values', () => {
+      const xml = toRss(rssFeed());
+
+      expect(xml).toContain('<description>&lt;p&gt;Short &lt;b&gt;teaser&lt;/b&gt;&lt;/p&gt;</description>');
+    });
+  });
+
+  describe('toAtom', () => {
+    test('should produce an Atom document that parses back to the same items', () => {
+      const feed = rssFeed();
+      const roundTrip = parseFeed(toAtom(feed));
+
+      expect(roundTrip.format).toBe('atom');
+      expect(roundTrip.items[0]).toMatchObject({
+        title: feed.items[0].title,
+        link: feed.items[0].link,
+        author: feed.items[0].author,
+        published: feed.items[0].published,
+        summary: feed.items[0].summary,
+        content: feed.items[0].content,
+        categories: feed.items[0].categories
+      });
+    });
+
+    test('should turn non-IRI guids into URN ids', () => {
+      const [entry] = parseFeed(toAtom(rssFeed())).items;
+
+      expect(entry.id).toMatch(/^urn:sha1:[0-9a-f]{40}$/);
+    });
+
+    test('should write required feed id, updated and self link', () => {
+      const xml = toAtom(rssFeed(), { selfUrl: 'https://proxy.example/feed.atom' });
+
+      expect(xml).toContain('<id>https://proxy.example/feed.atom</id>');
+      expect(xml).toContain('<link rel="self" href="https://proxy.example/feed.atom" type="application/atom+xml"/>');
+      expect(xml).toContain('<updated>2026-02-07T12:00:00.000Z</updated>');
+    });
+
+    test('should add a feed author when an entry has none', () => {
+      const xml = toAtom(parseFeed(readFixture('rss-valid.xml')));
+
+      expect(xml).toContain('<author><name>BBC News - World</name></author>');
+    });
+
+    test('should fall back to the newest item date when the feed has no updated date', () => {
+      const feed = parseFeed(readFixture('rss-missing-elements.xml'));
+      feed.items[0].published = '2026-01-02T00:00:00.000Z';
+
+      expect(toAtom(feed)).toContain('<updated>2026-01-02T00:00:00.000Z</updated>');
+    });
+  });
+
+  describe('toJsonFeed', () => {
+    test('should produce a JSON Feed 1.1 document', () => {
+      const doc = toJsonFeed(rssFeed(), { selfUrl: 'https://proxy.example/feed.json' });
+
+      expect(doc).toMatchObject({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'Extended RSS Feed',
+        home_page_url: 'https://example.com/blog',
+        feed_url: 'https://proxy.example/feed.json'
+      });
+      expect(doc.items[0]).toEqual({
+        id: 'post-42',
+        url: 'https://example.com/blog/extras',
+        title: 'Post With Extras',
+        content_html: '<p>The full <em>article</em> body.</p>',
+        summary: '<p>Short <b>teaser</b></p>',
+        date_published: '2026-02-07T11:00:00.000Z',
+        authors: [{ name: 'Alex Writer' }],
+        tags: ['News', 'Tech']
+      });
+    });
+
+    test('should always give items content', () => {
+      const feed = parseFeed(readFixture('rss-missing-elements.xml'));
+      const doc = toJsonFeed(feed);
+
+      expect(doc.items[0].content_text).toBe('');
+      expect(doc.items[1].content_html).toBe('This item has no pubDate or link element.');
+    });
+
+    test('should round-trip through the parser', () => {
+      const feed = parseFeed(readFixture('jsonfeed-valid.json'));
+      const roundTrip = parseFeed(toJsonFeed(feed));
+
+      expect(roundTrip.items[0].attachments).toEqual(feed.items[0].attachments);
+    });
+  });
+
+  describe('itemId', () => {
+    test('should prefer the id, then the link', () => {
+      expect(itemId({ id: 'a', link: 'b' })).toBe('a');
+      expect(itemId({ id: null, link: 'b' })).toBe('b');
+    });
+
+    test('should hash the text when there is no id or link', () => {
+      const item = { id: null, link: null, title: 'T', summary: 'S', content: null };
+
+      expect(itemId(item)).toMatch(/^urn:sha1:/);
+      expect(itemId(item)).toBe(itemId({ ...item }));
+    });
+  });
+});
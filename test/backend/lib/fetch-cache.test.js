@@ -0,0 +1,96 @@
+const { FetchCache, freshnessLifetime, parseCacheControl } = require('../../../src/lib/fetch-cache');
+
+describe('Fetch Cache', () => {
+  describe('FetchCache', () => {
+    test('should store and return entries by URL', () => {
+      const cache = new FetchCache();
+      cache.set('https://example.com/a', { data: 'a' });
+
+      expect(cache.get('https://example.com/a')).toEqual({ data: 'a' });
+      expect(cache.get('https://example.com/b')).toBeUndefined();
+    });
+
+    test('should evict the least recently used entry when full', () => {
+      const cache = new FetchCache({ maxEntries: 2 });
+      cache.set('a', { data: 'a' });
+      cache.set('b', { data: 'b' });
+      cache.get('a');
+      cache.set('c', { data: 'c' });
+
+      expect(cache.get('a')).toBeDefined();
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.size).toBe(2);
+    });
+
+    test('should delete and clear entries', () => {
+      const cache = new FetchCache();
+      cache.set('a', {});
+      cache.set('b', {});
+
+      cache.delete('a');
+      expect(cache.size).toBe(1);
+
+      cache.clear();
+      expect(cache.size).toBe(0);
+    });
+  });
+
+  describe('freshnessLifetime', () => {
+    test('should use Cache-Control max-age', () => {
+      expect(freshnessLifetime({ 'cache-control': 'public, max-age=120' })).toBe(120000);
+    });
+
+    test('should subtract the Age header', () => {
+      expect(freshnessLifetime({ 'cache-control': 'max-age=120', age: '20' })).toBe(100000);
+    });
+
+    test('should return null for no-store and 0 for no-cache', () => {
+      expect(freshnessLifetime({ 'cache-control': 'no-store' })).toBeNull();
+      expect(freshnessLifetime({ 'cache-control': 'no-cache, max-age=60' })).toBe(0);
+    });
+
+    test('should fall back to Expires relative to Date', () => {
+      const headers = {
+        date: 'Fri, 07 Feb 2026 10:00:00 GMT',
+        expires: 'Fri, 07 Feb 2026 10:05:00 GMT'
+      };
+
+      expect(freshnessLifetime(headers)).toBe(300000);
+    });
+
+    test('should treat an invalid Expires as already stale', () => {
+      expect(freshnessLifetime({ expires: '0' })).toBe(0);
+    });
+
+    test('should fall back to the RSS ttl in minutes', () => {
+      const body = '<rss><channel><ttl> 15 </ttl></channel></rss>';
+
+      expect(freshnessLifetime({}, body)).toBe(15 * 60 * 1000);
+    });
+
+    test('should prefer HTTP headers over the RSS ttl', () => {
+      const body = '<rss><channel><ttl>15</ttl></channel></rss>';
+
+      expect(freshnessLifetime({ 'cache-control': 'max-age=10' }, body)).toBe(10000);
+    });
+
+    test('should return 0 when there is no freshness information', () => {
+      expect(freshnessLifetime({}, '<rss></rss>')).toBe(0);
+      expect(freshnessLifetime(undefined, { version: 'json' })).toBe(0);
+    });
+  });
+
+  describe('parseCacheControl', () => {
+    test('should parse directives with and without values', () => {
+      expect(parseCacheControl('Public, Max-Age="60", no-transform')).toEqual({
+        public: true,
+        'max-age': '60',
+        'no-transform': true
+      });
+    });
+
+    test('should return an empty object for missing headers', () => {
+      expect(parseCacheControl(undefined)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const { HostLimiter, HostThrottledError, parseRetryAfter, hostConcurrency } = require('../../../src/lib/host-limiter');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+describe('HostLimiter', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('run', () => {
+    test('should cap concurrent requests per host and queue the rest in order', async () => {
+      const limiter = new HostLimiter({ maxConcurrent: 2 });
+      const gates = [deferred(), deferred(), deferred(), deferred()];
+      const started = [];
+
+      const runs = gates.map((gate, index) => limiter.run('a.example', async () => {
+        started.push(index);
+        await gate.promise;
+        return index;
+      }));
+      await Promise.resolve();
+
+      expect(started).toEqual([0, 1]);
+      expect(limiter.stats('a.example')).toEqual({ active: 2, queued: 2 });
+
+      gates[1].resolve();
+      await runs[1];
+      await Promise.resolve();
+      expect(started).toEqual([0, 1, 2]);
+
+      gates[0].resolve();
+      gates[2].resolve();
+      gates[3].resolve();
+      await expect(Promise.all(runs)).resolves.toEqual([0, 1, 2, 3]);
+      expect(limiter.stats('a.example')).toEqual({ active: 0, queued: 0 });
+    });
+
+    test('should not let one host hold up another', async () => {
+      const limiter = new HostLimiter({ maxConcurrent: 1 });
+      const gate = deferred();
+
+      const slow = limiter.run('slow.example', () => gate.promise);
+      await expect(limiter.run('fast.example', async () => 'done')).resolves.toBe('done');
+
+      gate.resolve();
+      await slow;
+    });
+
+    test('should free the slot when the request fails', async () => {
+      const limiter = new HostLimiter({ maxConcurrent: 1 });
+
+      await expect(limiter.run('a.example', async () => {
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+      await expect(limiter.run('a.example', async () => 'next')).resolves.toBe('next');
+    });
+
+    test('should read the limit through a function', async () => {
+      let limit = 1;
+      const limiter = new HostLimiter({ maxConcurrent: () => limit });
+      const gate = deferred();
+
+      const first = limiter.run('a.example', () => gate.promise);
+      limit = 2;
+      await expect(limiter.run('a.example', async () => 'second')).resolves.toBe('second');
+
+      gate.resolve();
+      await first;
+    });
+  });
+
+  describe('throttling', () => {
+    test('should hold a host until the given time', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const limiter = new HostLimiter();
+
+      limiter.throttle('a.example', 5000);
+      expect(limiter.throttledUntil('a.example')).toBe(5000);
+      expect(limiter.throttledUntil('b.example')).toBeNull();
+
+      now.mockReturnValue(5000);
+      expect(limiter.throttledUntil('a.example')).toBeNull();
+    });
+
+    test('should never shorten an existing hold', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(0);
+      const limiter = new HostLimiter();
+
+      limiter.throttle('a.example', 9000);
+      limiter.throttle('a.example', 3000);
+
+      expect(limiter.throttledUntil('a.example')).toBe(9000);
+
+      limiter.clearThrottles();
+      expect(limiter.throttledUntil('a.example')).toBeNull();
+    });
+  });
+
+  describe('HostThrottledError', () => {
+    test('should describe the hold', () => {
+      const error = new HostThrottledError('a.example', Date.parse('2026-05-01T10:00:00Z'));
+
+      expect(error.message).toBe('Upstream host a.example asked us to slow down; throttled until 2026-05-01T10:00:00.000Z');
+      expect(error.throttledUntil).toBe('2026-05-01T10:00:00.000Z');
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    const now = Date.parse('2026-05-01T10:00:00Z');
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    test('should read delay seconds', () => {
+      expect(parseRetryAfter('120')).toBe(now + 120000);
+      expect(parseRetryAfter(' 5 ')).toBe(now + 5000);
+    });
+
+    test('should read HTTP dates', () => {
+      expect(parseRetryAfter('Fri, 01 May 2026 10:05:00 GMT')).toBe(now + 300000);
+    });
+
+    test('should cap long waits', () => {
+      expect(parseRetryAfter('999999', 60000)).toBe(now + 60000);
+    });
+
+    test.each([undefined, null, '', '0', '-5', 'soon', 'Thu, 01 Jan 2026 00:00:00 GMT'])('should ignore %p', (value) => {
+      expect(parseRetryAfter(value)).toBeNull();
+    });
+  });
+
+  describe('hostConcurrency', () => {
+    afterEach(() => {
+      delete process.env.FEED_HOST_CONCURRENCY;
+    });
+
+    test('should default to 2 and read the environment', () => {
+      expect(hostConcurrency()).toBe(2);
+      process.env.FEED_HOST_CONCURRENCY = '4';
+      expect(hostConcurrency()).toBe(4);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { parseHtml, textContent, findAll, removeNode } = require('../../../src/lib/html-parser');
+
+// The tree as nested [tag, ...children] arrays, with text as strings
+function shape(node) {
+  if (node.type === 'text') {
+    return node.text;
+  }
+  return [node.tag, ...node.children.map(shape)];
+}
+
+describe('html-parser', () => {
+  test('should build a tree of elements and decoded text', () => {
+    const document = parseHtml('<!DOCTYPE html><div class="a" ID=\'b\' data-x=1 hidden><p>Fish &amp; <b>chips</b></p><!-- note --></div>');
+
+    expect(shape(document)).toEqual(['#document', ['div', ['p', 'Fish & ', ['b', 'chips']]]]);
+    const [div] = findAll(document, (element) => element.tag === 'div');
+    expect(div.attributes).toEqual({ class: 'a', id: 'b', 'data-x': '1', hidden: '' });
+    expect(div.parent).toBe(document);
+  });
+
+  test('should imply the end tags that may be left out', () => {
+    const document = parseHtml('<p>One<p>Two<div>Three</div><ul><li>A<li>B<ul><li>B1</ul><li>C</ul><table><tr><td>1<td>2<tr><td>3</table>');
+
+    expect(shape(document)).toEqual(['#document',
+      ['p', 'One'],
+      ['p', 'Two'],
+      ['div', 'Three'],
+      ['ul', ['li', 'A'], ['li', 'B', ['ul', ['li', 'B1']]], ['li', 'C']],
+      ['table', ['tr', ['td', '1'], ['td', '2']], ['tr', ['td', '3']]]
+    ]);
+  });
+
+  test('should keep void and self-closing elements empty', () => {
+    const document = parseHtml('<p>a<br>b<img src="x.png"/>c<hr></p>');
+
+    expect(shape(document)).toEqual(['#document', ['p', 'a', ['br'], 'b', ['img'], 'c'], ['hr']]);
+  });
+
+  test('should read scripts and styles as raw text', () => {
+    const document = parseHtml('<script>if (a < b && c) { x("</p>"); }</script><title>A &amp; B</title><style>p > b {}</style>');
+
+    expect(shape(document)).toEqual(['#document',
+      ['script', 'if (a < b && c) { x("</p>"); }'],
+      ['title', 'A & B'],
+      ['style', 'p > b {}']
+    ]);
+  });
+
+  test('should recover from stray and missing end tags', () => {
+    const document = parseHtml('</span><div><em>open <b>bold</em> tail</i></div> 1 < 2 <section>unclosed');
+
+    expect(shape(document)).toEqual(['#document',
+      ['div', ['em', 'open ', ['b', 'bold']], ' tail'],
+      ' 1 < 2 ',
+      ['section', 'unclosed']
+    ]);
+  });
+
+  test('should read text and take nodes out', () => {
+    const document = parseHtml('<div><p>Hello <b>there</b></p><p>world</p></div>');
+    const [first, second] = findAll(document, (element) => element.tag === 'p');
+
+    expect(textContent(document)).toBe('Hello thereworld');
+    removeNode(first);
+    expect(textContent(document)).toBe('world');
+    expect(first.parent).toBeNull();
+    expect(second.parent.children).toEqual([second]);
+  });
+});
@@ -0,0 +1,41 @@
+const { decodeEntities, htmlToText, escapeHtml } = require('../../../src/lib/html-text');
+
+describe('html-text', () => {
+  describe('decodeEntities', () => {
+    test('should decode named and numeric entities', () => {
+      expect(decodeEntities('Fish &amp; Chips &#8211; &#x201C;tasty&#x201D; &nbsp;')).toBe('Fish & Chips – “tasty”  ');
+    });
+
+    test('should decode typographic entities by name', () => {
+      expect(decodeEntities('It&rsquo;s &ldquo;done&rdquo; &mdash; nearly&hellip;')).toBe('It’s “done” — nearly…');
+    });
+
+    test('should leave unknown entities alone', () => {
+      expect(decodeEntities('&bogus; &#0;')).toBe('&bogus; &#0;');
+    });
+  });
+
+  describe('htmlToText', () => {
+    test('should strip tags and keep block breaks', () => {
+      expect(htmlToText('<p>Hello <b>world</b></p><ul><li>One</li><li>Two</li></ul>')).toBe('Hello world\nOne\nTwo');
+    });
+
+    test('should drop scripts, styles and comments', () => {
+      expect(htmlToText('<style>p { color: red }</style><!-- note --><p>Text</p><script>alert(1)</script>')).toBe('Text');
+    });
+
+    test('should collapse whitespace', () => {
+      expect(htmlToText('  A&nbsp;&nbsp;lot \n\n of    space  ')).toBe('A lot\nof space');
+    });
+
+    test('should return an empty string for missing HTML', () => {
+      expect(htmlToText(null)).toBe('');
+    });
+  });
+
+  describe('escapeHtml', () => {
+    test('should escape special characters', () => {
+      expect(escapeHtml('<a href="x">Tom\'s & Jerry</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom&#39;s &amp; Jerry&lt;/a&gt;');
+    });
+  });
+});
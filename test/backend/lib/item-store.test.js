@@ -0,0 +1,438 @@
+const path = require('path');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+const {
+  ItemStore,
+  ItemStoreError,
+  itemKey,
+  storeFeedItems,
+  parsePageSize,
+  validateMarkRequest,
+  normalizeFeedUrl
+} = require('../../../src/lib/item-store');
+
+const FEED_URL = 'https://example.com/feed.xml';
+
+function feed(items) {
+  return { items };
+}
+
+function item(fields) {
+  return { title: null, link: null, id: null, published: null, summary: null, content: null, ...fields };
+}
+
+function rss(items) {
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>Example</title>${items.map((entry) => `
+    <item><title>${entry.title}</title>${entry.guid ? `<guid>${entry.guid}</guid>` : ''}<pubDate>${entry.date}</pubDate></item>`).join('')}
+  </channel></rss>`;
+}
+
+describe('ItemStore', () => {
+  let store;
+
+  beforeEach(() => {
+    const filePath = path.join(dataDir(), `items-${Date.now()}-${Math.random()}.json`);
+    store = new ItemStore(new JsonStore(filePath, { feeds: {} }));
+  });
+
+  describe('itemKey', () => {
+    test('should prefer the guid or id', () => {
+      expect(itemKey(item({ id: 'tag:example.com,2024:1', link: 'https://example.com/1' }))).toBe('tag:example.com,2024:1');
+    });
+
+    test('should fall back to the link', () => {
+      expect(itemKey(item({ link: 'https://example.com/1' }))).toBe('https://example.com/1');
+    });
+
+    test('should fall back to a hash of the content', () => {
+      const key = itemKey(item({ title: 'Hello', summary: 'World' }));
+
+      expect(key).toMatch(/^sha256:[0-9a-f]{64}$/);
+      expect(itemKey(item({ title: 'Hello', summary: 'World' }))).toBe(key);
+      expect(itemKey(item({ title: 'Hello', summary: 'Everyone' }))).not.toBe(key);
+    });
+  });
+
+  describe('upsert', () => {
+    test('should add new items with ids and timestamps', async () => {
+      const counts = await store.upsert(FEED_URL, feed([
+        item({ id: 'a', title: 'First', published: '2024-01-01T00:00:00.000Z' })
+      ]));
+
+      expect(counts).toEqual({ added: 1, updated: 0 });
+      const { items } = await store.list(FEED_URL);
+      expect(items).toEqual([expect.objectContaining({
+        id: expect.stringMatching(/^[0-9a-f]{24}$/),
+        key: 'a',
+        feedUrl: FEED_URL,
+        title: 'First',
+        read: false,
+        starred: false,
+        archived: false,
+        firstSeenAt: expect.any(String),
+        updatedAt: expect.any(String)
+      })]);
+    });
+
+    test('should not duplicate items seen again', async () => {
+      const entries = [item({ id: 'a', title: 'First' }), item({ link: 'https://example.com/b', title: 'Second' })];
+      await store.upsert(FEED_URL, feed(entries));
+
+      const counts = await store.upsert(FEED_URL, feed(entries));
+
+      expect(counts).toEqual({ added: 0, updated: 0 });
+      expect((await store.list(FEED_URL)).total).toBe(2);
+    });
+
+    test('should update items whose content changed and keep when they were first seen', async () => {
+      await store.upsert(FEED_URL, feed([item({ id: 'a', title: 'Draft' })]));
+      const [before] = (await store.list(FEED_URL)).items;
+
+      const counts = await store.upsert(FEED_URL, feed([item({ id: 'a', title: 'Final' })]));
+
+      expect(counts).toEqual({ added: 0, updated: 1 });
+      const [after] = (await store.list(FEED_URL)).items;
+      expect(after).toMatchObject({ id: before.id, title: 'Final', firstSeenAt: before.firstSeenAt });
+    });
+
+    test('should keep items that dropped out of the feed', async () => {
+      await store.upsert(FEED_URL, feed([item({ id: 'a' })]));
+      await store.upsert(FEED_URL, feed([item({ id: 'b' })]));
+
+      expect((await store.list(FEED_URL)).items.map((entry) => entry.key).sort()).toEqual(['a', 'b']);
+    });
+
+    test('should count repeated items within one fetch once', async () => {
+      const counts = await store.upsert(FEED_URL, feed([item({ id: 'a' }), item({ id: 'a' })]));
+
+      expect(counts).toEqual({ added: 1, updated: 0 });
+    });
+
+    test('should keep feeds apart and give items unique ids', async () => {
+      await store.upsert(FEED_URL, feed([item({ id: 'a' })]));
+      await store.upsert('https://example.org/feed.xml', feed([item({ id: 'a' })]));
+
+      const [first] = (await store.list(FEED_URL)).items;
+      const [second] = (await store.list('https://example.org/feed.xml')).items;
+      expect(first.id).not.toBe(second.id);
+    });
+
+    test('should treat equivalent spellings of a feed URL as one feed', async () => {
+      await store.upsert('HTTPS://Example.com/feed.xml', feed([item({ id: 'a' })]));
+
+      expect((await store.list(FEED_URL)).total).toBe(1);
+    });
+
+    test('should announce changed items as stored and new ones as added', async () => {
+      await store.upsert(FEED_URL, feed([item({ id: 'a', title: 'A' })]));
+      const stored = jest.fn();
+      const added = jest.fn();
+      store.on('stored', stored);
+      store.on('added', added);
+
+      await store.upsert(FEED_URL, feed([item({ id: 'a', title: 'A, edited' }), item({ id: 'b', title: 'B' })]));
+      await store.upsert(FEED_URL, feed([item({ id: 'b', title: 'B' })]));
+
+      expect(stored).toHaveBeenCalledTimes(1);
+      expect(stored.mock.calls[0][0].map((entry) => entry.key)).toEqual(['a', 'b']);
+      expect(added).toHaveBeenCalledTimes(1);
+      expect(added.mock.calls[0][0]).toEqual([expect.objectContaining({ key: 'b', title: 'B', feedUrl: FEED_URL })]);
+      expect(added.mock.calls[0][1]).toEqual({ backlog: false });
+    });
+
+    test('should announce the first items of a feed as its backlog', async () => {
+      const added = jest.fn();
+      store.on('added', added);
+
+      await store.upsert(FEED_URL, feed([item({ id: 'a', title: 'A' }), item({ id: 'b', title: 'B' })]));
+
+      expect(added).toHaveBeenCalledWith([expect.objectContaining({ key: 'a' }), expect.objectContaining({ key: 'b' })], { backlog: true });
+    });
+  });
+
+  describe('seenSince', () => {
+    test('should return the items first seen after a given one, oldest first', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'], now: new Date('2024-01-01T00:00:00Z') });
+      try {
+        await store.upsert(FEED_URL, feed([item({ id: 'a' })]));
+        jest.setSystemTime(new Date('2024-01-01T00:01:00Z'));
+        await store.upsert(FEED_URL, feed([item({ id: 'b' }), item({ id: 'c' })]));
+        await store.upsert('https://example.org/feed.xml', feed([item({ id: 'elsewhere' })]));
+      } finally {
+        jest.useRealTimers();
+      }
+
+      const [first] = (await store.list(FEED_URL)).items.filter((entry) => entry.key === 'a');
+      const after = { time: Date.parse(first.firstSeenAt), id: first.id };
+      const since = await store.seenSince([FEED_URL], { after, limit: 10 });
+
+      expect(since.map((entry) => entry.key).sort()).toEqual(['b', 'c']);
+      expect(since[0].id < since[1].id).toBe(true);
+
+      const [, last] = since;
+      expect(await store.seenSince([FEED_URL], { after: { time: Date.parse(last.firstSeenAt), id: since[0].id }, limit: 10 }))
+        .toEqual([last]);
+      expect(await store.seenSince([FEED_URL], { after, limit: 1 })).toEqual([last]);
+      expect(await store.seenSince(['https://example.net/feed.xml'], { after, limit: 10 })).toEqual([]);
+    });
+  });
+
+  describe('list', () => {
+    beforeEach(async () => {
+      await store.upsert(FEED_URL, feed([1, 2, 3, 4, 5].map((day) =>
+        item({ id: `item-${day}`, published: `2024-01-0${day}T00:00:00.000Z` }))));
+    });
+
+    test('should list items newest first', async () => {
+      const page = await store.list(FEED_URL);
+
+      expect(page.items.map((entry) => entry.key)).toEqual(['item-5', 'item-4', 'item-3', 'item-2', 'item-1']);
+      expect(page.total).toBe(5);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    test('should page through items with cursors', async () => {
+      const first = await store.list(FEED_URL, { limit: 2 });
+      const second = await store.list(FEED_URL, { limit: 2, cursor: first.nextCursor });
+      const third = await store.list(FEED_URL, { limit: 2, cursor: second.nextCursor });
+
+      expect(first.items.map((entry) => entry.key)).toEqual(['item-5', 'item-4']);
+      expect(second.items.map((entry) => entry.key)).toEqual(['item-3', 'item-2']);
+      expect(third.items.map((entry) => entry.key)).toEqual(['item-1']);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    test('should not repeat or skip items added between pages', async () => {
+      const first = await store.list(FEED_URL, { limit: 2 });
+      await store.upsert(FEED_URL, feed([item({ id: 'newest', published: '2024-02-01T00:00:00.000Z' })]));
+
+      const second = await store.list(FEED_URL, { limit: 2, cursor: first.nextCursor });
+
+      expect(second.items.map((entry) => entry.key)).toEqual(['item-3', 'item-2']);
+    });
+
+    test('should return an empty page for an unknown feed', async () => {
+      expect(await store.list('https://example.net/feed.xml')).toEqual({ items: [], total: 0, nextCursor: null });
+    });
+
+    test('should reject an invalid cursor', async () => {
+      await expect(store.list(FEED_URL, { cursor: 'not-a-cursor' })).rejects.toThrow(ItemStoreError);
+      await expect(store.list(FEED_URL, { cursor: 'not-a-cursor' })).rejects.toMatchObject({
+        status: 400,
+        message: 'Invalid cursor parameter'
+      });
+    });
+  });
+
+  describe('timeline', () => {
+    const OTHER_URL = 'https://example.org/feed.xml';
+
+    beforeEach(async () => {
+      await store.upsert(FEED_URL, { title: 'Example', items: [1, 3, 5].map((day) =>
+        item({ id: `a-${day}`, published: `2024-01-0${day}T00:00:00.000Z` })) });
+      await store.upsert(OTHER_URL, feed([2, 4].map((day) =>
+        item({ id: `b-${day}`, published: `2024-01-0${day}T00:00:00.000Z` }))));
+      await store.upsert('https://example.net/feed.xml', feed([item({ id: 'elsewhere' })]));
+    });
+
+    test('should merge the items of several feeds newest first, tagged with their feed title', async () => {
+      const page = await store.timeline([FEED_URL, OTHER_URL]);
+
+      expect(page.items.map((entry) => entry.key)).toEqual(['a-5', 'b-4', 'a-3', 'b-2', 'a-1']);
+      expect(page.items[0].feedTitle).toBe('Example');
+      expect(page.items[1].feedTitle).toBeNull();
+      expect(page.total).toBe(5);
+    });
+
+    test('should page through the merged items with cursors', async () => {
+      const first = await store.timeline([FEED_URL, OTHER_URL], { limit: 3 });
+      const second = await store.timeline([FEED_URL, OTHER_URL], { limit: 3, cursor: first.nextCursor });
+
+      expect(first.items.map((entry) => entry.key)).toEqual(['a-5', 'b-4', 'a-3']);
+      expect(second.items.map((entry) => entry.key)).toEqual(['b-2', 'a-1']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('should filter by state and skip unknown feeds', async () => {
+      const [newest] = (await store.list(FEED_URL)).items;
+      await store.setState(newest.id, { read: true });
+
+      const page = await store.timeline([FEED_URL, 'https://example.com/unknown.xml'], { state: 'unread' });
+
+      expect(page.items.map((entry) => entry.key)).toEqual(['a-3', 'a-1']);
+    });
+
+    test('should keep the latest title of a feed', async () => {
+      await store.upsert(FEED_URL, { title: 'Renamed', items: [] });
+
+      expect((await store.timeline([FEED_URL], { limit: 1 })).items[0].feedTitle).toBe('Renamed');
+    });
+  });
+
+  describe('reading state', () => {
+    let ids;
+
+    beforeEach(async () => {
+      await store.upsert(FEED_URL, feed([1, 2, 3].map((day) =>
+        item({ id: `item-${day}`, published: `2024-01-0${day}T00:00:00.000Z` }))));
+      await store.upsert('https://example.org/feed.xml', feed([item({ id: 'other', published: '2024-01-01T00:00:00.000Z' })]));
+      ids = Object.fromEntries((await store.list(FEED_URL)).items.map((entry) => [entry.key, entry.id]));
+    });
+
+    test('should get an item by id', async () => {
+      expect(await store.get(ids['item-1'])).toMatchObject({ key: 'item-1', read: false });
+    });
+
+    test('should report unknown ids', async () => {
+      await expect(store.get('missing')).rejects.toMatchObject({ status: 404, message: 'Item not found' });
+      await expect(store.setState('missing', { read: true })).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should change the state of one item', async () => {
+      const updated = await store.setState(ids['item-2'], { read: true, starred: true });
+
+      expect(updated).toMatchObject({ key: 'item-2', read: true, starred: true, archived: false });
+      expect(await store.get(ids['item-2'])).toEqual(updated);
+    });
+
+    test('should keep the state when the content changes', async () => {
+      await store.setState(ids['item-1'], { starred: true });
+
+      await store.upsert(FEED_URL, feed([item({ id: 'item-1', title: 'Edited', published: '2024-01-01T00:00:00.000Z' })]));
+
+      expect(await store.get(ids['item-1'])).toMatchObject({ title: 'Edited', starred: true });
+    });
+
+    test.each([
+      [null, 'Request body must be a JSON object'],
+      [{ read: 'yes' }, 'Field read must be a boolean'],
+      [{ title: 'x' }, 'Unknown field: title'],
+      [{}, 'Expected at least one of: read, starred, archived']
+    ])('should reject the state %j', async (patch, message) => {
+      await expect(store.setState(ids['item-1'], patch)).rejects.toMatchObject({ status: 400, message });
+    });
+
+    test('should filter listed items by state', async () => {
+      await store.setState(ids['item-3'], { read: true });
+      await store.setState(ids['item-1'], { starred: true });
+
+      const unread = await store.list(FEED_URL, { state: 'unread' });
+      expect(unread.items.map((entry) => entry.key)).toEqual(['item-2', 'item-1']);
+      expect(unread.total).toBe(2);
+      expect((await store.list(FEED_URL, { state: 'starred' })).items.map((entry) => entry.key)).toEqual(['item-1']);
+      await expect(store.list(FEED_URL, { state: 'new' })).rejects.toMatchObject({
+        status: 400,
+        message: 'Invalid state parameter. Expected one of: unread, read, starred, archived'
+      });
+    });
+
+    test('should mark the items of some feeds older than a date', async () => {
+      const count = await store.markMany({ feedUrls: [FEED_URL], olderThan: '2024-01-03T00:00:00.000Z' }, { read: true });
+
+      expect(count).toBe(2);
+      const read = (await store.list(FEED_URL, { state: 'read' })).items.map((entry) => entry.key);
+      expect(read).toEqual(['item-2', 'item-1']);
+      expect((await store.list('https://example.org/feed.xml', { state: 'unread' })).total).toBe(1);
+    });
+
+    test('should mark items by id and count only the ones that changed', async () => {
+      await store.setState(ids['item-1'], { archived: true });
+
+      const count = await store.markMany({ ids: [ids['item-1'], ids['item-2']] }, { archived: true });
+
+      expect(count).toBe(1);
+      expect((await store.list(FEED_URL, { state: 'archived' })).total).toBe(2);
+    });
+
+    test('should mark every stored item when nothing narrows the selection', async () => {
+      expect(await store.markMany({}, { read: true })).toBe(4);
+      expect(await store.markMany({}, { read: true })).toBe(0);
+    });
+
+    test('should count items by feed', async () => {
+      await store.setState(ids['item-1'], { read: true });
+      await store.setState(ids['item-2'], { archived: true, starred: true });
+
+      expect(await store.counts()).toEqual({
+        [FEED_URL]: { total: 3, unread: 1, starred: 1 },
+        'https://example.org/feed.xml': { total: 1, unread: 1, starred: 0 }
+      });
+    });
+
+    test('should treat items stored before state was tracked as unread', async () => {
+      const filePath = path.join(dataDir(), `items-legacy-${Math.random()}.json`);
+      const legacy = new ItemStore(new JsonStore(filePath, { feeds: {} }));
+      await legacy.store.write({ feeds: { [FEED_URL]: { items: [{ id: 'old', key: 'old', feedUrl: FEED_URL, title: 'Old' }] } } });
+
+      expect((await legacy.list(FEED_URL)).items[0]).toMatchObject({ read: false, starred: false, archived: false });
+      expect(await legacy.counts()).toEqual({ [FEED_URL]: { total: 1, unread: 1, starred: 0 } });
+    });
+  });
+
+  describe('validateMarkRequest', () => {
+    test('should accept a feed, an age and a state', () => {
+      expect(validateMarkRequest({ url: FEED_URL, olderThan: '2024-01-01', read: true })).toEqual({
+        url: FEED_URL,
+        folder: undefined,
+        ids: undefined,
+        olderThan: '2024-01-01',
+        state: { read: true }
+      });
+    });
+
+    test.each([
+      [{ url: FEED_URL, folder: 'News', read: true }, 'Use only one of url, folder and ids'],
+      [{ url: 'ftp://example.com/feed', read: true }, 'Field url must be an http or https URL'],
+      [{ folder: ' ', read: true }, 'Field folder must be a non-empty string'],
+      [{ ids: 'abc', read: true }, 'Field ids must be an array of strings'],
+      [{ olderThan: 'yesterday', read: true }, 'Field olderThan must be a date'],
+      [{ url: FEED_URL }, 'Expected at least one of: read, starred, archived']
+    ])('should reject %j', (body, message) => {
+      expect(() => validateMarkRequest(body)).toThrow(message);
+    });
+  });
+
+  describe('storeFeedItems', () => {
+    test('should store the items of a fetched feed', async () => {
+      const body = rss([
+        { title: 'One', guid: 'one', date: 'Mon, 01 Jan 2024 00:00:00 GMT' },
+        { title: 'Two', guid: 'two', date: 'Tue, 02 Jan 2024 00:00:00 GMT' }
+      ]);
+
+      expect(await storeFeedItems(FEED_URL, { data: body }, store)).toEqual({ added: 2, updated: 0 });
+      expect(await storeFeedItems(FEED_URL, { data: body }, store)).toEqual({ added: 0, updated: 0 });
+      expect((await store.list(FEED_URL)).items.map((entry) => entry.title)).toEqual(['Two', 'One']);
+    });
+
+    test('should skip bodies that are not feeds', async () => {
+      expect(await storeFeedItems(FEED_URL, { data: '<html><body>Not a feed</body></html>' }, store)).toBeNull();
+      expect((await store.list(FEED_URL)).total).toBe(0);
+    });
+  });
+
+  describe('parsePageSize', () => {
+    test('should default to 50', () => {
+      expect(parsePageSize(undefined)).toBe(50);
+    });
+
+    test('should accept whole numbers from 1 to 200', () => {
+      expect(parsePageSize('1')).toBe(1);
+      expect(parsePageSize('200')).toBe(200);
+    });
+
+    test.each(['0', '201', '2.5', 'ten'])('should reject %s', (value) => {
+      expect(() => parsePageSize(value)).toThrow('Invalid limit parameter. Expected a whole number from 1 to 200');
+    });
+  });
+
+  describe('normalizeFeedUrl', () => {
+    test('should write equivalent spellings of a URL the same way', () => {
+      expect(normalizeFeedUrl('HTTPS://Example.com:443/feed.xml')).toBe(FEED_URL);
+    });
+
+    test('should throw the error the factory makes for a URL that does not parse', () => {
+      expect(() => normalizeFeedUrl('not a url')).toThrow('Invalid URL');
+      expect(() => normalizeFeedUrl('not a url', (url) => new ItemStoreError(400, `Bad feed ${url}`)))
+        .toThrow(new ItemStoreError(400, 'Bad feed not a url'));
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const path = require('path');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+const { ItemStore, storeFeedItems } = require('../../../src/lib/item-store');
+const { parseFeed } = require('../../../src/lib/feed-parser');
+const { ItemStream, StreamError, formatEvent, streamSettings } = require('../../../src/lib/item-stream');
+const { until } = require('../helpers');
+
+const FEED_URL = 'https://example.com/feed.xml';
+const OTHER_URL = 'https://example.com/other.xml';
+
+function rss(titles) {
+  return `<rss version="2.0"><channel><title>Stream</title>${titles
+    .map((title) => `<item><guid>${title}</guid><title>${title}</title></item>`)
+    .join('')}</channel></rss>`;
+}
+
+describe('ItemStream', () => {
+  let store;
+  let stream;
+  let documents;
+  let fetch;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'], now: new Date('2024-01-01T00:00:00Z') });
+    store = new ItemStore(new JsonStore(path.join(dataDir(), `stream-${Math.random()}.json`), { feeds: {} }));
+    documents = { [FEED_URL]: rss(['One', 'Two']), [OTHER_URL]: rss(['Other']) };
+    fetch = jest.fn(async (url) => {
+      if (!documents[url]) {
+        throw Object.assign(new Error('Not Found'), { response: { status: 404, statusText: 'Not Found' } });
+      }
+      return { status: 200, data: documents[url], headers: {} };
+    });
+    stream = new ItemStream({
+      store,
+      fetch,
+      storeItems: (url, response) => storeFeedItems(url, response, store),
+      refreshMs: 60 * 1000,
+      heartbeatMs: 15 * 1000,
+      maxConnections: 2
+    });
+  });
+
+  afterEach(async () => {
+    stream.closeAll();
+    await Promise.allSettled([...stream.refreshes.values()]);
+    jest.useRealTimers();
+  });
+
+  function connect(feedUrls, key = 'ip:127.0.0.1') {
+    const events = [];
+    const connection = {
+      send: (event) => events.push(event),
+      heartbeat: jest.fn(),
+      end: jest.fn()
+    };
+    const client = stream.connect({ key, feedUrls }, connection);
+    return { client, events, connection, titles: () => events.filter((event) => event.event === 'new-item').map((event) => event.data.title) };
+  }
+
+  // Lets the refreshes in flight finish
+  const refreshed = () => until(() => !stream.refreshes.size);
+
+  test('should fetch a feed as soon as it is followed and store its backlog without sending it', async () => {
+    const { events } = connect([FEED_URL]);
+
+    await refreshed();
+
+    expect(fetch).toHaveBeenCalledWith(FEED_URL);
+    expect((await store.list(FEED_URL)).total).toBe(2);
+    expect(events).toEqual([]);
+  });
+
+  test('should send only new items on later refreshes', async () => {
+    const { titles, events } = connect([FEED_URL]);
+    await refreshed();
+
+    documents[FEED_URL] = rss(['Three', 'Four', 'One', 'Two']);
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    await until(() => titles().length === 2);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(titles().sort()).toEqual(['Four', 'Three']);
+    expect(events[0]).toEqual({
+      id: expect.stringMatching(/^1704067260000-[0-9a-f]{24}$/),
+      event: 'new-item',
+      data: expect.objectContaining({ feedUrl: FEED_URL, key: events[0].data.title, read: false })
+    });
+    // Sent in event id order
+    expect(events[0].id < events[1].id).toBe(true);
+  });
+
+  test('should send new items stored any other way to the followers of their feed only', async () => {
+    const feed = connect([FEED_URL]);
+    const other = connect([OTHER_URL], 'ip:10.0.0.2');
+    await refreshed();
+
+    await store.upsert(FEED_URL, parseFeed(rss(['Pushed', 'One', 'Two'])));
+
+    expect(feed.titles()).toEqual(['Pushed']);
+    expect(other.titles()).toEqual([]);
+  });
+
+  test('should not send the backlog of a feed first stored any other way', async () => {
+    const { titles } = connect([FEED_URL, 'https://example.com/new.xml']);
+    await refreshed();
+
+    await store.upsert('https://example.com/new.xml', parseFeed(rss(['Old', 'Older'])));
+
+    expect(titles()).toEqual([]);
+  });
+
+  test('should fetch a feed once however many clients follow it', async () => {
+    connect([FEED_URL]);
+    connect([FEED_URL], 'ip:10.0.0.2');
+    await refreshed();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report failed refreshes', async () => {
+    const { events } = connect(['https://example.com/missing.xml']);
+    await until(() => events.length === 1);
+
+    expect(events[0]).toEqual({
+      event: 'feed-error',
+      data: {
+        feedUrl: 'https://example.com/missing.xml',
+        status: 404,
+        error: 'Feed Fetch Failed',
+        message: 'Unable to fetch RSS feed: Not Found',
+        statusCode: 404
+      }
+    });
+  });
+
+  test('should send heartbeats', async () => {
+    const { connection } = connect([FEED_URL]);
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+
+    expect(connection.heartbeat).toHaveBeenCalledTimes(2);
+  });
+
+  test('should cap the streams open per client', () => {
+    connect([FEED_URL]);
+    connect([FEED_URL]);
+
+    expect(() => connect([FEED_URL])).toThrow(StreamError);
+    expect(() => connect([FEED_URL])).toThrow(expect.objectContaining({ status: 429 }));
+    expect(() => connect([FEED_URL], 'token:abc')).not.toThrow();
+  });
+
+  test('should stop refreshing and sending once the last follower leaves', async () => {
+    const { client, titles, connection } = connect([FEED_URL]);
+    await refreshed();
+
+    stream.disconnect(client);
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    await store.upsert(FEED_URL, parseFeed(rss(['Later'])));
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(titles()).toEqual([]);
+    expect(connection.heartbeat).not.toHaveBeenCalled();
+    expect(store.listenerCount('added')).toBe(0);
+  });
+
+  test('should replay the items a reconnecting client missed', async () => {
+    const { client, events } = connect([FEED_URL]);
+    await refreshed();
+    jest.setSystemTime(Date.now() + 1000);
+    await store.upsert(FEED_URL, parseFeed(rss(['Seen', 'One', 'Two'])));
+    stream.disconnect(client);
+
+    jest.setSystemTime(Date.now() + 1000);
+    await store.upsert(FEED_URL, parseFeed(rss(['Missed', 'Seen', 'One', 'Two'])));
+    await store.upsert(OTHER_URL, parseFeed(rss(['Elsewhere', 'Other'])));
+
+    const resumed = connect([FEED_URL]);
+    expect(await stream.replay(resumed.client, events[0].id)).toBe(1);
+    expect(resumed.events[0]).toMatchObject({ event: 'new-item', data: { title: 'Missed' } });
+
+    // The backlog can be caught up on too
+    expect(await stream.replay(resumed.client, '1704067200000-0')).toBe(4);
+    expect(await stream.replay(resumed.client, 'garbage')).toBe(0);
+    expect(await stream.replay(resumed.client, undefined)).toBe(0);
+  });
+
+  test('should end every stream on closeAll', () => {
+    const first = connect([FEED_URL]);
+    const second = connect([OTHER_URL]);
+
+    stream.closeAll();
+
+    expect(first.connection.end).toHaveBeenCalled();
+    expect(second.connection.end).toHaveBeenCalled();
+    expect(stream.clients.size).toBe(0);
+    expect(stream.feeds.size).toBe(0);
+  });
+});
+
+describe('formatEvent', () => {
+  test('should write the event-stream format', () => {
+    expect(formatEvent({ id: '1-a', event: 'new-item', data: { title: 'Line\nbreak' } }))
+      .toBe('id: 1-a\nevent: new-item\ndata: {"title":"Line\\nbreak"}\n\n');
+    expect(formatEvent({ event: 'ready', data: {} })).toBe('event: ready\ndata: {}\n\n');
+  });
+});
+
+describe('streamSettings', () => {
+  afterEach(() => {
+    delete process.env.STREAM_REFRESH_MS;
+    delete process.env.STREAM_HEARTBEAT_MS;
+    delete process.env.STREAM_MAX_CONNECTIONS;
+  });
+
+  test('should read the environment, with defaults', () => {
+    expect(streamSettings()).toEqual({ refreshMs: 60000, heartbeatMs: 15000, maxConnections: 5 });
+
+    process.env.STREAM_REFRESH_MS = '30000';
+    process.env.STREAM_HEARTBEAT_MS = '5000';
+    process.env.STREAM_MAX_CONNECTIONS = '2';
+    expect(streamSettings()).toEqual({ refreshMs: 30000, heartbeatMs: 5000, maxConnections: 2 });
+  });
+});
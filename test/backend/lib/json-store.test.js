@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+
+describe('JsonStore', () => {
+  let filePath;
+
+  beforeEach(async () => {
+    filePath = path.join(dataDir(), `store-${Date.now()}-${Math.random()}`, 'data.json');
+  });
+
+  test('should start from a copy of the default value when the file does not exist', async () => {
+    const defaults = { items: [] };
+    const store = new JsonStore(filePath, defaults);
+
+    const data = await store.read();
+    expect(data).toEqual({ items: [] });
+    expect(data).not.toBe(defaults);
+  });
+
+  test('should write updates to disk and return what the mutator returned', async () => {
+    const store = new JsonStore(filePath, { items: [] });
+
+    const result = await store.update((data) => {
+      data.items.push('a');
+      return data.items.length;
+    });
+
+    expect(result).toBe(1);
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8'))).toEqual({ items: ['a'] });
+    expect(await new JsonStore(filePath, {}).read()).toEqual({ items: ['a'] });
+  });
+
+  test('should apply concurrent updates one at a time', async () => {
+    const store = new JsonStore(filePath, { count: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () => store.update(async (data) => {
+      const count = data.count;
+      await new Promise((resolve) => setImmediate(resolve));
+      data.count = count + 1;
+    })));
+
+    expect((await store.read()).count).toBe(10);
+  });
+
+  test('should not lose an update made while another first read is loading', async () => {
+    const store = new JsonStore(filePath, { items: [] });
+
+    const [, data] = await Promise.all([
+      store.read().then(() => store.update((loaded) => loaded.items.push('a'))),
+      store.read()
+    ]);
+
+    expect(data.items).toEqual(['a']);
+    expect((await store.read()).items).toEqual(['a']);
+  });
+
+  test('should keep processing updates after one fails', async () => {
+    const store = new JsonStore(filePath, { count: 0 });
+
+    const failed = store.update(() => {
+      throw new Error('boom');
+    });
+    const next = store.update((data) => ++data.count);
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe(1);
+  });
+
+  test('should not leave temporary files behind', async () => {
+    const store = new JsonStore(filePath, { items: [] });
+    await store.update((data) => data.items.push(1));
+
+    expect(await fs.readdir(path.dirname(filePath))).toEqual(['data.json']);
+  });
+
+  test('should report a data file that cannot be parsed', async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, '{ not json');
+
+    await expect(new JsonStore(filePath, {}).read()).rejects.toThrow(`Unable to read data file ${filePath}`);
+  });
+});
+
+describe('dataDir', () => {
+  const originalDataDir = process.env.DATA_DIR;
+
+  afterEach(() => {
+    process.env.DATA_DIR = originalDataDir;
+  });
+
+  test('should use DATA_DIR when set', () => {
+    process.env.DATA_DIR = 'relative/data';
+    expect(dataDir()).toBe(path.resolve('relative/data'));
+  });
+
+  test('should default to data/ in the project root', () => {
+    delete process.env.DATA_DIR;
+    expect(dataDir()).toBe(path.resolve(__dirname, '../../../data'));
+  });
+});
@@ -0,0 +1,103 @@
+const { parseOpml, toOpml, OpmlError } = require('../../../src/lib/opml');
+
+describe('OPML', () => {
+  describe('parseOpml', () => {
+    const NESTED = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head><title>My feeds</title></head>
+  <body>
+    <outline type="rss" text="Loose" xmlUrl="https://example.com/loose.xml"/>
+    <outline text="Tech">
+      <outline text="Web" title="Web">
+        <outline type="rss" text="My blog" title="A Blog" xmlUrl="https://example.com/blog.xml" htmlUrl="https://example.com/"/>
+      </outline>
+      <outline type="atom" title="Releases" xmlURL="https://example.com/releases.atom"/>
+    </outline>
+  </body>
+</opml>`;
+
+    test('should read feeds with their nested folders, titles and site URLs', () => {
+      const { title, entries, invalid } = parseOpml(NESTED);
+
+      expect(title).toBe('My feeds');
+      expect(invalid).toEqual([]);
+      expect(entries).toEqual([
+        { url: 'https://example.com/loose.xml', title: 'Loose', name: null, folder: null, htmlUrl: null },
+        { url: 'https://example.com/blog.xml', title: 'A Blog', name: 'My blog', folder: 'Tech/Web', htmlUrl: 'https://example.com/' },
+        { url: 'https://example.com/releases.atom', title: 'Releases', name: null, folder: 'Tech', htmlUrl: null }
+      ]);
+    });
+
+    test('should report feed outlines without a feed URL', () => {
+      const { entries, invalid } = parseOpml(
+        '<opml version="1.0"><body><outline type="rss" text="Broken"/><outline text="Empty folder"/></body></opml>'
+      );
+
+      expect(entries).toEqual([]);
+      expect(invalid).toEqual([{ url: null, title: 'Broken', reason: 'Missing xmlUrl' }]);
+    });
+
+    test('should drop site URLs that are not http URLs', () => {
+      const { entries } = parseOpml(
+        '<opml version="2.0"><body><outline text="A" xmlUrl="https://example.com/a.xml" htmlUrl="javascript:alert(1)"/></body></opml>'
+      );
+
+      expect(entries[0].htmlUrl).toBeNull();
+    });
+
+    test('should keep slashes in folder names from nesting folders', () => {
+      const { entries } = parseOpml(
+        '<opml version="2.0"><body><outline text="News/Politics"><outline text="A" xmlUrl="https://example.com/a.xml"/></outline></body></opml>'
+      );
+
+      expect(entries[0].folder).toBe('News Politics');
+    });
+
+    test.each([
+      ['an empty body', ''],
+      ['malformed XML', '<opml><body><outline text="A"></body>'],
+      ['a document that is not OPML', '<rss version="2.0"><channel/></rss>']
+    ])('should reject %s', (description, xml) => {
+      expect(() => parseOpml(xml)).toThrow(OpmlError);
+    });
+
+    test('should reject documents that are not OPML with a 400', () => {
+      expect(() => parseOpml('<html><body/></html>')).toThrow(
+        expect.objectContaining({ status: 400, message: 'Invalid OPML: expected an <opml> document with a <body>' })
+      );
+    });
+  });
+
+  describe('toOpml', () => {
+    const subscriptions = [
+      { url: 'https://example.com/a.xml', title: 'A & B', name: null, folder: null, htmlUrl: 'https://example.com/' },
+      { url: 'https://example.com/b.xml', title: 'B', name: 'Bee', folder: 'Tech/Web', htmlUrl: null },
+      { url: 'https://example.com/c.xml', title: null, name: null, folder: 'Tech', htmlUrl: null }
+    ];
+
+    test('should write an OPML 2.0 document with escaped attributes', () => {
+      const opml = toOpml(subscriptions, { title: 'Export', dateCreated: new Date('2024-01-02T03:04:05Z') });
+
+      expect(opml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<opml version="2.0">/);
+      expect(opml).toContain('<title>Export</title>');
+      expect(opml).toContain('<dateCreated>Tue, 02 Jan 2024 03:04:05 GMT</dateCreated>');
+      expect(opml).toContain(
+        '<outline type="rss" text="A &amp; B" title="A &amp; B" xmlUrl="https://example.com/a.xml" htmlUrl="https://example.com/"/>'
+      );
+      expect(opml).toContain(
+        '<outline type="rss" text="https://example.com/c.xml" title="https://example.com/c.xml" xmlUrl="https://example.com/c.xml"/>'
+      );
+    });
+
+    test('should read back the feeds it writes', () => {
+      const { title, entries } = parseOpml(toOpml(subscriptions));
+
+      expect(title).toBe('Subscriptions');
+      expect(entries).toEqual([
+        { url: 'https://example.com/a.xml', title: 'A & B', name: null, folder: null, htmlUrl: 'https://example.com/' },
+        { url: 'https://example.com/c.xml', title: 'https://example.com/c.xml', name: null, folder: 'Tech', htmlUrl: null },
+        { url: 'https://example.com/b.xml', title: 'B', name: 'Bee', folder: 'Tech/Web', htmlUrl: null }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,370 @@
+const http = require('http');
+const path = require('path');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+const { WatchList } = require('../../../src/lib/watch-list');
+const { FeedPoller, pollJitter } = require('../../../src/lib/poller');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { readFixture } = require('../../fixtures/helper');
+
+const MINUTE = 60 * 1000;
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+describe('FeedPoller', () => {
+  let watchList;
+  let poller;
+
+  beforeEach(() => {
+    // Network and file system callbacks keep running on real time
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'], now: new Date('2024-01-01T00:00:00Z') });
+    const filePath = path.join(dataDir(), `poller-${Math.random()}.json`);
+    watchList = new WatchList(new JsonStore(filePath, { feeds: [] }));
+  });
+
+  afterEach(async () => {
+    if (poller) {
+      await poller.stop();
+      poller = null;
+    }
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  function createPoller(options) {
+    poller = new FeedPoller({ watchList, jitter: 0.1, random: () => 0.5, storeItems: async () => null, ...options });
+    return poller;
+  }
+
+  // Lets the polls started by the timers finish their I/O
+  async function settle() {
+    await Promise.allSettled([...poller.polls.values()]);
+  }
+
+  async function advance(ms) {
+    await jest.advanceTimersByTimeAsync(ms);
+    await settle();
+  }
+
+  describe('scheduling', () => {
+    test('should spread feeds that are due at start over the jitter window', async () => {
+      const fetch = jest.fn().mockResolvedValue({ status: 200, cacheStatus: 'MISS' });
+      await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: MINUTE });
+      await createPoller({ fetch }).start();
+
+      await advance(2999);
+      expect(fetch).not.toHaveBeenCalled();
+
+      await advance(1);
+      expect(fetch).toHaveBeenCalledWith('https://example.com/feed.xml');
+    });
+
+    test('should wait for feeds that are not due yet', async () => {
+      const fetch = jest.fn().mockResolvedValue({ status: 200, cacheStatus: 'MISS' });
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: MINUTE });
+      await watchList.recordPoll(id, { at: new Date().toISOString(), ok: true }, new Date(Date.now() + 10 * MINUTE));
+      await createPoller({ fetch }).start();
+
+      await advance(10 * MINUTE - 1);
+      expect(fetch).not.toHaveBeenCalled();
+
+      await advance(1);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should poll again after a jittered interval', async () => {
+      const random = jest.fn().mockReturnValue(0);
+      const fetch = jest.fn().mockResolvedValue({ status: 200, cacheStatus: 'MISS' });
+      await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: 10 * MINUTE });
+      await createPoller({ fetch, random }).start();
+
+      await advance(0);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      // random() = 0 shrinks the interval by the full 10% jitter, 1 stretches it
+      random.mockReturnValue(1);
+      await advance(9 * MINUTE - 1);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await advance(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      await advance(11 * MINUTE - 1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await advance(1);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should poll feeds added while running straight away', async () => {
+      const fetch = jest.fn().mockResolvedValue({ status: 200, cacheStatus: 'MISS' });
+      await createPoller({ fetch }).start();
+
+      await watchList.add({ url: 'https://example.com/feed.xml' });
+      await advance(0);
+
+      expect(fetch).toHaveBeenCalledWith('https://example.com/feed.xml');
+    });
+
+    test('should stop polling feeds that are removed', async () => {
+      const fetch = jest.fn().mockResolvedValue({ status: 200, cacheStatus: 'MISS' });
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: MINUTE });
+      await createPoller({ fetch }).start();
+
+      await watchList.remove(id);
+      await advance(10 * MINUTE);
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(poller.timers.size).toBe(0);
+    });
+
+    test('should reschedule feeds whose interval changes', async () => {
+      const fetch = jest.fn().mockResolvedValue({ status: 200, cacheStatus: 'MISS' });
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: MINUTE });
+      await createPoller({ fetch, jitter: 0 }).start();
+      await advance(0);
+
+      await watchList.update(id, { intervalMs: 5 * MINUTE });
+      await advance(4 * MINUTE);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await advance(MINUTE);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('outcomes', () => {
+    test('should record successful polls', async () => {
+      const fetch = jest.fn().mockResolvedValue({ status: 200, cacheStatus: 'REVALIDATED' });
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: 10 * MINUTE });
+      await createPoller({ fetch }).start();
+
+      await advance(MINUTE);
+
+      const feed = await watchList.get(id);
+      expect(feed.lastPolledAt).toBe('2024-01-01T00:00:30.000Z');
+      expect(feed.nextPollAt).toBe('2024-01-01T00:10:30.000Z');
+      expect(feed.history).toEqual([
+        { at: '2024-01-01T00:00:30.000Z', durationMs: 0, ok: true, status: 200, cacheStatus: 'REVALIDATED' }
+      ]);
+    });
+
+    test('should plan the next poll of feeds without a fixed interval', async () => {
+      const fetch = jest.fn().mockResolvedValue({
+        status: 200,
+        cacheStatus: 'MISS',
+        headers: {},
+        data: '<rss version="2.0"><channel><title>T</title><ttl>45</ttl></channel></rss>'
+      });
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml' });
+      await createPoller({ fetch, jitter: 0 }).start();
+
+      await advance(0);
+
+      const feed = await watchList.get(id);
+      expect(feed.schedule).toMatchObject({ basis: 'ttl', intervalMs: 45 * MINUTE });
+      expect(feed.nextPollAt).toBe('2024-01-01T00:45:00.000Z');
+    });
+
+    test('should keep to the last planned interval after a failed poll', async () => {
+      const error = new Error('socket hang up');
+      error.request = {};
+      const fetch = jest.fn()
+        .mockResolvedValueOnce({ status: 200, cacheStatus: 'MISS', headers: { 'cache-control': 'max-age=1800' }, data: '' })
+        .mockRejectedValueOnce(error);
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml' });
+      await createPoller({ fetch, jitter: 0 }).start();
+
+      await advance(0);
+      await advance(30 * MINUTE);
+
+      const feed = await watchList.get(id);
+      expect(feed.history[0]).toMatchObject({ ok: false, status: 503 });
+      expect(feed.schedule).toMatchObject({ basis: 'cache', intervalMs: 30 * MINUTE });
+      expect(feed.nextPollAt).toBe('2024-01-01T01:00:00.000Z');
+    });
+
+    test('should record failed polls with the error the API would report', async () => {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404, statusText: 'Not Found' };
+      const fetch = jest.fn().mockRejectedValue(error);
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: MINUTE });
+      await createPoller({ fetch }).start();
+
+      await advance(3000);
+      await advance(MINUTE);
+
+      const feed = await watchList.get(id);
+      expect(feed.consecutiveFailures).toBe(2);
+      expect(feed.history[0]).toMatchObject({ ok: false, status: 404, error: expect.any(String) });
+    });
+
+    test('should not record polls of feeds removed while they ran', async () => {
+      const gate = deferred();
+      const fetch = jest.fn().mockReturnValue(gate.promise);
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: MINUTE });
+      await createPoller({ fetch }).start();
+      await jest.advanceTimersByTimeAsync(3000);
+
+      await watchList.remove(id);
+      gate.resolve({ status: 200, cacheStatus: 'MISS' });
+      await settle();
+
+      expect(await watchList.list()).toEqual([]);
+      expect(poller.timers.size).toBe(0);
+    });
+
+    test('should not start a second poll of a feed that is still being polled', async () => {
+      const gate = deferred();
+      const fetch = jest.fn().mockReturnValue(gate.promise);
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: MINUTE });
+      createPoller({ fetch });
+
+      const first = poller.poll(id);
+      await expect(poller.poll(id)).resolves.toBeNull();
+      gate.resolve({ status: 200, cacheStatus: 'MISS' });
+      await first;
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should store the items of polled feeds and record how many were new', async () => {
+      const response = { status: 200, cacheStatus: 'MISS', headers: {}, data: '' };
+      const fetch = jest.fn().mockResolvedValue(response);
+      const storeItems = jest.fn().mockResolvedValue({ added: 3, updated: 1 });
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: MINUTE });
+      createPoller({ fetch, storeItems });
+
+      await poller.poll(id);
+
+      expect(storeItems).toHaveBeenCalledWith('https://example.com/feed.xml', response);
+      expect((await watchList.get(id)).history[0]).toMatchObject({ ok: true, newItems: 3 });
+    });
+
+    test('should record polls whose items cannot be stored', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const fetch = jest.fn().mockResolvedValue({ status: 200, cacheStatus: 'MISS', headers: {}, data: '' });
+      const storeItems = jest.fn().mockRejectedValue(new Error('disk full'));
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: MINUTE });
+      createPoller({ fetch, storeItems });
+
+      await poller.poll(id);
+
+      expect((await watchList.get(id)).history[0]).toMatchObject({ ok: true, status: 200 });
+      expect(console.error).toHaveBeenCalledWith('Unable to store items of https://example.com/feed.xml:', 'disk full');
+    });
+
+    test('should log and survive store failures', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const fetch = jest.fn().mockResolvedValue({ status: 200, cacheStatus: 'MISS' });
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml' });
+      jest.spyOn(watchList, 'recordPoll').mockRejectedValueOnce(new Error('disk full'));
+      createPoller({ fetch });
+
+      await expect(poller.poll(id)).resolves.toBeNull();
+      expect(console.error).toHaveBeenCalledWith(`Unable to poll watched feed ${id}:`, 'disk full');
+    });
+  });
+
+  describe('stop', () => {
+    test('should cancel pending polls and wait for running ones', async () => {
+      const gate = deferred();
+      const fetch = jest.fn().mockReturnValue(gate.promise);
+      const { id } = await watchList.add({ url: 'https://a.example/feed.xml', intervalMs: MINUTE });
+      await watchList.add({ url: 'https://b.example/feed.xml', intervalMs: 10 * MINUTE });
+      await createPoller({ fetch, random: () => 0.1 }).start();
+      await jest.advanceTimersByTimeAsync(600);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      let stopped = false;
+      const stopping = poller.stop().then(() => {
+        stopped = true;
+      });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(stopped).toBe(false);
+
+      gate.resolve({ status: 200, cacheStatus: 'MISS' });
+      await stopping;
+      poller = null;
+
+      expect((await watchList.get(id)).history).toHaveLength(1);
+      await jest.advanceTimersByTimeAsync(60 * MINUTE);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(watchList.listenerCount('added')).toBe(0);
+    });
+  });
+
+  describe('against a local server', () => {
+    let server;
+    let port;
+    let requests;
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => {
+        requests.push(req.url);
+        if (req.url === '/missing.xml') {
+          res.writeHead(404);
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+        res.end(readFixture('rss-valid.xml'));
+      });
+      server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      requests = [];
+      clearFeedCache();
+      process.env.FEED_HOST_ALLOWLIST = '127.0.0.1';
+    });
+
+    afterEach(() => {
+      delete process.env.FEED_HOST_ALLOWLIST;
+    });
+
+    test('should fetch each watched feed on its own schedule', async () => {
+      const ok = await watchList.add({ url: `http://127.0.0.1:${port}/feed.xml`, intervalMs: 2 * MINUTE });
+      const missing = await watchList.add({ url: `http://127.0.0.1:${port}/missing.xml`, intervalMs: 5 * MINUTE });
+      await createPoller({ jitter: 0 }).start();
+
+      await advance(0);
+      expect(requests.sort()).toEqual(['/feed.xml', '/missing.xml']);
+
+      await advance(2 * MINUTE);
+      await advance(2 * MINUTE);
+      expect(requests.filter((url) => url === '/feed.xml')).toHaveLength(3);
+      expect(requests.filter((url) => url === '/missing.xml')).toHaveLength(1);
+
+      expect((await watchList.get(ok.id)).history[0]).toMatchObject({ ok: true, status: 200, cacheStatus: 'MISS' });
+      expect((await watchList.get(missing.id)).history[0]).toMatchObject({ ok: false, status: 404 });
+    });
+  });
+});
+
+describe('pollJitter', () => {
+  afterEach(() => {
+    delete process.env.FEED_POLL_JITTER;
+  });
+
+  test('should default to 10%', () => {
+    expect(pollJitter()).toBe(0.1);
+  });
+
+  test('should read FEED_POLL_JITTER, including 0', () => {
+    process.env.FEED_POLL_JITTER = '0';
+    expect(pollJitter()).toBe(0);
+
+    process.env.FEED_POLL_JITTER = '0.25';
+    expect(pollJitter()).toBe(0.25);
+  });
+});
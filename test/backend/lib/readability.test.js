@@ -0,0 +1,102 @@
+const { readFixture } = require('../../fixtures/helper');
+const { extractArticle, fetchArticle, ArticleError } = require('../../../src/lib/readability');
+
+const PAGE_URL = 'https://news.example.com/2024/tide-pools';
+
+const PARAGRAPH = 'Anemones, sea stars, crabs and sculpins wait in the pools for the tide to come back, every single day.';
+
+function page(body, head = '') {
+  return `<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`;
+}
+
+describe('extractArticle', () => {
+  let article;
+
+  beforeAll(() => {
+    article = extractArticle(readFixture('article-page.html'), PAGE_URL);
+  });
+
+  test('should read the title, byline and page metadata', () => {
+    expect(article).toMatchObject({
+      title: 'Why Tide Pools Matter',
+      byline: 'Marina Costa',
+      siteName: 'Coastal Times',
+      excerpt: 'What lives between the tides, and why it is worth protecting.',
+      leadImage: 'https://news.example.com/images/tide-pool.jpg'
+    });
+  });
+
+  test('should keep the article and leave the rest of the page out', () => {
+    expect(article.text).toMatch(/^A green anemone at low tide\nTwice a day, the sea pulls back/);
+    expect(article.text).toContain('How to visit\nGo at low tide, and check the tide tables first');
+    expect(article.text).toMatch(/a bucket ever could\. Tap here for nothing\.$/);
+
+    for (const furniture of ['Opinion', 'Most read', 'Great article', 'All rights reserved', 'Share', 'Subscribe now', 'Marina Costa']) {
+      expect(article.text).not.toContain(furniture);
+    }
+    // The title is not repeated in the content
+    expect(article.text).not.toContain('Why Tide Pools Matter');
+  });
+
+  test('should sanitize the HTML and make its URLs absolute', () => {
+    expect(article.html).toContain('<img src="https://news.example.com/images/anemone.jpg" alt="A green anemone">');
+    expect(article.html).toContain('<a href="https://news.example.com/science/warming-seas">our report on warming seas</a>');
+    expect(article.html).toContain('could. Tap here for <b>nothing</b>.</p>');
+    expect(article.html).toMatch(/^<div> *<figure>/);
+
+    expect(article.html).not.toMatch(/<(script|nav|aside|article)\b|onclick|javascript:|data:|class=|style=/);
+  });
+
+  test('should fall back to the document title and heading', () => {
+    const body = `<h1>Tide pools</h1><div><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>`;
+
+    expect(extractArticle(page(body, '<title>Tide pools - Coastal Times</title>'), PAGE_URL).title).toBe('Tide pools');
+    expect(extractArticle(page(body, '<title>Life between the tides | Coastal Times</title>'), PAGE_URL).title).toBe('Life between the tides');
+    expect(extractArticle(page(body, '<title>Tides | Coast</title>'), PAGE_URL).title).toBe('Tides | Coast');
+    expect(extractArticle(page(body), PAGE_URL).title).toBe('Tide pools');
+  });
+
+  test('should take the byline from the page metadata', () => {
+    const head = '<meta name="author" content="by Sam Rivers"><base href="https://cdn.example.com/articles/">';
+    const body = `<div><p>${PARAGRAPH} <a href="more">More</a></p><p>${PARAGRAPH}</p><img src="pool.png"></div>`;
+
+    const extracted = extractArticle(page(body, head), PAGE_URL);
+
+    expect(extracted.byline).toBe('Sam Rivers');
+    expect(extracted.leadImage).toBe('https://cdn.example.com/articles/pool.png');
+    expect(extracted.html).toContain('<a href="https://cdn.example.com/articles/more">More</a>');
+  });
+
+  test('should keep the whitespace of preformatted text', () => {
+    const body = `<div><p>${PARAGRAPH}</p><pre>line one\n  line   two</pre><p>${PARAGRAPH}</p></div>`;
+
+    expect(extractArticle(page(body), PAGE_URL).html).toContain('<pre>line one\n  line   two</pre>');
+  });
+
+  test('should fail on a page without an article', () => {
+    const body = '<nav><a href="/">Home</a></nav><div><p>Just a short note.</p></div>';
+
+    expect(() => extractArticle(page(body), PAGE_URL)).toThrow(ArticleError);
+    expect(() => extractArticle(page(body), PAGE_URL)).toThrow(expect.objectContaining({
+      status: 422,
+      message: 'No article found on this page'
+    }));
+  });
+});
+
+describe('fetchArticle', () => {
+  test('should fetch a page and extract its article', async () => {
+    const fetch = jest.fn(async () => ({ data: readFixture('article-page.html'), headers: { 'content-type': 'text/html; charset=utf-8' } }));
+
+    const article = await fetchArticle(PAGE_URL, { fetch });
+
+    expect(fetch).toHaveBeenCalledWith(PAGE_URL);
+    expect(article).toMatchObject({ url: PAGE_URL, title: 'Why Tide Pools Matter' });
+  });
+
+  test('should refuse what is not a web page', async () => {
+    const fetch = async () => ({ data: '%PDF-1.7', headers: { 'content-type': 'application/pdf' } });
+
+    await expect(fetchArticle(PAGE_URL, { fetch })).rejects.toMatchObject({ status: 422, message: 'Not a web page: application/pdf' });
+  });
+});
@@ -0,0 +1,188 @@
+const { planRefresh, postingInterval, refreshLimits } = require('../../../src/lib/refresh-planner');
+const { readFixture } = require('../../fixtures/helper');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Builds an RSS feed with the given channel elements and item dates
+ */
+function rss(channel = '', dates = []) {
+  const items = dates
+    .map((date, index) => `<item><guid>${index}</guid><pubDate>${new Date(date).toUTCString()}</pubDate></item>`)
+    .join('');
+  return `<?xml version="1.0"?><rss version="2.0" xmlns:sy="http://purl.org/rss/1.0/modules/syndication/">
+    <channel><title>T</title>${channel}${items}</channel></rss>`;
+}
+
+describe('Refresh Planner', () => {
+  // A Wednesday, 12:00 GMT
+  const now = Date.parse('2024-01-03T12:00:00Z');
+
+  afterEach(() => {
+    delete process.env.FEED_POLL_INTERVAL_MS;
+    delete process.env.FEED_POLL_MIN_INTERVAL_MS;
+    delete process.env.FEED_POLL_MAX_INTERVAL_MS;
+  });
+
+  describe('planRefresh', () => {
+    test('should fall back to FEED_POLL_INTERVAL_MS without any signal', () => {
+      process.env.FEED_POLL_INTERVAL_MS = String(20 * MINUTE);
+
+      const plan = planRefresh({ data: rss(), headers: {} }, { from: now });
+
+      expect(plan).toEqual({
+        intervalMs: 20 * MINUTE,
+        nextFetchAt: '2024-01-03T12:20:00.000Z',
+        basis: 'default',
+        signals: {
+          postingIntervalMs: null,
+          syndicationIntervalMs: null,
+          ttlMs: null,
+          cacheLifetimeMs: null,
+          skipHours: [],
+          skipDays: []
+        },
+        limits: { minIntervalMs: MINUTE, maxIntervalMs: DAY }
+      });
+    });
+
+    test('should follow how often the feed has published', () => {
+      const dates = [now - HOUR, now - 3 * HOUR, now - 5 * HOUR, now - 7 * HOUR];
+
+      const plan = planRefresh({ data: rss('', dates), headers: {} }, { from: now });
+
+      expect(plan.basis).toBe('history');
+      expect(plan.intervalMs).toBe(2 * HOUR);
+      expect(plan.signals.postingIntervalMs).toBe(2 * HOUR);
+    });
+
+    test('should prefer posting history over the syndication module', () => {
+      const channel = '<sy:updatePeriod>hourly</sy:updatePeriod>';
+
+      const withHistory = planRefresh({ data: rss(channel, [now - HOUR, now - 3 * HOUR]), headers: {} }, { from: now });
+      const withoutHistory = planRefresh({ data: rss(channel), headers: {} }, { from: now });
+
+      expect(withHistory).toMatchObject({ basis: 'history', intervalMs: 2 * HOUR });
+      expect(withoutHistory).toMatchObject({ basis: 'syndication', intervalMs: HOUR });
+    });
+
+    test('should divide the update period by the update frequency', () => {
+      const channel = '<sy:updatePeriod>daily</sy:updatePeriod><sy:updateFrequency>4</sy:updateFrequency>';
+
+      const plan = planRefresh({ data: rss(channel), headers: {} }, { from: now });
+
+      expect(plan.signals.syndicationIntervalMs).toBe(6 * HOUR);
+      expect(plan.intervalMs).toBe(6 * HOUR);
+    });
+
+    test('should not fetch before the ttl or the cache lifetime runs out', () => {
+      const busy = [now - 10 * MINUTE, now - 20 * MINUTE, now - 30 * MINUTE];
+
+      const ttl = planRefresh({ data: rss('<ttl>60</ttl>', busy), headers: {} }, { from: now });
+      const cache = planRefresh({ data: rss('<ttl>60</ttl>', busy), headers: { 'cache-control': 'max-age=7200' } }, { from: now });
+
+      expect(ttl).toMatchObject({ basis: 'ttl', intervalMs: HOUR });
+      expect(cache).toMatchObject({ basis: 'cache', intervalMs: 2 * HOUR });
+      expect(cache.signals).toMatchObject({ postingIntervalMs: 10 * MINUTE, ttlMs: HOUR, cacheLifetimeMs: 2 * HOUR });
+    });
+
+    test('should clamp to the configured minimum and maximum', () => {
+      process.env.FEED_POLL_MIN_INTERVAL_MS = String(15 * MINUTE);
+      process.env.FEED_POLL_MAX_INTERVAL_MS = String(6 * HOUR);
+
+      const busy = planRefresh({ data: rss('', [now - MINUTE, now - 2 * MINUTE]), headers: {} }, { from: now });
+      const quiet = planRefresh({ data: rss('<sy:updatePeriod>weekly</sy:updatePeriod>'), headers: {} }, { from: now });
+
+      expect(busy.intervalMs).toBe(15 * MINUTE);
+      expect(quiet.intervalMs).toBe(6 * HOUR);
+      expect(quiet.basis).toBe('syndication');
+    });
+
+    test('should move the next fetch out of skipped hours', () => {
+      const channel = '<ttl>60</ttl><skipHours><hour>13</hour><hour>14</hour></skipHours>';
+
+      const plan = planRefresh({ data: rss(channel), headers: {} }, { from: now });
+
+      expect(plan.intervalMs).toBe(HOUR);
+      expect(plan.nextFetchAt).toBe('2024-01-03T15:00:00.000Z');
+    });
+
+    test('should move the next fetch out of skipped days', () => {
+      process.env.FEED_POLL_MAX_INTERVAL_MS = String(7 * DAY);
+      const channel = '<sy:updatePeriod>daily</sy:updatePeriod><skipDays><day>Thursday</day><day>Friday</day></skipDays>';
+
+      const plan = planRefresh({ data: rss(channel), headers: {} }, { from: now });
+
+      expect(plan.nextFetchAt).toBe('2024-01-06T00:00:00.000Z');
+    });
+
+    test('should ignore skip hints that would go past the maximum interval', () => {
+      const channel = '<ttl>60</ttl><skipDays><day>Wednesday</day><day>Thursday</day></skipDays>';
+
+      const plan = planRefresh({ data: rss(channel), headers: {} }, { from: now });
+
+      expect(plan.nextFetchAt).toBe('2024-01-03T13:00:00.000Z');
+    });
+
+    test('should plan from the fixture with every hint', () => {
+      const plan = planRefresh({ data: readFixture('rss-refresh-hints.xml'), headers: {} }, { from: Date.parse('2024-01-01T12:00:00Z') });
+
+      expect(plan).toMatchObject({
+        basis: 'history',
+        intervalMs: 6 * HOUR,
+        nextFetchAt: '2024-01-01T18:00:00.000Z',
+        signals: { syndicationIntervalMs: 6 * HOUR, ttlMs: 90 * MINUTE }
+      });
+    });
+
+    test('should default to now and cope with bodies that are not feeds', () => {
+      jest.useFakeTimers({ now });
+      try {
+        const plan = planRefresh({ data: '<html></html>' });
+
+        expect(plan.basis).toBe('default');
+        expect(plan.nextFetchAt).toBe('2024-01-03T12:15:00.000Z');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('postingInterval', () => {
+    test('should use the median gap between the latest posts', () => {
+      const dates = [now, now - HOUR, now - 2 * HOUR, now - 10 * HOUR];
+
+      expect(postingInterval(dates, now)).toBe(HOUR);
+    });
+
+    test('should stretch while the feed has gone quiet', () => {
+      const dates = [now - 3 * DAY, now - 4 * DAY, now - 5 * DAY];
+
+      expect(postingInterval(dates, now)).toBe(3 * DAY);
+    });
+
+    test('should only look at the ten latest posts that are not in the future', () => {
+      const old = Array.from({ length: 20 }, (_, index) => now - 10 * DAY - index * DAY);
+      const recent = Array.from({ length: 10 }, (_, index) => now - index * HOUR);
+
+      expect(postingInterval([now + DAY, ...recent, ...old], now)).toBe(HOUR);
+    });
+
+    test('should need at least two dated posts', () => {
+      expect(postingInterval([], now)).toBeNull();
+      expect(postingInterval([now - HOUR], now)).toBeNull();
+      expect(postingInterval([now, now], now)).toBeNull();
+    });
+  });
+
+  describe('refreshLimits', () => {
+    test('should never let the maximum drop below the minimum', () => {
+      process.env.FEED_POLL_MIN_INTERVAL_MS = String(2 * HOUR);
+      process.env.FEED_POLL_MAX_INTERVAL_MS = String(HOUR);
+
+      expect(refreshLimits()).toEqual({ minIntervalMs: 2 * HOUR, maxIntervalMs: 2 * HOUR });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { withRetry, retryOptions, backoffDelay, isTransientError } = require('../../../src/lib/retry');
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  error.request = {};
+  return error;
+}
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, statusText: 'Error' };
+  return error;
+}
+
+describe('Retry', () => {
+  describe('isTransientError', () => {
+    test.each(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'])('should retry %s', (code) => {
+      expect(isTransientError(networkError(code))).toBe(true);
+    });
+
+    test.each([502, 503, 504])('should retry HTTP %s', (status) => {
+      expect(isTransientError(httpError(status))).toBe(true);
+    });
+
+    test.each([400, 404, 429, 500, 501])('should not retry HTTP %s', (status) => {
+      expect(isTransientError(httpError(status))).toBe(false);
+    });
+
+    test('should not retry permanent failures', () => {
+      expect(isTransientError(networkError('ENOTFOUND'))).toBe(false);
+      expect(isTransientError(networkError('ECONNREFUSED'))).toBe(false);
+      expect(isTransientError(new Error('no code'))).toBe(false);
+    });
+
+    test('should find codes on wrapped causes', () => {
+      const error = new Error('wrapped');
+      error.cause = networkError('ECONNRESET');
+
+      expect(isTransientError(error)).toBe(true);
+    });
+  });
+
+  describe('backoffDelay', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should grow exponentially up to the maximum', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+
+      expect(backoffDelay(0, 100, 1000)).toBe(99);
+      expect(backoffDelay(1, 100, 1000)).toBe(199);
+      expect(backoffDelay(3, 100, 1000)).toBe(799);
+      expect(backoffDelay(6, 100, 1000)).toBe(999);
+    });
+
+    test('should pick a random delay from zero', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+
+      expect(backoffDelay(4, 100, 1000)).toBe(0);
+    });
+  });
+
+  describe('withRetry', () => {
+    const options = { retries: 2, baseDelayMs: 100, maxDelayMs: 1000 };
+
+    test('should return the first successful result', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(networkError('ECONNRESET'))
+        .mockResolvedValueOnce('ok');
+      const sleep = jest.fn().mockResolvedValue();
+
+      await expect(withRetry(fn, { ...options, sleep })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveBeenLastCalledWith(1);
+      expect(sleep).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up after the configured retries', async () => {
+      const error = httpError(503);
+      const fn = jest.fn().mockRejectedValue(error);
+      const sleep = jest.fn().mockResolvedValue();
+
+      await expect(withRetry(fn, { ...options, sleep })).rejects.toBe(error);
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(sleep).toHaveBeenCalledTimes(2);
+      expect(error.attempts).toBe(3);
+    });
+
+    test('should not retry permanent failures', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(404));
+      const sleep = jest.fn();
+
+      await expect(withRetry(fn, { ...options, sleep })).rejects.toThrow('404');
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('should wait with jittered exponential backoff', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const fn = jest.fn().mockRejectedValue(networkError('ETIMEDOUT'));
+      const sleep = jest.fn().mockResolvedValue();
+
+      await expect(withRetry(fn, { ...options, sleep })).rejects.toThrow();
+      expect(sleep.mock.calls).toEqual([[50], [100]]);
+      jest.restoreAllMocks();
+    });
+
+    test('should really sleep by default', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(networkError('ECONNRESET'))
+        .mockResolvedValueOnce('ok');
+
+      await expect(withRetry(fn, { retries: 1, baseDelayMs: 5, maxDelayMs: 5 })).resolves.toBe('ok');
+    });
+  });
+
+  describe('retryOptions', () => {
+    const variables = ['FEED_RETRIES', 'FEED_RETRY_BASE_DELAY_MS', 'FEED_RETRY_MAX_DELAY_MS'];
+    let saved;
+
+    beforeEach(() => {
+      saved = Object.fromEntries(variables.map((name) => [name, process.env[name]]));
+      variables.forEach((name) => delete process.env[name]);
+    });
+
+    afterEach(() => {
+      variables.forEach((name) => {
+        if (saved[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = saved[name];
+        }
+      });
+    });
+
+    test('should provide defaults', () => {
+      expect(retryOptions()).toEqual({ retries: 2, baseDelayMs: 250, maxDelayMs: 4000 });
+    });
+
+    test('should read the environment, including zero', () => {
+      process.env.FEED_RETRIES = '0';
+      process.env.FEED_RETRY_BASE_DELAY_MS = '10';
+
+      expect(retryOptions()).toEqual({ retries: 0, baseDelayMs: 10, maxDelayMs: 4000 });
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const path = require('path');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+const { ItemStore } = require('../../../src/lib/item-store');
+const { RuleStore, RuleError, applyRules, starMatchingItems } = require('../../../src/lib/rules');
+
+const FEED_URL = 'https://example.com/feed.xml';
+const OTHER_URL = 'https://other.example.com/feed.xml';
+
+function tempStore(name, defaults) {
+  return new JsonStore(path.join(dataDir(), `${name}-${Date.now()}-${Math.random()}.json`), defaults);
+}
+
+function rule(fields) {
+  return { id: fields.action, feedUrl: null, field: 'any', match: 'keyword', tag: null, enabled: true, ...fields };
+}
+
+describe('RuleStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new RuleStore(tempStore('rules', { rules: [] }));
+  });
+
+  test('should create a rule with defaults', async () => {
+    const created = await store.create({ pattern: ' Sponsored ', action: 'hide' });
+
+    expect(created).toEqual({
+      id: expect.any(String),
+      name: null,
+      feedUrl: null,
+      field: 'any',
+      match: 'keyword',
+      pattern: 'Sponsored',
+      action: 'hide',
+      tag: null,
+      enabled: true,
+      createdAt: expect.any(String),
+      updatedAt: created.createdAt
+    });
+    expect(await store.list()).toEqual([created]);
+    expect(await store.get(created.id)).toEqual(created);
+  });
+
+  test('should keep per-feed rules under the stored form of the feed URL', async () => {
+    const created = await store.create({ pattern: 'x', action: 'hide', feedUrl: 'HTTPS://Example.com/feed.xml' });
+
+    expect(created.feedUrl).toBe(FEED_URL);
+  });
+
+  test('should update a rule, dropping the tag when it stops tagging', async () => {
+    const created = await store.create({ pattern: 'rust', action: 'tag', tag: 'lang' });
+
+    const updated = await store.update(created.id, { action: 'highlight', enabled: false });
+
+    expect(updated).toMatchObject({ action: 'highlight', tag: null, enabled: false, pattern: 'rust' });
+    await expect(store.update(created.id, { action: 'tag' })).rejects.toMatchObject({
+      status: 400,
+      message: 'Field tag is required for the tag action'
+    });
+  });
+
+  test('should remove a rule', async () => {
+    const created = await store.create({ pattern: 'x', action: 'hide' });
+
+    await store.remove(created.id);
+
+    expect(await store.list()).toEqual([]);
+    await expect(store.remove(created.id)).rejects.toThrow(RuleError);
+    await expect(store.get(created.id)).rejects.toMatchObject({ status: 404, message: 'Rule not found' });
+  });
+
+  test.each([
+    ['x', 'Request body must be a JSON object'],
+    [{ action: 'hide' }, 'Missing required field: pattern'],
+    [{ pattern: 'x' }, 'Missing required field: action'],
+    [{ pattern: 'x', action: 'delete' }, 'Field action must be one of: hide, highlight, star, tag'],
+    [{ pattern: 'x', action: 'hide', field: 'body' }, 'Field field must be one of: any, title, content, author, category, link'],
+    [{ pattern: 'x', action: 'hide', match: 'glob' }, 'Field match must be one of: keyword, regex'],
+    [{ pattern: '(', action: 'hide', match: 'regex' }, expect.stringMatching(/^Field pattern is not a valid regular expression: /)],
+    [{ pattern: '(\\w+\\s?)+$', action: 'hide', match: 'regex' }, 'Field pattern must not repeat a group that holds a repeat, such as (a+)+, which can take too long to match'],
+    [{ pattern: '(?:a*b?){2,}', action: 'hide', match: 'regex' }, 'Field pattern must not repeat a group that holds a repeat, such as (a+)+, which can take too long to match'],
+    [{ pattern: '(a|a)+$', action: 'hide', match: 'regex' }, 'Field pattern must not repeat a group of alternatives, such as (a|aa)+, which can take too long to match'],
+    [{ pattern: '(a|aa)+$', action: 'hide', match: 'regex' }, 'Field pattern must not repeat a group of alternatives, such as (a|aa)+, which can take too long to match'],
+    [{ pattern: '(\\w|\\d)+x$', action: 'hide', match: 'regex' }, 'Field pattern must not repeat a group of alternatives, such as (a|aa)+, which can take too long to match'],
+    [{ pattern: '((?:a|b)c)*$', action: 'hide', match: 'regex' }, 'Field pattern must not repeat a group of alternatives, such as (a|aa)+, which can take too long to match'],
+    [{ pattern: '(\\w)\\1', action: 'hide', match: 'regex' }, 'Field pattern must not use backreferences, which can take too long to match'],
+    [{ pattern: '!!', action: 'hide' }, 'Field pattern must contain a word to match'],
+    [{ pattern: 'x'.repeat(201), action: 'hide' }, 'Field pattern must be at most 200 characters'],
+    [{ pattern: 'x', action: 'tag' }, 'Field tag is required for the tag action'],
+    [{ pattern: 'x', action: 'hide', tag: 'oops' }, 'Field tag is only used by the tag action'],
+    [{ pattern: 'x', action: 'hide', enabled: 'yes' }, 'Field enabled must be a boolean'],
+    [{ pattern: 'x', action: 'hide', feedUrl: 'ftp://example.com/feed' }, 'Only http and https feed URLs can have rules: ftp://example.com/feed'],
+    [{ pattern: 'x', action: 'hide', colour: 'red' }, 'Unknown field: colour']
+  ])('should reject %p', async (fields, message) => {
+    await expect(store.create(fields)).rejects.toMatchObject({ status: 400, message });
+  });
+
+  test('should accept repeats that cannot backtrack badly', async () => {
+    for (const pattern of ['^(sponsored|ad):', '(?:https?://)?ads\\.', '(ab)+c', '[(+]+\\p{L}*', '(a+){0,1}']) {
+      await expect(store.create({ pattern, action: 'hide', match: 'regex' })).resolves.toMatchObject({ pattern });
+    }
+  });
+});
+
+describe('applyRules', () => {
+  const items = [
+    {
+      id: 'a',
+      feedUrl: FEED_URL,
+      title: 'Sponsored: the best VPN',
+      link: 'https://example.com/ads/vpn',
+      author: 'Marketing Team',
+      summary: '<p>Buy <b>now</b></p>',
+      categories: ['Ads']
+    },
+    {
+      id: 'b',
+      feedUrl: OTHER_URL,
+      title: 'Rust 2.0 released',
+      link: 'https://other.example.com/rust',
+      author: 'José',
+      content: '<p>The Rust café is open</p>',
+      categories: ['Programming Languages']
+    }
+  ];
+
+  const matched = (rules) => applyRules(items, rules).map((item) => item.rules.matched.length > 0);
+
+  test('should match keywords as whole words regardless of case and accents', () => {
+    expect(matched([rule({ pattern: 'SPONSORED', action: 'hide' })])).toEqual([true, false]);
+    expect(matched([rule({ pattern: 'cafe is', action: 'hide' })])).toEqual([false, true]);
+    expect(matched([rule({ pattern: 'spons', action: 'hide' })])).toEqual([false, false]);
+    expect(matched([rule({ pattern: 'jose', action: 'hide', field: 'author' })])).toEqual([false, true]);
+  });
+
+  test('should only look at the field of a rule', () => {
+    expect(matched([rule({ pattern: 'buy', action: 'hide', field: 'content' })])).toEqual([true, false]);
+    expect(matched([rule({ pattern: 'buy', action: 'hide', field: 'title' })])).toEqual([false, false]);
+    expect(matched([rule({ pattern: 'programming languages', action: 'hide', field: 'category' })])).toEqual([false, true]);
+    expect(matched([rule({ pattern: 'ads', action: 'hide', field: 'link' })])).toEqual([true, false]);
+  });
+
+  test('should match regular expressions case-insensitively', () => {
+    expect(matched([rule({ pattern: '^rust \\d', action: 'hide', match: 'regex', field: 'title' })])).toEqual([false, true]);
+    expect(matched([rule({ pattern: '/ads/', action: 'hide', match: 'regex', field: 'link' })])).toEqual([true, false]);
+    // Against the text of the HTML, not its markup
+    expect(matched([rule({ pattern: '<b>', action: 'hide', match: 'regex' })])).toEqual([false, false]);
+  });
+
+  test('should not run saved regular expressions that can backtrack badly', () => {
+    const nested = rule({ pattern: '(a+)+$', action: 'hide', match: 'regex', field: 'title' });
+    const alternated = rule({ pattern: '(a|a)+$', action: 'star', match: 'regex', field: 'title' });
+
+    expect(applyRules([{ id: 'x', feedUrl: FEED_URL, title: `${'a'.repeat(40)}!` }], [nested, alternated])[0].rules.matched).toEqual([]);
+  });
+
+  test('should apply per-feed rules to their feed only', () => {
+    expect(matched([rule({ pattern: 'rust', action: 'hide', feedUrl: FEED_URL })])).toEqual([false, false]);
+    expect(matched([rule({ pattern: 'rust', action: 'hide', feedUrl: OTHER_URL })])).toEqual([false, true]);
+  });
+
+  test('should skip disabled rules', () => {
+    expect(matched([rule({ pattern: 'rust', action: 'hide', enabled: false })])).toEqual([false, false]);
+  });
+
+  test('should combine the actions of every matching rule', () => {
+    const [ad, rust] = applyRules(items, [
+      rule({ id: 'hide-ads', pattern: 'sponsored', action: 'hide' }),
+      rule({ id: 'star-rust', pattern: 'rust', action: 'star' }),
+      rule({ id: 'tag-rust', pattern: 'rust', action: 'tag', tag: 'rust' }),
+      rule({ id: 'tag-lang', pattern: 'languages', action: 'tag', tag: 'langs' }),
+      rule({ id: 'tag-again', pattern: 'released', action: 'tag', tag: 'rust' }),
+      rule({ id: 'highlight', pattern: 'released', action: 'highlight' })
+    ]);
+
+    expect(ad.rules).toEqual({ hidden: true, highlighted: false, starred: false, tags: [], matched: ['hide-ads'] });
+    expect(rust.rules).toEqual({
+      hidden: false,
+      highlighted: true,
+      starred: true,
+      tags: ['rust', 'langs'],
+      matched: ['star-rust', 'tag-rust', 'tag-lang', 'tag-again', 'highlight']
+    });
+    expect(rust).toMatchObject({ id: 'b', title: 'Rust 2.0 released' });
+  });
+});
+
+describe('starMatchingItems', () => {
+  let rules;
+  let items;
+
+  beforeEach(() => {
+    rules = new RuleStore(tempStore('rules', { rules: [] }));
+    items = new ItemStore(tempStore('items', { feeds: {} }));
+  });
+
+  test('should star the new items that star rules match', async () => {
+    await items.upsert(FEED_URL, { title: 'Feed', items: [{ id: '1', title: 'Rust news' }, { id: '2', title: 'Go news' }] });
+    await rules.create({ pattern: 'rust', action: 'star' });
+    await rules.create({ pattern: 'go', action: 'hide' });
+    const stored = (await items.list(FEED_URL)).items;
+
+    expect(await starMatchingItems(stored, { rules, items })).toBe(1);
+
+    const states = (await items.list(FEED_URL)).items.map((item) => [item.title, item.starred]);
+    expect(states).toEqual(expect.arrayContaining([['Rust news', true], ['Go news', false]]));
+  });
+
+  test('should do nothing without star rules', async () => {
+    await rules.create({ pattern: 'rust', action: 'hide' });
+
+    expect(await starMatchingItems([{ id: 'x', feedUrl: FEED_URL, title: 'Rust' }], { rules, items })).toBe(0);
+  });
+});
@@ -0,0 +1,159 @@
+const path = require('path');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+const { ItemStore } = require('../../../src/lib/item-store');
+const { SearchIndex, SearchError, buildIndex, tokenize, parseQuery } = require('../../../src/lib/search-index');
+
+function item(id, fields) {
+  return {
+    id,
+    feedUrl: 'https://example.com/feed.xml',
+    title: null,
+    author: null,
+    summary: null,
+    content: null,
+    published: '2024-01-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.add(item('espresso', {
+      title: 'The perfect espresso',
+      author: 'Ana Barista',
+      summary: '<p>How to pull a <b>perfect shot</b> of espresso at home, with a grinder and patience.</p>',
+      published: '2024-03-01T00:00:00.000Z'
+    }));
+    index.add(item('cafes', {
+      title: 'New cafés in town',
+      summary: 'Three cafés opened this month. One of them serves espresso from a vintage lever machine.',
+      published: '2024-02-01T00:00:00.000Z'
+    }));
+    index.add(item('tea', {
+      feedUrl: 'https://example.org/tea.xml',
+      title: 'Tea time',
+      content: '<p>Green tea is not espresso, but it has its perfect moments too.</p>',
+      published: '2024-01-01T00:00:00.000Z'
+    }));
+  });
+
+  test('should tokenize words case- and accent-insensitively', () => {
+    expect(tokenize('Cafés, CRÈME & e-mail 2024')).toEqual(['cafes', 'creme', 'e', 'mail', '2024']);
+  });
+
+  test('should parse words and quoted phrases', () => {
+    expect(parseQuery('espresso "perfect shot" e-mail')).toEqual({
+      terms: ['espresso', 'perfect', 'shot', 'e', 'mail'],
+      phrases: [['perfect', 'shot'], ['e', 'mail']]
+    });
+  });
+
+  test('should find items containing every word', () => {
+    const { total, results } = index.search('perfect espresso');
+
+    expect(total).toBe(2);
+    expect(results.map((result) => result.id)).toEqual(['espresso', 'tea']);
+  });
+
+  test('should rank title matches above matches in the text', () => {
+    const { results } = index.search('espresso');
+
+    expect(results[0].id).toBe('espresso');
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('should match without accents', () => {
+    expect(index.search('cafes').results.map((result) => result.id)).toEqual(['cafes']);
+  });
+
+  test('should search authors', () => {
+    expect(index.search('barista').results.map((result) => result.id)).toEqual(['espresso']);
+  });
+
+  test('should match phrases word for word', () => {
+    expect(index.search('"perfect shot"').results.map((result) => result.id)).toEqual(['espresso']);
+    expect(index.search('"shot perfect"').total).toBe(0);
+  });
+
+  test('should filter by feed and date', () => {
+    expect(index.search('espresso', { feedUrls: ['https://example.org/tea.xml'] }).results.map((result) => result.id))
+      .toEqual(['tea']);
+    expect(index.search('espresso', {
+      from: Date.parse('2024-01-15T00:00:00Z'),
+      to: Date.parse('2024-02-15T00:00:00Z')
+    }).results.map((result) => result.id)).toEqual(['cafes']);
+  });
+
+  test('should page through results', () => {
+    const page = index.search('espresso', { limit: 1, offset: 1 });
+
+    expect(page.total).toBe(3);
+    expect(page.results).toHaveLength(1);
+  });
+
+  test('should list the ids of every match in result order', () => {
+    expect(index.matchIds('espresso', { feedUrls: ['https://example.com/feed.xml'] }))
+      .toEqual(index.search('espresso', { feedUrls: ['https://example.com/feed.xml'] }).results.map((result) => result.id));
+    expect(index.matchIds('perfect espresso')).toHaveLength(2);
+  });
+
+  test('should highlight matches in the title and a snippet', () => {
+    const [result] = index.search('"perfect shot"').results;
+
+    expect(result.highlights.title).toBe('The <mark>perfect</mark> espresso');
+    expect(result.highlights.snippet).toContain('<mark>perfect</mark> <mark>shot</mark> of espresso');
+  });
+
+  test('should escape HTML in highlights', () => {
+    index.add(item('html', { title: 'Use <script> & espresso', summary: '1 < 2 espresso' }));
+
+    const [result] = index.search('script').results;
+    expect(result.highlights.title).toBe('Use &lt;<mark>script</mark>&gt; &amp; espresso');
+  });
+
+  test('should centre long snippets on the first match', () => {
+    const words = Array.from({ length: 100 }, (_, number) => `word${number}`).join(' ');
+    index.add(item('long', { summary: `${words} needle ${words}` }));
+
+    const { snippet } = index.search('needle').results[0].highlights;
+    expect(snippet.startsWith('… ')).toBe(true);
+    expect(snippet.endsWith(' …')).toBe(true);
+    expect(snippet).toContain('<mark>needle</mark>');
+    expect(snippet.length).toBeLessThan(260);
+  });
+
+  test('should replace what was indexed for an item', () => {
+    index.add(item('tea', { title: 'Herbal infusions' }));
+
+    expect(index.search('tea').total).toBe(0);
+    expect(index.search('herbal').total).toBe(1);
+  });
+
+  test('should forget removed items', () => {
+    index.remove('espresso');
+
+    expect(index.search('barista').total).toBe(0);
+    expect(index.postings.has('barista')).toBe(false);
+  });
+
+  test('should reject queries without words', () => {
+    expect(() => index.search('"" !!')).toThrow(SearchError);
+    expect(() => index.search('!!')).toThrow('The search query has no words to search for');
+  });
+});
+
+describe('buildIndex', () => {
+  test('should index stored items and follow new ones', async () => {
+    const filePath = path.join(dataDir(), `items-${Math.random()}.json`);
+    const store = new ItemStore(new JsonStore(filePath, { feeds: {} }));
+    await store.upsert('https://example.com/feed.xml', { items: [{ id: 'a', title: 'Stored before' }] });
+
+    const index = await buildIndex(store);
+    await store.upsert('https://example.com/feed.xml', { items: [{ id: 'b', title: 'Stored after' }] });
+
+    expect(index.search('stored').total).toBe(2);
+  });
+});
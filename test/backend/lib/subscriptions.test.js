@@ -0,0 +1,211 @@
+const path = require('path');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+const { SubscriptionStore, SubscriptionError } = require('../../../src/lib/subscriptions');
+
+describe('SubscriptionStore', () => {
+  let store;
+
+  beforeEach(() => {
+    const filePath = path.join(dataDir(), `subscriptions-${Date.now()}-${Math.random()}.json`);
+    store = new SubscriptionStore(new JsonStore(filePath, { subscriptions: [] }));
+  });
+
+  describe('create', () => {
+    test('should store a subscription with timestamps and an id', async () => {
+      const subscription = await store.create({
+        url: ' https://example.com/feed.xml ',
+        title: 'Example',
+        name: '  My feed ',
+        folder: 'News'
+      });
+
+      expect(subscription).toEqual({
+        id: expect.any(String),
+        url: 'https://example.com/feed.xml',
+        title: 'Example',
+        name: 'My feed',
+        folder: 'News',
+        htmlUrl: null,
+        createdAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        lastFetchedAt: null
+      });
+      expect(await store.list()).toEqual([subscription]);
+    });
+
+    test('should default optional fields to null', async () => {
+      const subscription = await store.create({ url: 'https://example.com/feed.xml', name: '' });
+
+      expect(subscription).toMatchObject({ title: null, name: null, folder: null, htmlUrl: null });
+    });
+
+    test('should keep the address of the site behind the feed', async () => {
+      const subscription = await store.create({ url: 'https://example.com/feed.xml', htmlUrl: ' https://example.com ' });
+
+      expect(subscription.htmlUrl).toBe('https://example.com/');
+    });
+
+    test('should reject a site address that is not an http URL', async () => {
+      await expect(store.create({ url: 'https://example.com/feed.xml', htmlUrl: 'javascript:alert(1)' })).rejects.toMatchObject({
+        status: 400,
+        message: 'Field htmlUrl must be an http or https URL'
+      });
+    });
+
+    test('should reject a URL that is already subscribed', async () => {
+      await store.create({ url: 'https://example.com/feed.xml' });
+
+      await expect(store.create({ url: 'https://example.com/feed.xml' })).rejects.toMatchObject({
+        status: 409,
+        message: 'Already subscribed to https://example.com/feed.xml'
+      });
+    });
+
+    test.each([
+      [undefined, 'Request body must be a JSON object'],
+      [[], 'Request body must be a JSON object'],
+      [{}, 'Missing required field: url'],
+      [{ url: 'not a url' }, 'Invalid URL format'],
+      [{ url: 'ftp://example.com/feed.xml' }, 'Only http and https feed URLs can be subscribed to'],
+      [{ url: 'https://example.com/feed.xml', folder: 3 }, 'Field folder must be a string or null'],
+      [{ url: 'https://example.com/feed.xml', id: 'mine' }, 'Unknown field: id']
+    ])('should reject invalid fields %j', async (fields, message) => {
+      const error = await store.create(fields).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(SubscriptionError);
+      expect(error).toMatchObject({ status: 400, message });
+    });
+  });
+
+  describe('importMany', () => {
+    test('should subscribe to every valid entry and report the others', async () => {
+      await store.create({ url: 'https://example.com/existing.xml' });
+
+      const result = await store.importMany([
+        { url: 'https://example.com/a.xml', title: 'A', folder: 'Tech/Web', htmlUrl: 'https://example.com/a' },
+        { url: 'https://example.com/existing.xml', title: 'Existing' },
+        { url: 'https://example.com/a.xml', title: 'A again' },
+        { url: 'ftp://example.com/feed', title: 'FTP' },
+        { title: 'No URL' }
+      ]);
+
+      expect(result.imported).toEqual([expect.objectContaining({
+        url: 'https://example.com/a.xml',
+        title: 'A',
+        folder: 'Tech/Web',
+        htmlUrl: 'https://example.com/a'
+      })]);
+      expect(result.duplicates).toEqual([
+        { url: 'https://example.com/existing.xml', title: 'Existing', reason: 'Already subscribed' },
+        { url: 'https://example.com/a.xml', title: 'A again', reason: 'Listed more than once' }
+      ]);
+      expect(result.invalid).toEqual([
+        { url: 'ftp://example.com/feed', title: 'FTP', reason: 'Only http and https feed URLs can be subscribed to' },
+        { url: null, title: 'No URL', reason: 'Missing required field: url' }
+      ]);
+      expect((await store.list()).map((subscription) => subscription.url))
+        .toEqual(['https://example.com/existing.xml', 'https://example.com/a.xml']);
+    });
+
+    test('should not write when nothing is valid', async () => {
+      const write = jest.spyOn(store.store, 'write');
+
+      const result = await store.importMany([{ url: 'not a url' }]);
+
+      expect(result.imported).toEqual([]);
+      expect(result.invalid).toHaveLength(1);
+      expect(write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('list and get', () => {
+    test('should filter by folder and keep creation order', async () => {
+      const a = await store.create({ url: 'https://a.example/feed', folder: 'News' });
+      await store.create({ url: 'https://b.example/feed' });
+      const c = await store.create({ url: 'https://c.example/feed', folder: 'News' });
+
+      expect((await store.list({ folder: 'News' })).map((subscription) => subscription.id)).toEqual([a.id, c.id]);
+      expect(await store.list()).toHaveLength(3);
+    });
+
+    test('should return copies that do not change the store', async () => {
+      const { id } = await store.create({ url: 'https://a.example/feed' });
+
+      (await store.get(id)).name = 'changed';
+      expect((await store.get(id)).name).toBeNull();
+    });
+
+    test('should return 404 errors for unknown ids', async () => {
+      await expect(store.get('missing')).rejects.toMatchObject({ status: 404, message: 'Subscription not found' });
+      await expect(store.update('missing', { name: 'x' })).rejects.toMatchObject({ status: 404 });
+      await expect(store.remove('missing')).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should find a subscription by URL', async () => {
+      const subscription = await store.create({ url: 'https://a.example/feed' });
+
+      expect(await store.findByUrl('https://a.example/feed')).toEqual(subscription);
+      expect(await store.findByUrl('https://b.example/feed')).toBeNull();
+    });
+
+    test('should find a subscription by another spelling of its URL', async () => {
+      const subscription = await store.create({ url: 'https://a.example/feed' });
+
+      expect(await store.findByUrl('HTTPS://A.example:443/feed')).toEqual(subscription);
+      expect(await store.findByUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('update', () => {
+    test('should change and clear fields', async () => {
+      const { id } = await store.create({ url: 'https://a.example/feed', name: 'A', folder: 'News' });
+
+      const updated = await store.update(id, { name: 'Renamed', folder: null });
+
+      expect(updated).toMatchObject({ id, url: 'https://a.example/feed', name: 'Renamed', folder: null });
+      expect(await store.get(id)).toEqual(updated);
+    });
+
+    test('should not move a subscription onto a URL that is already subscribed', async () => {
+      await store.create({ url: 'https://a.example/feed' });
+      const b = await store.create({ url: 'https://b.example/feed' });
+
+      await expect(store.update(b.id, { url: 'https://a.example/feed' })).rejects.toMatchObject({ status: 409 });
+      await expect(store.update(b.id, { url: 'https://b.example/feed' })).resolves.toMatchObject({ id: b.id });
+    });
+  });
+
+  describe('remove', () => {
+    test('should delete the subscription', async () => {
+      const { id } = await store.create({ url: 'https://a.example/feed' });
+
+      await store.remove(id);
+
+      expect(await store.list()).toEqual([]);
+    });
+  });
+
+  describe('markFetched', () => {
+    test('should record when a subscribed feed was fetched', async () => {
+      const { id } = await store.create({ url: 'https://a.example/feed' });
+      const fetchedAt = new Date('2024-01-01T12:00:00Z');
+
+      expect(await store.markFetched('https://a.example/feed', fetchedAt)).toBe(true);
+      expect((await store.get(id)).lastFetchedAt).toBe('2024-01-01T12:00:00.000Z');
+    });
+
+    test('should match the feed URL however it was spelled when fetched', async () => {
+      const { id } = await store.create({ url: 'https://a.example/feed' });
+      const fetchedAt = new Date('2024-01-01T12:00:00Z');
+
+      expect(await store.markFetched('https://A.EXAMPLE/feed', fetchedAt)).toBe(true);
+      expect((await store.get(id)).lastFetchedAt).toBe('2024-01-01T12:00:00.000Z');
+    });
+
+    test('should ignore feeds that are not subscribed', async () => {
+      const update = jest.spyOn(store.store, 'update');
+
+      expect(await store.markFetched('https://b.example/feed')).toBe(false);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
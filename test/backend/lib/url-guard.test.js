@@ -0,0 +1,235 @@
+const dns = require('dns');
+const http = require('http');
+const {
+  BlockedUrlError,
+  assertUrlAllowed,
+  guardedLookup,
+  isBlockedAddress,
+  findBlockedUrlError
+} = require('../../../src/lib/url-guard');
+const { fetchFeed, describeFeedError, clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { readFixture } = require('../../fixtures/helper');
+
+describe('URL Guard', () => {
+  afterEach(() => {
+    delete process.env.FEED_HOST_ALLOWLIST;
+    delete process.env.FEED_HOST_DENYLIST;
+  });
+
+  describe('isBlockedAddress', () => {
+    test.each([
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.16.0.1',
+      '172.31.255.255',
+      '192.168.0.10',
+      '169.254.169.254',
+      '100.100.100.200',
+      '0.0.0.0',
+      '224.0.0.1',
+      '::1',
+      '::',
+      'fe80::1',
+      'fd00:ec2::254',
+      '::ffff:127.0.0.1',
+      '::ffff:7f00:1',
+      '64:ff9b::a9fe:a9fe'
+    ])('should block %s', (address) => {
+      expect(isBlockedAddress(address)).toBe(true);
+    });
+
+    test.each([
+      '93.184.216.34',
+      '172.32.0.1',
+      '8.8.8.8',
+      '2606:2800:220:1:248:1893:25c8:1946',
+      '::ffff:8.8.8.8'
+    ])('should allow public address %s', (address) => {
+      expect(isBlockedAddress(address)).toBe(false);
+    });
+
+    test('should not treat hostnames as addresses', () => {
+      expect(isBlockedAddress('example.com')).toBe(false);
+    });
+  });
+
+  describe('assertUrlAllowed', () => {
+    test('should allow public http and https URLs', () => {
+      expect(() => assertUrlAllowed('http://example.com/feed')).not.toThrow();
+      expect(() => assertUrlAllowed('https://93.184.216.34/feed')).not.toThrow();
+    });
+
+    test('should reject other protocols', () => {
+      expect(() => assertUrlAllowed('ftp://example.com/feed')).toThrow(BlockedUrlError);
+      expect(() => assertUrlAllowed('gopher://example.com/')).toThrow(/Protocol "gopher:"/);
+    });
+
+    test('should reject localhost names and private literal addresses', () => {
+      expect(() => assertUrlAllowed('http://localhost/')).toThrow(/local machine/);
+      expect(() => assertUrlAllowed('http://api.localhost/')).toThrow(/local machine/);
+      expect(() => assertUrlAllowed('http://LOCALHOST./')).toThrow(/local machine/);
+      expect(() => assertUrlAllowed('http://[::1]:3000/')).toThrow(/private or reserved/);
+      expect(() => assertUrlAllowed('http://0x7f.1/')).toThrow(/private or reserved/);
+    });
+
+    test('should apply the deny list before the allow list', () => {
+      process.env.FEED_HOST_ALLOWLIST = 'feeds.example.com';
+      process.env.FEED_HOST_DENYLIST = '*.example.com';
+
+      expect(() => assertUrlAllowed('https://feeds.example.com/')).toThrow(/deny list/);
+      expect(() => assertUrlAllowed('https://example.com/')).toThrow(/deny list/);
+      expect(() => assertUrlAllowed('https://example.org/')).not.toThrow();
+    });
+
+    test('should let allow-listed hosts reach private addresses', () => {
+      process.env.FEED_HOST_ALLOWLIST = '10.0.0.5, intranet.local';
+
+      expect(() => assertUrlAllowed('http://10.0.0.5/feed')).not.toThrow();
+      expect(() => assertUrlAllowed('http://10.0.0.6/feed')).toThrow(BlockedUrlError);
+    });
+  });
+
+  describe('guardedLookup', () => {
+    test('should refuse hostnames that resolve to blocked addresses', (done) => {
+      guardedLookup('localhost', {}, (error) => {
+        expect(error).toBeInstanceOf(BlockedUrlError);
+        expect(error.message).toMatch(/resolves to/);
+        done();
+      });
+    });
+
+    test('should resolve allow-listed hostnames in both callback styles', (done) => {
+      process.env.FEED_HOST_ALLOWLIST = 'localhost';
+
+      guardedLookup('localhost', { all: true }, (error, addresses) => {
+        expect(error).toBeNull();
+        expect(Array.isArray(addresses)).toBe(true);
+
+        guardedLookup('localhost', (singleError, address, family) => {
+          expect(singleError).toBeNull();
+          expect(typeof address).toBe('string');
+          expect([4, 6]).toContain(family);
+          done();
+        });
+      });
+    });
+
+    test('should pass DNS errors through', (done) => {
+      guardedLookup('does-not-exist.invalid', {}, (error) => {
+        expect(error).toBeDefined();
+        expect(error).not.toBeInstanceOf(BlockedUrlError);
+        done();
+      });
+    });
+  });
+
+  describe('findBlockedUrlError', () => {
+    test('should find a BlockedUrlError anywhere in the cause chain', () => {
+      const blocked = new BlockedUrlError('nope');
+      const wrapped = new Error('outer', { cause: new Error('middle', { cause: blocked }) });
+
+      expect(findBlockedUrlError(wrapped)).toBe(blocked);
+      expect(findBlockedUrlError(new Error('plain'))).toBeNull();
+    });
+  });
+
+  describe('Redirect checks against a local server', () => {
+    let server;
+    let port;
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/to-metadata') {
+          res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+          return res.end();
+        }
+        if (req.url === '/to-localhost') {
+          res.writeHead(302, { Location: `http://localhost:${port}/feed.xml` });
+          return res.end();
+        }
+        if (req.url === '/to-internal') {
+          res.writeHead(302, { Location: `http://internal.test:${port}/feed.xml` });
+          return res.end();
+        }
+        if (req.url === '/to-ftp') {
+          res.writeHead(302, { Location: 'ftp://example.com/feed.xml' });
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+        res.end(readFixture('rss-valid.xml'));
+      });
+      server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      clearFeedCache();
+      process.env.FEED_HOST_ALLOWLIST = '127.0.0.1';
+    });
+
+    test('should fetch from an allow-listed local server', async () => {
+      const response = await fetchFeed(`http://127.0.0.1:${port}/feed.xml`);
+
+      expect(response.data).toContain('BBC News - World');
+    });
+
+    test.each([
+      ['/to-metadata', /169\.254\.169\.254/],
+      ['/to-localhost', /local machine/],
+      ['/to-ftp', /Protocol "ftp:"/]
+    ])('should block the redirect hop from %s', async (path, message) => {
+      const error = await fetchFeed(`http://127.0.0.1:${port}${path}`).catch((e) => e);
+      const { status, body } = describeFeedError(error);
+
+      expect(status).toBe(403);
+      expect(body.error).toBe('Forbidden');
+      expect(body.message).toMatch(message);
+    });
+
+    test('should resolve allow-listed hostnames through the guarded lookup', async () => {
+      process.env.FEED_HOST_ALLOWLIST = 'localhost';
+
+      const response = await fetchFeed(`http://localhost:${port}/feed.xml`);
+
+      expect(response.data).toContain('BBC News - World');
+    });
+
+    describe('with a hostname that resolves to a private address', () => {
+      const realLookup = dns.lookup;
+
+      beforeEach(() => {
+        // Pretend internal.test resolves to the local server
+        jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+          if (hostname === 'internal.test') {
+            return callback(null, [{ address: '127.0.0.1', family: 4 }]);
+          }
+          return realLookup(hostname, options, callback);
+        });
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      test('should block the request at DNS resolution time', async () => {
+        const error = await fetchFeed(`http://internal.test:${port}/feed.xml`).catch((e) => e);
+        const { status, body } = describeFeedError(error);
+
+        expect(status).toBe(403);
+        expect(body.message).toMatch(/resolves to 127\.0\.0\.1/);
+      });
+
+      test('should block a redirect hop to the hostname', async () => {
+        const error = await fetchFeed(`http://127.0.0.1:${port}/to-internal`).catch((e) => e);
+
+        expect(describeFeedError(error).status).toBe(403);
+      });
+    });
+  });
+});
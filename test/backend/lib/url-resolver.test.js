@@ -0,0 +1,23 @@
+const { resolveUrl } = require('../../../src/lib/url-resolver');
+
+describe('url-resolver', () => {
+  describe('resolveUrl', () => {
+    test('should resolve relative links against the base URL', () => {
+      expect(resolveUrl(' ../feed.xml ', 'https://example.com/blog/post/')).toBe('https://example.com/blog/feed.xml');
+      expect(resolveUrl('//cdn.example.com/a.png', 'http://example.com/')).toBe('http://cdn.example.com/a.png');
+    });
+
+    test('should reject missing, malformed and non-web links', () => {
+      expect(resolveUrl(undefined, 'https://example.com/')).toBeNull();
+      expect(resolveUrl('   ', 'https://example.com/')).toBeNull();
+      expect(resolveUrl('http://', 'https://example.com/')).toBeNull();
+      expect(resolveUrl('javascript:alert(1)', 'https://example.com/')).toBeNull();
+      expect(resolveUrl('mailto:editor@example.com', 'https://example.com/')).toBeNull();
+    });
+
+    test('should accept the protocols it is given', () => {
+      expect(resolveUrl('mailto:editor@example.com', 'https://example.com/', ['http:', 'https:', 'mailto:']))
+        .toBe('mailto:editor@example.com');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const path = require('path');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+const { VirtualFeedStore, VirtualFeedError, buildVirtualFeed } = require('../../../src/lib/virtual-feeds');
+
+const A_URL = 'https://a.example.com/feed.xml';
+const B_URL = 'https://b.example.com/feed.xml';
+
+function rss(items) {
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>Source</title>${items.map((item) => `
+    <item>
+      <title>${item.title}</title>
+      ${item.guid ? `<guid>${item.guid}</guid>` : ''}
+      ${item.link ? `<link>${item.link}</link>` : ''}
+      ${item.category ? `<category>${item.category}</category>` : ''}
+      <description><![CDATA[${item.description || ''}]]></description>
+      <pubDate>${item.date}</pubDate>
+    </item>`).join('')}
+  </channel></rss>`;
+}
+
+describe('VirtualFeedStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new VirtualFeedStore(new JsonStore(path.join(dataDir(), `virtual-${Date.now()}-${Math.random()}.json`), { feeds: [] }));
+  });
+
+  test('should create a definition with defaults', async () => {
+    const definition = await store.create({ name: ' Tech-News ', sources: [A_URL, 'https://A.example.com/feed.xml'] });
+
+    expect(definition).toEqual({
+      name: 'tech-news',
+      title: null,
+      description: null,
+      sources: [A_URL],
+      include: [],
+      exclude: [],
+      limit: 50,
+      createdAt: expect.any(String),
+      updatedAt: definition.createdAt
+    });
+    expect(await store.list()).toEqual([definition]);
+    expect(await store.get('tech-news')).toEqual(definition);
+  });
+
+  test('should edit and rename a definition', async () => {
+    await store.create({ name: 'tech', sources: [A_URL] });
+    await store.create({ name: 'other', sources: [B_URL] });
+
+    const updated = await store.update('tech', { name: 'web', include: ['JavaScript'], limit: 10, title: 'Web' });
+
+    expect(updated).toMatchObject({ name: 'web', include: ['JavaScript'], limit: 10, title: 'Web', sources: [A_URL] });
+    await expect(store.get('tech')).rejects.toMatchObject({ status: 404 });
+    await expect(store.update('web', { name: 'other' })).rejects.toMatchObject({
+      status: 409,
+      message: 'A virtual feed named other already exists'
+    });
+  });
+
+  test('should remove a definition', async () => {
+    await store.create({ name: 'tech', sources: [A_URL] });
+
+    await store.remove('tech');
+
+    expect(await store.list()).toEqual([]);
+    await expect(store.remove('tech')).rejects.toThrow(VirtualFeedError);
+  });
+
+  test('should refuse a taken name', async () => {
+    await store.create({ name: 'tech', sources: [A_URL] });
+
+    await expect(store.create({ name: 'TECH', sources: [B_URL] })).rejects.toMatchObject({ status: 409 });
+  });
+
+  test.each([
+    [[], 'Request body must be a JSON object'],
+    [{ sources: [A_URL] }, 'Missing required field: name'],
+    [{ name: 'two words', sources: [A_URL] }, 'Field name must be letters, digits and single dashes, at most 64 characters'],
+    [{ name: 'tech' }, 'Field sources must be a non-empty array of feed URLs'],
+    [{ name: 'tech', sources: ['ftp://example.com/feed'] }, 'Only http and https feed URLs can be sources: ftp://example.com/feed'],
+    [{ name: 'tech', sources: ['nope'] }, 'Invalid source URL: nope'],
+    [{ name: 'tech', sources: [A_URL], include: ['ok', '  '] }, 'Field include must be an array of keywords'],
+    [{ name: 'tech', sources: [A_URL], exclude: 'spam' }, 'Field exclude must be an array of keywords'],
+    [{ name: 'tech', sources: [A_URL], limit: 0 }, 'Field limit must be a whole number from 1 to 200'],
+    [{ name: 'tech', sources: [A_URL], color: 'red' }, 'Unknown field: color']
+  ])('should reject %p', async (fields, message) => {
+    await expect(store.create(fields)).rejects.toMatchObject({ status: 400, message });
+  });
+
+  test('should limit the sources of one feed', async () => {
+    process.env.FEED_BATCH_MAX_URLS = '1';
+    try {
+      await expect(store.create({ name: 'tech', sources: [A_URL, B_URL] })).rejects.toMatchObject({
+        message: 'Field sources lists too many feeds: 2 (maximum 1)'
+      });
+    } finally {
+      delete process.env.FEED_BATCH_MAX_URLS;
+    }
+  });
+});
+
+describe('buildVirtualFeed', () => {
+  let documents;
+  let fetch;
+
+  function definition(fields = {}) {
+    return { name: 'tech', title: null, description: null, sources: [A_URL, B_URL], include: [], exclude: [], limit: 50, ...fields };
+  }
+
+  beforeEach(() => {
+    documents = {
+      [A_URL]: rss([
+        { title: 'Node.js release', guid: 'post-1', link: 'https://a.example.com/1', date: 'Mon, 01 Jan 2024 10:00:00 GMT' },
+        { title: 'Sponsored: buy this', guid: 'post-2', description: '<p>Great <b>JavaScript</b> deals</p>', date: 'Wed, 03 Jan 2024 10:00:00 GMT' }
+      ]),
+      [B_URL]: rss([
+        { title: 'Machine learning weekly', guid: 'post-1', link: 'https://b.example.com/1', category: 'AI', date: 'Tue, 02 Jan 2024 10:00:00 GMT' },
+        // The same story as A's first item
+        { title: 'Node.js release', guid: 'https://b.example.com/node', link: 'https://a.example.com/1', date: 'Mon, 01 Jan 2024 09:00:00 GMT' }
+      ])
+    };
+    fetch = jest.fn(async (url) => {
+      if (!documents[url]) {
+        throw Object.assign(new Error('Not Found'), { response: { status: 404, statusText: 'Not Found' } });
+      }
+      return { status: 200, data: documents[url], headers: {} };
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should merge the sources newest first with unique ids', async () => {
+    const feed = await buildVirtualFeed(definition(), { fetch });
+
+    expect(feed.title).toBe('tech');
+    expect(feed.description).toBe('Items from 2 feeds');
+    expect(feed.updated).toBe('2024-01-03T10:00:00.000Z');
+    expect(feed.items.map((item) => item.title)).toEqual(['Sponsored: buy this', 'Machine learning weekly', 'Node.js release']);
+    expect(feed.items.map((item) => item.id)).toEqual([`${A_URL}#post-2`, `${B_URL}#post-1`, `${A_URL}#post-1`]);
+  });
+
+  test('should keep only items with an included keyword and none excluded', async () => {
+    const included = await buildVirtualFeed(definition({ include: ['javascript', 'NODE.JS'] }), { fetch });
+    expect(included.items.map((item) => item.title)).toEqual(['Sponsored: buy this', 'Node.js release']);
+    // Categories count, and keywords are whole words
+    const categories = await buildVirtualFeed(definition({ include: ['AI'] }), { fetch });
+    expect(categories.items.map((item) => item.title)).toEqual(['Machine learning weekly']);
+
+    const excluded = await buildVirtualFeed(definition({ exclude: ['sponsored', 'learning weekly'] }), { fetch });
+    expect(excluded.items.map((item) => item.title)).toEqual(['Node.js release']);
+
+    const phrase = await buildVirtualFeed(definition({ exclude: ['weekly learning'] }), { fetch });
+    expect(phrase.items).toHaveLength(3);
+  });
+
+  test('should keep the newest items up to the limit', async () => {
+    const feed = await buildVirtualFeed(definition({ limit: 1, title: 'Tech' }), { fetch });
+
+    expect(feed.title).toBe('Tech');
+    expect(feed.items.map((item) => item.title)).toEqual(['Sponsored: buy this']);
+  });
+
+  test('should leave failing sources out', async () => {
+    const feed = await buildVirtualFeed(definition({ sources: ['https://missing.example.com/feed.xml', B_URL] }), { fetch });
+
+    expect(feed.items.map((item) => item.title)).toEqual(['Machine learning weekly', 'Node.js release']);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('https://missing.example.com/feed.xml'), 'Not Found');
+  });
+
+  test('should fail when every source fails', async () => {
+    documents = {};
+
+    await expect(buildVirtualFeed(definition(), { fetch })).rejects.toThrow('Not Found');
+  });
+});
@@ -0,0 +1,175 @@
+const path = require('path');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+const { WatchList, WatchListError, currentInterval, pollInterval, minPollInterval } = require('../../../src/lib/watch-list');
+
+describe('WatchList', () => {
+  let watchList;
+
+  beforeEach(() => {
+    const filePath = path.join(dataDir(), `watchlist-${Date.now()}-${Math.random()}.json`);
+    watchList = new WatchList(new JsonStore(filePath, { feeds: [] }));
+  });
+
+  afterEach(() => {
+    delete process.env.FEED_POLL_INTERVAL_MS;
+    delete process.env.FEED_POLL_MIN_INTERVAL_MS;
+  });
+
+  describe('add', () => {
+    test('should watch a feed that is due straight away', async () => {
+      const added = jest.fn();
+      watchList.on('added', added);
+
+      const feed = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: 120000 });
+
+      expect(feed).toEqual({
+        id: expect.any(String),
+        url: 'https://example.com/feed.xml',
+        intervalMs: 120000,
+        schedule: null,
+        createdAt: expect.any(String),
+        lastPolledAt: null,
+        nextPollAt: feed.createdAt,
+        consecutiveFailures: 0,
+        history: []
+      });
+      expect(added).toHaveBeenCalledWith(feed);
+      expect(await watchList.list()).toEqual([feed]);
+    });
+
+    test('should leave the interval to the refresh planner by default', async () => {
+      const feed = await watchList.add({ url: 'https://example.com/feed.xml' });
+
+      expect(feed.intervalMs).toBeNull();
+      expect(currentInterval(feed)).toBe(15 * 60 * 1000);
+    });
+
+    test('should reject a URL that is already watched', async () => {
+      await watchList.add({ url: 'https://example.com/feed.xml' });
+
+      await expect(watchList.add({ url: 'https://example.com/feed.xml' })).rejects.toMatchObject({
+        status: 409,
+        message: 'Already watching https://example.com/feed.xml'
+      });
+    });
+
+    test.each([
+      [{}, 'Missing required field: url'],
+      [{ url: 'mailto:someone@example.com' }, 'Only http and https feed URLs can be watched'],
+      [{ url: 'https://example.com/feed.xml', intervalMs: 1000 }, 'Field intervalMs must be null or a whole number of milliseconds, at least 60000'],
+      [{ url: 'https://example.com/feed.xml', intervalMs: '60000' }, 'Field intervalMs must be null or a whole number of milliseconds, at least 60000'],
+      [{ url: 'https://example.com/feed.xml', paused: true }, 'Unknown field: paused']
+    ])('should reject invalid fields %j', async (fields, message) => {
+      const error = await watchList.add(fields).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(WatchListError);
+      expect(error).toMatchObject({ status: 400, message });
+    });
+  });
+
+  describe('update', () => {
+    test('should change the interval and move the next poll', async () => {
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml' });
+      await watchList.recordPoll(id, { at: '2024-01-01T00:00:00.000Z', ok: true }, new Date('2024-01-01T00:15:00Z'));
+      const updated = jest.fn();
+      watchList.on('updated', updated);
+
+      const feed = await watchList.update(id, { intervalMs: 3600000 });
+
+      expect(feed.intervalMs).toBe(3600000);
+      expect(feed.nextPollAt).toBe('2024-01-01T01:00:00.000Z');
+      expect(updated).toHaveBeenCalledWith(feed);
+    });
+
+    test('should go back to planned intervals, following the last plan', async () => {
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml', intervalMs: 120000 });
+      await watchList.recordPoll(
+        id,
+        { at: '2024-01-01T00:00:00.000Z', ok: true },
+        new Date('2024-01-01T00:02:00Z'),
+        { intervalMs: 3600000, basis: 'ttl' }
+      );
+
+      const feed = await watchList.update(id, { intervalMs: null });
+
+      expect(feed.intervalMs).toBeNull();
+      expect(feed.schedule).toEqual({ intervalMs: 3600000, basis: 'ttl' });
+      expect(feed.nextPollAt).toBe('2024-01-01T01:00:00.000Z');
+    });
+
+    test('should not allow the URL to be changed', async () => {
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml' });
+
+      await expect(watchList.update(id, { url: 'https://example.com/other.xml' })).rejects.toMatchObject({
+        status: 400,
+        message: 'Unknown field: url'
+      });
+    });
+  });
+
+  describe('remove', () => {
+    test('should stop watching the feed', async () => {
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml' });
+      const removed = jest.fn();
+      watchList.on('removed', removed);
+
+      await watchList.remove(id);
+
+      expect(await watchList.list()).toEqual([]);
+      expect(removed).toHaveBeenCalledWith(id);
+      await expect(watchList.get(id)).rejects.toMatchObject({ status: 404, message: 'Watched feed not found' });
+    });
+  });
+
+  describe('recordPoll', () => {
+    test('should keep the latest outcomes and count consecutive failures', async () => {
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml' });
+      const next = new Date('2024-01-01T01:00:00Z');
+
+      await watchList.recordPoll(id, { at: '2024-01-01T00:00:00.000Z', ok: false, status: 503 }, next);
+      let feed = await watchList.recordPoll(id, { at: '2024-01-01T00:01:00.000Z', ok: false, status: 503 }, next);
+      expect(feed.consecutiveFailures).toBe(2);
+
+      feed = await watchList.recordPoll(id, { at: '2024-01-01T00:02:00.000Z', ok: true, status: 200 }, next);
+      expect(feed.consecutiveFailures).toBe(0);
+      expect(feed.lastPolledAt).toBe('2024-01-01T00:02:00.000Z');
+      expect(feed.nextPollAt).toBe('2024-01-01T01:00:00.000Z');
+      expect(feed.history.map((outcome) => outcome.at)).toEqual([
+        '2024-01-01T00:02:00.000Z',
+        '2024-01-01T00:01:00.000Z',
+        '2024-01-01T00:00:00.000Z'
+      ]);
+    });
+
+    test('should keep at most 20 outcomes', async () => {
+      const { id } = await watchList.add({ url: 'https://example.com/feed.xml' });
+
+      for (let i = 0; i < 25; i++) {
+        await watchList.recordPoll(id, { at: new Date(i * 1000).toISOString(), ok: true }, new Date());
+      }
+
+      const { history } = await watchList.get(id);
+      expect(history).toHaveLength(20);
+      expect(history[0].at).toBe(new Date(24000).toISOString());
+    });
+  });
+});
+
+describe('Poll intervals', () => {
+  afterEach(() => {
+    delete process.env.FEED_POLL_INTERVAL_MS;
+    delete process.env.FEED_POLL_MIN_INTERVAL_MS;
+  });
+
+  test('should default to 15 minutes with a one minute minimum', () => {
+    expect(pollInterval()).toBe(15 * 60 * 1000);
+    expect(minPollInterval()).toBe(60 * 1000);
+  });
+
+  test('should never default below the minimum', () => {
+    process.env.FEED_POLL_INTERVAL_MS = '1000';
+    process.env.FEED_POLL_MIN_INTERVAL_MS = '30000';
+
+    expect(pollInterval()).toBe(30000);
+  });
+});
@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { JsonStore, dataDir } = require('../../../src/lib/json-store');
+const { WebSubSubscriber, WebSubError, verifySignature, webSubLeaseSeconds } = require('../../../src/lib/websub');
+const { fetchFeed, clearFeedCache } = require('../../../src/lib/feed-fetcher');
+
+jest.mock('axios');
+
+const FEED_URL = 'https://example.com/feed.xml';
+const HUB_URL = 'https://hub.example.com/';
+
+const FEED = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>Pushed</title>
+    <link>https://example.com/</link>
+    <atom:link rel="hub" href="${HUB_URL}"/>
+    <atom:link rel="self" href="/feed"/>
+    <item><guid>1</guid><title>First</title></item>
+  </channel>
+</rss>`;
+
+function sign(body, secret, algorithm = 'sha256') {
+  return `${algorithm}=${crypto.createHmac(algorithm, secret).update(body).digest('hex')}`;
+}
+
+describe('WebSubSubscriber', () => {
+  let subscriber;
+  let requests;
+  let followed;
+  let storeItems;
+  let waiting;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'], now: new Date('2024-01-01T00:00:00Z') });
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    clearFeedCache();
+    requests = [];
+    waiting = [];
+    followed = true;
+    storeItems = jest.fn(async () => null);
+    subscriber = createSubscriber();
+  });
+
+  afterEach(() => {
+    subscriber.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  function createSubscriber(options) {
+    const filePath = path.join(dataDir(), `websub-${Math.random()}.json`);
+    return new WebSubSubscriber({
+      store: new JsonStore(filePath, { subscriptions: [] }),
+      callbackUrl: 'https://reader.example.com/',
+      leaseSeconds: 1000,
+      request: async (hub, params) => {
+        requests.push({ hub, ...params });
+        waiting.splice(0).forEach((resolve) => resolve());
+      },
+      isFollowed: async () => followed,
+      storeItems,
+      ...options
+    });
+  }
+
+  // Resolves once the hub stub gets its next request
+  function nextRequest() {
+    return new Promise((resolve) => waiting.push(resolve));
+  }
+
+  async function subscribed() {
+    const record = await subscriber.discover(FEED_URL, { data: FEED });
+    await subscriber.verify(record.id, {
+      'hub.mode': 'subscribe',
+      'hub.topic': record.topic,
+      'hub.challenge': 'challenge',
+      'hub.lease_seconds': '1000'
+    });
+    const [{ 'hub.secret': secret }] = requests;
+    return { ...record, secret };
+  }
+
+  describe('discover', () => {
+    test('should subscribe to the hub of a followed feed', async () => {
+      const record = await subscriber.discover(FEED_URL, { data: FEED });
+
+      expect(record).toMatchObject({
+        feedUrl: FEED_URL,
+        topic: 'https://example.com/feed',
+        hub: HUB_URL,
+        state: 'pending',
+        requestedAt: '2024-01-01T00:00:00.000Z'
+      });
+      expect(record.secret).toBeUndefined();
+      expect(requests).toEqual([{
+        hub: HUB_URL,
+        'hub.mode': 'subscribe',
+        'hub.topic': 'https://example.com/feed',
+        'hub.callback': `https://reader.example.com/api/websub/callback/${record.id}`,
+        'hub.secret': expect.stringMatching(/^[0-9a-f]{64}$/),
+        'hub.lease_seconds': '1000'
+      }]);
+    });
+
+    test('should not subscribe again while a request is pending', async () => {
+      await subscriber.discover(FEED_URL, { data: FEED });
+
+      expect(await subscriber.discover(FEED_URL, { data: FEED })).toBeNull();
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should keep one subscription for every spelling of the feed URL', async () => {
+      const record = await subscriber.discover(FEED_URL, { data: FEED });
+
+      expect(await subscriber.discover(FEED_URL.replace('https://example.com', 'HTTPS://Example.COM:443'), { data: FEED })).toBeNull();
+      expect(await subscriber.list()).toEqual([expect.objectContaining({ id: record.id, feedUrl: FEED_URL })]);
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should ask again once a request has gone unanswered for an hour', async () => {
+      await subscriber.discover(FEED_URL, { data: FEED });
+      jest.setSystemTime(Date.now() + 60 * 60 * 1000);
+
+      await subscriber.discover(FEED_URL, { data: FEED });
+
+      expect(requests).toHaveLength(2);
+      expect(requests[1]['hub.secret']).toBe(requests[0]['hub.secret']);
+    });
+
+    test('should leave feeds alone that are not followed or have no hub', async () => {
+      followed = false;
+      expect(await subscriber.discover(FEED_URL, { data: FEED })).toBeNull();
+
+      followed = true;
+      expect(await subscriber.discover(FEED_URL, { data: '<rss><channel><title>Plain</title></channel></rss>' })).toBeNull();
+
+      expect(requests).toEqual([]);
+    });
+
+    test('should do nothing without a callback URL', async () => {
+      subscriber = createSubscriber({ callbackUrl: null });
+
+      expect(subscriber.enabled).toBe(false);
+      expect(await subscriber.discover(FEED_URL, { data: FEED })).toBeNull();
+      expect(requests).toEqual([]);
+    });
+
+    test('should record hubs that cannot be reached', async () => {
+      subscriber = createSubscriber({
+        request: async () => {
+          throw Object.assign(new Error('Request failed'), { response: { status: 500 } });
+        }
+      });
+
+      const record = await subscriber.discover(FEED_URL, { data: FEED });
+
+      expect(record).toMatchObject({ state: 'failed', lastError: 'The hub answered 500' });
+    });
+  });
+
+  describe('verify', () => {
+    test('should confirm a subscription it asked for and start the lease', async () => {
+      const record = await subscriber.discover(FEED_URL, { data: FEED });
+
+      const challenge = await subscriber.verify(record.id, {
+        'hub.mode': 'subscribe',
+        'hub.topic': 'https://example.com/feed',
+        'hub.challenge': 'abc123',
+        'hub.lease_seconds': '3600'
+      });
+
+      expect(challenge).toBe('abc123');
+      expect((await subscriber.list())[0]).toMatchObject({
+        state: 'subscribed',
+        leaseSeconds: 3600,
+        verifiedAt: '2024-01-01T00:00:00.000Z',
+        expiresAt: '2024-01-01T01:00:00.000Z'
+      });
+    });
+
+    test('should refuse topics and modes it did not ask for', async () => {
+      const record = await subscriber.discover(FEED_URL, { data: FEED });
+      const query = { 'hub.mode': 'subscribe', 'hub.topic': 'https://example.com/feed', 'hub.challenge': 'x' };
+
+      await expect(subscriber.verify(record.id, { ...query, 'hub.topic': 'https://example.com/other' }))
+        .rejects.toMatchObject({ status: 404 });
+      await expect(subscriber.verify(record.id, { ...query, 'hub.mode': 'unsubscribe' }))
+        .rejects.toMatchObject({ status: 404, message: 'Not expecting to unsubscribe' });
+      await expect(subscriber.verify('unknown', query)).rejects.toThrow(WebSubError);
+      await expect(subscriber.verify(record.id, { ...query, 'hub.mode': 'publish' }))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(subscriber.verify(record.id, { ...query, 'hub.challenge': undefined }))
+        .rejects.toMatchObject({ status: 400, message: 'Missing hub.challenge' });
+
+      expect((await subscriber.list())[0].state).toBe('pending');
+    });
+
+    test('should record denials', async () => {
+      const record = await subscriber.discover(FEED_URL, { data: FEED });
+
+      const answer = await subscriber.verify(record.id, {
+        'hub.mode': 'denied',
+        'hub.topic': 'https://example.com/feed',
+        'hub.reason': 'Topic not found'
+      });
+
+      expect(answer).toBe('');
+      expect((await subscriber.list())[0]).toMatchObject({ state: 'denied', lastError: 'Denied by the hub: Topic not found' });
+    });
+  });
+
+  describe('receive', () => {
+    const PUSHED = FEED.replace('<item>', '<item><guid>2</guid><title>Second</title></item><item>');
+
+    test('should serve signed content as the feed and store its items', async () => {
+      const { id, secret } = await subscribed();
+      const body = Buffer.from(PUSHED);
+
+      const accepted = await subscriber.receive(id, body, {
+        'content-type': 'application/rss+xml',
+        'x-hub-signature': sign(body, secret)
+      });
+
+      expect(accepted).toBe(true);
+      const response = await fetchFeed(FEED_URL);
+      expect(response).toMatchObject({ data: PUSHED, cacheStatus: 'PUSHED', status: 200 });
+      expect(response.headers['content-type']).toBe('application/rss+xml');
+      expect(storeItems).toHaveBeenCalledWith(FEED_URL, expect.objectContaining({ data: PUSHED }));
+      expect((await subscriber.list())[0]).toMatchObject({ pushes: 1, lastPushAt: '2024-01-01T00:00:00.000Z' });
+    });
+
+    test('should serve pushed content under every spelling of the feed URL', async () => {
+      const { id, secret } = await subscribed();
+      const body = Buffer.from(PUSHED);
+      await subscriber.receive(id, body, { 'x-hub-signature': sign(body, secret) });
+
+      const response = await fetchFeed('HTTPS://Example.com:443/feed.xml');
+
+      expect(response).toMatchObject({ data: PUSHED, cacheStatus: 'PUSHED' });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should ignore content without a valid signature', async () => {
+      const { id, secret } = await subscribed();
+      const body = Buffer.from(PUSHED);
+      const pushed = jest.fn();
+      subscriber.on('pushed', pushed);
+
+      expect(await subscriber.receive(id, body, { 'x-hub-signature': sign(Buffer.from('other'), secret) })).toBe(false);
+      expect(await subscriber.receive(id, body, { 'x-hub-signature': sign(body, 'wrong secret') })).toBe(false);
+      expect(await subscriber.receive(id, body, {})).toBe(false);
+
+      expect(pushed).not.toHaveBeenCalled();
+      expect(storeItems).not.toHaveBeenCalled();
+      expect((await subscriber.list())[0].pushes).toBe(0);
+    });
+
+    test('should turn away content for subscriptions that are not active', async () => {
+      const record = await subscriber.discover(FEED_URL, { data: FEED });
+
+      await expect(subscriber.receive(record.id, Buffer.from(PUSHED), {})).rejects.toMatchObject({ status: 410 });
+      await expect(subscriber.receive('unknown', Buffer.from(PUSHED), {})).rejects.toMatchObject({ status: 410 });
+    });
+
+    test('should serve pushed content no longer than the last fetched copy stays fresh', async () => {
+      axios.get.mockResolvedValue({ data: FEED, headers: { 'cache-control': 'max-age=60' } });
+      const { id, secret } = await subscribed();
+      await fetchFeed(FEED_URL);
+      const body = Buffer.from(PUSHED);
+      await subscriber.receive(id, body, { 'x-hub-signature': sign(body, secret) });
+
+      jest.setSystemTime(Date.now() + 59 * 1000);
+      expect((await fetchFeed(FEED_URL)).cacheStatus).toBe('PUSHED');
+
+      jest.setSystemTime(Date.now() + 2 * 1000);
+      expect((await fetchFeed(FEED_URL)).cacheStatus).toBe('MISS');
+    });
+
+    test('should serve pushed content for 15 minutes when no lifetime is known, within the lease', async () => {
+      axios.get.mockResolvedValue({ data: FEED, headers: {} });
+      const { id, secret } = await subscribed();
+      const body = Buffer.from(PUSHED);
+      await subscriber.receive(id, body, { 'x-hub-signature': sign(body, secret) });
+
+      jest.setSystemTime(Date.now() + 15 * 60 * 1000 - 1000);
+      expect((await fetchFeed(FEED_URL)).cacheStatus).toBe('PUSHED');
+
+      jest.setSystemTime(Date.now() + 2 * 1000);
+      expect((await fetchFeed(FEED_URL)).cacheStatus).toBe('MISS');
+    });
+  });
+
+  describe('lease renewal', () => {
+    test('should renew a lease once a tenth of it is left', async () => {
+      await subscriber.start();
+      await subscribed();
+
+      await jest.advanceTimersByTimeAsync(899 * 1000);
+      expect(requests).toHaveLength(1);
+
+      const renewal = nextRequest();
+      await jest.advanceTimersByTimeAsync(1000);
+      await renewal;
+
+      expect(requests[1]).toMatchObject({ 'hub.mode': 'subscribe', 'hub.secret': requests[0]['hub.secret'] });
+      // Still subscribed until the hub confirms the renewal
+      expect((await subscriber.list())[0].state).toBe('subscribed');
+    });
+
+    test('should renew leases stored before it started', async () => {
+      const { store } = subscriber;
+      await subscribed();
+      subscriber = createSubscriber({ store });
+
+      await subscriber.start();
+      const renewal = nextRequest();
+      await jest.advanceTimersByTimeAsync(900 * 1000);
+      await renewal;
+
+      expect(requests.map((request) => request['hub.mode'])).toEqual(['subscribe', 'subscribe']);
+    });
+
+    test('should unsubscribe instead when the feed is no longer followed', async () => {
+      await subscriber.start();
+      const { id, topic } = await subscribed();
+      followed = false;
+
+      const request = nextRequest();
+      await jest.advanceTimersByTimeAsync(900 * 1000);
+      await request;
+
+      expect(requests[1]).toMatchObject({ 'hub.mode': 'unsubscribe', 'hub.topic': topic });
+      expect(requests[1]['hub.secret']).toBeUndefined();
+
+      await subscriber.verify(id, { 'hub.mode': 'unsubscribe', 'hub.topic': topic, 'hub.challenge': 'bye' });
+      expect(await subscriber.list()).toEqual([]);
+    });
+
+    test('should stop renewing when stopped', async () => {
+      await subscriber.start();
+      await subscribed();
+      subscriber.stop();
+
+      await jest.advanceTimersByTimeAsync(1000 * 1000);
+
+      expect(requests).toHaveLength(1);
+    });
+  });
+});
+
+describe('verifySignature', () => {
+  const body = Buffer.from('<feed/>');
+
+  test.each(['sha1', 'sha256', 'sha384', 'sha512'])('should accept %s signatures', (algorithm) => {
+    expect(verifySignature(body, sign(body, 'secret', algorithm), 'secret')).toBe(true);
+  });
+
+  test('should reject other signatures', () => {
+    expect(verifySignature(body, sign(body, 'other'), 'secret')).toBe(false);
+    expect(verifySignature(body, sign(body, 'secret').slice(0, -2), 'secret')).toBe(false);
+    expect(verifySignature(body, `md5=${crypto.createHash('md5').update(body).digest('hex')}`, 'secret')).toBe(false);
+    expect(verifySignature(body, 'garbage', 'secret')).toBe(false);
+    expect(verifySignature(body, undefined, 'secret')).toBe(false);
+  });
+});
+
+describe('webSubLeaseSeconds', () => {
+  afterEach(() => {
+    delete process.env.WEBSUB_LEASE_SECONDS;
+  });
+
+  test('should default to ten days and read WEBSUB_LEASE_SECONDS', () => {
+    expect(webSubLeaseSeconds()).toBe(864000);
+
+    process.env.WEBSUB_LEASE_SECONDS = '3600';
+    expect(webSubLeaseSeconds()).toBe(3600);
+  });
+});
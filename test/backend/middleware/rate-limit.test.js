@@ -0,0 +1,257 @@
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const { MemoryStore, rateLimit, rateLimitSettings, requestToken } = require('../../../src/middleware/rate-limit');
+const { readFixture } = require('../../fixtures/helper');
+
+jest.mock('axios');
+
+function createApp(options) {
+  const app = express();
+  app.use(express.json());
+  app.use(rateLimit({ name: 'test', ...options }));
+  app.all('/', (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+describe('Rate Limiting', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('MemoryStore', () => {
+    test('should count hits within a window', async () => {
+      const store = new MemoryStore();
+
+      await store.increment('a', 1000);
+      const counter = await store.increment('a', 1000, 3);
+
+      expect(counter.count).toBe(4);
+      expect(counter.resetTime).toBeGreaterThan(Date.now());
+    });
+
+    test('should keep keys apart and start a new window once the old one ends', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const store = new MemoryStore();
+
+      await store.increment('a', 500);
+      await store.increment('a', 500);
+      expect((await store.increment('b', 500)).count).toBe(1);
+
+      now.mockReturnValue(1500);
+      expect(await store.increment('a', 500)).toEqual({ count: 1, resetTime: 2000 });
+    });
+
+    test('should sweep ended windows', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      const store = new MemoryStore();
+      await store.increment('idle', 100);
+
+      now.mockReturnValue(5000);
+      await store.increment('active', 100);
+
+      expect([...store.windows.keys()]).toEqual(['active']);
+    });
+
+    test('should reset keys', async () => {
+      const store = new MemoryStore();
+      await store.increment('a', 1000);
+      await store.increment('b', 1000);
+
+      await store.resetKey('a');
+      expect((await store.increment('a', 1000)).count).toBe(1);
+
+      await store.resetAll();
+      expect(store.windows.size).toBe(0);
+    });
+  });
+
+  describe('requestToken', () => {
+    test('should read bearer tokens and X-API-Key', () => {
+      const req = (headers) => ({ get: (name) => headers[name] });
+
+      expect(requestToken(req({ Authorization: 'Bearer abc123' }))).toBe('abc123');
+      expect(requestToken(req({ 'X-API-Key': 'key-1' }))).toBe('key-1');
+      expect(requestToken(req({ Authorization: 'Basic dXNlcjpwYXNz' }))).toBeNull();
+      expect(requestToken(req({}))).toBeNull();
+    });
+  });
+
+  describe('rateLimit middleware', () => {
+    test('should send RateLimit headers', async () => {
+      const app = createApp({ limit: 5, windowMs: 60000 });
+
+      const response = await request(app).get('/').expect(200);
+
+      expect(response.headers['ratelimit-limit']).toBe('5');
+      expect(response.headers['ratelimit-remaining']).toBe('4');
+      expect(response.headers['ratelimit-reset']).toBe('60');
+      expect(response.headers['ratelimit-policy']).toBe('5;w=60');
+      expect(response.headers['retry-after']).toBeUndefined();
+    });
+
+    test('should answer 429 with Retry-After once the budget is spent', async () => {
+      const app = createApp({ limit: 2, windowMs: 30000 });
+
+      await request(app).get('/').expect(200);
+      await request(app).get('/').expect(200);
+      const response = await request(app).get('/').expect(429);
+
+      expect(response.body).toEqual({
+        error: 'Too Many Requests',
+        message: 'Rate limit exceeded. Try again in 30 seconds.'
+      });
+      expect(response.headers['retry-after']).toBe('30');
+      expect(response.headers['ratelimit-remaining']).toBe('0');
+    });
+
+    test('should allow requests again in the next window', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+      const app = createApp({ limit: 1, windowMs: 10000 });
+
+      await request(app).get('/').expect(200);
+      await request(app).get('/').expect(429);
+
+      now.mockReturnValue(1_010_000);
+      await request(app).get('/').expect(200);
+    });
+
+    test('should give known API tokens their own budget', async () => {
+      const app = createApp({ limit: 1, tokenLimit: 3, tokens: ['secret-a', 'secret-b'] });
+
+      await request(app).get('/').expect(200);
+      await request(app).get('/').expect(429);
+
+      const tokenResponse = await request(app).get('/').set('Authorization', 'Bearer secret-a').expect(200);
+      expect(tokenResponse.headers['ratelimit-limit']).toBe('3');
+      await request(app).get('/').set('X-API-Key', 'secret-a').expect(200);
+      await request(app).get('/').set('X-API-Key', 'secret-a').expect(200);
+      await request(app).get('/').set('X-API-Key', 'secret-a').expect(429);
+
+      await request(app).get('/').set('X-API-Key', 'secret-b').expect(200);
+    });
+
+    test('should count unknown tokens against the IP budget', async () => {
+      const app = createApp({ limit: 1, tokenLimit: 100, tokens: ['secret-a'] });
+
+      await request(app).get('/').set('X-API-Key', 'guess-1').expect(200);
+      await request(app).get('/').set('X-API-Key', 'guess-2').expect(429);
+    });
+
+    test('should charge the cost of each request', async () => {
+      const app = createApp({ limit: 5, cost: (req) => (req.body && req.body.weight) || 1 });
+
+      const response = await request(app).post('/').send({ weight: 4 }).expect(200);
+      expect(response.headers['ratelimit-remaining']).toBe('1');
+
+      await request(app).post('/').send({ weight: 2 }).expect(429);
+    });
+
+    test('should use a custom store', async () => {
+      const store = { increment: jest.fn().mockResolvedValue({ count: 1, resetTime: Date.now() + 1000 }) };
+      const app = createApp({ limit: 10, store, windowMs: 1000 });
+
+      await request(app).get('/').expect(200);
+
+      expect(store.increment).toHaveBeenCalledWith(expect.stringMatching(/^test:ip:/), 1000, 1);
+    });
+
+    test('should let requests through when the store fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const store = { increment: jest.fn().mockRejectedValue(new Error('store down')) };
+      const app = createApp({ limit: 1, store });
+
+      await request(app).get('/').expect(200);
+      await request(app).get('/').expect(200);
+
+      expect(console.error).toHaveBeenCalledWith('Rate limit store failed for "test":', 'store down');
+    });
+  });
+
+  describe('rateLimitSettings', () => {
+    const variables = ['RATE_LIMIT_WINDOW_MS', 'RATE_LIMIT_MAX', 'RATE_LIMIT_FETCH_MAX', 'RATE_LIMIT_TOKEN_MAX', 'RATE_LIMIT_TOKEN_FETCH_MAX', 'API_TOKENS'];
+    let saved;
+
+    beforeEach(() => {
+      saved = Object.fromEntries(variables.map((name) => [name, process.env[name]]));
+      variables.forEach((name) => delete process.env[name]);
+    });
+
+    afterEach(() => {
+      variables.forEach((name) => {
+        if (saved[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = saved[name];
+        }
+      });
+    });
+
+    test('should provide defaults', () => {
+      expect(rateLimitSettings()).toEqual({
+        windowMs: 60000,
+        tokens: [],
+        api: { limit: 300, tokenLimit: 1500 },
+        fetch: { limit: 120, tokenLimit: 600 }
+      });
+    });
+
+    test('should read the environment', () => {
+      process.env.RATE_LIMIT_WINDOW_MS = '1000';
+      process.env.RATE_LIMIT_FETCH_MAX = '7';
+      process.env.API_TOKENS = ' one, two ,';
+
+      const settings = rateLimitSettings();
+
+      expect(settings.windowMs).toBe(1000);
+      expect(settings.fetch.limit).toBe(7);
+      expect(settings.tokens).toEqual(['one', 'two']);
+    });
+  });
+
+  describe('Server budgets', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.RATE_LIMIT_MAX = '10';
+      process.env.RATE_LIMIT_FETCH_MAX = '3';
+      jest.isolateModules(() => {
+        app = require('../../../src/server');
+      });
+    });
+
+    afterAll(() => {
+      process.env.RATE_LIMIT_MAX = '100000';
+      process.env.RATE_LIMIT_FETCH_MAX = '100000';
+    });
+
+    test('should apply the tighter fetch budget to fetching endpoints', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml'), headers: {} });
+
+      for (let i = 0; i < 3; i++) {
+        await request(app).get(`/api/rss?url=https://example.com/${i}.xml`).expect(200);
+      }
+      const response = await request(app).get('/api/feed?url=https://example.com/feed.xml').expect(429);
+
+      expect(response.body.error).toBe('Too Many Requests');
+      expect(response.headers['ratelimit-limit']).toBe('3');
+    });
+
+    test('should charge batches per distinct URL and leave other routes to the general budget', async () => {
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send({ urls: ['https://a.example/', 'https://b.example/'] })
+        .expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+      // The general budget (10) still has room left
+      await request(app).get('/api/unknown').expect(404);
+    });
+
+    test('should not limit the health check', async () => {
+      for (let i = 0; i < 8; i++) {
+        await request(app).get('/health').expect(200);
+      }
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const axios = require('axios');
+const app = require('../../../src/server');
+const { readFixture } = require('../../fixtures/helper');
+const { clearFeedCache, feedEvents } = require('../../../src/lib/feed-fetcher');
+
+jest.mock('axios');
+
+/**
+ * Answers axios requests from a map of URL to page; other URLs get a 404
+ */
+function mockSite(pages) {
+  axios.get.mockImplementation(async (url) => {
+    if (Object.hasOwn(pages, url)) {
+      const { body, type = 'text/html; charset=utf-8' } = pages[url];
+      return { data: body, headers: { 'content-type': type } };
+    }
+    const error = new Error('Request failed with status code 404');
+    error.response = { status: 404, statusText: 'Not Found' };
+    throw error;
+  });
+}
+
+describe('Article Route Handler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearFeedCache();
+  });
+
+  test('should return the article of a page', async () => {
+    mockSite({ 'https://news.example.com/tide-pools': { body: readFixture('article-page.html') } });
+
+    const response = await request(app)
+      .get('/api/article?url=https://news.example.com/tide-pools')
+      .expect(200);
+
+    expect(response.body).toEqual({
+      url: 'https://news.example.com/tide-pools',
+      title: 'Why Tide Pools Matter',
+      byline: 'Marina Costa',
+      siteName: 'Coastal Times',
+      excerpt: 'What lives between the tides, and why it is worth protecting.',
+      leadImage: 'https://news.example.com/images/tide-pool.jpg',
+      html: expect.stringContaining('<p>Twice a day, the sea pulls back'),
+      text: expect.stringContaining('Twice a day, the sea pulls back')
+    });
+  });
+
+  test('should keep article pages out of the feed cache and feed events', async () => {
+    // Cacheable for an hour, were it a feed
+    axios.get.mockImplementation(async () => ({
+      data: readFixture('article-page.html'),
+      headers: { 'content-type': 'text/html', 'cache-control': 'max-age=3600' }
+    }));
+    const listener = jest.fn();
+    feedEvents.on('fetched', listener);
+
+    try {
+      await request(app).get('/api/article?url=https://news.example.com/cached').expect(200);
+      await request(app).get('/api/article?url=https://news.example.com/cached').expect(200);
+    } finally {
+      feedEvents.off('fetched', listener);
+    }
+
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 when url query parameter is missing', async () => {
+    const response = await request(app)
+      .get('/api/article')
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Bad Request',
+      message: 'Missing required query parameter: url'
+    });
+  });
+
+  test('should return 403 for internal addresses', async () => {
+    const response = await request(app)
+      .get('/api/article?url=http://127.0.0.1/admin')
+      .expect(403);
+
+    expect(response.body.error).toBe('Forbidden');
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('should return 422 when there is no article to read', async () => {
+    mockSite({
+      'https://example.com/empty': { body: '<html><body><p>Nothing much.</p></body></html>' },
+      'https://example.com/photo.jpg': { body: 'JFIF', type: 'image/jpeg' }
+    });
+
+    const empty = await request(app).get('/api/article?url=https://example.com/empty').expect(422);
+    expect(empty.body).toEqual({ error: 'Unprocessable Entity', message: 'No article found on this page' });
+
+    const photo = await request(app).get('/api/article?url=https://example.com/photo.jpg').expect(422);
+    expect(photo.body).toEqual({ error: 'Unprocessable Entity', message: 'Not a web page: image/jpeg' });
+  });
+
+  test('should report failures to fetch the page', async () => {
+    mockSite({});
+
+    const response = await request(app)
+      .get('/api/article?url=https://example.com/missing')
+      .expect(404);
+
+    expect(response.body).toEqual({
+      error: 'Feed Fetch Failed',
+      message: 'Unable to fetch RSS feed: Not Found',
+      statusCode: 404
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const axios = require('axios');
+const app = require('../../../src/server');
+const { readFixture } = require('../../fixtures/helper');
+const { clearFeedCache, feedEvents } = require('../../../src/lib/feed-fetcher');
+
+jest.mock('axios');
+
+/**
+ * Answers axios requests from a map of URL to body; other URLs get a 404
+ */
+function mockSite(pages) {
+  axios.get.mockImplementation(async (url) => {
+    if (Object.hasOwn(pages, url)) {
+      return { data: pages[url], headers: {} };
+    }
+    const error = new Error('Request failed with status code 404');
+    error.response = { status: 404, statusText: 'Not Found' };
+    throw error;
+  });
+}
+
+describe('Discover Route Handler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearFeedCache();
+  });
+
+  describe('URL Validation', () => {
+    test('should return 400 when url query parameter is missing', async () => {
+      const response = await request(app)
+        .get('/api/discover')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Bad Request',
+        message: 'Missing required query parameter: url'
+      });
+    });
+
+    test('should return 403 for internal addresses', async () => {
+      const response = await request(app)
+        .get('/api/discover?url=http://169.254.169.254/')
+        .expect(403);
+
+      expect(response.body.error).toBe('Forbidden');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Discovery', () => {
+    test('should return feeds advertised by link tags', async () => {
+      mockSite({ 'https://www.example.com/': readFixture('html-with-feeds.html') });
+
+      const response = await request(app)
+        .get('/api/discover?url=https://www.example.com/')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        url: 'https://www.example.com/',
+        candidates: [
+          { url: 'https://www.example.com/blog/feed.xml', title: 'Example News – RSS', type: 'rss', source: 'link' },
+          { url: 'https://www.example.com/atom.xml?lang=en&full=1', title: 'Example News & Views', type: 'atom', source: 'link' },
+          { url: 'https://cdn.example.com/feed.json', title: 'Example JSON Feed', type: 'json', source: 'link' }
+        ]
+      });
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return the URL itself when it is already a feed', async () => {
+      mockSite({ 'https://example.com/feed.xml': readFixture('atom-valid.xml') });
+
+      const response = await request(app)
+        .get('/api/discover?url=https://example.com/feed.xml')
+        .expect(200);
+
+      expect(response.body.candidates).toEqual([
+        { url: 'https://example.com/feed.xml', title: expect.any(String), type: 'atom', source: 'direct' }
+      ]);
+    });
+
+    test('should probe common feed paths when the page has no feed links', async () => {
+      mockSite({
+        'https://example.com/about': '<!DOCTYPE html><html><head><title>About</title></head></html>',
+        'https://example.com/rss.xml': readFixture('rss-valid.xml'),
+        'https://example.com/feed.json': readFixture('jsonfeed-valid.json'),
+        'https://example.com/feed': '<!DOCTYPE html><html><body>Not found</body></html>'
+      });
+
+      const response = await request(app)
+        .get('/api/discover?url=https://example.com/about')
+        .expect(200);
+
+      expect(response.body.candidates).toEqual([
+        { url: 'https://example.com/rss.xml', title: expect.any(String), type: 'rss', source: 'probe' },
+        { url: 'https://example.com/feed.json', title: 'Example JSON Feed', type: 'json', source: 'probe' }
+      ]);
+      expect(axios.get).toHaveBeenCalledWith('https://example.com/atom.xml', expect.any(Object));
+    });
+
+    test('should return an empty list when nothing is found', async () => {
+      mockSite({ 'https://example.com/': '<html><body>Hello</body></html>' });
+
+      const response = await request(app)
+        .get('/api/discover?url=https://example.com/')
+        .expect(200);
+
+      expect(response.body).toEqual({ url: 'https://example.com/', candidates: [] });
+    });
+
+    test('should keep the page out of the feed cache and feed events', async () => {
+      axios.get.mockImplementation(async () => ({
+        data: readFixture('html-with-feeds.html'),
+        headers: { 'content-type': 'text/html', 'cache-control': 'max-age=3600' }
+      }));
+      const listener = jest.fn();
+      feedEvents.on('fetched', listener);
+
+      try {
+        await request(app).get('/api/discover?url=https://www.example.com/').expect(200);
+        await request(app).get('/api/discover?url=https://www.example.com/').expect(200);
+      } finally {
+        feedEvents.off('fetched', listener);
+      }
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should report failures to fetch the page', async () => {
+      mockSite({});
+
+      const response = await request(app)
+        .get('/api/discover?url=https://example.com/missing')
+        .expect(404);
+
+      expect(response.body).toEqual({
+        error: 'Feed Fetch Failed',
+        message: 'Unable to fetch RSS feed: Not Found',
+        statusCode: 404
+      });
+    });
+  });
+});
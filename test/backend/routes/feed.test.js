@@ -0,0 +1,148 @@
+const request = require('supertest');
+const axios = require('axios');
+const app = require('../../../src/server');
+const { readFixture } = require('../../fixtures/helper');
+
+jest.mock('axios');
+
+describe('Feed Route Handler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('URL Validation', () => {
+    test('should return 400 when url query parameter is missing', async () => {
+      const response = await request(app)
+        .get('/api/feed')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Bad Request',
+        message: 'Missing required query parameter: url'
+      });
+    });
+
+    test('should return 400 for an invalid URL', async () => {
+      const response = await request(app)
+        .get('/api/feed?url=not-a-valid-url')
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid URL format');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Normalized Output', () => {
+    test('should return RSS 2.0 feeds as normalized JSON', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+
+      const response = await request(app)
+        .get('/api/feed?url=https://feeds.bbci.co.uk/news/rss.xml')
+        .expect('Content-Type', /application\/json/)
+        .expect(200);
+
+      expect(response.body.format).toBe('rss');
+      expect(response.body.title).toBe('BBC News - World');
+      expect(response.body.items).toHaveLength(3);
+      expect(response.body.items[0]).toHaveProperty('published', '2026-02-07T09:30:00.000Z');
+    });
+
+    test('should return Atom feeds in the same shape', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('atom-valid.xml') });
+
+      const response = await request(app)
+        .get('/api/feed?url=https://example.com/atom.xml')
+        .expect(200);
+
+      expect(response.body.format).toBe('atom');
+      expect(Object.keys(response.body.items[0]).sort()).toEqual([
+        'attachments', 'author', 'categories', 'content', 'id', 'link', 'published', 'summary', 'title', 'updated'
+      ]);
+    });
+
+    test('should return JSON Feed sources in the same shape', async () => {
+      axios.get.mockResolvedValue({
+        data: JSON.parse(readFixture('jsonfeed-valid.json')),
+        headers: { 'content-type': 'application/feed+json' }
+      });
+
+      const response = await request(app)
+        .get('/api/feed?url=https://example.net/feed.json')
+        .expect(200);
+
+      expect(response.body.format).toBe('json');
+      expect(response.body.items[0].attachments).toEqual([{
+        url: 'https://example.net/media/episode1.mp3',
+        mimeType: 'audio/mpeg',
+        size: 1048576,
+        title: 'Episode 1'
+      }]);
+    });
+
+    test('should return RSS 1.0 feeds in the same shape', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rdf-valid.xml') });
+
+      const response = await request(app)
+        .get('/api/feed?url=https://example.org/index.rdf')
+        .expect(200);
+
+      expect(response.body.format).toBe('rdf');
+      expect(response.body.items).toHaveLength(2);
+    });
+  });
+
+  describe('Error Handling', () => {
+    test('should return 422 when the document is not valid XML', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-malformed.xml') });
+
+      const response = await request(app)
+        .get('/api/feed?url=https://example.com/bad.xml')
+        .expect(422);
+
+      expect(response.body.error).toBe('Feed Parse Failed');
+      expect(response.body.message).toMatch(/Invalid XML/);
+    });
+
+    test('should return 422 for an unrecognized document', async () => {
+      axios.get.mockResolvedValue({ data: '<html><body>Not a feed</body></html>' });
+
+      const response = await request(app)
+        .get('/api/feed?url=https://example.com/')
+        .expect(422);
+
+      expect(response.body.message).toMatch(/Unrecognized feed format/);
+    });
+
+    test('should pass through upstream status codes', async () => {
+      axios.get.mockRejectedValue({
+        response: {
+          status: 404,
+          statusText: 'Not Found'
+        }
+      });
+
+      const response = await request(app)
+        .get('/api/feed?url=https://example.com/missing.xml')
+        .expect(404);
+
+      expect(response.body).toEqual({
+        error: 'Feed Fetch Failed',
+        message: 'Unable to fetch RSS feed: Not Found',
+        statusCode: 404
+      });
+    });
+
+    test('should return 503 when the feed is unreachable', async () => {
+      axios.get.mockRejectedValue({
+        request: {},
+        message: 'Network Error'
+      });
+
+      const response = await request(app)
+        .get('/api/feed?url=https://example.com/feed.xml')
+        .expect(503);
+
+      expect(response.body.error).toBe('Service Unavailable');
+    });
+  });
+});
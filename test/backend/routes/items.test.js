@@ -0,0 +1,208 @@
+const request = require('supertest');
+const axios = require('axios');
+const { Readable } = require('stream');
+const app = require('../../../src/server');
+const { readFixture } = require('../../fixtures/helper');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { subscriptionStore } = require('../../../src/lib/subscriptions');
+
+jest.mock('axios');
+
+function mockFeed(body) {
+  axios.get.mockImplementation(async () => ({
+    status: 200,
+    data: Readable.from([Buffer.from(body)]),
+    headers: { 'content-type': 'application/rss+xml' }
+  }));
+}
+
+describe('Items Route Handler', () => {
+  let feedUrl;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearFeedCache();
+    // Items are kept for good, so every test reads its own feed
+    feedUrl = `https://example.com/feed-${Date.now()}-${Math.random()}.xml`;
+  });
+
+  test('should return 400 when url query parameter is missing', async () => {
+    const response = await request(app).get('/api/items').expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Bad Request',
+      message: 'Missing required query parameter: url'
+    });
+  });
+
+  test('should return an empty page for a feed that was never fetched', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ url: feedUrl })
+      .expect(200);
+
+    expect(response.body).toEqual({ url: feedUrl, items: [], total: 0, nextCursor: null });
+  });
+
+  test('should store the items of feeds fetched through /api/rss without duplicating them', async () => {
+    mockFeed(readFixture('rss-valid.xml'));
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+    clearFeedCache();
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+
+    const response = await request(app)
+      .get('/api/items')
+      .query({ url: feedUrl })
+      .expect(200);
+
+    expect(response.body.total).toBe(3);
+    expect(response.body.items[0]).toMatchObject({
+      id: expect.any(String),
+      feedUrl,
+      title: expect.any(String),
+      link: expect.stringMatching(/^https:\/\/www\.bbc\.co\.uk\/news\//)
+    });
+  });
+
+  test('should page back through stored items', async () => {
+    mockFeed(readFixture('rss-valid.xml'));
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+
+    const first = await request(app)
+      .get('/api/items')
+      .query({ url: feedUrl, limit: 2 })
+      .expect(200);
+    const second = await request(app)
+      .get('/api/items')
+      .query({ url: feedUrl, limit: 2, cursor: first.body.nextCursor })
+      .expect(200);
+
+    expect(first.body.items).toHaveLength(2);
+    expect(second.body.items).toHaveLength(1);
+    expect(second.body.nextCursor).toBeNull();
+    const ids = [...first.body.items, ...second.body.items].map((entry) => entry.id);
+    expect(new Set(ids).size).toBe(3);
+  });
+
+  test('should still serve a feed that is not stored', async () => {
+    mockFeed('<html><body>Not a feed</body></html>');
+
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+
+    const response = await request(app).get('/api/items').query({ url: feedUrl }).expect(200);
+    expect(response.body.total).toBe(0);
+  });
+
+  test('should return 400 for an invalid limit', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ url: feedUrl, limit: 0 })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Bad Request',
+      message: 'Invalid limit parameter. Expected a whole number from 1 to 200'
+    });
+  });
+
+  test('should return 400 for an invalid cursor', async () => {
+    const response = await request(app)
+      .get('/api/items')
+      .query({ url: feedUrl, cursor: 'bogus' })
+      .expect(400);
+
+    expect(response.body.message).toBe('Invalid cursor parameter');
+  });
+
+  describe('state', () => {
+    let items;
+
+    beforeEach(async () => {
+      mockFeed(readFixture('rss-valid.xml'));
+      await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+      items = (await request(app).get('/api/items').query({ url: feedUrl })).body.items;
+    });
+
+    test('should store new items as unread', () => {
+      expect(items.every((entry) => !entry.read && !entry.starred && !entry.archived)).toBe(true);
+    });
+
+    test('should get and update one item', async () => {
+      const patched = await request(app)
+        .patch(`/api/items/${items[0].id}`)
+        .send({ read: true, starred: true })
+        .expect(200);
+
+      expect(patched.body).toMatchObject({ id: items[0].id, read: true, starred: true, archived: false });
+      const fetched = await request(app).get(`/api/items/${items[0].id}`).expect(200);
+      expect(fetched.body).toEqual(patched.body);
+    });
+
+    test('should return 400 for an invalid state', async () => {
+      const response = await request(app)
+        .patch(`/api/items/${items[0].id}`)
+        .send({ read: 'yes' })
+        .expect(400);
+
+      expect(response.body).toEqual({ error: 'Bad Request', message: 'Field read must be a boolean' });
+    });
+
+    test('should return 404 for unknown items', async () => {
+      const response = await request(app).patch('/api/items/missing').send({ read: true }).expect(404);
+
+      expect(response.body).toEqual({ error: 'Not Found', message: 'Item not found' });
+    });
+
+    test('should filter items by state', async () => {
+      await request(app).patch(`/api/items/${items[1].id}`).send({ read: true }).expect(200);
+
+      const response = await request(app)
+        .get('/api/items')
+        .query({ url: feedUrl, state: 'unread' })
+        .expect(200);
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.items.map((entry) => entry.id)).not.toContain(items[1].id);
+    });
+
+    test('should mark every item of a feed older than a date as read', async () => {
+      const oldest = items[items.length - 1];
+      const response = await request(app)
+        .post('/api/items/mark')
+        .send({ url: feedUrl, olderThan: items[items.length - 2].published, read: true })
+        .expect(200);
+
+      expect(response.body).toEqual({ updated: 1 });
+      expect((await request(app).get(`/api/items/${oldest.id}`)).body.read).toBe(true);
+    });
+
+    test('should mark the items of the saved feeds in a folder', async () => {
+      const folder = `Folder ${Math.random()}`;
+      await subscriptionStore().create({ url: feedUrl, folder });
+
+      const response = await request(app)
+        .post('/api/items/mark')
+        .send({ folder, read: true })
+        .expect(200);
+
+      expect(response.body).toEqual({ updated: 3 });
+    });
+
+    test('should return 400 for an invalid bulk change', async () => {
+      const response = await request(app)
+        .post('/api/items/mark')
+        .send({ url: feedUrl, ids: [items[0].id], read: true })
+        .expect(400);
+
+      expect(response.body).toEqual({ error: 'Bad Request', message: 'Use only one of url, folder and ids' });
+    });
+
+    test('should count unread and starred items by feed', async () => {
+      await request(app).patch(`/api/items/${items[0].id}`).send({ read: true, starred: true }).expect(200);
+
+      const response = await request(app).get('/api/items/counts').expect(200);
+
+      expect(response.body.feeds[feedUrl]).toEqual({ total: 3, unread: 2, starred: 1 });
+    });
+  });
+});
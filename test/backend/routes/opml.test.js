@@ -0,0 +1,118 @@
+const request = require('supertest');
+const app = require('../../../src/server');
+const { subscriptionStore } = require('../../../src/lib/subscriptions');
+
+const OPML = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head><title>Exported</title></head>
+  <body>
+    <outline text="Tech">
+      <outline text="Web">
+        <outline type="rss" text="Blog" title="A Blog" xmlUrl="https://example.com/blog.xml" htmlUrl="https://example.com/"/>
+      </outline>
+    </outline>
+    <outline type="rss" text="News" xmlUrl="https://example.com/news.xml"/>
+    <outline type="rss" text="News again" xmlUrl="https://example.com/news.xml"/>
+    <outline type="rss" text="No URL"/>
+    <outline type="rss" text="Not a feed" xmlUrl="ftp://example.com/feed.xml"/>
+  </body>
+</opml>`;
+
+describe('OPML Route Handler', () => {
+  beforeEach(async () => {
+    for (const subscription of await subscriptionStore().list()) {
+      await subscriptionStore().remove(subscription.id);
+    }
+  });
+
+  function importOpml(body, type = 'text/x-opml') {
+    return request(app).post('/api/opml').set('Content-Type', type).send(body);
+  }
+
+  describe('POST /api/opml', () => {
+    test('should subscribe to the feeds and report the entries it skipped', async () => {
+      const response = await importOpml(OPML).expect(200);
+
+      expect(response.body.imported).toEqual([
+        expect.objectContaining({
+          url: 'https://example.com/blog.xml',
+          title: 'A Blog',
+          name: 'Blog',
+          folder: 'Tech/Web',
+          htmlUrl: 'https://example.com/'
+        }),
+        expect.objectContaining({ url: 'https://example.com/news.xml', title: 'News', name: null, folder: null })
+      ]);
+      expect(response.body.duplicates).toEqual([
+        { url: 'https://example.com/news.xml', title: 'News again', reason: 'Listed more than once' }
+      ]);
+      expect(response.body.invalid).toEqual([
+        { url: null, title: 'No URL', reason: 'Missing xmlUrl' },
+        { url: 'ftp://example.com/feed.xml', title: 'Not a feed', reason: 'Only http and https feed URLs can be subscribed to' }
+      ]);
+
+      const saved = await subscriptionStore().list();
+      expect(saved.map((subscription) => subscription.url)).toEqual([
+        'https://example.com/blog.xml',
+        'https://example.com/news.xml'
+      ]);
+    });
+
+    test('should skip feeds that are already subscribed', async () => {
+      await importOpml(OPML, 'application/xml').expect(200);
+
+      const response = await importOpml(OPML, 'text/xml').expect(200);
+
+      expect(response.body.imported).toEqual([]);
+      expect(response.body.duplicates.map((entry) => entry.reason)).toEqual([
+        'Already subscribed',
+        'Already subscribed',
+        'Already subscribed'
+      ]);
+      expect(await subscriptionStore().list()).toHaveLength(2);
+    });
+
+    test('should return 400 for a document that is not OPML', async () => {
+      const response = await importOpml('<opml><body><outline></body>').expect(400);
+
+      expect(response.body.error).toBe('Bad Request');
+      expect(response.body.message).toMatch(/^Invalid OPML: /);
+    });
+
+    test('should return 400 for an empty body', async () => {
+      const response = await importOpml('').expect(400);
+
+      expect(response.body).toEqual({ error: 'Bad Request', message: 'Request body must be an OPML document' });
+    });
+
+    test('should return 413 for documents over the size limit', async () => {
+      const response = await importOpml('x'.repeat(2 * 1024 * 1024 + 1)).expect(413);
+
+      expect(response.body).toEqual({
+        error: 'Payload Too Large',
+        message: 'OPML document is too large (maximum 2mb)'
+      });
+    });
+  });
+
+  describe('GET /api/opml', () => {
+    test('should download the saved feeds as an OPML file', async () => {
+      await importOpml(OPML).expect(200);
+
+      const response = await request(app).get('/api/opml').expect(200);
+
+      expect(response.headers['content-type']).toBe('text/x-opml; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="subscriptions.opml"');
+      expect(response.text).toContain('<outline text="Tech" title="Tech">');
+      expect(response.text).toContain(
+        '<outline type="rss" text="Blog" title="A Blog" xmlUrl="https://example.com/blog.xml" htmlUrl="https://example.com/"/>'
+      );
+    });
+
+    test('should export an empty list', async () => {
+      const response = await request(app).get('/api/opml').expect(200);
+
+      expect(response.text).toContain('<body>\n  </body>');
+    });
+  });
+});
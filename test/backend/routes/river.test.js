@@ -0,0 +1,130 @@
+const request = require('supertest');
+const axios = require('axios');
+const { Readable } = require('stream');
+const app = require('../../../src/server');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { subscriptionStore } = require('../../../src/lib/subscriptions');
+
+jest.mock('axios');
+
+function rss(title, items) {
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>${title}</title>${items
+    .map(([guid, date]) => `<item><guid>${guid}</guid><title>${guid}</title><pubDate>${date}</pubDate></item>`)
+    .join('')}</channel></rss>`;
+}
+
+describe('River Route Handler', () => {
+  let documents;
+  let aUrl;
+  let bUrl;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearFeedCache();
+    // Items and subscriptions are kept for good, so every test has its own feeds
+    const suffix = `${Date.now()}-${Math.random()}`;
+    aUrl = `https://a.example.com/feed-${suffix}.xml`;
+    bUrl = `https://b.example.com/feed-${suffix}.xml`;
+    documents = {
+      [aUrl]: rss('Feed A', [['a-1', 'Mon, 01 Jan 2024 00:00:00 GMT'], ['a-3', 'Wed, 03 Jan 2024 00:00:00 GMT']]),
+      [bUrl]: rss('Feed B', [['b-2', 'Tue, 02 Jan 2024 00:00:00 GMT'], ['b-4', 'Thu, 04 Jan 2024 00:00:00 GMT']])
+    };
+    axios.get.mockImplementation(async (url) => {
+      if (!documents[url]) {
+        throw Object.assign(new Error('Not Found'), { response: { status: 404, statusText: 'Not Found', headers: {} } });
+      }
+      return {
+        status: 200,
+        data: Readable.from([Buffer.from(documents[url])]),
+        headers: { 'content-type': 'application/rss+xml' }
+      };
+    });
+  });
+
+  test('should merge the items of the given feeds newest first, tagged with their feed', async () => {
+    const response = await request(app).get('/api/river').query({ feeds: [aUrl, bUrl] }).expect(200);
+
+    expect(response.body.items.map((item) => item.title)).toEqual(['b-4', 'a-3', 'b-2', 'a-1']);
+    expect(response.body.items[0]).toMatchObject({ feedUrl: bUrl, feedTitle: 'Feed B', read: false });
+    expect(response.body.items[1].feedTitle).toBe('Feed A');
+    expect(response.body.total).toBe(4);
+    expect(response.body.nextCursor).toBeNull();
+    expect(response.body.feeds).toEqual([
+      { url: aUrl, status: 200, cache: 'MISS', title: 'Feed A' },
+      { url: bUrl, status: 200, cache: 'MISS', title: 'Feed B' }
+    ]);
+  });
+
+  test('should page through the river without fetching again', async () => {
+    const first = await request(app).get('/api/river').query({ feeds: [aUrl, bUrl], limit: 3 }).expect(200);
+    const second = await request(app)
+      .get('/api/river')
+      .query({ feeds: [aUrl, bUrl], limit: 3, cursor: first.body.nextCursor })
+      .expect(200);
+
+    expect(first.body.items.map((item) => item.title)).toEqual(['b-4', 'a-3', 'b-2']);
+    expect(second.body.items.map((item) => item.title)).toEqual(['a-1']);
+    expect(second.body.items[0].feedTitle).toBe('Feed A');
+    expect(second.body.feeds).toBeUndefined();
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('should follow the saved feeds by default, by the names they were given', async () => {
+    await subscriptionStore().create({ url: aUrl, name: 'My A', folder: `River ${aUrl}` });
+    await subscriptionStore().create({ url: bUrl });
+
+    const response = await request(app).get('/api/river').expect(200);
+    const titles = response.body.items
+      .filter((item) => item.feedUrl === aUrl || item.feedUrl === bUrl)
+      .map((item) => `${item.title} ${item.feedTitle}`);
+    expect(titles).toEqual(['b-4 Feed B', 'a-3 My A', 'b-2 Feed B', 'a-1 My A']);
+
+    const folder = await request(app).get('/api/river').query({ folder: `River ${aUrl}` }).expect(200);
+    expect(folder.body.feeds).toEqual([expect.objectContaining({ url: aUrl, title: 'My A' })]);
+    expect(folder.body.items.map((item) => item.title)).toEqual(['a-3', 'a-1']);
+  });
+
+  test('should still show the other feeds when one cannot be fetched', async () => {
+    const missing = aUrl.replace('feed-', 'missing-');
+
+    const response = await request(app).get('/api/river').query({ feeds: [missing, bUrl] }).expect(200);
+
+    expect(response.body.items.map((item) => item.title)).toEqual(['b-4', 'b-2']);
+    expect(response.body.feeds[0]).toEqual({
+      url: missing,
+      status: 404,
+      title: null,
+      error: { error: 'Feed Fetch Failed', message: 'Unable to fetch RSS feed: Not Found', statusCode: 404 }
+    });
+  });
+
+  test('should filter the river by state', async () => {
+    const river = await request(app).get('/api/river').query({ feeds: [aUrl, bUrl] }).expect(200);
+    await request(app).patch(`/api/items/${river.body.items[0].id}`).send({ read: true }).expect(200);
+
+    const unread = await request(app).get('/api/river').query({ feeds: [aUrl, bUrl], state: 'unread' }).expect(200);
+
+    expect(unread.body.items.map((item) => item.title)).toEqual(['a-3', 'b-2', 'a-1']);
+  });
+
+  test.each([
+    [{ feeds: 'not a url' }, 'Invalid feeds parameter: Invalid URL format'],
+    [{ limit: '0' }, 'Invalid limit parameter. Expected a whole number from 1 to 200'],
+    [{ cursor: 'not-a-cursor' }, 'Invalid cursor parameter']
+  ])('should return 400 for %p', async (query, message) => {
+    const response = await request(app).get('/api/river').query(query).expect(400);
+
+    expect(response.body).toEqual({ error: 'Bad Request', message });
+  });
+
+  test('should limit the feeds of one river', async () => {
+    process.env.FEED_BATCH_MAX_URLS = '1';
+    try {
+      const response = await request(app).get('/api/river').query({ feeds: [aUrl, bUrl] }).expect(400);
+
+      expect(response.body.message).toBe('Too many feeds in one river: 2 (maximum 1)');
+    } finally {
+      delete process.env.FEED_BATCH_MAX_URLS;
+    }
+  });
+});
@@ -2,14 +2,16 @@ const request = require('supertest');
 const axios = require('axios');
 const app = require('../../../src/server');
 const { readFixture } = require('../../fixtures/helper');
+const { clearFeedCache, resetCircuitBreakers, clearHostThrottles } = require('../../../src/lib/feed-fetcher');
 
 // Mock axios
 jest.mock('axios');
 
 describe('RSS Route Handler', () => {
   beforeEach(() => {
-    // Clear all mocks before each test
+    // Clear all mocks and cached upstream responses before each test
     jest.clearAllMocks();
+    clearFeedCache();
   });
 
   describe('URL Validation', () => {
@@ -57,20 +59,25 @@ describe('RSS Route Handler', () => {
       });
     });
 
-    test('should accept non-HTTP protocols (URL constructor allows them)', async () => {
-      // URL constructor accepts ftp://, file://, etc. as valid URLs
-      // The API will try to fetch them, and axios will likely fail
-      // This test documents the current behavior
-      axios.get.mockRejectedValue({
-        request: {},
-        message: 'Protocol not supported'
+    test('should return 403 for non-HTTP protocols', async () => {
+      const response = await request(app)
+        .get('/api/rss?url=ftp://example.com/feed.xml')
+        .expect(403);
+
+      expect(response.body).toEqual({
+        error: 'Forbidden',
+        message: 'Blocked request: Protocol "ftp:" is not allowed. Only http and https URLs can be fetched.'
       });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
 
+    test('should return 403 for file URLs', async () => {
       const response = await request(app)
-        .get('/api/rss?url=ftp://example.com/feed.xml')
-        .expect(503); // Network error because axios doesn't support FTP
+        .get('/api/rss?url=file:///etc/passwd')
+        .expect(403);
 
-      expect(response.body.error).toBe('Service Unavailable');
+      expect(response.body.error).toBe('Forbidden');
+      expect(axios.get).not.toHaveBeenCalled();
     });
 
     test('should accept valid HTTP URL', async () => {
@@ -187,6 +194,36 @@ describe('RSS Route Handler', () => {
       );
     });
 
+    test('should pass JSON Feed sources through as application/feed+json', async () => {
+      const jsonFeed = readFixture('jsonfeed-valid.json');
+      axios.get.mockResolvedValue({
+        data: JSON.parse(jsonFeed),
+        headers: { 'content-type': 'application/feed+json' }
+      });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.net/feed.json')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/feed\+json/);
+      expect(JSON.parse(response.text)).toEqual(JSON.parse(jsonFeed));
+    });
+
+    test('should detect JSON Feed by body shape when served as text', async () => {
+      const jsonFeed = readFixture('jsonfeed-valid.json');
+      axios.get.mockResolvedValue({
+        data: jsonFeed,
+        headers: { 'content-type': 'text/plain' }
+      });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.net/feed.json')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/feed\+json/);
+      expect(response.text).toBe(jsonFeed);
+    });
+
     test('should return empty RSS feed correctly', async () => {
       const emptyXML = readFixture('rss-empty.xml');
       axios.get.mockResolvedValue({ data: emptyXML });
@@ -343,13 +380,256 @@ describe('RSS Route Handler', () => {
       axios.get.mockRejectedValue(connError);
 
       const response = await request(app)
-        .get('/api/rss?url=https://localhost:9999/feed.xml')
+        .get('/api/rss?url=https://refused.example.com:9999/feed.xml')
         .expect(503);
 
       expect(response.body.error).toBe('Service Unavailable');
     });
   });
 
+  describe('SSRF Protection', () => {
+    afterEach(() => {
+      delete process.env.FEED_HOST_ALLOWLIST;
+      delete process.env.FEED_HOST_DENYLIST;
+    });
+
+    test.each([
+      'http://127.0.0.1/feed.xml',
+      'http://localhost:8080/feed.xml',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.5/feed.xml',
+      'http://192.168.1.1/feed.xml',
+      'http://[::1]/feed.xml',
+      'http://[fd00:ec2::254]/',
+      'http://[::ffff:127.0.0.1]/feed.xml',
+      'http://2130706433/feed.xml'
+    ])('should return 403 for internal address %s', async (url) => {
+      const response = await request(app)
+        .get('/api/rss')
+        .query({ url })
+        .expect(403);
+
+      expect(response.body.error).toBe('Forbidden');
+      expect(response.body.message).toMatch(/^Blocked request: /);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should return 403 for hosts on the deny list', async () => {
+      process.env.FEED_HOST_DENYLIST = 'blocked.example, *.evil.example';
+
+      await request(app).get('/api/rss?url=https://blocked.example/feed.xml').expect(403);
+      const response = await request(app).get('/api/rss?url=https://feeds.evil.example/feed.xml').expect(403);
+
+      expect(response.body.message).toContain('deny list');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should allow internal hosts on the allow list', async () => {
+      process.env.FEED_HOST_ALLOWLIST = 'localhost';
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+
+      await request(app)
+        .get('/api/rss?url=http://localhost:8080/feed.xml')
+        .expect(200);
+    });
+
+    test('should check resolved addresses and redirect hops', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+
+      await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml')
+        .expect(200);
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://example.com/feed.xml',
+        expect.objectContaining({
+          lookup: expect.any(Function),
+          beforeRedirect: expect.any(Function)
+        })
+      );
+    });
+
+    test('should return 403 when axios reports a blocked lookup', async () => {
+      const { BlockedUrlError } = require('../../../src/lib/url-guard');
+      const error = new Error('Host "internal.example.com" resolves to 10.1.2.3');
+      error.request = {};
+      error.cause = new BlockedUrlError('Host "internal.example.com" resolves to 10.1.2.3, which is in a private or reserved range.');
+      axios.get.mockRejectedValue(error);
+
+      const response = await request(app)
+        .get('/api/rss?url=https://internal.example.com/feed.xml')
+        .expect(403);
+
+      expect(response.body).toEqual({
+        error: 'Forbidden',
+        message: 'Blocked request: Host "internal.example.com" resolves to 10.1.2.3, which is in a private or reserved range.'
+      });
+    });
+  });
+
+  describe('Response Size Limits', () => {
+    const { Readable } = require('stream');
+    const zlib = require('zlib');
+
+    afterEach(() => {
+      delete process.env.FEED_MAX_BODY_BYTES;
+      delete process.env.FEED_MAX_DECOMPRESSED_BYTES;
+    });
+
+    test('should request a raw stream so the body can be limited', async () => {
+      axios.get.mockResolvedValue({ data: Readable.from([readFixture('rss-valid.xml')]) });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml')
+        .expect(200);
+
+      expect(response.text).toBe(readFixture('rss-valid.xml'));
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://example.com/feed.xml',
+        expect.objectContaining({ responseType: 'stream', decompress: false })
+      );
+    });
+
+    test('should return 413 when Content-Length exceeds the limit', async () => {
+      process.env.FEED_MAX_BODY_BYTES = '100';
+      axios.get.mockResolvedValue({
+        data: Readable.from([readFixture('rss-valid.xml')]),
+        headers: { 'Content-Length': '5000' }
+      });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml')
+        .expect(413);
+
+      expect(response.body).toEqual({
+        error: 'Payload Too Large',
+        message: 'Feed exceeds the maximum size of 100 bytes'
+      });
+    });
+
+    test('should return 413 when a streamed body exceeds the limit', async () => {
+      process.env.FEED_MAX_BODY_BYTES = '100';
+      axios.get.mockResolvedValue({ data: Readable.from([readFixture('rss-valid.xml')]) });
+
+      const response = await request(app)
+        .get('/api/feed?url=https://example.com/feed.xml')
+        .expect(413);
+
+      expect(response.body.error).toBe('Payload Too Large');
+    });
+
+    test('should decompress gzip bodies and drop the encoding header', async () => {
+      axios.get.mockResolvedValue({
+        data: Readable.from([zlib.gzipSync(readFixture('rss-valid.xml'))]),
+        headers: { 'content-encoding': 'gzip', 'cache-control': 'max-age=60' }
+      });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml')
+        .expect(200);
+
+      expect(response.text).toBe(readFixture('rss-valid.xml'));
+      expect(response.headers['content-encoding']).toBeUndefined();
+    });
+
+    test('should return 413 for gzip bombs', async () => {
+      process.env.FEED_MAX_DECOMPRESSED_BYTES = '4096';
+      axios.get.mockResolvedValue({
+        data: Readable.from([zlib.gzipSync(Buffer.alloc(1024 * 1024))]),
+        headers: { 'content-encoding': 'gzip' }
+      });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml')
+        .expect(413);
+
+      expect(response.body).toEqual({
+        error: 'Payload Too Large',
+        message: 'Feed exceeds the maximum decompressed size of 4096 bytes'
+      });
+    });
+
+    test('should return 502 for corrupt compressed bodies', async () => {
+      axios.get.mockResolvedValue({
+        data: Readable.from([Buffer.from('definitely not gzip')]),
+        headers: { 'content-encoding': 'gzip' }
+      });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml')
+        .expect(502);
+
+      expect(response.body).toEqual({
+        error: 'Bad Gateway',
+        message: 'Upstream sent a corrupt gzip body'
+      });
+    });
+  });
+
+  describe('Character Encoding', () => {
+    const { Readable } = require('stream');
+
+    test('should return UTF-8 with an explicit charset', async () => {
+      axios.get.mockResolvedValue({ data: Readable.from([Buffer.from(readFixture('rss-valid.xml'))]) });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/xml; charset=utf-8');
+    });
+
+    test('should transcode ISO-8859-1 feeds named in the XML declaration', async () => {
+      const xml = '<?xml version="1.0" encoding="ISO-8859-1"?><rss version="2.0"><channel><title>Actualités à la une</title></channel></rss>';
+      axios.get.mockResolvedValue({
+        data: Readable.from([Buffer.from(xml, 'latin1')]),
+        headers: { 'Content-Type': 'application/rss+xml' }
+      });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.fr/feed.xml')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/xml; charset=utf-8');
+      expect(response.text).toBe(xml.replace('ISO-8859-1', 'UTF-8'));
+    });
+
+    test('should transcode using the charset from the Content-Type header', async () => {
+      // "ニュース" in Shift_JIS
+      const title = Buffer.from([0x83, 0x6a, 0x83, 0x85, 0x81, 0x5b, 0x83, 0x58]);
+      axios.get.mockResolvedValue({
+        data: Readable.from([Buffer.concat([
+          Buffer.from('<rss version="2.0"><channel><title>'),
+          title,
+          Buffer.from('</title></channel></rss>')
+        ])]),
+        headers: { 'Content-Type': 'text/xml; charset=Shift_JIS' }
+      });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.jp/feed.xml&format=json')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/feed+json; charset=utf-8');
+      expect(JSON.parse(response.text).title).toBe('ニュース');
+    });
+
+    test('should cache the transcoded text', async () => {
+      const xml = '<?xml version="1.0" encoding="windows-1252"?><rss version="2.0"><channel><title>Caf\u00e9</title></channel></rss>';
+      axios.get.mockResolvedValue({
+        data: Readable.from([Buffer.from(xml, 'latin1')]),
+        headers: { 'cache-control': 'max-age=60' }
+      });
+
+      await request(app).get('/api/rss?url=https://example.com/latin.xml').expect(200);
+      const response = await request(app).get('/api/rss?url=https://example.com/latin.xml').expect(200);
+
+      expect(response.headers['x-cache']).toBe('HIT');
+      expect(response.text).toContain('<title>Caf\u00e9</title>');
+      expect(response.text).toContain('encoding="UTF-8"');
+    });
+  });
+
   describe('Axios Error Handling - Setup Errors', () => {
     test('should return 500 for axios configuration errors', async () => {
       const setupError = new Error('Invalid axios configuration');
@@ -378,6 +658,712 @@ describe('RSS Route Handler', () => {
     });
   });
 
+  describe('Content Negotiation', () => {
+    test('should convert RSS to Atom with format=atom', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml&format=atom')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/atom\+xml/);
+      expect(response.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-gb">');
+      expect(response.text).toContain('<title>Breaking: Major Event Happens</title>');
+      expect(response.text).toMatch(/<link rel="self" href="http:\/\/127\.0\.0\.1:\d+\/api\/rss\?url=https:\/\/example\.com\/feed\.xml&amp;format=atom"/);
+    });
+
+    test('should convert Atom to JSON Feed with format=json', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('atom-valid.xml') });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/atom.xml&format=json')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/feed\+json/);
+      const doc = JSON.parse(response.text);
+      expect(doc.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(doc.items).toHaveLength(3);
+    });
+
+    test('should convert JSON Feed to RSS with format=rss', async () => {
+      axios.get.mockResolvedValue({
+        data: JSON.parse(readFixture('jsonfeed-valid.json')),
+        headers: { 'content-type': 'application/feed+json' }
+      });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.net/feed.json&format=rss')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/rss\+xml/);
+      expect(response.text).toContain('<rss version="2.0"');
+      expect(response.text).toContain('<title>First JSON Item</title>');
+    });
+
+    test('should pick the format from the Accept header', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml')
+        .set('Accept', 'application/atom+xml;q=0.5, application/feed+json')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/feed\+json/);
+      expect(response.headers.vary).toMatch(/Accept/);
+    });
+
+    test('should prefer the format parameter over the Accept header', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml&format=atom')
+        .set('Accept', 'application/feed+json')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/atom\+xml/);
+    });
+
+    test('should keep the raw passthrough for generic Accept headers', async () => {
+      const validXML = readFixture('rss-valid.xml');
+      axios.get.mockResolvedValue({ data: validXML });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml')
+        .set('Accept', 'text/html, application/xml;q=0.9, */*;q=0.8')
+        .expect(200);
+
+      expect(response.text).toBe(validXML);
+      expect(response.headers['content-type']).toMatch(/application\/xml/);
+    });
+
+    test('should return the original document when it is already in the requested format', async () => {
+      const validXML = readFixture('rss-valid.xml');
+      axios.get.mockResolvedValue({ data: validXML });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml&format=rss')
+        .expect(200);
+
+      expect(response.text).toBe(validXML);
+      expect(response.headers['content-type']).toMatch(/application\/rss\+xml/);
+    });
+
+    test('should return 400 for an unknown format', async () => {
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/feed.xml&format=csv')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Bad Request',
+        message: 'Invalid format parameter. Expected one of: rss, atom, json'
+      });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should return 422 when a feed to convert cannot be parsed', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-malformed.xml') });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://example.com/bad.xml&format=atom')
+        .expect(422);
+
+      expect(response.body.error).toBe('Feed Parse Failed');
+    });
+  });
+
+  describe('Upstream Response Cache', () => {
+    const url = '/api/rss?url=https://example.com/cached.xml';
+
+    test('should report MISS for uncached responses', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+
+      const response = await request(app).get(url).expect(200);
+
+      expect(response.headers['x-cache']).toBe('MISS');
+    });
+
+    test('should serve fresh responses from the cache without contacting upstream', async () => {
+      const validXML = readFixture('rss-valid.xml');
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: validXML,
+        headers: { 'cache-control': 'max-age=300' }
+      });
+
+      await request(app).get(url).expect(200);
+      const response = await request(app).get(url).expect(200);
+
+      expect(response.headers['x-cache']).toBe('HIT');
+      expect(response.text).toBe(validXML);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should treat the RSS ttl as the freshness lifetime', async () => {
+      const ttlXML = readFixture('rss-valid.xml').replace('<language>', '<ttl>30</ttl>\n    <language>');
+      axios.get.mockResolvedValue({ status: 200, data: ttlXML, headers: {} });
+
+      await request(app).get(url).expect(200);
+      const response = await request(app).get(url).expect(200);
+
+      expect(response.headers['x-cache']).toBe('HIT');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should revalidate stale responses with ETag and Last-Modified', async () => {
+      const validXML = readFixture('rss-valid.xml');
+      axios.get
+        .mockResolvedValueOnce({
+          status: 200,
+          data: validXML,
+          headers: {
+            ETag: '"v1"',
+            'Last-Modified': 'Fri, 07 Feb 2026 10:00:00 GMT',
+            'Content-Type': 'application/rss+xml'
+          }
+        })
+        .mockResolvedValueOnce({ status: 304, data: '', headers: {} });
+
+      await request(app).get(url).expect(200);
+      const response = await request(app).get(url).expect(200);
+
+      expect(axios.get).toHaveBeenLastCalledWith(
+        'https://example.com/cached.xml',
+        expect.objectContaining({
+          headers: {
+            'User-Agent': 'RSS-Fetch-API/1.0',
+            'If-None-Match': '"v1"',
+            'If-Modified-Since': 'Fri, 07 Feb 2026 10:00:00 GMT'
+          }
+        })
+      );
+      expect(response.headers['x-cache']).toBe('REVALIDATED');
+      expect(response.text).toBe(validXML);
+    });
+
+    test('should replace the cached body when upstream sends a new version', async () => {
+      axios.get
+        .mockResolvedValueOnce({ status: 200, data: readFixture('rss-valid.xml'), headers: { etag: '"v1"' } })
+        .mockResolvedValueOnce({ status: 200, data: readFixture('rss-empty.xml'), headers: { etag: '"v2"' } });
+
+      await request(app).get(url).expect(200);
+      const response = await request(app).get(url).expect(200);
+
+      expect(response.headers['x-cache']).toBe('MISS');
+      expect(response.text).toContain('Empty RSS Feed');
+    });
+
+    test('should not store responses marked no-store', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: readFixture('rss-valid.xml'),
+        headers: { etag: '"v1"', 'cache-control': 'no-store' }
+      });
+
+      await request(app).get(url).expect(200);
+      await request(app).get(url).expect(200);
+
+      expect(axios.get).toHaveBeenLastCalledWith(
+        'https://example.com/cached.xml',
+        expect.objectContaining({ headers: { 'User-Agent': 'RSS-Fetch-API/1.0' } })
+      );
+    });
+
+    test('should accept 304 responses from upstream', async () => {
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+
+      await request(app).get(url).expect(200);
+      const { validateStatus } = axios.get.mock.calls[0][1];
+
+      expect(validateStatus(200)).toBe(true);
+      expect(validateStatus(304)).toBe(true);
+      expect(validateStatus(404)).toBe(false);
+    });
+  });
+
+  describe('Upstream Resilience', () => {
+    const { Readable } = require('stream');
+
+    beforeEach(() => {
+      process.env.FEED_RETRIES = '2';
+      process.env.FEED_RETRY_BASE_DELAY_MS = '0';
+      process.env.FEED_BREAKER_THRESHOLD = '3';
+      process.env.FEED_BREAKER_COOLDOWN_MS = '60000';
+      resetCircuitBreakers();
+    });
+
+    afterEach(() => {
+      process.env.FEED_RETRIES = '0';
+      process.env.FEED_BREAKER_THRESHOLD = '100000';
+      delete process.env.FEED_RETRY_BASE_DELAY_MS;
+      delete process.env.FEED_BREAKER_COOLDOWN_MS;
+      resetCircuitBreakers();
+      jest.restoreAllMocks();
+    });
+
+    function connectionReset() {
+      const error = new Error('socket hang up');
+      error.code = 'ECONNRESET';
+      error.request = {};
+      return error;
+    }
+
+    function httpError(status, statusText) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, statusText };
+      return error;
+    }
+
+    test('should retry connection resets and succeed', async () => {
+      axios.get
+        .mockRejectedValueOnce(connectionReset())
+        .mockRejectedValueOnce(connectionReset())
+        .mockResolvedValueOnce({ data: readFixture('rss-valid.xml') });
+
+      const response = await request(app)
+        .get('/api/rss?url=https://flaky.example.com/feed.xml')
+        .expect(200);
+
+      expect(response.text).toBe(readFixture('rss-valid.xml'));
+      expect(axios.get).toHaveBeenCalledTimes(3);
+    });
+
+    test.each([
+      [502, 'Bad Gateway'],
+      [503, 'Service Unavailable'],
+      [504, 'Gateway Timeout']
+    ])('should retry HTTP %s responses', async (status, statusText) => {
+      axios.get
+        .mockRejectedValueOnce(httpError(status, statusText))
+        .mockResolvedValueOnce({ data: readFixture('rss-valid.xml') });
+
+      await request(app)
+        .get('/api/rss?url=https://flaky.example.com/feed.xml')
+        .expect(200);
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('should retry connections reset while reading the body', async () => {
+      const broken = new Readable({
+        read() {
+          this.destroy(connectionReset());
+        }
+      });
+      axios.get
+        .mockResolvedValueOnce({ data: broken })
+        .mockResolvedValueOnce({ data: readFixture('rss-valid.xml') });
+
+      await request(app)
+        .get('/api/rss?url=https://flaky.example.com/feed.xml')
+        .expect(200);
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry client errors', async () => {
+      axios.get.mockRejectedValue(httpError(404, 'Not Found'));
+
+      await request(app)
+        .get('/api/rss?url=https://example.com/missing.xml')
+        .expect(404);
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should open the circuit after repeated failures and report it', async () => {
+      axios.get.mockRejectedValue(httpError(503, 'Service Unavailable'));
+      const url = '/api/rss?url=https://down.example.com/feed.xml';
+
+      const first = await request(app).get(url).expect(503);
+      expect(first.body).toEqual({
+        error: 'Feed Fetch Failed',
+        message: 'Unable to fetch RSS feed: Service Unavailable',
+        statusCode: 503
+      });
+      await request(app).get(url).expect(503);
+      const tripping = await request(app).get(url).expect(503);
+
+      expect(axios.get).toHaveBeenCalledTimes(9);
+      expect(tripping.body.circuit).toEqual({
+        host: 'down.example.com',
+        state: 'open',
+        failures: 3,
+        retryAt: expect.any(String)
+      });
+    });
+
+    test('should fail fast while the circuit is open', async () => {
+      const now = Date.parse('2026-03-01T12:00:00Z');
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      axios.get.mockRejectedValue(connectionReset());
+      process.env.FEED_RETRIES = '0';
+
+      for (let i = 0; i < 3; i++) {
+        await request(app).get('/api/rss?url=https://down.example.com/a.xml').expect(503);
+      }
+      axios.get.mockClear();
+
+      const response = await request(app)
+        .get('/api/feed?url=https://down.example.com/other.xml')
+        .expect(503);
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(response.headers['retry-after']).toBe('60');
+      expect(response.body).toEqual({
+        error: 'Service Unavailable',
+        message: 'Upstream host down.example.com is failing; requests are paused until 2026-03-01T12:01:00.000Z',
+        circuit: {
+          host: 'down.example.com',
+          state: 'open',
+          failures: 3,
+          retryAt: '2026-03-01T12:01:00.000Z'
+        }
+      });
+
+      // Other hosts are unaffected
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+      await request(app).get('/api/rss?url=https://up.example.com/feed.xml').expect(200);
+    });
+
+    test('should close the circuit when a trial request succeeds after the cooldown', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-03-01T12:00:00Z'));
+      process.env.FEED_RETRIES = '0';
+      axios.get.mockRejectedValue(connectionReset());
+      for (let i = 0; i < 3; i++) {
+        await request(app).get('/api/rss?url=https://down.example.com/feed.xml').expect(503);
+      }
+
+      now.mockReturnValue(Date.parse('2026-03-01T12:01:00Z'));
+      axios.get.mockResolvedValue({ data: readFixture('rss-valid.xml') });
+
+      await request(app).get('/api/rss?url=https://down.example.com/feed.xml').expect(200);
+      await request(app).get('/api/rss?url=https://down.example.com/feed.xml').expect(200);
+    });
+
+    test('should not count client errors against the host', async () => {
+      axios.get.mockRejectedValue(httpError(404, 'Not Found'));
+
+      for (let i = 0; i < 5; i++) {
+        await request(app).get('/api/rss?url=https://example.com/missing.xml').expect(404);
+      }
+
+      expect(axios.get).toHaveBeenCalledTimes(5);
+    });
+
+    test('should report open circuits in batch results', async () => {
+      process.env.FEED_RETRIES = '0';
+      process.env.FEED_BREAKER_THRESHOLD = '1';
+      axios.get.mockRejectedValue(connectionReset());
+      await request(app).get('/api/rss?url=https://down.example.com/feed.xml').expect(503);
+
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send({ urls: ['https://down.example.com/other.xml'] })
+        .expect(200);
+
+      expect(response.body.results[0].status).toBe(503);
+      expect(response.body.results[0].error.circuit.state).toBe('open');
+    });
+  });
+
+  describe('Polite Fetching', () => {
+    afterEach(() => {
+      delete process.env.FEED_HOST_CONCURRENCY;
+      process.env.FEED_RETRIES = '0';
+      clearHostThrottles();
+      jest.restoreAllMocks();
+    });
+
+    function throttled(status, retryAfter) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, statusText: 'Slow Down', headers: { 'Retry-After': retryAfter } };
+      return error;
+    }
+
+    test('should limit concurrent requests per host', async () => {
+      process.env.FEED_HOST_CONCURRENCY = '2';
+      const active = {};
+      const peak = {};
+      axios.get.mockImplementation(async (url) => {
+        const { host } = new URL(url);
+        active[host] = (active[host] || 0) + 1;
+        peak[host] = Math.max(peak[host] || 0, active[host]);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active[host]--;
+        return { data: readFixture('rss-valid.xml') };
+      });
+
+      const urls = [
+        ...Array.from({ length: 5 }, (_, index) => `https://one.example.com/${index}.xml`),
+        ...Array.from({ length: 3 }, (_, index) => `https://two.example.com/${index}.xml`)
+      ];
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send({ urls })
+        .expect(200);
+
+      expect(response.body.results.every((result) => result.status === 200)).toBe(true);
+      expect(peak['one.example.com']).toBe(2);
+      expect(peak['two.example.com']).toBe(2);
+    });
+
+    test('should honour Retry-After on 429 with a throttled-until error', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-05-01T10:00:00Z'));
+      axios.get.mockRejectedValue(throttled(429, '120'));
+
+      const response = await request(app)
+        .get('/api/rss?url=https://busy.example.com/feed.xml')
+        .expect(503);
+
+      expect(response.headers['retry-after']).toBe('120');
+      expect(response.body).toEqual({
+        error: 'Service Unavailable',
+        message: 'Upstream host busy.example.com asked us to slow down; throttled until 2026-05-01T10:02:00.000Z',
+        throttledUntil: '2026-05-01T10:02:00.000Z'
+      });
+
+      // Further requests to the host wait without contacting it
+      await request(app).get('/api/feed?url=https://busy.example.com/other.xml').expect(503);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should honour Retry-After dates on 503 without retrying', async () => {
+      process.env.FEED_RETRIES = '2';
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-05-01T10:00:00Z'));
+      axios.get.mockRejectedValue(throttled(503, 'Fri, 01 May 2026 10:00:30 GMT'));
+
+      const response = await request(app)
+        .get('/api/rss?url=https://busy.example.com/feed.xml')
+        .expect(503);
+
+      expect(response.body.throttledUntil).toBe('2026-05-01T10:00:30.000Z');
+      expect(response.headers['retry-after']).toBe('30');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should serve stale cached content while throttled', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-05-01T10:00:00Z'));
+      axios.get.mockResolvedValueOnce({
+        data: readFixture('rss-valid.xml'),
+        headers: { 'cache-control': 'max-age=60' }
+      });
+      await request(app).get('/api/rss?url=https://busy.example.com/feed.xml').expect(200);
+
+      now.mockReturnValue(Date.parse('2026-05-01T10:05:00Z'));
+      axios.get.mockRejectedValueOnce(throttled(429, '600'));
+
+      const stale = await request(app)
+        .get('/api/rss?url=https://busy.example.com/feed.xml')
+        .expect(200);
+      expect(stale.headers['x-cache']).toBe('STALE');
+      expect(stale.text).toBe(readFixture('rss-valid.xml'));
+
+      // Still on hold: served from the cache without an upstream request
+      await request(app).get('/api/rss?url=https://busy.example.com/feed.xml').expect(200);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('should contact the host again once the wait is over', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-05-01T10:00:00Z'));
+      axios.get.mockRejectedValueOnce(throttled(429, '60'));
+      await request(app).get('/api/rss?url=https://busy.example.com/feed.xml').expect(503);
+
+      now.mockReturnValue(Date.parse('2026-05-01T10:01:00Z'));
+      axios.get.mockResolvedValueOnce({ data: readFixture('rss-valid.xml') });
+
+      await request(app).get('/api/rss?url=https://busy.example.com/feed.xml').expect(200);
+    });
+
+    test('should treat 429 without Retry-After as an ordinary error', async () => {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, statusText: 'Too Many Requests' };
+      axios.get.mockRejectedValue(error);
+
+      const response = await request(app)
+        .get('/api/rss?url=https://busy.example.com/feed.xml')
+        .expect(429);
+
+      expect(response.body.error).toBe('Feed Fetch Failed');
+      await request(app).get('/api/rss?url=https://busy.example.com/feed.xml').expect(429);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Batch Fetch', () => {
+    afterEach(() => {
+      delete process.env.FEED_BATCH_MAX_URLS;
+      delete process.env.FEED_BATCH_CONCURRENCY;
+    });
+
+    function mockFeeds(feeds) {
+      axios.get.mockImplementation(async (url) => {
+        const feed = feeds[url];
+        if (feed instanceof Error) {
+          throw feed;
+        }
+        return { data: feed, headers: {} };
+      });
+    }
+
+    function httpError(status, statusText) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, statusText };
+      return error;
+    }
+
+    test('should return a result per URL in request order', async () => {
+      mockFeeds({
+        'https://example.com/rss.xml': readFixture('rss-valid.xml'),
+        'https://example.com/feed.json': readFixture('jsonfeed-valid.json')
+      });
+
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send({ urls: ['https://example.com/rss.xml', 'https://example.com/feed.json'] })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        results: [
+          {
+            url: 'https://example.com/rss.xml',
+            status: 200,
+            cache: 'MISS',
+            contentType: 'application/xml; charset=utf-8',
+            body: readFixture('rss-valid.xml')
+          },
+          {
+            url: 'https://example.com/feed.json',
+            status: 200,
+            cache: 'MISS',
+            contentType: 'application/feed+json; charset=utf-8',
+            body: readFixture('jsonfeed-valid.json')
+          }
+        ]
+      });
+    });
+
+    test('should return parsed feeds when parse is true', async () => {
+      mockFeeds({ 'https://example.com/atom.xml': readFixture('atom-valid.xml') });
+
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send({ urls: ['https://example.com/atom.xml'], parse: true })
+        .expect(200);
+
+      const [result] = response.body.results;
+      expect(result.feed.format).toBe('atom');
+      expect(result.feed.items.length).toBeGreaterThan(0);
+      expect(result.body).toBeUndefined();
+    });
+
+    test('should isolate failures to their own result', async () => {
+      const refused = new Error('connect ECONNREFUSED');
+      refused.request = {};
+      mockFeeds({
+        'https://example.com/ok.xml': readFixture('rss-valid.xml'),
+        'https://example.com/missing.xml': httpError(404, 'Not Found'),
+        'https://down.example.com/feed.xml': refused,
+        'https://example.com/broken.xml': readFixture('rss-malformed.xml')
+      });
+
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send({
+          urls: [
+            'https://example.com/ok.xml',
+            'https://example.com/missing.xml',
+            'not-a-url',
+            'http://127.0.0.1/feed.xml',
+            'https://down.example.com/feed.xml',
+            'https://example.com/broken.xml'
+          ],
+          parse: true
+        })
+        .expect(200);
+
+      const [ok, missing, invalid, blocked, down, broken] = response.body.results;
+      expect(ok.status).toBe(200);
+      expect(missing).toEqual({
+        url: 'https://example.com/missing.xml',
+        status: 404,
+        error: { error: 'Feed Fetch Failed', message: 'Unable to fetch RSS feed: Not Found', statusCode: 404 }
+      });
+      expect(invalid).toEqual({
+        url: 'not-a-url',
+        status: 400,
+        error: { error: 'Bad Request', message: 'Invalid URL format' }
+      });
+      expect(blocked.status).toBe(403);
+      expect(blocked.error.error).toBe('Forbidden');
+      expect(down.status).toBe(503);
+      expect(down.error.error).toBe('Service Unavailable');
+      expect(broken.status).toBe(422);
+      expect(broken.error.error).toBe('Feed Parse Failed');
+    });
+
+    test('should fetch duplicate URLs once', async () => {
+      mockFeeds({ 'https://example.com/rss.xml': readFixture('rss-valid.xml') });
+
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send({ urls: ['https://example.com/rss.xml', 'https://example.com/rss.xml'] })
+        .expect(200);
+
+      expect(response.body.results).toHaveLength(2);
+      expect(response.body.results[1]).toEqual(response.body.results[0]);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should limit the number of concurrent upstream requests', async () => {
+      process.env.FEED_BATCH_CONCURRENCY = '2';
+      let active = 0;
+      let peak = 0;
+      axios.get.mockImplementation(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active--;
+        return { data: readFixture('rss-valid.xml'), headers: {} };
+      });
+
+      const urls = Array.from({ length: 7 }, (_, index) => `https://example.com/feed-${index}.xml`);
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send({ urls })
+        .expect(200);
+
+      expect(response.body.results.map((result) => result.status)).toEqual(Array(7).fill(200));
+      expect(peak).toBe(2);
+    });
+
+    test.each([
+      [{}, 'Request body must include a non-empty "urls" array of strings'],
+      [{ urls: [] }, 'Request body must include a non-empty "urls" array of strings'],
+      [{ urls: 'https://example.com/rss.xml' }, 'Request body must include a non-empty "urls" array of strings'],
+      [{ urls: [42] }, 'Request body must include a non-empty "urls" array of strings'],
+      [{ urls: ['https://example.com/rss.xml'], parse: 'yes' }, 'Invalid parse parameter. Expected true or false']
+    ])('should return 400 for invalid body %j', async (body, message) => {
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send(body)
+        .expect(400);
+
+      expect(response.body).toEqual({ error: 'Bad Request', message });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 when the batch is too large', async () => {
+      process.env.FEED_BATCH_MAX_URLS = '2';
+
+      const response = await request(app)
+        .post('/api/rss/batch')
+        .send({ urls: ['https://a.example/', 'https://b.example/', 'https://c.example/'] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Too many URLs in batch: 3 (maximum 2)');
+    });
+  });
+
   describe('Response Format Validation', () => {
     test('success response should have Content-Type application/xml', async () => {
       const validXML = readFixture('rss-valid.xml');
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const axios = require('axios');
+const { Readable } = require('stream');
+const app = require('../../../src/server');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { ruleStore } = require('../../../src/lib/rules');
+const { until } = require('../helpers');
+
+jest.mock('axios');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Noisy</title>
+  <item><guid>1</guid><title>Sponsored: a better mattress</title><pubDate>Tue, 02 Jan 2024 00:00:00 GMT</pubDate></item>
+  <item><guid>2</guid><title>Rust 2.0 released</title><category>Programming</category><pubDate>Mon, 01 Jan 2024 00:00:00 GMT</pubDate></item>
+</channel></rss>`;
+
+describe('Rules Route Handler', () => {
+  let feedUrl;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearFeedCache();
+    // Items are kept for good, so every test has its own feed, and its rules apply to that feed only
+    feedUrl = `https://example.com/feed-${Date.now()}-${Math.random()}.xml`;
+    axios.get.mockImplementation(async () => ({
+      status: 200,
+      data: Readable.from([Buffer.from(RSS)]),
+      headers: { 'content-type': 'application/rss+xml' }
+    }));
+  });
+
+  afterEach(async () => {
+    for (const rule of await ruleStore().list()) {
+      await ruleStore().remove(rule.id);
+    }
+  });
+
+  async function storedItems() {
+    const response = await request(app).get('/api/items').query({ url: feedUrl }).expect(200);
+    return response.body.items;
+  }
+
+  test('should create, list, edit and delete a rule', async () => {
+    const created = await request(app)
+      .post('/api/rules')
+      .send({ pattern: 'sponsored', action: 'hide', feedUrl })
+      .expect(201);
+
+    expect(created.headers.location).toBe(`/api/rules/${created.body.id}`);
+    expect(created.body).toMatchObject({ pattern: 'sponsored', action: 'hide', feedUrl, field: 'any', match: 'keyword', enabled: true });
+
+    const list = await request(app).get('/api/rules').expect(200);
+    expect(list.body.rules).toEqual([created.body]);
+
+    const updated = await request(app)
+      .patch(`/api/rules/${created.body.id}`)
+      .send({ action: 'tag', tag: 'ads' })
+      .expect(200);
+    expect(updated.body).toMatchObject({ action: 'tag', tag: 'ads' });
+
+    await request(app).delete(`/api/rules/${created.body.id}`).expect(204);
+    await request(app).get(`/api/rules/${created.body.id}`).expect(404);
+  });
+
+  test('should reject an invalid rule', async () => {
+    const response = await request(app)
+      .post('/api/rules')
+      .send({ pattern: '([a-z]', match: 'regex', action: 'hide' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Bad Request');
+    expect(response.body.message).toMatch(/^Field pattern is not a valid regular expression/);
+  });
+
+  test('should return 404 for an unknown rule', async () => {
+    const response = await request(app).patch('/api/rules/missing').send({ enabled: false }).expect(404);
+
+    expect(response.body).toEqual({ error: 'Not Found', message: 'Rule not found' });
+  });
+
+  test('should report what the rules do to stored items', async () => {
+    const hide = await request(app).post('/api/rules').send({ pattern: 'sponsored', action: 'hide', feedUrl }).expect(201);
+    const tag = await request(app)
+      .post('/api/rules')
+      .send({ pattern: '^programming$', match: 'regex', field: 'category', action: 'tag', tag: 'code', feedUrl })
+      .expect(201);
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+
+    const [sponsored, rust] = await storedItems();
+
+    expect(sponsored.rules).toEqual({ hidden: true, highlighted: false, starred: false, tags: [], matched: [hide.body.id] });
+    expect(rust.rules).toEqual({ hidden: false, highlighted: false, starred: false, tags: ['code'], matched: [tag.body.id] });
+
+    // Rules apply to items stored before they were made, and stop applying when disabled
+    await request(app).patch(`/api/rules/${hide.body.id}`).send({ enabled: false }).expect(200);
+    const fetched = await request(app).get(`/api/items/${sponsored.id}`).expect(200);
+    expect(fetched.body.rules.hidden).toBe(false);
+  });
+
+  test('should star new items that auto-star rules match', async () => {
+    await request(app).post('/api/rules').send({ pattern: 'rust', action: 'star', feedUrl }).expect(201);
+
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+
+    await until(async () => (await storedItems()).some((item) => item.starred));
+    const items = await storedItems();
+    expect(items.map((item) => [item.title, item.starred])).toEqual([
+      ['Sponsored: a better mattress', false],
+      ['Rust 2.0 released', true]
+    ]);
+  });
+
+  test('should leave items unstarred once the reader unstars them', async () => {
+    await request(app).post('/api/rules').send({ pattern: 'rust', action: 'star', feedUrl }).expect(201);
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+    await until(async () => (await storedItems()).some((item) => item.starred));
+    const rust = (await storedItems()).find((item) => item.starred);
+
+    await request(app).patch(`/api/items/${rust.id}`).send({ starred: false }).expect(200);
+    clearFeedCache();
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+
+    expect((await storedItems()).every((item) => !item.starred)).toBe(true);
+  });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const axios = require('axios');
+const { Readable } = require('stream');
+const app = require('../../../src/server');
+const { readFixture } = require('../../fixtures/helper');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { watchListStore } = require('../../../src/lib/watch-list');
+
+jest.mock('axios');
+
+function mockFeed(body, headers = {}) {
+  axios.get.mockImplementation(async () => ({
+    status: 200,
+    data: Readable.from([Buffer.from(body)]),
+    headers: { 'content-type': 'application/rss+xml', ...headers }
+  }));
+}
+
+describe('Schedule Route Handler', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    clearFeedCache();
+    for (const feed of await watchListStore().list()) {
+      await watchListStore().remove(feed.id);
+    }
+  });
+
+  test('should return 400 when url query parameter is missing', async () => {
+    const response = await request(app).get('/api/schedule').expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Bad Request',
+      message: 'Missing required query parameter: url'
+    });
+  });
+
+  test('should plan the next fetch of a feed', async () => {
+    mockFeed(readFixture('rss-refresh-hints.xml'), { 'cache-control': 'max-age=60' });
+
+    const response = await request(app)
+      .get('/api/schedule?url=https://example.com/feed.xml')
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      url: 'https://example.com/feed.xml',
+      intervalMs: expect.any(Number),
+      nextFetchAt: expect.any(String),
+      basis: expect.stringMatching(/^(history|syndication|ttl|cache|default)$/),
+      signals: {
+        syndicationIntervalMs: 6 * 60 * 60 * 1000,
+        ttlMs: 90 * 60 * 1000,
+        cacheLifetimeMs: 60 * 1000,
+        skipHours: [0, 1],
+        skipDays: ['Saturday', 'Sunday']
+      },
+      limits: { minIntervalMs: 60 * 1000, maxIntervalMs: 24 * 60 * 60 * 1000 },
+      watched: null
+    });
+  });
+
+  test('should plan from the last poll of a watched feed', async () => {
+    mockFeed('<rss version="2.0"><channel><title>T</title><ttl>30</ttl></channel></rss>');
+    const feed = await watchListStore().add({ url: 'https://example.com/feed.xml' });
+    await watchListStore().recordPoll(feed.id, { at: '2024-01-01T00:00:00.000Z', ok: true }, new Date('2024-01-01T00:30:00Z'));
+
+    const response = await request(app)
+      .get('/api/schedule?url=https://example.com/feed.xml')
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      basis: 'ttl',
+      intervalMs: 30 * 60 * 1000,
+      nextFetchAt: '2024-01-01T00:30:00.000Z',
+      watched: {
+        id: feed.id,
+        intervalMs: null,
+        lastPolledAt: '2024-01-01T00:00:00.000Z',
+        nextPollAt: '2024-01-01T00:30:00.000Z'
+      }
+    });
+  });
+
+  test('should find a watched feed under another spelling of its URL', async () => {
+    mockFeed('<rss version="2.0"><channel><title>T</title></channel></rss>');
+    const feed = await watchListStore().add({ url: 'https://example.com/feed.xml' });
+
+    const response = await request(app)
+      .get('/api/schedule')
+      .query({ url: 'HTTPS://Example.com:443/feed.xml' })
+      .expect(200);
+
+    expect(response.body.watched).toMatchObject({ id: feed.id });
+  });
+
+  test('should report upstream failures like /api/rss', async () => {
+    const error = new Error('Request failed with status code 404');
+    error.response = { status: 404, statusText: 'Not Found' };
+    axios.get.mockRejectedValue(error);
+
+    const response = await request(app)
+      .get('/api/schedule?url=https://example.com/missing.xml')
+      .expect(404);
+
+    expect(response.body).toMatchObject({ error: 'Feed Fetch Failed', statusCode: 404 });
+  });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const axios = require('axios');
+const { Readable } = require('stream');
+const app = require('../../../src/server');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { subscriptionStore } = require('../../../src/lib/subscriptions');
+const { searchIndex } = require('../../../src/lib/search-index');
+
+jest.mock('axios');
+
+const COFFEE_FEED = 'https://coffee.example.com/feed.xml';
+const TEA_FEED = 'https://tea.example.com/feed.xml';
+
+function rss(items) {
+  return `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Feed</title>${items.map((item) => `
+  <item>
+    <title>${item.title}</title>
+    <link>${item.link}</link>
+    <guid>${item.link}</guid>
+    <pubDate>${item.date}</pubDate>
+    <description><![CDATA[${item.description}]]></description>
+  </item>`).join('')}
+</channel></rss>`;
+}
+
+const FEEDS = {
+  [COFFEE_FEED]: rss([
+    {
+      title: 'Espresso at home',
+      link: 'https://coffee.example.com/espresso',
+      date: 'Fri, 01 Mar 2024 08:00:00 GMT',
+      description: '<p>Pulling a <b>perfect shot</b> takes practice.</p>'
+    },
+    {
+      title: 'Milk steaming',
+      link: 'https://coffee.example.com/milk',
+      date: 'Thu, 01 Feb 2024 08:00:00 GMT',
+      description: 'Steam milk for a flat white to go with your espresso.'
+    }
+  ]),
+  [TEA_FEED]: rss([
+    {
+      title: 'Matcha basics',
+      link: 'https://tea.example.com/matcha',
+      date: 'Mon, 01 Jan 2024 08:00:00 GMT',
+      description: 'Whisk matcha; it is no espresso, but a perfect morning drink.'
+    }
+  ])
+};
+
+describe('Search Route Handler', () => {
+  beforeAll(async () => {
+    axios.get.mockImplementation(async (url) => ({
+      status: 200,
+      data: Readable.from([Buffer.from(FEEDS[url])]),
+      headers: { 'content-type': 'application/rss+xml' }
+    }));
+    clearFeedCache();
+    for (const url of Object.keys(FEEDS)) {
+      await request(app).get('/api/rss').query({ url }).expect(200);
+    }
+    await subscriptionStore().create({ url: TEA_FEED, folder: 'Tea' });
+  });
+
+  test('should return 400 when q is missing', async () => {
+    const response = await request(app).get('/api/search').expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Bad Request',
+      message: 'Missing required query parameter: q'
+    });
+  });
+
+  test('should find items fetched through /api/rss, best match first', async () => {
+    const response = await request(app).get('/api/search').query({ q: 'espresso' }).expect(200);
+
+    expect(response.body.query).toBe('espresso');
+    expect(response.body.total).toBe(3);
+    expect(response.body.results[0]).toMatchObject({
+      title: 'Espresso at home',
+      link: 'https://coffee.example.com/espresso',
+      feedUrl: COFFEE_FEED,
+      read: false,
+      score: expect.any(Number),
+      highlights: { title: '<mark>Espresso</mark> at home' }
+    });
+  });
+
+  test('should match phrases and highlight snippets', async () => {
+    const response = await request(app).get('/api/search').query({ q: '"perfect shot"' }).expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.results[0].highlights.snippet).toBe('Pulling a <mark>perfect</mark> <mark>shot</mark> takes practice.');
+  });
+
+  test('should filter by feed and folder', async () => {
+    const byFeed = await request(app).get('/api/search').query({ q: 'espresso', feed: COFFEE_FEED }).expect(200);
+    const byFolder = await request(app).get('/api/search').query({ q: 'espresso', folder: 'Tea' }).expect(200);
+
+    expect(byFeed.body.results.map((result) => result.feedUrl)).toEqual([COFFEE_FEED, COFFEE_FEED]);
+    expect(byFolder.body.results.map((result) => result.title)).toEqual(['Matcha basics']);
+  });
+
+  test('should filter by date, a bare to date covering the whole day', async () => {
+    const response = await request(app)
+      .get('/api/search')
+      .query({ q: 'espresso', from: '2024-01-15', to: '2024-02-01' })
+      .expect(200);
+
+    expect(response.body.results.map((result) => result.title)).toEqual(['Milk steaming']);
+  });
+
+  test('should page through results', async () => {
+    const response = await request(app).get('/api/search').query({ q: 'espresso', limit: 1, offset: 2 }).expect(200);
+
+    expect(response.body.total).toBe(3);
+    expect(response.body.results).toHaveLength(1);
+  });
+
+  test('should leave items that are no longer stored out of the results and the total', async () => {
+    (await searchIndex()).add({ id: 'gone', feedUrl: COFFEE_FEED, title: 'Espresso, removed', published: '2024-03-02T08:00:00Z' });
+
+    const response = await request(app).get('/api/search').query({ q: 'espresso', limit: 1 }).expect(200);
+
+    expect(response.body.total).toBe(3);
+    expect(response.body.results.map((result) => result.title)).toEqual(['Espresso at home']);
+  });
+
+  test('should leave removed items out of the total when they rank beyond the first page', async () => {
+    const index = await searchIndex();
+    index.add({
+      id: 'gone-later',
+      feedUrl: TEA_FEED,
+      title: 'Brewing notes',
+      summary: `${'Notes on water, grind and timing for every brew. '.repeat(20)}Also espresso.`,
+      published: '2020-01-01T08:00:00Z'
+    });
+    const { results } = index.search('espresso', { limit: 10 });
+    expect(results[results.length - 1].id).toBe('gone-later');
+
+    const response = await request(app).get('/api/search').query({ q: 'espresso', limit: 1 }).expect(200);
+
+    expect(response.body.total).toBe(3);
+    expect(response.body.results.map((result) => result.title)).toEqual(['Espresso at home']);
+  });
+
+  test('should return the current state of each item', async () => {
+    const [first] = (await request(app).get('/api/search').query({ q: 'matcha' })).body.results;
+    await request(app).patch(`/api/items/${first.id}`).send({ starred: true }).expect(200);
+
+    const response = await request(app).get('/api/search').query({ q: 'matcha' }).expect(200);
+
+    expect(response.body.results[0].starred).toBe(true);
+  });
+
+  test.each([
+    [{ q: 'espresso', from: 'last week' }, 'Invalid from parameter. Expected a date'],
+    [{ q: 'espresso', offset: -1 }, 'Invalid offset parameter. Expected a whole number'],
+    [{ q: 'espresso', feed: 'not a url' }, 'Invalid feed parameter. Expected a feed URL'],
+    [{ q: '!!!' }, 'The search query has no words to search for']
+  ])('should return 400 for %j', async (query, message) => {
+    const response = await request(app).get('/api/search').query(query).expect(400);
+
+    expect(response.body).toEqual({ error: 'Bad Request', message });
+  });
+});
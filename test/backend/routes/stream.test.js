@@ -0,0 +1,185 @@
+const http = require('http');
+const request = require('supertest');
+const axios = require('axios');
+const { Readable } = require('stream');
+
+// Read when the shared stream is created
+process.env.STREAM_MAX_CONNECTIONS = '2';
+process.env.STREAM_HEARTBEAT_MS = '50';
+
+const app = require('../../../src/server');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { itemStream } = require('../../../src/lib/item-stream');
+const { until } = require('../helpers');
+
+jest.mock('axios');
+
+function rss(titles) {
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>Live</title>${titles
+    .map((title) => `<item><guid>${title}</guid><title>${title}</title></item>`)
+    .join('')}</channel></rss>`;
+}
+
+function mockFeed(body) {
+  axios.get.mockImplementation(async () => ({
+    status: 200,
+    data: Readable.from([Buffer.from(body)]),
+    headers: { 'content-type': 'application/rss+xml' }
+  }));
+}
+
+describe('Stream Route Handler', () => {
+  let server;
+  let baseUrl;
+  let feedUrl;
+  let streams;
+
+  beforeAll((done) => {
+    server = http.createServer(app);
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    delete process.env.STREAM_MAX_CONNECTIONS;
+    delete process.env.STREAM_HEARTBEAT_MS;
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearFeedCache();
+    streams = [];
+    // Items are kept for good, so every test follows its own feed
+    feedUrl = `https://example.com/live-${Date.now()}-${Math.random()}.xml`;
+    mockFeed(rss(['One', 'Two']));
+  });
+
+  afterEach(async () => {
+    streams.forEach((stream) => stream.close());
+    await until(() => itemStream().clients.size === 0);
+  });
+
+  // Opens a stream and parses its events as they arrive
+  function openStream(query, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.get(`${baseUrl}/api/stream?${new URLSearchParams(query)}`, { headers }, (res) => {
+        const stream = { res, events: [], comments: [], close: () => req.destroy() };
+        let buffer = '';
+        res.setEncoding('utf8');
+        streams.push(stream);
+        if (res.statusCode !== 200) {
+          return resolve(stream);
+        }
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const event = {};
+            for (const line of block.split('\n')) {
+              if (line.startsWith(':')) {
+                stream.comments.push(line.slice(1).trim());
+              } else {
+                const [field, ...value] = line.split(': ');
+                event[field] = value.join(': ');
+              }
+            }
+            if (event.event) {
+              stream.events.push({ ...event, data: JSON.parse(event.data) });
+            }
+          }
+        });
+        resolve(stream);
+      });
+      req.on('error', reject);
+    });
+  }
+
+  const newItems = (stream) => stream.events.filter((event) => event.event === 'new-item');
+  const refreshed = () => until(() => !itemStream().refreshes.size);
+
+  test('should return 400 without feeds', async () => {
+    const response = await request(app).get('/api/stream').expect(400);
+
+    expect(response.body).toEqual({ error: 'Bad Request', message: 'Missing required query parameter: feeds' });
+  });
+
+  test('should return 400 for an invalid feed URL', async () => {
+    const response = await request(app).get('/api/stream').query({ feeds: 'not a url' }).expect(400);
+
+    expect(response.body.message).toBe('Invalid feeds parameter: Invalid URL format');
+  });
+
+  test('should stream the new items of the requested feeds', async () => {
+    const stream = await openStream({ feeds: feedUrl });
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+    expect(stream.res.headers['cache-control']).toBe('no-cache, no-transform');
+
+    // The feed's backlog is stored, not sent
+    await refreshed();
+    expect(axios.get).toHaveBeenCalledWith(feedUrl, expect.any(Object));
+    expect(stream.events).toEqual([{ event: 'ready', data: { feeds: [feedUrl] } }]);
+
+    // Items that turn up through any other fetch are pushed too
+    clearFeedCache();
+    mockFeed(rss(['Three', 'One', 'Two']));
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+
+    await until(() => newItems(stream).length === 1);
+    expect(newItems(stream)[0]).toMatchObject({
+      id: expect.stringMatching(/^\d+-[0-9a-f]{24}$/),
+      data: { feedUrl, title: 'Three', read: false, starred: false, archived: false }
+    });
+  });
+
+  test('should send heartbeats', async () => {
+    const stream = await openStream({ feeds: feedUrl });
+
+    await until(() => stream.comments.includes('heartbeat'));
+  });
+
+  test('should send what a client missed when it resumes with Last-Event-ID', async () => {
+    const first = await openStream({ feeds: feedUrl });
+    await refreshed();
+    clearFeedCache();
+    mockFeed(rss(['Seen', 'One', 'Two']));
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+    await until(() => newItems(first).length === 1);
+    const lastEventId = newItems(first)[0].id;
+    first.close();
+    await until(() => itemStream().clients.size === 0);
+
+    clearFeedCache();
+    mockFeed(rss(['Missed', 'Seen', 'One', 'Two']));
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+
+    const resumed = await openStream({ feeds: feedUrl }, { 'Last-Event-ID': lastEventId });
+    await until(() => newItems(resumed).length === 1);
+
+    expect(newItems(resumed)[0].data.title).toBe('Missed');
+  });
+
+  test('should cap the streams open per client', async () => {
+    await openStream({ feeds: feedUrl });
+    await openStream({ feeds: feedUrl });
+
+    // From the same address as the streams above
+    const refused = await openStream({ feeds: feedUrl });
+    let body = '';
+    for await (const chunk of refused.res) {
+      body += chunk;
+    }
+
+    expect(refused.res.statusCode).toBe(429);
+    expect(JSON.parse(body)).toEqual({
+      error: 'Too Many Requests',
+      message: 'Too many open streams (maximum 2 per client)'
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const axios = require('axios');
+const { Readable } = require('stream');
+const app = require('../../../src/server');
+const { readFixture } = require('../../fixtures/helper');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { subscriptionStore } = require('../../../src/lib/subscriptions');
+
+jest.mock('axios');
+
+describe('Subscriptions Route Handler', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    clearFeedCache();
+    for (const subscription of await subscriptionStore().list()) {
+      await subscriptionStore().remove(subscription.id);
+    }
+  });
+
+  function subscribe(fields) {
+    return request(app).post('/api/subscriptions').send(fields);
+  }
+
+  describe('POST /api/subscriptions', () => {
+    test('should create a subscription and point to it', async () => {
+      const response = await subscribe({ url: 'https://example.com/feed.xml', title: 'Example', folder: 'News' })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        url: 'https://example.com/feed.xml',
+        title: 'Example',
+        name: null,
+        folder: 'News',
+        lastFetchedAt: null
+      });
+      expect(response.headers.location).toBe(`/api/subscriptions/${response.body.id}`);
+    });
+
+    test('should return 409 for a URL that is already subscribed', async () => {
+      await subscribe({ url: 'https://example.com/feed.xml' }).expect(201);
+
+      const response = await subscribe({ url: 'https://example.com/feed.xml' }).expect(409);
+
+      expect(response.body).toEqual({
+        error: 'Conflict',
+        message: 'Already subscribed to https://example.com/feed.xml'
+      });
+    });
+
+    test('should return 400 for invalid fields', async () => {
+      const response = await subscribe({ title: 'No URL' }).expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Bad Request',
+        message: 'Missing required field: url'
+      });
+    });
+  });
+
+  describe('GET /api/subscriptions', () => {
+    test('should list subscriptions, optionally by folder', async () => {
+      await subscribe({ url: 'https://a.example/feed', folder: 'News' });
+      await subscribe({ url: 'https://b.example/feed' });
+
+      const all = await request(app).get('/api/subscriptions').expect(200);
+      const news = await request(app).get('/api/subscriptions?folder=News').expect(200);
+
+      expect(all.body.subscriptions.map((subscription) => subscription.url))
+        .toEqual(['https://a.example/feed', 'https://b.example/feed']);
+      expect(news.body.subscriptions.map((subscription) => subscription.url)).toEqual(['https://a.example/feed']);
+    });
+
+    test('should get one subscription by id', async () => {
+      const { body: created } = await subscribe({ url: 'https://a.example/feed' });
+
+      const response = await request(app).get(`/api/subscriptions/${created.id}`).expect(200);
+
+      expect(response.body).toEqual(created);
+    });
+
+    test('should return 404 for an unknown id', async () => {
+      const response = await request(app).get('/api/subscriptions/missing').expect(404);
+
+      expect(response.body).toEqual({ error: 'Not Found', message: 'Subscription not found' });
+    });
+  });
+
+  describe('PATCH /api/subscriptions/:id', () => {
+    test('should update the subscription', async () => {
+      const { body: created } = await subscribe({ url: 'https://a.example/feed' });
+
+      const response = await request(app)
+        .patch(`/api/subscriptions/${created.id}`)
+        .send({ name: 'Renamed', folder: 'Tech' })
+        .expect(200);
+
+      expect(response.body).toEqual({ ...created, name: 'Renamed', folder: 'Tech' });
+    });
+
+    test('should reject fields that cannot be edited', async () => {
+      const { body: created } = await subscribe({ url: 'https://a.example/feed' });
+
+      const response = await request(app)
+        .patch(`/api/subscriptions/${created.id}`)
+        .send({ createdAt: '2000-01-01T00:00:00.000Z' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Unknown field: createdAt');
+    });
+  });
+
+  describe('DELETE /api/subscriptions/:id', () => {
+    test('should delete the subscription', async () => {
+      const { body: created } = await subscribe({ url: 'https://a.example/feed' });
+
+      await request(app).delete(`/api/subscriptions/${created.id}`).expect(204);
+      await request(app).get(`/api/subscriptions/${created.id}`).expect(404);
+    });
+
+    test('should return 404 for an unknown id', async () => {
+      await request(app).delete('/api/subscriptions/missing').expect(404);
+    });
+  });
+
+  describe('Last fetched time', () => {
+    test('should be recorded when a subscribed feed is fetched from upstream', async () => {
+      const { body: created } = await subscribe({ url: 'https://example.com/feed.xml' });
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: Readable.from([Buffer.from(readFixture('rss-valid.xml'))]),
+        headers: { 'content-type': 'application/rss+xml' }
+      });
+
+      await request(app).get('/api/rss?url=https://example.com/feed.xml').expect(200);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const response = await request(app).get(`/api/subscriptions/${created.id}`).expect(200);
+      expect(Date.parse(response.body.lastFetchedAt)).toBeGreaterThanOrEqual(Date.parse(created.createdAt));
+    });
+  });
+
+  describe('Storage failures', () => {
+    test('should return 500 when the store cannot be read', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(subscriptionStore(), 'list').mockRejectedValueOnce(new Error('disk on fire'));
+
+      const response = await request(app).get('/api/subscriptions').expect(500);
+
+      expect(response.body).toEqual({
+        error: 'Internal Server Error',
+        message: 'Unable to access saved subscriptions'
+      });
+      expect(console.error).toHaveBeenCalledWith('Unable to access saved subscriptions:', 'disk on fire');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const axios = require('axios');
+const { Readable } = require('stream');
+const app = require('../../../src/server');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { parseFeed } = require('../../../src/lib/feed-parser');
+
+jest.mock('axios');
+
+function rss(title, items) {
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>${title}</title>${items
+    .map(([guid, date]) => `<item><guid>${guid}</guid><title>${guid}</title><pubDate>${date}</pubDate></item>`)
+    .join('')}</channel></rss>`;
+}
+
+describe('Virtual Feeds Route Handler', () => {
+  let documents;
+  let aUrl;
+  let bUrl;
+  let name;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearFeedCache();
+    // Definitions and items are kept for good, so every test has its own
+    const suffix = `${Date.now()}-${Math.random()}`;
+    aUrl = `https://a.example.com/feed-${suffix}.xml`;
+    bUrl = `https://b.example.com/feed-${suffix}.xml`;
+    name = `tech-${suffix.replace('.', '')}`;
+    documents = {
+      // Both feeds use the same bare guids
+      [aUrl]: rss('Feed A', [['post-1', 'Mon, 01 Jan 2024 00:00:00 GMT'], ['post-3 sponsored', 'Wed, 03 Jan 2024 00:00:00 GMT']]),
+      [bUrl]: rss('Feed B', [['post-1', 'Tue, 02 Jan 2024 00:00:00 GMT']])
+    };
+    axios.get.mockImplementation(async (url) => {
+      if (!documents[url]) {
+        throw Object.assign(new Error('Not Found'), { response: { status: 404, statusText: 'Not Found', headers: {} } });
+      }
+      return {
+        status: 200,
+        data: Readable.from([Buffer.from(documents[url])]),
+        headers: { 'content-type': 'application/rss+xml' }
+      };
+    });
+  });
+
+  test('should create, list, edit and delete a virtual feed', async () => {
+    const created = await request(app)
+      .post('/api/virtual-feeds')
+      .send({ name, sources: [aUrl], title: 'Tech' })
+      .expect(201);
+
+    expect(created.headers.location).toBe(`/api/virtual-feeds/${name}`);
+    expect(created.body).toMatchObject({ name, sources: [aUrl], title: 'Tech', include: [], exclude: [], limit: 50 });
+
+    const list = await request(app).get('/api/virtual-feeds').expect(200);
+    expect(list.body.feeds).toContainEqual(created.body);
+
+    const updated = await request(app)
+      .patch(`/api/virtual-feeds/${name}`)
+      .send({ sources: [aUrl, bUrl], exclude: ['sponsored'] })
+      .expect(200);
+    expect(updated.body).toMatchObject({ sources: [aUrl, bUrl], exclude: ['sponsored'], title: 'Tech' });
+
+    await request(app).delete(`/api/virtual-feeds/${name}`).expect(204);
+    await request(app).get(`/api/virtual-feeds/${name}`).expect(404);
+  });
+
+  test('should reject an invalid definition', async () => {
+    const response = await request(app)
+      .post('/api/virtual-feeds')
+      .send({ name, sources: [] })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Bad Request',
+      message: 'Field sources must be a non-empty array of feed URLs'
+    });
+  });
+
+  test('should refuse a name that is taken', async () => {
+    await request(app).post('/api/virtual-feeds').send({ name, sources: [aUrl] }).expect(201);
+
+    const response = await request(app).post('/api/virtual-feeds').send({ name, sources: [bUrl] }).expect(409);
+    expect(response.body.message).toBe(`A virtual feed named ${name} already exists`);
+  });
+
+  test('should serve the merged, filtered items as RSS 2.0', async () => {
+    await request(app)
+      .post('/api/virtual-feeds')
+      .send({ name, sources: [aUrl, bUrl], title: 'Tech', exclude: ['sponsored'] })
+      .expect(201);
+
+    const response = await request(app).get(`/api/virtual-feeds/${name}/rss`).expect(200);
+
+    expect(response.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(response.text).toMatch(new RegExp(`<atom:link href="http://127\\.0\\.0\\.1:\\d+/api/virtual-feeds/${name}/rss" rel="self"`));
+    expect(response.text).toContain('<lastBuildDate>Tue, 02 Jan 2024 00:00:00 GMT</lastBuildDate>');
+    expect(response.text).toContain(`<guid isPermaLink="false">${bUrl}#post-1</guid>`);
+    expect(response.text).toContain(`<guid isPermaLink="false">${aUrl}#post-1</guid>`);
+
+    const feed = parseFeed(response.text);
+    expect(feed.title).toBe('Tech');
+    expect(feed.items.map((item) => item.title)).toEqual(['post-1', 'post-1']);
+  });
+
+  test('should serve the virtual feed as Atom', async () => {
+    await request(app).post('/api/virtual-feeds').send({ name, sources: [aUrl, bUrl], limit: 1 }).expect(201);
+
+    const response = await request(app).get(`/api/virtual-feeds/${name}/atom`).expect(200);
+
+    expect(response.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    expect(response.text).toMatch(new RegExp(`<link rel="self" href="http://127\\.0\\.0\\.1:\\d+/api/virtual-feeds/${name}/atom"`));
+    const feed = parseFeed(response.text);
+    expect(feed.title).toBe(name);
+    expect(feed.items.map((item) => item.id)).toEqual([`${aUrl}#post-3 sponsored`]);
+  });
+
+  test('should return 404 for an unknown virtual feed', async () => {
+    const response = await request(app).get(`/api/virtual-feeds/${name}/rss`).expect(404);
+
+    expect(response.body).toEqual({ error: 'Not Found', message: 'Virtual feed not found' });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('should answer like GET /api/rss when no source can be fetched', async () => {
+    documents = {};
+    await request(app).post('/api/virtual-feeds').send({ name, sources: [aUrl, bUrl] }).expect(201);
+
+    const response = await request(app).get(`/api/virtual-feeds/${name}/rss`).expect(404);
+
+    expect(response.body.error).toBe('Feed Fetch Failed');
+  });
+});
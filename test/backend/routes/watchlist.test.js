@@ -0,0 +1,79 @@
+const request = require('supertest');
+const app = require('../../../src/server');
+const { watchListStore } = require('../../../src/lib/watch-list');
+
+describe('Watch List Route Handler', () => {
+  beforeEach(async () => {
+    for (const feed of await watchListStore().list()) {
+      await watchListStore().remove(feed.id);
+    }
+  });
+
+  function watch(fields) {
+    return request(app).post('/api/watchlist').send(fields);
+  }
+
+  test('should add a feed and point to it', async () => {
+    const response = await watch({ url: 'https://example.com/feed.xml', intervalMs: 600000 }).expect(201);
+
+    expect(response.body).toMatchObject({
+      url: 'https://example.com/feed.xml',
+      intervalMs: 600000,
+      lastPolledAt: null,
+      consecutiveFailures: 0,
+      history: []
+    });
+    expect(response.headers.location).toBe(`/api/watchlist/${response.body.id}`);
+  });
+
+  test('should list and get watched feeds', async () => {
+    const { body: created } = await watch({ url: 'https://example.com/feed.xml' });
+
+    const list = await request(app).get('/api/watchlist').expect(200);
+    const one = await request(app).get(`/api/watchlist/${created.id}`).expect(200);
+
+    expect(list.body).toEqual({ feeds: [created] });
+    expect(one.body).toEqual(created);
+  });
+
+  test('should change the interval', async () => {
+    const { body: created } = await watch({ url: 'https://example.com/feed.xml' });
+
+    const response = await request(app)
+      .patch(`/api/watchlist/${created.id}`)
+      .send({ intervalMs: 3600000 })
+      .expect(200);
+
+    expect(response.body.intervalMs).toBe(3600000);
+  });
+
+  test('should stop watching a feed', async () => {
+    const { body: created } = await watch({ url: 'https://example.com/feed.xml' });
+
+    await request(app).delete(`/api/watchlist/${created.id}`).expect(204);
+    await request(app).get(`/api/watchlist/${created.id}`).expect(404);
+  });
+
+  test('should return 409 for a feed that is already watched', async () => {
+    await watch({ url: 'https://example.com/feed.xml' });
+
+    const response = await watch({ url: 'https://example.com/feed.xml' }).expect(409);
+
+    expect(response.body).toEqual({ error: 'Conflict', message: 'Already watching https://example.com/feed.xml' });
+  });
+
+  test('should return 400 for an interval below the minimum', async () => {
+    const response = await watch({ url: 'https://example.com/feed.xml', intervalMs: 10 }).expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Bad Request',
+      message: 'Field intervalMs must be null or a whole number of milliseconds, at least 60000'
+    });
+  });
+
+  test('should return 404 for an unknown id', async () => {
+    const response = await request(app).patch('/api/watchlist/missing').send({ intervalMs: 60000 }).expect(404);
+
+    expect(response.body).toEqual({ error: 'Not Found', message: 'Watched feed not found' });
+  });
+});
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const app = require('../../../src/server');
+const { clearFeedCache } = require('../../../src/lib/feed-fetcher');
+const { subscriptionStore } = require('../../../src/lib/subscriptions');
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+function readForm(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+  });
+}
+
+function feedDocument(hubUrl, titles) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>Pushed Feed</title>
+    <link>https://example.com/</link>
+    <atom:link rel="hub" href="${hubUrl}"/>
+    <atom:link rel="self" href="/topic.xml"/>
+    ${titles.map((title) => `<item><guid>${title}</guid><title>${title}</title></item>`).join('\n    ')}
+  </channel>
+</rss>`;
+}
+
+// End to end: the app, a publisher and a hub stand-in, all on local ports
+describe('WebSub Route Handler', () => {
+  let appServer;
+  let feedServer;
+  let hubServer;
+  let feedUrl;
+  let hubUrl;
+  let feedRequests;
+  let hubRequests;
+  let onHubRequest;
+
+  beforeAll(async () => {
+    feedServer = http.createServer((req, res) => {
+      feedRequests += 1;
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+      res.end(feedDocument(hubUrl, ['First']));
+    });
+    feedUrl = `http://127.0.0.1:${await listen(feedServer)}/feed.xml`;
+
+    // Accepts every request, and leaves verifying and publishing to the tests
+    hubServer = http.createServer(async (req, res) => {
+      const form = await readForm(req);
+      hubRequests.push(form);
+      res.writeHead(202);
+      res.end();
+      onHubRequest(form);
+    });
+    hubUrl = `http://127.0.0.1:${await listen(hubServer)}/hub`;
+
+    appServer = http.createServer(app);
+    process.env.WEBSUB_CALLBACK_URL = `http://127.0.0.1:${await listen(appServer)}`;
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBSUB_CALLBACK_URL;
+    await Promise.all([close(appServer), close(feedServer), close(hubServer)]);
+  });
+
+  beforeEach(() => {
+    clearFeedCache();
+    feedRequests = 0;
+    hubRequests = [];
+    onHubRequest = () => {};
+    process.env.FEED_HOST_ALLOWLIST = '127.0.0.1';
+  });
+
+  afterEach(() => {
+    delete process.env.FEED_HOST_ALLOWLIST;
+  });
+
+  function hubRequest() {
+    return new Promise((resolve) => {
+      onHubRequest = resolve;
+    });
+  }
+
+  // What the hub does: verify intent against the callback, then push
+  function verify(form, mode, overrides = {}) {
+    const query = new URLSearchParams({
+      'hub.mode': mode,
+      'hub.topic': form['hub.topic'],
+      'hub.challenge': 'challenge-123',
+      'hub.lease_seconds': '86400',
+      ...overrides
+    });
+    return fetch(`${form['hub.callback']}?${query}`);
+  }
+
+  function push(form, body, signature = `sha256=${crypto.createHmac('sha256', form['hub.secret']).update(body).digest('hex')}`) {
+    return fetch(form['hub.callback'], {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/rss+xml', 'X-Hub-Signature': signature },
+      body
+    });
+  }
+
+  test('should subscribe to the hub of a saved feed and serve what it pushes', async () => {
+    await subscriptionStore().create({ url: feedUrl });
+
+    // Fetching the feed finds the hub and subscribes
+    const subscribing = hubRequest();
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+    const form = await subscribing;
+
+    const topic = new URL('/topic.xml', feedUrl).href;
+    expect(form).toMatchObject({
+      'hub.mode': 'subscribe',
+      'hub.topic': topic,
+      'hub.callback': expect.stringMatching(new RegExp(`^${process.env.WEBSUB_CALLBACK_URL}/api/websub/callback/`)),
+      'hub.lease_seconds': '864000'
+    });
+
+    // The hub verifies our intent
+    const verification = await verify(form, 'subscribe');
+    expect(verification.status).toBe(200);
+    expect(await verification.text()).toBe('challenge-123');
+
+    const listed = await request(app).get('/api/websub').expect(200);
+    expect(listed.body.enabled).toBe(true);
+    expect(listed.body.subscriptions).toEqual([expect.objectContaining({
+      feedUrl,
+      topic,
+      hub: hubUrl,
+      state: 'subscribed',
+      leaseSeconds: 86400
+    })]);
+    expect(listed.body.subscriptions[0].secret).toBeUndefined();
+
+    // The hub pushes new content, which is served without going upstream
+    const pushed = feedDocument(hubUrl, ['Second', 'First']);
+    expect((await push(form, pushed)).status).toBe(202);
+
+    const served = await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+    expect(served.headers['x-cache']).toBe('PUSHED');
+    expect(served.text).toBe(pushed);
+    expect(feedRequests).toBe(1);
+
+    const items = await request(app).get('/api/items').query({ url: feedUrl }).expect(200);
+    expect(items.body.items.map((item) => item.title).sort()).toEqual(['First', 'Second']);
+
+    // Forged content is acknowledged but not used
+    const forged = await push(form, feedDocument(hubUrl, ['Forged']), 'sha256=0000');
+    expect(forged.status).toBe(202);
+    expect((await request(app).get('/api/rss').query({ url: feedUrl })).text).toBe(pushed);
+
+    // Fetching again does not subscribe again
+    await request(app).get('/api/rss').query({ url: feedUrl }).expect(200);
+    expect(hubRequests).toHaveLength(1);
+
+    // Unsubscribing is confirmed by the hub too
+    const unsubscribing = hubRequest();
+    const removed = await request(app).delete(`/api/websub/${listed.body.subscriptions[0].id}`).expect(202);
+    expect(removed.body.state).toBe('unsubscribing');
+    expect(await unsubscribing).toMatchObject({ 'hub.mode': 'unsubscribe', 'hub.topic': topic, 'hub.callback': form['hub.callback'] });
+
+    expect(await (await verify(form, 'unsubscribe', { 'hub.challenge': 'bye' })).text()).toBe('bye');
+    expect((await request(app).get('/api/websub')).body.subscriptions).toEqual([]);
+    expect((await push(form, pushed)).status).toBe(410);
+  });
+
+  test('should not subscribe to feeds that are not saved or watched', async () => {
+    const url = feedUrl.replace('feed.xml', 'unsaved.xml');
+
+    await request(app).get('/api/rss').query({ url }).expect(200);
+    // Give the subscriber a moment to decide
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(hubRequests).toEqual([]);
+  });
+
+  test('should refuse verifications it did not ask for', async () => {
+    const response = await request(app)
+      .get('/api/websub/callback/unknown')
+      .query({ 'hub.mode': 'subscribe', 'hub.topic': feedUrl, 'hub.challenge': 'x' })
+      .expect(404);
+
+    expect(response.body).toEqual({ error: 'Not Found', message: 'No subscription to this topic' });
+  });
+
+  test('should return 400 for malformed verifications', async () => {
+    const response = await request(app)
+      .get('/api/websub/callback/unknown')
+      .query({ 'hub.challenge': 'x' })
+      .expect(400);
+
+    expect(response.body.message).toBe('Invalid hub.mode. Expected subscribe, unsubscribe or denied');
+  });
+
+  test('should return 410 for content pushed to unknown callbacks', async () => {
+    const response = await request(app)
+      .post('/api/websub/callback/unknown')
+      .set('Content-Type', 'application/rss+xml')
+      .send('<rss/>')
+      .expect(410);
+
+    expect(response.body).toEqual({ error: 'Gone', message: 'Not subscribed' });
+  });
+
+  test('should return 404 when unsubscribing from an unknown subscription', async () => {
+    await request(app).delete('/api/websub/unknown').expect(404);
+  });
+});
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Generous rate limits so suites that make many requests are not throttled;
+// the rate limit tests build their own limiters
+process.env.RATE_LIMIT_MAX = '100000';
+process.env.RATE_LIMIT_FETCH_MAX = '100000';
+
+// Upstream failures are not retried and never open a circuit unless a test asks for it
+process.env.FEED_RETRIES = '0';
+process.env.FEED_BREAKER_THRESHOLD = '100000';
+
+// Each test file gets its own data directory, removed when the file is done
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-fetch-api-test-'));
+process.env.DATA_DIR = dataDir;
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
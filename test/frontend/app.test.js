@@ -10,6 +10,8 @@ const { readFixture } = require('../fixtures/helper');
 const appJsPath = path.join(__dirname, '../../public/app.js');
 const appJsCode = fs.readFileSync(appJsPath, 'utf-8');
 
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
 // Helper to setup environment and load app.js
 function setupEnvironment() {
   // Completely reset the DOM document
@@ -24,6 +26,7 @@ function setupEnvironment() {
     <button id="saveBtn"></button>
     <button id="clearBtn"></button>
     <button id="darkModeToggle" class="dark-mode-toggle" aria-label="Toggle dark mode"></button>
+    <form id="searchForm"><input id="searchQuery" value="" /></form>
     <div id="loading" class="hidden"></div>
     <div id="error" class="hidden"></div>
     <div id="results" class="hidden">
@@ -31,11 +34,35 @@ function setupEnvironment() {
       <div id="feedStats"></div>
       <div id="feedItems"></div>
     </div>
+    <div id="reader" class="hidden"></div>
     <div id="savedFeedsSection" class="hidden">
+      <button id="importOpmlBtn"></button>
+      <input type="file" id="opmlFile" />
+      <div id="opmlReport" class="hidden"></div>
       <div id="savedFeedsList"></div>
     </div>
+    <div id="rulesList"></div>
+    <form id="ruleForm">
+      <select name="action">
+        <option value="hide">Hide</option><option value="highlight">Highlight</option>
+        <option value="star">Star</option><option value="tag">Tag</option>
+      </select>
+      <input name="tag" class="hidden" />
+      <select name="field"><option value="any">Any field</option><option value="title">Title</option></select>
+      <select name="match"><option value="keyword">Keyword</option><option value="regex">Regex</option></select>
+      <input name="pattern" />
+      <select name="feedUrl"><option value="">All feeds</option></select>
+    </form>
+    <div id="discovery" class="hidden"></div>
   `;
 
+  // app.js loads the saved feeds on start; answer with an empty list by default
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({ subscriptions: [] })
+  });
+
   // Execute app.js in global context using indirect eval to make it global
   const globalEval = eval; // Indirect eval runs in global scope
   globalEval(appJsCode);
@@ -335,6 +362,58 @@ describe('Frontend App - fetchRssFeed', () => {
       expect(feedStats.textContent).toContain('Entries');
     });
 
+    test('should detect JSON Feed by content type', async () => {
+      const input = document.getElementById('rssUrl');
+      const jsonFeed = readFixture('jsonfeed-valid.json');
+
+      fetchMock.mockResolvedValue({
+        ok: true,
+        headers: new Headers({ 'content-type': 'application/feed+json' }),
+        text: async () => jsonFeed
+      });
+
+      input.value = 'https://example.net/feed.json';
+      await fetchRssFeed();
+
+      const feedTitle = document.getElementById('feedTitle');
+      const feedItems = document.getElementById('feedItems');
+      expect(feedTitle.textContent).toBe('Example JSON Feed');
+      expect(feedItems.querySelectorAll('.feed-item').length).toBe(2);
+    });
+
+    test('should detect JSON Feed by body shape', async () => {
+      const input = document.getElementById('rssUrl');
+
+      fetchMock.mockResolvedValue({
+        ok: true,
+        text: async () => readFixture('jsonfeed-valid.json')
+      });
+
+      input.value = 'https://example.net/feed.json';
+      await fetchRssFeed();
+
+      const errorEl = document.getElementById('error');
+      expect(errorEl.classList.contains('hidden')).toBe(true);
+      expect(document.getElementById('feedTitle').textContent).toBe('Example JSON Feed');
+    });
+
+    test('should show error for invalid JSON Feed', async () => {
+      const input = document.getElementById('rssUrl');
+      const errorEl = document.getElementById('error');
+
+      fetchMock.mockResolvedValue({
+        ok: true,
+        headers: new Headers({ 'content-type': 'application/feed+json' }),
+        text: async () => '{"version": "https://jsonfeed.org/version/1.1",'
+      });
+
+      input.value = 'https://example.net/feed.json';
+      await fetchRssFeed();
+
+      expect(errorEl.classList.contains('hidden')).toBe(false);
+      expect(errorEl.textContent).toContain('Invalid JSON format');
+    });
+
     test('should show error for unrecognized format', async () => {
       const input = document.getElementById('rssUrl');
       const errorEl = document.getElementById('error');
@@ -514,6 +593,196 @@ describe('Frontend App - displayAtom', () => {
   });
 });
 
+describe('Frontend App - displayJsonFeed', () => {
+  beforeEach(() => {
+    setupEnvironment();
+  });
+
+  function loadJsonFeed() {
+    return JSON.parse(readFixture('jsonfeed-valid.json'));
+  }
+
+  test('should display JSON Feed title and item count', () => {
+    displayJsonFeed(loadJsonFeed());
+
+    expect(document.getElementById('feedTitle').textContent).toBe('Example JSON Feed');
+    expect(document.getElementById('feedStats').textContent).toContain('2');
+    expect(document.getElementById('feedStats').textContent).toContain('Items');
+  });
+
+  test('should link items to url, falling back to external_url', () => {
+    displayJsonFeed(loadJsonFeed());
+
+    const links = document.querySelectorAll('.feed-item h3 a');
+    expect(links[0].getAttribute('href')).toBe('https://example.net/posts/1');
+    expect(links[1].getAttribute('href')).toBe('https://other.example/article');
+  });
+
+  test('should render item authors, falling back to feed authors', () => {
+    displayJsonFeed(loadJsonFeed());
+
+    const metas = document.querySelectorAll('.feed-item .meta');
+    expect(metas[0].textContent).toContain('Item Author');
+    expect(metas[1].textContent).toContain('Feed Author');
+  });
+
+  test('should support the JSON Feed 1.0 author object', () => {
+    displayJsonFeed({
+      version: 'https://jsonfeed.org/version/1',
+      title: 'Legacy',
+      items: [{ id: '1', title: 'Old item', author: { name: 'Legacy Author' } }]
+    });
+
+    expect(document.querySelector('.feed-item .meta').textContent).toContain('Legacy Author');
+  });
+
+  test('should render dates from date_published', () => {
+    displayJsonFeed(loadJsonFeed());
+
+    expect(document.querySelector('.feed-item .meta').textContent).toContain('2026');
+  });
+
+  test('should render attachments with type and size', () => {
+    displayJsonFeed(loadJsonFeed());
+
+    const attachment = document.querySelector('.feed-item .attachments a');
+    expect(attachment.getAttribute('href')).toBe('https://example.net/media/episode1.mp3');
+    expect(attachment.textContent).toContain('Episode 1');
+    expect(document.querySelector('.feed-item .attachments').textContent).toContain('audio/mpeg, 1.0 MB');
+  });
+
+  test('should use summary or content for the description', () => {
+    displayJsonFeed(loadJsonFeed());
+
+    const descriptions = document.querySelectorAll('.feed-item .description');
+    expect(descriptions[0].textContent).toContain('short summary');
+    expect(descriptions[1].textContent).toContain('Plain text content only.');
+  });
+
+  test('should handle feeds without items', () => {
+    displayJsonFeed({ version: 'https://jsonfeed.org/version/1.1', title: 'Empty' });
+
+    expect(document.getElementById('feedStats').textContent).toContain('0');
+    expect(document.getElementById('results').classList.contains('hidden')).toBe(false);
+  });
+});
+
+describe('Frontend App - Feed Discovery', () => {
+  let fetchMock;
+
+  const PAGE_HTML = '<!DOCTYPE html><html><head><title>Example</title></head><body></body></html>';
+
+  beforeEach(() => {
+    setupEnvironment();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function mockPageThenDiscovery(discoveryResponse) {
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, text: async () => PAGE_HTML })
+      .mockResolvedValueOnce(discoveryResponse);
+  }
+
+  test('should detect HTML responses', () => {
+    expect(isHtmlResponse(PAGE_HTML)).toBe(true);
+    expect(isHtmlResponse('  <!-- cached --><html lang="en">')).toBe(true);
+    expect(isHtmlResponse('<?xml version="1.0"?><rss></rss>')).toBe(false);
+    expect(isHtmlResponse('<feed xmlns="http://www.w3.org/2005/Atom"></feed>')).toBe(false);
+  });
+
+  test('should ask the discovery endpoint when the URL is a web page', async () => {
+    mockPageThenDiscovery({
+      ok: true,
+      json: async () => ({ url: 'https://example.com/', candidates: [] })
+    });
+
+    document.getElementById('rssUrl').value = 'https://example.com/';
+    await fetchRssFeed();
+
+    expect(fetchMock).toHaveBeenLastCalledWith('/api/discover?url=https%3A%2F%2Fexample.com%2F');
+  });
+
+  test('should offer the discovered feeds', async () => {
+    mockPageThenDiscovery({
+      ok: true,
+      json: async () => ({
+        url: 'https://example.com/',
+        candidates: [
+          { url: 'https://example.com/feed.xml', title: 'Example <Posts>', type: 'rss', source: 'link' },
+          { url: 'https://example.com/atom.xml', title: null, type: 'atom', source: 'link' }
+        ]
+      })
+    });
+
+    document.getElementById('rssUrl').value = 'https://example.com/';
+    await fetchRssFeed();
+
+    const discoveryEl = document.getElementById('discovery');
+    const links = discoveryEl.querySelectorAll('.feed-candidate-link');
+    expect(discoveryEl.classList.contains('hidden')).toBe(false);
+    expect(links).toHaveLength(2);
+    expect(links[0].textContent.trim()).toBe('Example <Posts>');
+    expect(links[0].innerHTML).toContain('&lt;Posts&gt;');
+    expect(links[1].textContent.trim()).toBe('https://example.com/atom.xml');
+    expect(discoveryEl.querySelector('.feed-candidate-type').textContent).toBe('RSS');
+    expect(document.getElementById('error').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('loading').classList.contains('hidden')).toBe(true);
+  });
+
+  test('should fetch a candidate when it is chosen', async () => {
+    mockPageThenDiscovery({
+      ok: true,
+      json: async () => ({
+        candidates: [{ url: 'https://example.com/feed.xml', title: 'Example', type: 'rss' }]
+      })
+    });
+
+    document.getElementById('rssUrl').value = 'https://example.com/';
+    await fetchRssFeed();
+
+    fetchMock.mockResolvedValueOnce({ ok: true, text: async () => readFixture('rss-valid.xml') });
+    document.querySelector('.feed-candidate-link').click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(document.getElementById('rssUrl').value).toBe('https://example.com/feed.xml');
+    expect(fetchMock).toHaveBeenCalledWith('/api/rss?url=https%3A%2F%2Fexample.com%2Ffeed.xml');
+    expect(document.getElementById('discovery').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('results').classList.contains('hidden')).toBe(false);
+  });
+
+  test('should show an error when the page offers no feeds', async () => {
+    mockPageThenDiscovery({
+      ok: true,
+      json: async () => ({ url: 'https://example.com/', candidates: [] })
+    });
+
+    document.getElementById('rssUrl').value = 'https://example.com/';
+    await fetchRssFeed();
+
+    const errorEl = document.getElementById('error');
+    expect(errorEl.classList.contains('hidden')).toBe(false);
+    expect(errorEl.textContent).toBe('Error: This page is not a feed and no feeds could be found on it.');
+  });
+
+  test('should show discovery errors from the API', async () => {
+    mockPageThenDiscovery({
+      ok: false,
+      status: 403,
+      json: async () => ({ error: 'Forbidden', message: 'Blocked request: Host "localhost" points to the local machine.' })
+    });
+
+    document.getElementById('rssUrl').value = 'https://example.com/';
+    await fetchRssFeed();
+
+    expect(document.getElementById('error').textContent).toContain('Blocked request');
+  });
+});
+
 describe('Frontend App - Event Handlers', () => {
   beforeEach(() => {
     setupEnvironment();
@@ -537,26 +806,1001 @@ describe('Frontend App - Event Handlers', () => {
     expect(errorEl.classList.contains('hidden')).toBe(true);
   });
 
-  test('save button should store URL in localStorage', () => {
+  test('save button should create a subscription', async () => {
+    const subscription = {
+      id: 'sub-1',
+      url: 'https://example.com/feed.xml',
+      title: null,
+      name: null,
+      folder: null
+    };
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 201, json: async () => subscription });
     const saveBtn = document.getElementById('saveBtn');
     const input = document.getElementById('rssUrl');
     const savedFeedsSection = document.getElementById('savedFeedsSection');
 
     input.value = 'https://example.com/feed.xml';
     saveBtn.click();
+    await flushPromises();
 
-    expect(localStorage.getItem('savedRssFeeds')).toBe('["https://example.com/feed.xml"]');
+    expect(global.fetch).toHaveBeenCalledWith('/api/subscriptions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 'https://example.com/feed.xml', title: '' })
+    });
     expect(savedFeedsSection.classList.contains('hidden')).toBe(false);
+    expect(document.querySelector('.saved-feed-link').textContent).toBe('https://example.com/feed.xml');
+  });
+
+  test('remove button should delete the subscription', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ subscriptions: [{ id: 'sub-1', url: 'https://example.com/feed.xml' }] })
+    });
+    await loadSubscriptions();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 204 });
+
+    document.querySelector('.saved-feed-remove').click();
+    await flushPromises();
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/subscriptions/sub-1', { method: 'DELETE' });
+    expect(document.querySelector('.saved-feed')).toBeNull();
+    expect(document.querySelector('.saved-feeds-empty')).not.toBeNull();
+  });
+});
+
+describe('Frontend App - Saved Feeds', () => {
+  let fetchMock;
+
+  const SUBSCRIPTIONS = [
+    { id: 'a', url: 'https://example.com/a.xml', title: 'Feed A', name: null, folder: null },
+    { id: 'b', url: 'https://example.com/b.xml', title: 'Feed B', name: 'My <B>', folder: 'News' },
+    { id: 'c', url: 'https://example.com/c.xml', title: null, name: null, folder: 'Blogs' }
+  ];
+
+  function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  }
+
+  beforeEach(() => {
+    setupEnvironment();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  test('should render subscriptions from the API grouped by folder', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, { subscriptions: SUBSCRIPTIONS }));
+
+    await loadSubscriptions();
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/subscriptions');
+    const labels = [...document.querySelectorAll('.saved-feed-link')].map((link) => link.textContent);
+    expect(labels).toEqual(['Feed A', 'https://example.com/c.xml', 'My <B>']);
+    const folders = [...document.querySelectorAll('.saved-feed-folder-name')].map((heading) => heading.textContent);
+    expect(folders).toEqual(['Blogs', 'News']);
+    expect(document.getElementById('savedFeedsList').innerHTML).toContain('My &lt;B&gt;');
+  });
+
+  test('should show an error when the subscriptions cannot be loaded', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(500, { error: 'Internal Server Error', message: 'Unable to access saved subscriptions' }));
+
+    await loadSubscriptions();
+
+    expect(document.getElementById('error').textContent).toBe('Unable to load saved feeds: Unable to access saved subscriptions');
+    expect(document.querySelector('.saved-feed')).toBeNull();
+    // Still shown, so feeds can be imported
+    expect(document.getElementById('savedFeedsSection').classList.contains('hidden')).toBe(false);
+  });
+
+  test('should import localStorage feeds once, oldest first', async () => {
+    localStorage.setItem('savedRssFeeds', JSON.stringify(['https://example.com/new.xml', 'https://example.com/old.xml']));
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(201, {}))
+      .mockResolvedValueOnce(jsonResponse(409, {}))
+      .mockResolvedValueOnce(jsonResponse(200, { subscriptions: [] }));
+
+    await loadSubscriptions();
+
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ url: 'https://example.com/old.xml' });
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ url: 'https://example.com/new.xml' });
+    expect(fetchMock.mock.calls[2][0]).toBe('/api/subscriptions');
+    expect(localStorage.getItem('savedRssFeeds')).toBeNull();
+  });
+
+  test('should keep localStorage feeds that could not be imported', async () => {
+    localStorage.setItem('savedRssFeeds', JSON.stringify(['https://example.com/new.xml', 'https://example.com/old.xml']));
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(201, {}))
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValueOnce(jsonResponse(200, { subscriptions: [] }));
+
+    await loadSubscriptions();
+
+    expect(localStorage.getItem('savedRssFeeds')).toBe('["https://example.com/new.xml"]');
+  });
+
+  test('should report a feed that is already saved', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(409, { error: 'Conflict', message: 'Already subscribed' }));
+    document.getElementById('rssUrl').value = 'https://example.com/feed.xml';
+
+    await saveCurrentFeed();
+
+    expect(document.getElementById('error').textContent).toBe('This feed is already saved.');
+  });
+
+  test('should save the title of the feed on screen', async () => {
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, text: async () => readFixture('rss-valid.xml') })
+      .mockResolvedValueOnce(jsonResponse(200, { items: [] }))
+      .mockResolvedValueOnce(jsonResponse(201, { id: 'x', url: 'https://example.com/feed.xml', title: 'Test RSS Feed' }));
+    document.getElementById('rssUrl').value = 'https://example.com/feed.xml';
+
+    await fetchRssFeed();
+    await saveCurrentFeed();
+
+    const body = JSON.parse(fetchMock.mock.calls[2][1].body);
+    expect(body).toEqual({ url: 'https://example.com/feed.xml', title: document.getElementById('feedTitle').textContent });
+  });
+
+  test('should rename and move a feed through the edit form', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(200, { subscriptions: [SUBSCRIPTIONS[0]] }))
+      .mockResolvedValueOnce(jsonResponse(200, { feeds: {} }))
+      .mockResolvedValueOnce(jsonResponse(200, { ...SUBSCRIPTIONS[0], name: 'Renamed', folder: 'Tech' }));
+    await loadSubscriptions();
+
+    document.querySelector('.saved-feed-edit').click();
+    const form = document.querySelector('.saved-feed-form');
+    expect(form.classList.contains('hidden')).toBe(false);
+    form.elements.name.value = 'Renamed';
+    form.elements.folder.value = 'Tech';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/subscriptions/a', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Renamed', folder: 'Tech' })
+    });
+    expect(document.querySelector('.saved-feed-link').textContent).toBe('Renamed');
+    expect(document.querySelector('.saved-feed-folder-name').textContent).toBe('Tech');
+  });
+});
+
+describe('Frontend App - OPML', () => {
+  let fetchMock;
+
+  function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  }
+
+  const OPML = '<opml version="2.0"><body><outline type="rss" text="A" xmlUrl="https://example.com/a.xml"/></body></opml>';
+
+  function opmlFile(text = OPML) {
+    return { name: 'feeds.opml', text: async () => text };
+  }
+
+  beforeEach(() => {
+    setupEnvironment();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  test('should show the saved-feeds section with its import button when there are no feeds', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, { subscriptions: [] }));
+
+    await loadSubscriptions();
+
+    expect(document.getElementById('savedFeedsSection').classList.contains('hidden')).toBe(false);
+    expect(document.querySelector('.saved-feeds-empty').textContent).toContain('import an OPML file');
+  });
+
+  test('should open the file picker from the import button', () => {
+    const picker = jest.spyOn(document.getElementById('opmlFile'), 'click').mockImplementation(() => {});
+
+    document.getElementById('importOpmlBtn').click();
+
+    expect(picker).toHaveBeenCalled();
+  });
+
+  test('should upload the file and add the imported feeds', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(200, {
+        imported: [{ id: 'a', url: 'https://example.com/a.xml', title: 'A', name: null, folder: 'Tech/Web' }],
+        duplicates: [{ url: 'https://example.com/b.xml', title: 'B', reason: 'Already subscribed' }],
+        invalid: [{ url: null, title: 'Broken <feed>', reason: 'Missing xmlUrl' }]
+      }))
+      .mockResolvedValueOnce(jsonResponse(200, { feeds: {} }));
+
+    await importOpml(opmlFile());
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/opml', {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/x-opml' },
+      body: OPML
+    });
+    expect(document.querySelector('.saved-feed-link').textContent).toBe('A');
+    expect(document.querySelector('.saved-feed-folder-name').textContent).toBe('Tech/Web');
+
+    const report = document.getElementById('opmlReport');
+    expect(report.classList.contains('hidden')).toBe(false);
+    expect(report.querySelector('p').textContent).toBe('Imported 1 feed. Skipped 1 duplicate and 1 invalid entry.');
+    const skipped = [...report.querySelectorAll('li')].map((entry) => entry.textContent.trim());
+    expect(skipped).toEqual(['B (https://example.com/b.xml): Already subscribed', 'Broken <feed>: Missing xmlUrl']);
+
+    report.querySelector('.opml-report-close').click();
+    expect(report.classList.contains('hidden')).toBe(true);
+  });
+
+  test('should report files the server rejects', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(400, { error: 'Bad Request', message: 'Invalid OPML: expected an <opml> document with a <body>' }));
+
+    await importOpml(opmlFile('<html></html>'));
+
+    expect(document.getElementById('error').textContent)
+      .toBe('Unable to import OPML: Invalid OPML: expected an <opml> document with a <body>');
+  });
+});
+
+describe('Frontend App - Item State', () => {
+  let fetchMock;
+
+  const FEED_URL = 'https://example.com/feed.xml';
+
+  function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  }
+
+  function storedItem(key, fields = {}) {
+    return { id: `id-${key.slice(-8)}`, key, read: false, starred: false, archived: false, ...fields };
+  }
+
+  // rss-valid.xml identifies its items by guid
+  const ITEMS = [
+    storedItem('https://www.bbc.co.uk/news/world-12345678', { read: true }),
+    storedItem('https://www.bbc.co.uk/news/technology-12345679', { starred: true })
+  ];
+
+  async function showFeed(items = ITEMS) {
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, text: async () => readFixture('rss-valid.xml') })
+      .mockResolvedValueOnce(jsonResponse(200, { items }));
+    document.getElementById('rssUrl').value = FEED_URL;
+    await fetchRssFeed();
+  }
+
+  beforeEach(() => {
+    setupEnvironment();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  test('should load the state of the items on screen', async () => {
+    await showFeed();
+
+    expect(fetchMock).toHaveBeenCalledWith(`/api/items?url=${encodeURIComponent(FEED_URL)}&limit=200`);
+    const items = document.querySelectorAll('.feed-item');
+    expect(items[0].classList.contains('read')).toBe(true);
+    expect(items[0].querySelector('.item-toggle-read').textContent).toBe('Mark unread');
+    expect(items[1].classList.contains('starred')).toBe(true);
+    expect(items[1].querySelector('.item-toggle-star').getAttribute('aria-pressed')).toBe('true');
+  });
+
+  test('should leave items without a stored state alone', async () => {
+    await showFeed();
+
+    const third = document.querySelectorAll('.feed-item')[2];
+    expect(third.dataset.id).toBeUndefined();
+    expect(third.querySelector('.item-actions')).toBeNull();
+  });
+
+  test('should show the unread count of the feed', async () => {
+    await showFeed();
+
+    expect(document.querySelector('.feed-unread strong').textContent).toBe('1');
+  });
+
+  test('should still show the feed when the state cannot be loaded', async () => {
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, text: async () => readFixture('rss-valid.xml') })
+      .mockRejectedValueOnce(new Error('offline'));
+    document.getElementById('rssUrl').value = FEED_URL;
+
+    await fetchRssFeed();
+
+    expect(document.querySelectorAll('.feed-item')).toHaveLength(3);
+    expect(document.getElementById('error').classList.contains('hidden')).toBe(true);
+  });
+
+  test('should toggle an item and refresh the unread counts', async () => {
+    await showFeed();
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(200, { ...ITEMS[1], archived: true }))
+      .mockResolvedValueOnce(jsonResponse(200, { feeds: {} }));
+
+    const second = document.querySelectorAll('.feed-item')[1];
+    second.querySelector('.item-toggle-archive').click();
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenCalledWith(`/api/items/${ITEMS[1].id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ archived: true })
+    });
+    expect(fetchMock).toHaveBeenLastCalledWith('/api/items/counts');
+    expect(second.classList.contains('archived')).toBe(true);
+    expect(second.querySelector('.item-toggle-archive').textContent).toBe('Unarchive');
+    expect(document.querySelector('.feed-unread strong').textContent).toBe('0');
+  });
+
+  test('should mark an item read when it is opened', async () => {
+    await showFeed();
+    fetchMock.mockResolvedValue(jsonResponse(200, { ...ITEMS[1], read: true }));
+
+    const second = document.querySelectorAll('.feed-item')[1];
+    second.querySelector('h3 a').dispatchEvent(new MouseEvent('click', { cancelable: true }));
+    await flushPromises();
+
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body)).toEqual({ read: true });
+    expect(second.classList.contains('read')).toBe(true);
+  });
+
+  test('should mark every item of the feed read', async () => {
+    await showFeed();
+    fetchMock.mockResolvedValue(jsonResponse(200, { updated: 1 }));
+
+    document.querySelector('.mark-all-read').click();
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/items/mark', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: FEED_URL, read: true })
+    });
+    const tracked = [...document.querySelectorAll('.feed-item[data-id]')];
+    expect(tracked.every((item) => item.classList.contains('read'))).toBe(true);
+    expect(document.querySelector('.feed-unread strong').textContent).toBe('0');
+    expect(document.querySelector('.mark-all-read').disabled).toBe(true);
+  });
+
+  test('should report items that cannot be updated', async () => {
+    await showFeed();
+    fetchMock.mockResolvedValueOnce(jsonResponse(404, { error: 'Not Found', message: 'Item not found' }));
+
+    document.querySelector('.item-toggle-star').click();
+    await flushPromises();
+
+    expect(document.getElementById('error').textContent).toBe('Unable to update item: Item not found');
+  });
+
+  test('should show unread counts next to saved feeds', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(200, {
+        subscriptions: [
+          { id: 'a', url: 'https://example.com/a.xml', title: 'Feed A', name: null, folder: null },
+          { id: 'b', url: 'https://example.com/b.xml', title: 'Feed B', name: null, folder: null }
+        ]
+      }))
+      .mockResolvedValueOnce(jsonResponse(200, {
+        feeds: {
+          'https://example.com/a.xml': { total: 10, unread: 4, starred: 0 },
+          'https://example.com/b.xml': { total: 3, unread: 0, starred: 1 }
+        }
+      }));
+
+    await loadSubscriptions();
+
+    const badges = document.querySelectorAll('.saved-feed-unread');
+    expect(badges).toHaveLength(1);
+    expect(badges[0].textContent).toBe('4');
+    expect(badges[0].previousElementSibling.textContent).toBe('Feed A');
+  });
+});
+
+describe('Frontend App - Live Updates', () => {
+  let fetchMock;
+
+  const FEED_URL = 'https://example.com/feed.xml';
+
+  // Stands in for the browser's EventSource, which jsdom lacks
+  class FakeEventSource {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      this.closed = false;
+      FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+
+    close() {
+      this.closed = true;
+    }
+
+    emit(type, data) {
+      this.listeners[type]({ data: JSON.stringify(data) });
+    }
+  }
+
+  function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  }
+
+  function pushedItem(fields = {}) {
+    return {
+      id: 'id-pushed',
+      key: 'https://example.com/pushed',
+      feedUrl: FEED_URL,
+      title: 'Pushed <Item>',
+      link: 'https://example.com/pushed',
+      summary: '<p>Fresh off the wire</p>',
+      read: false,
+      starred: false,
+      archived: false,
+      ...fields
+    };
+  }
+
+  async function showFeed() {
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, text: async () => readFixture('rss-valid.xml') })
+      .mockResolvedValueOnce(jsonResponse(200, { items: [] }));
+    document.getElementById('rssUrl').value = FEED_URL;
+    await fetchRssFeed();
+    return FakeEventSource.instances[FakeEventSource.instances.length - 1];
+  }
+
+  beforeEach(() => {
+    setupEnvironment();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+    FakeEventSource.instances = [];
+    global.EventSource = FakeEventSource;
+  });
+
+  afterEach(() => {
+    delete global.EventSource;
+  });
+
+  test('should follow the feed on screen', async () => {
+    const source = await showFeed();
+
+    expect(source.url).toBe(`/api/stream?feeds=${encodeURIComponent(FEED_URL)}`);
+    expect(source.closed).toBe(false);
+  });
+
+  test('should prepend pushed items with their state toggles', async () => {
+    const source = await showFeed();
+    const count = document.querySelectorAll('.feed-item').length;
+
+    source.emit('new-item', pushedItem());
+
+    const items = document.querySelectorAll('.feed-item');
+    expect(items).toHaveLength(count + 1);
+    expect(items[0].classList.contains('new-item')).toBe(true);
+    expect(items[0].dataset.id).toBe('id-pushed');
+    expect(items[0].querySelector('h3 a').textContent).toBe('Pushed <Item>');
+    expect(items[0].querySelector('.description').textContent).toBe('Fresh off the wire');
+    expect(items[0].querySelector('.item-toggle-read')).not.toBeNull();
+    expect(document.querySelector('.feed-unread strong').textContent).toBe('1');
+  });
+
+  test('should not show an item twice', async () => {
+    const source = await showFeed();
+    const count = document.querySelectorAll('.feed-item').length;
+
+    source.emit('new-item', pushedItem());
+    source.emit('new-item', pushedItem());
+    // Already on screen from the feed itself
+    source.emit('new-item', pushedItem({ id: 'id-other', key: 'https://www.bbc.co.uk/news/world-12345678' }));
+
+    expect(document.querySelectorAll('.feed-item')).toHaveLength(count + 1);
+  });
+
+  test('should stop following when something else is shown', async () => {
+    const first = await showFeed();
+    const second = await showFeed();
+
+    expect(first.closed).toBe(true);
+    expect(second.closed).toBe(false);
+
+    clearResults();
+    expect(second.closed).toBe(true);
+  });
+
+  test('should do without live updates where EventSource is missing', async () => {
+    delete global.EventSource;
+
+    await showFeed();
+
+    expect(document.querySelectorAll('.feed-item').length).toBeGreaterThan(0);
+    expect(FakeEventSource.instances).toHaveLength(0);
+  });
+});
+
+describe('Frontend App - River', () => {
+  let fetchMock;
+
+  function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  }
+
+  function riverItem(n, fields = {}) {
+    return {
+      id: `id-${n}`,
+      key: `key-${n}`,
+      feedUrl: 'https://example.com/a.xml',
+      feedTitle: 'Feed A',
+      title: `Item ${n}`,
+      link: `https://example.com/${n}`,
+      published: '2024-01-01T00:00:00.000Z',
+      read: false,
+      starred: false,
+      archived: false,
+      ...fields
+    };
+  }
+
+  async function showSavedFeeds() {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(200, { subscriptions: [{ id: 'a', url: 'https://example.com/a.xml', title: 'Feed A' }] }))
+      .mockResolvedValueOnce(jsonResponse(200, { feeds: {} }));
+    await loadSubscriptions();
+  }
+
+  beforeEach(() => {
+    setupEnvironment();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  test('should offer every saved feed at once', async () => {
+    await showSavedFeeds();
+
+    expect(document.querySelector('.saved-feeds-all-link').textContent).toBe('All feeds');
+    // Not a saved feed of its own
+    expect([...document.querySelectorAll('.saved-feed-link')].map((link) => link.textContent)).toEqual(['Feed A']);
+  });
+
+  test('should show the river with the feed of each item', async () => {
+    await showSavedFeeds();
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, {
+      feeds: [{ url: 'https://example.com/a.xml', status: 200, title: 'Feed A' }, { url: 'https://example.com/b.xml', status: 503, error: { message: 'Down' } }],
+      items: [riverItem(1), riverItem(2, { feedTitle: 'Feed <B>', read: true })],
+      total: 2,
+      nextCursor: null
+    }));
+
+    document.querySelector('.saved-feeds-all-link').click();
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenLastCalledWith('/api/river?limit=50');
+    expect(document.getElementById('feedTitle').textContent).toBe('All feeds');
+    expect(document.getElementById('feedStats').textContent).toContain('1 could not be refreshed');
+    const items = document.querySelectorAll('.feed-item');
+    expect(items).toHaveLength(2);
+    expect(items[1].querySelector('.meta').textContent).toContain('Feed <B>');
+    expect(items[1].classList.contains('read')).toBe(true);
+    expect(items[0].querySelector('.item-toggle-read')).not.toBeNull();
+    expect(document.querySelector('.river-more')).toBeNull();
+    expect(document.getElementById('results').classList.contains('hidden')).toBe(false);
+  });
+
+  test('should load the next page below the items shown', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(200, { feeds: [], items: [riverItem(1)], total: 2, nextCursor: 'next page' }))
+      .mockResolvedValueOnce(jsonResponse(200, { items: [riverItem(2, { starred: true })], total: 2, nextCursor: null }));
+
+    await showRiver();
+    document.querySelector('.river-more').click();
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenLastCalledWith('/api/river?limit=50&cursor=next%20page');
+    const items = document.querySelectorAll('.feed-item');
+    expect([...items].map((itemEl) => itemEl.querySelector('h3 a').textContent)).toEqual(['Item 1', 'Item 2']);
+    expect(items[1].classList.contains('starred')).toBe(true);
+    expect(document.querySelector('.river-more')).toBeNull();
+  });
+
+  test('should say when there is nothing to show', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, { feeds: [], items: [], total: 0, nextCursor: null }));
+
+    await showRiver();
+
+    expect(document.getElementById('feedItems').textContent).toContain('No stored items yet.');
+  });
+
+  test('should show an error when the river cannot be loaded', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(400, { error: 'Bad Request', message: 'Invalid cursor parameter' }));
+
+    await showRiver();
+
+    expect(document.getElementById('error').textContent).toBe('Unable to load all feeds: Invalid cursor parameter');
+  });
+});
+
+describe('Frontend App - Rules', () => {
+  let fetchMock;
+
+  const FEED_URL = 'https://example.com/feed.xml';
+
+  function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  }
+
+  function storedRule(id, fields = {}) {
+    return { id, name: null, feedUrl: null, field: 'any', match: 'keyword', pattern: 'sponsored', action: 'hide', tag: null, enabled: true, ...fields };
+  }
+
+  function outcome(fields = {}) {
+    return { hidden: false, highlighted: false, starred: false, tags: [], matched: [], ...fields };
+  }
+
+  // rss-valid.xml identifies its items by guid
+  const ITEMS = [
+    { id: 'id-1', key: 'https://www.bbc.co.uk/news/world-12345678', read: false, starred: false, archived: false, rules: outcome({ hidden: true, matched: ['r1'] }) },
+    { id: 'id-2', key: 'https://www.bbc.co.uk/news/technology-12345679', read: false, starred: false, archived: false, rules: outcome({ highlighted: true, tags: ['tech <news>'], matched: ['r2'] }) }
+  ];
+
+  async function showFeed(items = ITEMS) {
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, text: async () => readFixture('rss-valid.xml') })
+      .mockResolvedValueOnce(jsonResponse(200, { items }));
+    document.getElementById('rssUrl').value = FEED_URL;
+    await fetchRssFeed();
+  }
+
+  beforeEach(() => {
+    setupEnvironment();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  test('should list the rules in words', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(200, { subscriptions: [{ id: 's', url: FEED_URL, name: 'My Feed' }] }))
+      .mockResolvedValueOnce(jsonResponse(200, { feeds: {} }));
+    await loadSubscriptions();
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, {
+      rules: [
+        storedRule('r1', { field: 'title' }),
+        storedRule('r2', { match: 'regex', pattern: '^rust', action: 'tag', tag: 'code', feedUrl: FEED_URL, enabled: false })
+      ]
+    }));
+
+    await loadRules();
+
+    const descriptions = [...document.querySelectorAll('.rule-description')].map((el) => el.textContent);
+    expect(descriptions).toEqual([
+      'Hide items whose title mentions "sponsored", in all feeds',
+      'Tag items that match /^rust/ as "code", in My Feed'
+    ]);
+    expect(document.querySelectorAll('.rule')[1].classList.contains('rule-disabled')).toBe(true);
+    expect(document.querySelectorAll('.rule-toggle')[1].textContent).toBe('Enable');
+    // Rules can be limited to a saved feed
+    expect([...document.querySelector('#ruleForm [name="feedUrl"]').options].map((option) => option.value)).toEqual(['', FEED_URL]);
+  });
+
+  test('should say when there are no rules', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, { rules: [] }));
+
+    await loadRules();
+
+    expect(document.querySelector('.rules-empty')).not.toBeNull();
+  });
+
+  test('should only ask for a tag when the rule tags', () => {
+    const form = document.getElementById('ruleForm');
+
+    form.elements.action.value = 'tag';
+    form.elements.action.dispatchEvent(new Event('change'));
+    expect(form.elements.tag.classList.contains('hidden')).toBe(false);
+
+    form.elements.action.value = 'hide';
+    form.elements.action.dispatchEvent(new Event('change'));
+    expect(form.elements.tag.classList.contains('hidden')).toBe(true);
+  });
+
+  test('should hide, highlight and tag the items on screen', async () => {
+    await showFeed();
+
+    const items = document.querySelectorAll('.feed-item');
+    expect(items[0].classList.contains('rule-hidden')).toBe(true);
+    expect(items[1].classList.contains('highlighted')).toBe(true);
+    expect(items[1].querySelector('.item-tag').textContent).toBe('tech <news>');
+    expect(items[2].classList.contains('rule-hidden')).toBe(false);
+    expect(document.querySelector('.feed-hidden strong').textContent).toBe('1');
+  });
+
+  test('should show hidden items on demand', async () => {
+    await showFeed();
+    const feedItems = document.getElementById('feedItems');
+    expect(feedItems.classList.contains('show-hidden')).toBe(false);
+
+    document.querySelector('.toggle-hidden').click();
+
+    expect(feedItems.classList.contains('show-hidden')).toBe(true);
+    expect(document.querySelector('.toggle-hidden').getAttribute('aria-pressed')).toBe('true');
+    expect(document.querySelector('.toggle-hidden').textContent).toBe('Hide again');
+
+    document.querySelector('.toggle-hidden').click();
+    expect(feedItems.classList.contains('show-hidden')).toBe(false);
+  });
+
+  test('should not offer the toggle when nothing is hidden', async () => {
+    await showFeed([{ ...ITEMS[1] }]);
+
+    expect(document.querySelector('.feed-hidden')).toBeNull();
+  });
+
+  test('should apply the rules to pushed items', async () => {
+    await showFeed([]);
+    const pushed = { id: 'id-9', key: 'key-9', title: 'Sponsored', read: false, starred: false, archived: false };
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, { ...pushed, rules: outcome({ hidden: true, matched: ['r1'] }) }));
+
+    prependItem(pushed);
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenLastCalledWith('/api/items/id-9');
+    expect(document.querySelector('.feed-item').classList.contains('rule-hidden')).toBe(true);
+    expect(document.querySelector('.feed-hidden strong').textContent).toBe('1');
+  });
+
+  test('should add a rule and apply it to the feed on screen', async () => {
+    await showFeed([{ ...ITEMS[1], rules: outcome() }]);
+    const form = document.getElementById('ruleForm');
+    form.elements.action.value = 'tag';
+    form.elements.tag.value = 'bbc';
+    form.elements.field.value = 'title';
+    form.elements.pattern.value = 'technology';
+    const rule = storedRule('r3', { action: 'tag', tag: 'bbc', field: 'title', pattern: 'technology' });
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(201, rule))
+      .mockResolvedValueOnce(jsonResponse(200, { items: [{ ...ITEMS[1], rules: outcome({ tags: ['bbc'], matched: ['r3'] }) }] }));
+
+    form.dispatchEvent(new Event('submit'));
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/rules', expect.objectContaining({ method: 'POST' }));
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body)).toEqual({
+      action: 'tag',
+      tag: 'bbc',
+      field: 'title',
+      match: 'keyword',
+      pattern: 'technology',
+      feedUrl: null
+    });
+    expect(form.elements.pattern.value).toBe('');
+    expect(document.querySelectorAll('.rule')).toHaveLength(1);
+    expect(document.querySelectorAll('.feed-item')[1].querySelector('.item-tag').textContent).toBe('bbc');
+  });
+
+  test('should show why a rule was refused', async () => {
+    const form = document.getElementById('ruleForm');
+    form.elements.match.value = 'regex';
+    form.elements.pattern.value = '(';
+    fetchMock.mockResolvedValueOnce(jsonResponse(400, { error: 'Bad Request', message: 'Field pattern is not a valid regular expression' }));
+
+    await createRule();
+
+    expect(document.getElementById('error').textContent).toBe('Unable to add rule: Field pattern is not a valid regular expression');
+    expect(form.elements.pattern.value).toBe('(');
+  });
+
+  test('should disable and remove rules', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, { rules: [storedRule('r1')] }));
+    await loadRules();
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, storedRule('r1', { enabled: false })));
+
+    document.querySelector('.rule-toggle').click();
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenLastCalledWith('/api/rules/r1', expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ enabled: false }) }));
+    expect(document.querySelector('.rule').classList.contains('rule-disabled')).toBe(true);
+
+    fetchMock.mockResolvedValueOnce({ ok: true, status: 204 });
+    document.querySelector('.rule-remove').click();
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenLastCalledWith('/api/rules/r1', { method: 'DELETE' });
+    expect(document.querySelector('.rule')).toBeNull();
+  });
+});
+
+describe('Frontend App - Reader', () => {
+  let fetchMock;
+
+  const FEED_URL = 'https://example.com/feed.xml';
+  const ITEM_URL = 'https://www.bbc.co.uk/news/world-12345678';
+
+  const ARTICLE = {
+    url: ITEM_URL,
+    title: 'Why Tide Pools Matter',
+    byline: 'Marina Costa',
+    siteName: 'Coastal Times',
+    leadImage: 'https://example.com/tide-pool.jpg',
+    html: '<p>Twice a day, <a href="https://example.com/tides">the sea</a> pulls back.</p>',
+    text: 'Twice a day, the sea pulls back.'
+  };
+
+  function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  }
+
+  async function showFeed() {
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, text: async () => readFixture('rss-valid.xml') })
+      .mockResolvedValueOnce(jsonResponse(200, { items: [] }));
+    document.getElementById('rssUrl').value = FEED_URL;
+    await fetchRssFeed();
+  }
+
+  async function openFirstItem(response) {
+    fetchMock.mockResolvedValueOnce(response);
+    document.querySelector('.feed-item h3 a').click();
+    await flushPromises();
+  }
+
+  beforeEach(() => {
+    setupEnvironment();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  test('should open a clicked item in the reader', async () => {
+    await showFeed();
+
+    await openFirstItem(jsonResponse(200, ARTICLE));
+
+    expect(fetchMock).toHaveBeenLastCalledWith(`/api/article?url=${encodeURIComponent(ITEM_URL)}`);
+    const reader = document.getElementById('reader');
+    expect(reader.classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('results').classList.contains('hidden')).toBe(true);
+    expect(reader.querySelector('.reader-title').textContent).toBe('Why Tide Pools Matter');
+    expect(reader.querySelector('.reader-byline').textContent).toBe('Marina Costa · Coastal Times');
+    expect(reader.querySelector('.reader-lead-image').getAttribute('src')).toBe('https://example.com/tide-pool.jpg');
+    expect(reader.querySelector('.reader-content p').textContent).toBe('Twice a day, the sea pulls back.');
+    expect(reader.querySelector('.reader-content a').target).toBe('_blank');
+    expect(reader.querySelector('.reader-original').getAttribute('href')).toBe(ITEM_URL);
+  });
+
+  test('should not repeat a lead image that is in the article', async () => {
+    await showFeed();
+
+    await openFirstItem(jsonResponse(200, { ...ARTICLE, html: `<p><img src="${ARTICLE.leadImage}" alt=""> Text</p>`, byline: null }));
+
+    expect(document.querySelector('.reader-lead-image')).toBeNull();
+    expect(document.querySelector('.reader-byline').textContent).toBe('Coastal Times');
+  });
+
+  test('should go back to the list', async () => {
+    await showFeed();
+    await openFirstItem(jsonResponse(200, ARTICLE));
+
+    document.querySelector('.reader-back').click();
+
+    expect(document.getElementById('reader').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('reader').innerHTML).toBe('');
+    expect(document.getElementById('results').classList.contains('hidden')).toBe(false);
+    expect(document.querySelectorAll('.feed-item')).toHaveLength(3);
+  });
+
+  test('should link to the original when the article cannot be read', async () => {
+    await showFeed();
+
+    await openFirstItem(jsonResponse(422, { error: 'Unprocessable Entity', message: 'No article found on this page' }));
+
+    expect(document.querySelector('.reader-error').textContent)
+      .toBe('This page could not be opened in the reader: No article found on this page');
+    expect(document.querySelector('.reader-original').getAttribute('href')).toBe(ITEM_URL);
+    expect(document.getElementById('loading').classList.contains('hidden')).toBe(true);
+  });
+
+  test('should leave modified clicks to the browser', async () => {
+    await showFeed();
+    let prevented;
+    document.body.addEventListener('click', (event) => {
+      prevented = event.defaultPrevented;
+      event.preventDefault();
+    });
+
+    document.querySelector('.feed-item h3 a').dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, ctrlKey: true }));
+    await flushPromises();
+
+    expect(prevented).toBe(false);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(document.getElementById('reader').classList.contains('hidden')).toBe(true);
+  });
+
+  test('should close the reader when another feed is loaded', async () => {
+    await showFeed();
+    await openFirstItem(jsonResponse(200, ARTICLE));
+
+    await showFeed();
+
+    expect(document.getElementById('reader').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('results').classList.contains('hidden')).toBe(false);
+  });
+});
+
+describe('Frontend App - Search', () => {
+  let fetchMock;
+
+  function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  }
+
+  const RESULT = {
+    id: 'item-1',
+    key: 'https://example.com/espresso',
+    feedUrl: 'https://example.com/feed.xml',
+    title: 'Espresso <at> home',
+    link: 'https://example.com/espresso',
+    author: 'Ana',
+    published: '2024-03-01T08:00:00.000Z',
+    read: false,
+    starred: true,
+    archived: false,
+    score: 1.5,
+    highlights: {
+      title: '<mark>Espresso</mark> &lt;at&gt; home',
+      snippet: 'Pulling a <mark>perfect</mark> shot'
+    }
+  };
+
+  beforeEach(() => {
+    setupEnvironment();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  test('should ask for a query', async () => {
+    await searchItems();
+
+    expect(document.getElementById('error').textContent).toBe('Please enter something to search for');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  test('should show results as feed item cards with highlights', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, { query: 'espresso', total: 1, results: [RESULT] }));
+    document.getElementById('searchQuery').value = ' "perfect shot" ';
+
+    await searchItems();
+
+    expect(fetchMock).toHaveBeenCalledWith(`/api/search?q=${encodeURIComponent('"perfect shot"')}`);
+    expect(document.getElementById('feedTitle').textContent).toBe('Search: "perfect shot"');
+    const card = document.querySelector('.feed-item');
+    expect(card.querySelector('h3 a').innerHTML).toBe('<mark>Espresso</mark> &lt;at&gt; home');
+    expect(card.querySelector('.description mark').textContent).toBe('perfect');
+    expect(card.querySelector('.meta').textContent).toContain('https://example.com/feed.xml');
+    expect(card.dataset.id).toBe('item-1');
+    expect(card.classList.contains('starred')).toBe(true);
+    expect(document.querySelector('.feed-unread')).toBeNull();
+    expect(document.getElementById('results').classList.contains('hidden')).toBe(false);
+  });
+
+  test('should run when the search form is submitted', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, { query: 'x', total: 0, results: [] }));
+    document.getElementById('searchQuery').value = 'nothing';
+
+    document.getElementById('searchForm').dispatchEvent(new Event('submit', { cancelable: true }));
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/search?q=nothing');
+    expect(document.querySelector('.search-empty').textContent).toBe('No stored items match this search.');
   });
 
-  test('remove button should remove URL from localStorage', () => {
-    localStorage.setItem('savedRssFeeds', JSON.stringify(['https://example.com/feed.xml']));
-    renderSavedFeeds();
+  test('should show search errors', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(400, { error: 'Bad Request', message: 'The search query has no words to search for' }));
+    document.getElementById('searchQuery').value = '!!';
 
-    const removeBtn = document.querySelector('.saved-feed-remove');
-    removeBtn.click();
+    await searchItems();
 
-    expect(localStorage.getItem('savedRssFeeds')).toBe('[]');
+    expect(document.getElementById('error').textContent).toBe('Search failed: The search query has no words to search for');
+    expect(document.getElementById('loading').classList.contains('hidden')).toBe(true);
   });
 });
 
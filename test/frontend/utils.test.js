@@ -23,6 +23,7 @@ function setupEnvironment() {
     <button id="saveBtn"></button>
     <button id="clearBtn"></button>
     <button id="darkModeToggle" class="dark-mode-toggle" aria-label="Toggle dark mode"></button>
+    <form id="searchForm"><input id="searchQuery" value="" /></form>
     <div id="loading" class="hidden"></div>
     <div id="error" class="hidden"></div>
     <div id="results" class="hidden">
@@ -30,9 +31,19 @@ function setupEnvironment() {
       <div id="feedStats"></div>
       <div id="feedItems"></div>
     </div>
+    <div id="reader" class="hidden"></div>
     <div id="savedFeedsSection" class="hidden">
+      <button id="importOpmlBtn"></button>
+      <input type="file" id="opmlFile" />
+      <div id="opmlReport" class="hidden"></div>
       <div id="savedFeedsList"></div>
     </div>
+    <div id="rulesList"></div>
+    <form id="ruleForm">
+      <select name="action"><option value="hide">Hide</option></select>
+      <input name="tag" class="hidden" />
+      <select name="feedUrl"><option value="">All feeds</option></select>
+    </form>
   `;
   
   // Execute app.js in global context using indirect eval to make it global
@@ -427,3 +438,21 @@ describe('Frontend Utilities - UI State Functions', () => {
     expect(errorEl.classList.contains('hidden')).toBe(true);
   });
 });
+
+describe('Frontend Utilities - formatBytes', () => {
+  beforeEach(() => {
+    setupEnvironment();
+  });
+
+  test('should format byte counts with units', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(1048576)).toBe('1.0 MB');
+  });
+
+  test('should return empty string for missing or invalid sizes', () => {
+    expect(formatBytes(undefined)).toBe('');
+    expect(formatBytes(0)).toBe('');
+    expect(formatBytes('abc')).toBe('');
+  });
+});